@@ -0,0 +1,30 @@
+const fs = require("fs");
+const path = require("path");
+
+const { parseCsv, buildAllowlist } = require("./merkle");
+
+const OUT_DIR = process.env.ALLOWLIST_OUT_DIR || path.join(__dirname, "..", "public", "allowlists");
+
+function main() {
+	const [csvPath, membershipId] = process.argv.slice(2);
+	if (!csvPath || membershipId === undefined || !/^\d+$/.test(membershipId)) {
+		throw new Error("Usage: npm run allowlist -- <addresses.csv> <membershipId>");
+	}
+
+	const allowlist = buildAllowlist(parseCsv(fs.readFileSync(csvPath, "utf8")));
+	const outPath = path.join(OUT_DIR, `${membershipId}.json`);
+
+	fs.mkdirSync(OUT_DIR, { recursive: true });
+	fs.writeFileSync(outPath, JSON.stringify({ membershipId: Number(membershipId), ...allowlist }, null, 2) + "\n");
+
+	console.log(`${Object.keys(allowlist.proofs).length} addresses, root ${allowlist.root}`);
+	console.log(`Wrote ${outPath}`);
+	console.log(`Set it with setTierSale(${membershipId}, maxSupply, saleStart, saleEnd, "${allowlist.root}")`);
+}
+
+try {
+	main();
+} catch (error) {
+	console.error(error.message);
+	process.exitCode = 1;
+}
@@ -0,0 +1,97 @@
+const { AbiCoder, concat, getAddress, isAddress, keccak256 } = require("ethers");
+
+/**
+ * Leaf of an allowlisted address, `keccak256(bytes.concat(keccak256(abi.encode(account))))`
+ * like MembershipSales checks. Hashing twice keeps leaves from being mistaken for inner nodes.
+ */
+function leafHash(account) {
+	return keccak256(keccak256(AbiCoder.defaultAbiCoder().encode(["address"], [account])));
+}
+
+// Inner nodes hash their children in sorted order, the way OpenZeppelin's MerkleProof verifies them
+const hashPair = (a, b) => (a < b ? keccak256(concat([a, b])) : keccak256(concat([b, a])));
+
+/**
+ * Build the Merkle tree of a list of addresses. Duplicates are dropped and the leaves are sorted,
+ * so the same addresses always give the same root.
+ * @returns `{ root, layers, leaves }`, where `leaves` maps each checksummed address to its leaf.
+ */
+function buildTree(addresses) {
+	const accounts = [...new Set(addresses.map((address) => getAddress(address)))];
+	if (accounts.length === 0) {
+		throw new Error("The allowlist is empty");
+	}
+
+	const leaves = Object.fromEntries(accounts.map((account) => [account, leafHash(account)]));
+	const layers = [Object.values(leaves).sort()];
+
+	while (layers[layers.length - 1].length > 1) {
+		const layer = layers[layers.length - 1];
+		const next = [];
+
+		// An odd node out moves up unchanged
+		for (let i = 0; i < layer.length; i += 2) {
+			next.push(i + 1 < layer.length ? hashPair(layer[i], layer[i + 1]) : layer[i]);
+		}
+		layers.push(next);
+	}
+
+	return { root: layers[layers.length - 1][0], layers, leaves };
+}
+
+/**
+ * The proof of an address in a tree built with `buildTree`.
+ * @throws If the address is not in the tree.
+ */
+function getProof(tree, address) {
+	const leaf = tree.leaves[getAddress(address)];
+	if (!leaf) {
+		throw new Error(`${address} is not on the allowlist`);
+	}
+
+	const proof = [];
+	let index = tree.layers[0].indexOf(leaf);
+
+	for (const layer of tree.layers.slice(0, -1)) {
+		const sibling = index ^ 1;
+		if (sibling < layer.length) {
+			proof.push(layer[sibling]);
+		}
+		index = Math.floor(index / 2);
+	}
+	return proof;
+}
+
+/**
+ * Read the addresses of a CSV, one per line in the first column. A header row and blank
+ * lines are skipped.
+ * @throws On a line whose first column isn't an address, with its line number.
+ */
+function parseCsv(csv) {
+	const addresses = [];
+
+	csv.split(/\r?\n/).forEach((line, i) => {
+		const [first = ""] = line.split(",");
+		const value = first.trim().replace(/^"|"$/g, "");
+
+		if (value === "" || (i === 0 && !value.startsWith("0x"))) {
+			return;
+		}
+		if (!isAddress(value)) {
+			throw new Error(`Line ${i + 1}: "${value}" is not an address`);
+		}
+		addresses.push(value);
+	});
+	return addresses;
+}
+
+/**
+ * The allowlist file served to the app: the root and the proof of every address.
+ */
+function buildAllowlist(addresses) {
+	const tree = buildTree(addresses);
+	const proofs = Object.fromEntries(Object.keys(tree.leaves).map((account) => [account, getProof(tree, account)]));
+	return { root: tree.root, proofs };
+}
+
+module.exports = { leafHash, buildTree, getProof, parseCsv, buildAllowlist };
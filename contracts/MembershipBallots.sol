@@ -0,0 +1,115 @@
+// SPDX-License-Identifier: UNLICENSED
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/cryptography/SignatureChecker.sol";
+import "@openzeppelin/contracts/utils/Nonces.sol";
+import "./MembershipDAO.sol";
+
+/**
+ * @dev Signed ballots of a MembershipDAO: members sign a vote off-chain as EIP-712 typed data
+ * and a relayer submits it, paying the gas. The ballot is checked here, in this contract's own
+ * domain and nonces, and cast on the DAO, which takes votes from holders of its BALLOT_ROLE.
+ *
+ * Split off MembershipDAO to keep it under the contract size limit. The DAO applies the same
+ * checks as to a vote of the voter's own, and reverts while it is paused.
+ */
+contract MembershipBallots is EIP712, Nonces {
+    /**
+     * @notice The number of ballots and signatures in a batch differ.
+     */
+    error MembershipDAO_BallotsLengthMismatch(uint256 ballots, uint256 signatures);
+
+    /**
+     * @notice The ballot is not signed by its voter.
+     */
+    error MembershipDAO_InvalidBallotSignature(address voter);
+
+    /**
+     * @notice The ballot's deadline has passed.
+     */
+    error MembershipDAO_BallotExpired(address voter, uint256 deadline);
+
+    /**
+     * @dev A vote signed off-chain as EIP-712 typed data, submitted by a relayer.
+     */
+    struct Ballot {
+        address voter;
+        uint256 newMembershipId;
+        IMembershipVotes.VoteType support;
+        uint256 nonce;
+        uint256 deadline;
+    }
+
+    bytes32 public constant BALLOT_TYPEHASH =
+        keccak256("Ballot(address voter,uint256 newMembershipId,uint8 support,uint256 nonce,uint256 deadline)");
+
+    /**
+     * @dev The DAO the ballots are cast on.
+     */
+    MembershipDAO public immutable membershipDAO;
+
+    /**
+     * @param _membershipDAO The DAO, or its proxy, which grants this contract BALLOT_ROLE.
+     */
+    constructor(MembershipDAO _membershipDAO) EIP712("MembershipDAO", "1") {
+        membershipDAO = _membershipDAO;
+    }
+
+    /**
+     * @notice Records a vote signed off-chain by a member, so the relayer pays the gas.
+     * @dev Reverts if the signature isn't the voter's, the deadline has passed or the nonce
+     * isn't the voter's next nonce, then applies the same checks as {MembershipDAO-vote}.
+     * @param ballot The signed ballot.
+     * @param signature The voter's EIP-712 signature of the ballot.
+     * Emits a {HasVoted} event on the DAO.
+     */
+    function voteBySig(Ballot calldata ballot, bytes calldata signature) public {
+        _voteBySig(ballot, signature);
+    }
+
+    /**
+     * @notice Records several signed ballots in one transaction.
+     * @dev Reverts the whole batch if any ballot is invalid, or while the DAO is paused.
+     * @param ballots The signed ballots.
+     * @param signatures The signature of each ballot, in the same order.
+     */
+    function voteBySigBatch(Ballot[] calldata ballots, bytes[] calldata signatures) public {
+        if (ballots.length != signatures.length) {
+            revert MembershipDAO_BallotsLengthMismatch(ballots.length, signatures.length);
+        }
+
+        for (uint256 i = 0; i < ballots.length; i++) {
+            _voteBySig(ballots[i], signatures[i]);
+        }
+    }
+
+    /**
+     * @dev Check a signed ballot, use up its nonce and cast the vote.
+     * The signature may be from an EOA or an ERC-1271 contract wallet.
+     */
+    function _voteBySig(Ballot calldata ballot, bytes calldata signature) internal {
+        if (block.timestamp > ballot.deadline) {
+            revert MembershipDAO_BallotExpired(ballot.voter, ballot.deadline);
+        }
+
+        bytes32 digest = _hashTypedDataV4(
+            keccak256(
+                abi.encode(BALLOT_TYPEHASH, ballot.voter, ballot.newMembershipId, ballot.support, ballot.nonce, ballot.deadline)
+            )
+        );
+        if (!SignatureChecker.isValidSignatureNow(ballot.voter, digest, signature)) {
+            revert MembershipDAO_InvalidBallotSignature(ballot.voter);
+        }
+
+        _useCheckedNonce(ballot.voter, ballot.nonce);
+        membershipDAO.castVote(ballot.voter, ballot.newMembershipId, ballot.support);
+    }
+
+    /**
+     * @notice Returns the EIP-712 domain separator used to sign ballots.
+     */
+    function DOMAIN_SEPARATOR() external view returns (bytes32) {
+        return _domainSeparatorV4();
+    }
+}
@@ -2,9 +2,19 @@
 pragma solidity ^0.8.28;
 
 import "@openzeppelin/contracts/token/ERC1155/ERC1155.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/utils/Pausable.sol";
+import "@openzeppelin/contracts/utils/structs/Checkpoints.sol";
+import "@openzeppelin/contracts/proxy/utils/Initializable.sol";
+import "./libraries/MembershipTreasury.sol";
+import "./libraries/MembershipSales.sol";
+import "./libraries/MembershipVotes.sol";
+import "./libraries/MembershipReferrals.sol";
+import "./libraries/MembershipTiers.sol";
+
+contract MembershipDAO is ERC1155, AccessControl, Pausable, Initializable, IMembershipTreasury, IMembershipSales, IMembershipVotes, IMembershipReferrals, IMembershipTiers {
+    using Checkpoints for Checkpoints.Trace208;
 
-contract MembershipDAO is ERC1155, Ownable {
     /**
      * @dev The request value doesn't match the sent value.
      */
@@ -13,7 +23,7 @@ contract MembershipDAO is ERC1155, Ownable {
     /**
      * @dev Error thrown when an address tries to purchase a membership it already owns.
      */
-    error MembershipDAO_MembershipAlreadyPurchased(address sender);
+    error MembershipDAO_MembershipAlreadyPurchased(address sender, uint256 membershipId);
 
     /**
      * @dev Error thrown when a user attempts to cancel a membership that is not active.
@@ -31,42 +41,134 @@ contract MembershipDAO is ERC1155, Ownable {
     error MembershipDAO_NewMembershipIsInvalid(uint256 newMembershipId);
 
     /**
-     * @notice User has already voted on this membership.
+     * @notice The proposal can only be approved once it has succeeded.
+     */
+    error MembershipDAO_ProposalNotSucceeded(uint256 newMembershipId, ProposalState state);
+
+    /**
+     * @notice User is not allowed to approve proposals.
+     */
+    error MembershipDAO_UserNotEligibleToApprove(address user);
+
+    /**
+     * @dev Error thrown when the voting period is zero or the quorum percentage is above 100.
+     */
+    error MembershipDAO_InvalidVotingSettings();
+
+    /**
+     * @dev Error thrown when a user tries to renew a membership they don't hold.
+     */
+    error MembershipDAO_NoMembershipToRenew(address user, uint256 membershipId);
+
+    /**
+     * @dev Error thrown when a refund could not be sent to the user.
+     */
+    error MembershipDAO_RefundFailed(address user, uint256 amount);
+
+    /**
+     * @dev Error thrown when a permit purchase is made for a membership paid in ETH.
+     */
+    error MembershipDAO_MembershipNotPaidInToken(uint256 membershipId);
+
+    /**
+     * @dev Error thrown when upgrading or downgrading between memberships paid in different assets.
+     */
+    error MembershipDAO_PaymentTokenMismatch(uint256 fromMembershipId, uint256 toMembershipId);
+
+    /**
+     * @dev Error thrown when a user tries to upgrade or downgrade a membership that is not active.
+     */
+    error MembershipDAO_NoActiveMembershipToChange(address user, uint256 membershipId);
+
+    /**
+     * @dev Error thrown when an upgrade is not to a more expensive tier, or a downgrade to a cheaper one.
+     */
+    error MembershipDAO_InvalidMembershipChange(uint256 fromMembershipId, uint256 toMembershipId);
+
+    /**
+     * @dev Error thrown when a spending proposal is for nothing.
+     */
+    error MembershipDAO_InvalidSpendingProposal();
+
+    /**
+     * @dev Error thrown when a deposit can't be released because part of it is still refundable.
+     */
+    error MembershipDAO_DepositStillRefundable(address user, uint256 membershipId);
+
+    /**
+     * @dev Roles for privileged actions, granted and revoked by DEFAULT_ADMIN_ROLE holders:
+     * TIER_MANAGER_ROLE: lists memberships and sets their refund policy, transfer mode,
+     * voting weight, referral terms and grace period, and approves transfers.
+     * PROPOSER_ROLE: lists new membership proposals and approves succeeded proposals.
+     * TREASURER_ROLE: withdraws and proposes spending.
+     * PAUSER_ROLE: pauses and unpauses purchases and votes.
+     * BALLOT_ROLE: casts the votes of signed ballots, held by the {MembershipBallots} contract only.
+     * DEFAULT_ADMIN_ROLE also sets the voting settings, the spending limits and the payees,
+     * so treasurers can't lift the limit or redirect the withdrawals they make.
      */
-    error MembershipDAO_UserAlreadyVoted(address user, uint256 newMembershipId);
-    
-     /**
-      * @notice Insufficient votes to approve;
-      */
-     error MembershipDAO_InsufficientVotesToApprove();
+    bytes32 public constant TIER_MANAGER_ROLE = keccak256("TIER_MANAGER_ROLE");
+    bytes32 public constant PROPOSER_ROLE = keccak256("PROPOSER_ROLE");
+    bytes32 public constant TREASURER_ROLE = keccak256("TREASURER_ROLE");
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+    bytes32 public constant BALLOT_ROLE = keccak256("BALLOT_ROLE");
 
     uint256 public totalMemberships;
     uint256 public totalNewMembership;
-    uint256 public requiredVotes = 2;
+    uint256 public gracePeriod;
 
-    struct Membership {
-        string name;
-        uint256 cost;
-    }
+    /**
+     * @dev Voting settings for new proposals:
+     * votingDelay: time between listing a proposal and the start of voting.
+     * votingPeriod: how long voting stays open.
+     * quorumPercentage: share of the voting power of active memberships whose for or abstain votes are needed.
+     * requiredVotes: the quorum never goes below this voting power.
+     * They start at no delay, 7 days, 50% and 2 votes.
+     */
+    uint256 public votingDelay;
+    uint256 public votingPeriod;
+    uint256 public quorumPercentage;
+    uint256 public requiredVotes;
 
-    struct NewMembership {
-        string name;
-        uint256 cost;
-        uint256 voteCount;
-        bool isApproved;
+    /**
+     * @dev Addresses holding at least one membership.
+     */
+    uint256 public memberCount;
+
+    /**
+     * @dev Length of the window the spending limit applies to.
+     */
+    uint256 public constant SPENDING_PERIOD = MembershipTreasury.SPENDING_PERIOD;
+
+    /**
+     * @dev A proposal to withdraw `amount` of `asset` above the spending limit.
+     */
+    struct SpendingProposal {
+        address asset;
+        uint256 amount;
     }
 
     /**
      * @dev Memberships:
      * Store membership details, each membership has a unique ID.
-     * The value is a `Membership` struct containing the name and the cost of the membership.
+     * The value is a `Membership` struct containing the name, the cost, the duration,
+     * the refund policy, the transfer mode and the payment token of the membership.
+     * A payment token of address(0) means the membership is paid in ETH.
      * 
      * @dev HasMembership:
-     * Tracks the membership status of an address. If the value is `true`, the address
-     * has an active membership. If `false`, the membership doesn't exist.
+     * Tracks the membership status of an address for each membership ID. If the value is `true`,
+     * the address holds that membership. If `false`, the membership doesn't exist.
+     * 
+     * @dev expiresAt:
+     * Tracks when each membership of an address expires.
      * 
      * @dev newMembership:
-     * Store memberships details, each membership has a unique ID.
+     * Store proposed memberships details and their voting window, each proposal has a unique ID.
+     * 
+     * @dev proposalVotes:
+     * Tracks the for, against and abstain voting power of each proposal.
+     * 
+     * @dev membershipCount:
+     * Tracks how many memberships an address holds.
      * 
      * @dev hasVoted:
      * Tracks the newMembership status of an address and ID. 
@@ -76,188 +178,1361 @@ contract MembershipDAO is ERC1155, Ownable {
      * Tracks the addresses that voted for specific ID.
      * 
      * @dev deposit:
-     * Store the deposit amount and membership ID.
+     * Store the deposit amount of each member for each membership ID.
+     * 
+     * @dev depositedAt:
+     * Tracks when the current deposit period of a member started, used for pro-rated refunds.
+     * 
+     * @dev transferApproval:
+     * Transfers of OwnerApproved memberships a tier manager has approved, by sender, recipient
+     * and membership ID. An approval is used up by the transfer.
+     * 
+     * @dev totalDeposits:
+     * Sum of the deposits of every member of a membership ID, the refundable deposits the treasury reserves.
+     * 
+     * @dev spendingLimits:
+     * Spending limit of each asset, address(0) for ETH.
+     * 
+     * @dev approvedSpending:
+     * Amount of each asset members approved for withdrawal above the spending limit, not yet withdrawn.
+     * 
+     * @dev spendingProposals:
+     * Asset and amount of proposals to spend above the limit, by proposal ID.
+     * Other proposals list a new membership.
+     * 
+     * @dev _payees:
+     * Accounts treasury withdrawals are split between. Withdrawals go to the treasurer when there are none.
+     * 
+     * @dev tierSales:
+     * Supply cap, sale window, status and allowlist root of each membership ID.
+     * 
+     * @dev referrers:
+     * The member who registered each referral code.
+     * 
+     * @dev referralTerms:
+     * Buyer discount and referrer reward of each membership ID, in basis points.
+     * 
+     * @dev referralRewards:
+     * Referral rewards each referrer can claim, by asset.
+     * 
+     * @dev unclaimedReferralRewards:
+     * Sum of the referral rewards not claimed yet of each asset, which the treasury reserves.
+     * 
+     * @dev _balanceCheckpoints, _supplyCheckpoints and _weightCheckpoints:
+     * History by block number of each member's token balance, each tier's total supply
+     * and each tier's voting weight, used to read voting power at a proposal snapshot.
+     * 
+     * @dev _delegations:
+     * Each member's delegate and the balances delegated to each delegate by block,
+     * and the votes delegators cast themselves, to count delegated voting power once.
+     * 
+     * @dev _activeSupply:
+     * Tokens of each tier by the day their membership expires, mirroring `expiresAt`,
+     * to base the quorum on the voting power of active memberships.
      */        
     mapping(uint256 => Membership) public memberships;
-    mapping(address => bool) public hasMembership;
+    mapping(address => mapping(uint256 => bool)) public hasMembership;
+    mapping(address => mapping(uint256 => uint256)) public expiresAt;
     mapping(uint256 => NewMembership) public newMembership;
+    mapping(uint256 => ProposalVotes) public proposalVotes;
+    mapping(address => uint256) public membershipCount;
     mapping(address => mapping(uint256 => bool)) public hasVoted;
     mapping(uint256 => address[]) public voters;
-    mapping(uint256 => uint256) public deposit;
+    mapping(address => mapping(uint256 => uint256)) public deposit;
+    mapping(address => mapping(uint256 => uint256)) public depositedAt;
+    mapping(address => mapping(address => mapping(uint256 => bool))) public transferApproval;
+    mapping(uint256 => uint256) public totalDeposits;
+    mapping(address => SpendingLimit) public spendingLimits;
+    mapping(address => uint256) public approvedSpending;
+    mapping(uint256 => SpendingProposal) public spendingProposals;
+    mapping(uint256 => TierSale) public tierSales;
+    mapping(bytes32 => address) public referrers;
+    mapping(uint256 => ReferralTerms) public referralTerms;
+    mapping(address => mapping(address => uint256)) public referralRewards;
+    mapping(address => uint256) public unclaimedReferralRewards;
+    Payee[] private _payees;
+    mapping(address => mapping(uint256 => Checkpoints.Trace208)) private _balanceCheckpoints;
+    mapping(uint256 => Checkpoints.Trace208) private _supplyCheckpoints;
+    mapping(uint256 => Checkpoints.Trace208) private _weightCheckpoints;
+    MembershipVotes.Delegations private _delegations;
+    MembershipVotes.ActiveSupply private _activeSupply;
 
     /**
-     * @dev Emit MembershipListed event with the name and cost of the membership.
+     * @dev Emit MembershipListed event with the name, cost, duration and payment token of the membership.
      * @dev Emit MembershipPurchased event with the user address and the membershipId.
+     * @dev Emit MembershipGranted event with the user address and the membershipId of a complimentary membership.
+     * @dev Emit MembershipRenewed event with the user address, the membershipId and the new expiry.
      * @dev Emit MembershipCanceled event with the user address and the membershipId.
+     * @dev Emit MembershipUpgraded event with the user address, both membershipIds and the amount paid.
+     * @dev Emit MembershipDowngraded event with the user address, both membershipIds and the amount refunded.
+     * @dev Emit RefundIssued event with the user address, the membershipId and the refunded amount.
+     * @dev Emit RefundPolicyUpdated event with the membershipId and the new refund policy.
      * @dev Emit ListedNewMembership event with the user address and the newMembership.
-     * @dev Emit HasVoted event with the user address and the newMembershipId.
-     * @dev Emit NewMembershipApproved event with newMembershipId.
+     * @dev Emit HasVoted event with the user address, the newMembershipId, the vote type and the voting power used.
+     * @dev Emit NewMembershipApproved event with newMembershipId and the membershipId it was listed as.
+     * @dev Emit VotingSettingsUpdated event with the new voting settings.
+     * @dev Emit GracePeriodUpdated event with the new grace period.
+     * @dev Emit VotingWeightUpdated event with the membershipId and its new voting weight.
+     * @dev Emit TransferModeUpdated event with the membershipId and its new transfer mode.
+     * @dev Emit TransferApprovalUpdated event with the sender, recipient, membershipId and approval.
+     * @dev Emit MembershipTransferred event with the sender, recipient and membershipId.
+     * @dev Emit DepositReleased event with the user address, the membershipId and the released deposit.
+     * @dev Emit TreasuryWithdrawal event with the asset and the amount withdrawn.
+     * @dev Emit PaymentReleased event with the asset, the payee and its share of a withdrawal.
+     * @dev Emit PayeesUpdated event with the new payees and their shares.
+     * @dev Emit SpendingLimitUpdated event with the asset and its new spending limit.
+     * @dev Emit SpendingProposed event with the newMembershipId, the asset and the amount.
+     * @dev Emit SpendingApproved event with the newMembershipId, the asset and the amount.
      */
-    event MembershipListed(string name, uint256 cost);
     event MembershipPurchased(address indexed user, uint256 membershipId);
+    event MembershipGranted(address indexed user, uint256 membershipId);
+    event MembershipRenewed(address indexed user, uint256 membershipId, uint256 expiresAt);
     event MembershipCanceled(address indexed user, uint256 membershipId);
+    event MembershipUpgraded(address indexed user, uint256 fromMembershipId, uint256 toMembershipId, uint256 paid);
+    event MembershipDowngraded(address indexed user, uint256 fromMembershipId, uint256 toMembershipId, uint256 refunded);
+    event RefundIssued(address indexed user, uint256 membershipId, uint256 amount);
     event ListedNewMembership(address indexed user, uint256 newMembership);
-    event HasVoted(address indexed user, uint256 newMembershipId);
-    event NewMembershipApproved(uint256 newMembershipId);
+    event NewMembershipApproved(uint256 newMembershipId, uint256 membershipId);
+    event VotingSettingsUpdated(uint256 votingDelay, uint256 votingPeriod, uint256 quorumPercentage, uint256 requiredVotes);
+    event GracePeriodUpdated(uint256 gracePeriod);
+    event VotingWeightUpdated(uint256 membershipId, uint256 weight);
+    event MembershipTransferred(address indexed from, address indexed to, uint256 membershipId);
+    event DepositReleased(address indexed user, uint256 membershipId, uint256 amount);
+    event SpendingLimitUpdated(address indexed asset, uint256 limit);
+    event SpendingProposed(uint256 newMembershipId, address indexed asset, uint256 amount);
+    event SpendingApproved(uint256 newMembershipId, address indexed asset, uint256 amount);
+    event BaseURIUpdated(string uri);
 
-    constructor(address owner) ERC1155(owner) Ownable(owner) {}
+    /**
+     * @param admin Gets DEFAULT_ADMIN_ROLE and every other role, and can hand them out from there.
+     */
+    constructor(address admin) ERC1155("") initializer {
+        __MembershipDAO_init(admin);
+    }
 
     /**
-     * @dev Throws if caller is not the owner.
+     * @dev Set the state the contract starts with: `admin` gets every role and the voting
+     * settings get their defaults. Runs in the constructor, or in `initialize` behind a proxy
+     * (see {MembershipDAOUpgradeable}), where state set by a constructor would not exist.
+     */
+    function __MembershipDAO_init(address admin) internal onlyInitializing {
+        bytes32[5] memory roles = [DEFAULT_ADMIN_ROLE, TIER_MANAGER_ROLE, PROPOSER_ROLE, TREASURER_ROLE, PAUSER_ROLE];
+        for (uint256 i = 0; i < roles.length; i++) {
+            _grantRole(roles[i], admin);
+        }
+
+        votingPeriod = 7 days;
+        quorumPercentage = 50;
+        requiredVotes = 2;
+        _activeSupply.fromDay = block.timestamp / 1 days;
+    }
+
+    function supportsInterface(bytes4 interfaceId) public view override(ERC1155, AccessControl) returns (bool) {
+        return super.supportsInterface(interfaceId);
+    }
+
+    /**
+     * @dev Throws if caller doesn't have PAUSER_ROLE.
+     * @notice Halt purchases, renewals, upgrades and votes in an emergency.
+     * Cancellations, downgrades and refunds keep working.
+     * Emits a {Paused} event.
+     */
+    function pause() public onlyRole(PAUSER_ROLE) {
+        _pause();
+    }
+
+    /**
+     * @dev Throws if caller doesn't have PAUSER_ROLE.
+     * Emits an {Unpaused} event.
+     */
+    function unpause() public onlyRole(PAUSER_ROLE) {
+        _unpause();
+    }
+
+    /**
+     * @dev Throws if caller doesn't have TIER_MANAGER_ROLE.
      * @param _name The name of the membership.
-     * @param _cost The cost of the membership.
+     * @param _cost The cost of the membership, in wei or in the smallest unit of the payment token.
+     * @param _duration How long the membership lasts after purchase or renewal, in seconds.
+     * @param _paymentToken The ERC-20 the membership is paid in, or address(0) for ETH.
      * @dev Increment `totalMemberships` when listing a membership.
      * Emits a {listMembership} event.
      */
-    function listMembership(string memory _name, uint256 _cost) public onlyOwner {
-        memberships[totalMemberships] = Membership({
-            name: _name,
-            cost: _cost
-        });
-        totalMemberships++;
-        emit MembershipListed(_name, _cost);
+    function listMembership(
+        string memory _name,
+        uint256 _cost,
+        uint256 _duration,
+        address _paymentToken
+    ) public onlyRole(TIER_MANAGER_ROLE) {
+        _listMembership(MembershipListing(_name, _cost, _duration, _paymentToken));
+    }
+
+    /**
+     * @dev Throws if caller doesn't have TIER_MANAGER_ROLE.
+     * @notice List several memberships in one transaction, in order.
+     * @param listings The name, cost, duration and payment token of each membership.
+     * Emits a {MembershipListed} event per membership.
+     */
+    function listMemberships(MembershipListing[] calldata listings) public onlyRole(TIER_MANAGER_ROLE) {
+        for (uint256 i = 0; i < listings.length; i++) {
+            _listMembership(listings[i]);
+        }
+    }
+
+    /**
+     * @dev Store a new membership and return its ID.
+     * @dev Each token of a new membership carries a voting weight of 1.
+     */
+    function _listMembership(MembershipListing memory listing) internal returns (uint256) {
+        uint256 membershipId = totalMemberships++;
+        MembershipTiers.list(memberships, membershipId, listing);
+
+        _setVotingWeight(membershipId, 1);
+        return membershipId;
+    }
+
+    /**
+     * @dev Throws if caller doesn't have TIER_MANAGER_ROLE.
+     * @dev Reverts if the membership has not been listed.
+     * @notice Proposals already listed keep the weight from their snapshot block.
+     * @param membershipId The ID of the membership.
+     * @param weight Voting power of each token of the membership, e.g. proportional to its cost.
+     * Emits a {VotingWeightUpdated} event.
+     */
+    function setVotingWeight(uint256 membershipId, uint256 weight) public onlyRole(TIER_MANAGER_ROLE) {
+        _requireListed(membershipId);
+
+        _setVotingWeight(membershipId, weight);
+    }
+
+    function _setVotingWeight(uint256 membershipId, uint256 weight) internal {
+        MembershipVotes.push(_weightCheckpoints[membershipId], weight);
+        emit VotingWeightUpdated(membershipId, weight);
+    }
+
+    /**
+     * @notice Returns the current voting weight of each token of a membership.
+     * @param membershipId The ID of the membership.
+     */
+    function votingWeight(uint256 membershipId) public view returns (uint256) {
+        return _weightCheckpoints[membershipId].latest();
+    }
+
+    /**
+     * @notice Returns the current voting power of an account.
+     * @param account The address to check.
+     */
+    function getVotes(address account) public view returns (uint256) {
+        return getPastVotes(account, block.number);
+    }
+
+    /**
+     * @notice Returns the voting power of an account at the end of a block.
+     * @dev The sum, over every tier, of the tokens held times the tier weight at that block.
+     * @param account The address to check.
+     * @param blockNumber The block to read.
+     */
+    function getPastVotes(address account, uint256 blockNumber) public view returns (uint256) {
+        return _pastVotes(_balanceCheckpoints[account], blockNumber);
+    }
+
+    /**
+     * @notice Returns the voting power delegated to an account at the end of a block.
+     * @dev On a proposal with that snapshot block, the account's vote counts this power on top of
+     * its own, less that of delegators who vote themselves.
+     * @param account The delegate.
+     * @param blockNumber The block to read.
+     */
+    function getPastDelegatedVotes(address account, uint256 blockNumber) public view returns (uint256) {
+        return _pastVotes(_delegations.balances[account], blockNumber);
+    }
+
+    /**
+     * @notice Returns the current delegate of an account, address(0) if it votes itself.
+     * @param account The delegator.
+     */
+    function delegates(address account) public view returns (address) {
+        return address(uint160(_delegations.delegates[account].latest()));
+    }
+
+    /**
+     * @notice Delegate the caller's voting power to another active member.
+     * @dev The delegate's votes count for the delegator's tokens, including tokens bought later,
+     * on proposals listed after this block. Delegation isn't transitive.
+     * @dev The delegator can still vote themselves, which takes their power out of the delegate's vote.
+     * @dev Like their own vote, the delegated power only counts while the delegator is an active member:
+     * if their memberships have lapsed when the delegate votes, it is left out of the delegate's vote.
+     * @dev Reverts if the caller is not an active member, or the delegate is the caller or not an active member.
+     * @param delegatee The member to delegate to.
+     * Emits a {DelegateChanged} event.
+     */
+    function delegate(address delegatee) public {
+        if (!isActiveMember(msg.sender)) {
+            revert MembershipDAO_UserNotEligibleToVote(msg.sender);
+        }
+
+        if (delegatee == msg.sender || !isActiveMember(delegatee)) {
+            revert MembershipDAO_InvalidDelegate(msg.sender, delegatee);
+        }
+
+        _delegate(msg.sender, delegatee);
+    }
+
+    /**
+     * @notice Revoke the caller's delegation, so their voting power is theirs again
+     * on proposals listed after this block.
+     * Emits a {DelegateChanged} event if the caller had a delegate.
+     */
+    function undelegate() public {
+        _delegate(msg.sender, address(0));
+    }
+
+    /**
+     * @dev Make `delegatee` the delegate of `delegator`, address(0) to revoke.
+     */
+    function _delegate(address delegator, address delegatee) internal {
+        MembershipVotes.delegate(_delegations, _balanceCheckpoints[delegator], delegator, delegatee, totalMemberships);
+    }
+
+    /**
+     * @notice Returns the voting power of every token at the end of a block.
+     * @param blockNumber The block to read.
+     */
+    function getPastTotalVotes(uint256 blockNumber) public view returns (uint256) {
+        return _pastVotes(_supplyCheckpoints, blockNumber);
+    }
+
+    /**
+     * @notice Returns the voting power of every active membership under the current tier weights,
+     * which the quorum of a new proposal is based on.
+     * @dev A membership counts until the end of the day (UTC) its grace period ends.
+     */
+    function getActiveVotes() public view returns (uint256) {
+        return MembershipVotes.activeVotes(_activeSupply, _weightCheckpoints, totalMemberships, gracePeriod);
+    }
+
+    /**
+     * @dev The voting power of `balances` at the end of a block under the tier weights of that block.
+     */
+    function _pastVotes(mapping(uint256 => Checkpoints.Trace208) storage balances, uint256 blockNumber) internal view returns (uint256) {
+        return MembershipVotes.pastVotes(balances, _weightCheckpoints, totalMemberships, blockNumber);
+    }
+
+    /**
+     * @dev Move the tokens, which reverts if the sender doesn't hold them, then enforce the transfer mode
+     * of each transferred membership and move the membership with its token, and record the balance
+     * and supply history of every minted, burned or transferred token.
+     */
+    function _update(address from, address to, uint256[] memory ids, uint256[] memory values) internal override {
+        super._update(from, to, ids, values);
+
+        if (from != address(0) && to != address(0)) {
+            for (uint256 i = 0; i < ids.length; i++) {
+                if (values[i] > 0) {
+                    _transferMembership(from, to, ids[i]);
+                }
+            }
+        }
+
+        MembershipVotes.moveCheckpoints(_balanceCheckpoints, _supplyCheckpoints, _delegations, from, to, ids, values);
+    }
+
+    /**
+     * @notice Returns the number of tokens of a membership in circulation.
+     */
+    function totalSupply(uint256 membershipId) public view returns (uint256) {
+        return _supplyCheckpoints[membershipId].latest();
+    }
+
+    /**
+     * @dev Throws if caller doesn't have TIER_MANAGER_ROLE.
+     * @param _gracePeriod Time after expiry during which a membership stays active, in seconds.
+     * Emits a {GracePeriodUpdated} event.
+     */
+    function setGracePeriod(uint256 _gracePeriod) public onlyRole(TIER_MANAGER_ROLE) {
+        gracePeriod = _gracePeriod;
+        emit GracePeriodUpdated(_gracePeriod);
+    }
+
+    /**
+     * @dev Throws if caller doesn't have DEFAULT_ADMIN_ROLE.
+     * @dev Reverts if the voting period is zero or the quorum percentage is above 100.
+     * @notice Only proposals listed afterwards use the new settings.
+     * @param _votingDelay Time between listing a proposal and the start of voting, in seconds.
+     * @param _votingPeriod How long voting stays open, in seconds.
+     * @param _quorumPercentage Share of the voting power of active memberships whose for or abstain votes are needed.
+     * @param _requiredVotes Minimum quorum in voting power.
+     * Emits a {VotingSettingsUpdated} event.
+     */
+    function setVotingSettings(
+        uint256 _votingDelay,
+        uint256 _votingPeriod,
+        uint256 _quorumPercentage,
+        uint256 _requiredVotes
+    ) public onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (_votingPeriod == 0 || _quorumPercentage > 100) {
+            revert MembershipDAO_InvalidVotingSettings();
+        }
+
+        votingDelay = _votingDelay;
+        votingPeriod = _votingPeriod;
+        quorumPercentage = _quorumPercentage;
+        requiredVotes = _requiredVotes;
+        emit VotingSettingsUpdated(_votingDelay, _votingPeriod, _quorumPercentage, _requiredVotes);
+    }
+
+    /**
+     * @dev Throws if caller doesn't have TIER_MANAGER_ROLE.
+     * @dev Reverts if the membership has not been listed.
+     * @param membershipId The ID of the membership.
+     * @param _refundPolicy The refund policy applied when the membership is canceled.
+     * Emits a {RefundPolicyUpdated} event.
+     */
+    function setRefundPolicy(uint256 membershipId, RefundPolicy _refundPolicy) public onlyRole(TIER_MANAGER_ROLE) {
+        MembershipTiers.setRefundPolicy(memberships, totalMemberships, membershipId, _refundPolicy);
+    }
+
+    /**
+     * @dev Throws if caller doesn't have TIER_MANAGER_ROLE.
+     * @dev Reverts if the membership has not been listed.
+     * @param membershipId The ID of the membership.
+     * @param _transferMode Whether the membership token can be transferred.
+     * Emits a {TransferModeUpdated} event.
+     */
+    function setTransferMode(uint256 membershipId, TransferMode _transferMode) public onlyRole(TIER_MANAGER_ROLE) {
+        MembershipTiers.setTransferMode(memberships, totalMemberships, membershipId, _transferMode);
+    }
+
+    /**
+     * @dev Throws if caller doesn't have TIER_MANAGER_ROLE.
+     * @dev Reverts if the membership has not been listed or the sale ends before it starts.
+     * @notice A cap below the current supply stops sales without affecting existing members.
+     * @param membershipId The ID of the membership.
+     * @param maxSupply The most tokens of the membership in circulation, or 0 for no cap.
+     * @param saleStart When the membership goes on sale, or 0 for right away.
+     * @param saleEnd When the sale ends, or 0 for never.
+     * @param allowlistRoot Merkle root of the addresses allowed to buy, or bytes32(0) for anyone.
+     * Emits a {TierSaleUpdated} event.
+     */
+    function setTierSale(
+        uint256 membershipId,
+        uint256 maxSupply,
+        uint256 saleStart,
+        uint256 saleEnd,
+        bytes32 allowlistRoot
+    ) public onlyRole(TIER_MANAGER_ROLE) {
+        _requireListed(membershipId);
+
+        MembershipSales.setSale(tierSales[membershipId], membershipId, maxSupply, saleStart, saleEnd, allowlistRoot);
+    }
+
+    /**
+     * @dev Throws if caller doesn't have TIER_MANAGER_ROLE.
+     * @dev Reverts if the membership has not been listed or is retired.
+     * @notice Paused and retired memberships can't be bought or upgraded to, and retired ones
+     * can't be renewed either. Retiring is permanent.
+     * @param membershipId The ID of the membership.
+     * @param status The new status of the membership.
+     * Emits a {TierStatusUpdated} event.
+     */
+    function setTierStatus(uint256 membershipId, TierStatus status) public onlyRole(TIER_MANAGER_ROLE) {
+        _requireListed(membershipId);
+
+        MembershipSales.setStatus(tierSales[membershipId], membershipId, status);
+    }
+
+    /**
+     * @dev Throws if caller doesn't have TIER_MANAGER_ROLE.
+     * @dev Reverts if the membership has not been listed.
+     * @notice Applies to purchases, renewals and upgrades from now on. Deposits already paid are unchanged.
+     * @param membershipId The ID of the membership.
+     * @param cost The new cost of the membership, in wei or in the smallest unit of the payment token.
+     * Emits a {MembershipCostUpdated} event.
+     */
+    function setMembershipCost(uint256 membershipId, uint256 cost) public onlyRole(TIER_MANAGER_ROLE) {
+        MembershipTiers.setCost(memberships, totalMemberships, membershipId, cost);
+    }
+
+    /**
+     * @dev Throws if caller doesn't have TIER_MANAGER_ROLE.
+     * @dev Reverts if the membership has not been listed or the discount or reward is above 100%.
+     * @notice Purchases with a referral code get `discountBps` off the cost, and the referrer earns
+     * `rewardBps` of the discounted price, in the membership's payment asset.
+     * @param membershipId The ID of the membership.
+     * @param discountBps The discount for the buyer, in basis points of the cost.
+     * @param rewardBps The reward for the referrer, in basis points of the discounted price.
+     * Emits a {ReferralTermsUpdated} event.
+     */
+    function setReferralTerms(uint256 membershipId, uint256 discountBps, uint256 rewardBps) public onlyRole(TIER_MANAGER_ROLE) {
+        _requireListed(membershipId);
+
+        MembershipReferrals.setTerms(referralTerms[membershipId], membershipId, discountBps, rewardBps);
+    }
+
+    /**
+     * @notice Register a referral code others can buy memberships with.
+     * @dev Only accounts holding a membership can register codes. A member can register several.
+     * @dev Reverts if the code is empty or already registered.
+     * @param code The referral code, e.g. a short string as bytes32.
+     * Emits a {ReferralCodeRegistered} event.
+     */
+    function registerReferralCode(bytes32 code) public {
+        if (membershipCount[msg.sender] == 0) {
+            revert MembershipDAO_NotAMember(msg.sender);
+        }
+
+        MembershipReferrals.register(referrers, code, msg.sender);
+    }
+
+    /**
+     * @notice Claim every referral reward earned in an asset.
+     * @dev Reverts if there is nothing to claim or the reward can't be sent.
+     * @param asset The payment asset, address(0) for ETH.
+     * Emits a {ReferralRewardClaimed} event.
+     */
+    function claimReferralRewards(address asset) public {
+        MembershipReferrals.claim(referralRewards, unclaimedReferralRewards, msg.sender, asset);
+    }
+
+    /**
+     * @dev Throws if caller doesn't have TIER_MANAGER_ROLE.
+     * @notice Metadata of memberships without their own URI is served from `newuri`,
+     * where clients replace `{id}` with the membership ID as 64 lowercase hex characters.
+     * @param newuri The base URI, e.g. "https://example.com/metadata/{id}.json".
+     * Emits a {BaseURIUpdated} event.
+     */
+    function setBaseURI(string memory newuri) public onlyRole(TIER_MANAGER_ROLE) {
+        _setURI(newuri);
+        emit BaseURIUpdated(newuri);
+    }
+
+    /**
+     * @dev Throws if caller doesn't have TIER_MANAGER_ROLE.
+     * @dev Reverts if the membership has not been listed.
+     * @param membershipId The ID of the membership.
+     * @param tierURI The metadata URI of the membership, or "" to fall back to the base URI.
+     * Emits a {URI} event.
+     */
+    function setMembershipURI(uint256 membershipId, string memory tierURI) public onlyRole(TIER_MANAGER_ROLE) {
+        MembershipTiers.setURI(memberships, totalMemberships, membershipId, tierURI);
+    }
+
+    /**
+     * @notice Returns the metadata URI of a membership: its own URI if set, the base URI otherwise.
+     */
+    function uri(uint256 membershipId) public view override returns (string memory) {
+        string memory tierURI = memberships[membershipId].uri;
+        return bytes(tierURI).length > 0 ? tierURI : super.uri(membershipId);
+    }
+
+    /**
+     * @dev Throws if caller doesn't have TIER_MANAGER_ROLE.
+     * @notice Allows, or withdraws, one transfer of an OwnerApproved membership.
+     * @param from The current holder.
+     * @param to The recipient.
+     * @param membershipId The ID of the membership.
+     * @param approved Whether the transfer is allowed.
+     * Emits a {TransferApprovalUpdated} event.
+     */
+    function approveTransfer(address from, address to, uint256 membershipId, bool approved) public onlyRole(TIER_MANAGER_ROLE) {
+        MembershipTiers.approveTransfer(transferApproval, from, to, membershipId, approved);
+    }
+
+    /**
+     * @dev Reverts if the membership has not been listed.
+     */
+    function _requireListed(uint256 membershipId) internal view {
+        MembershipTiers.requireListed(totalMemberships, membershipId);
+    }
+
+    /**
+     * @notice Check if a membership is active.
+     * @dev A membership stays active until its expiry plus the grace period.
+     * @param user The address to check.
+     * @param membershipId The ID of the membership.
+     */
+    function isMembershipActive(address user, uint256 membershipId) public view returns (bool) {
+        return hasMembership[user][membershipId] && block.timestamp <= expiresAt[user][membershipId] + gracePeriod;
+    }
+
+    /**
+     * @notice Check if an address holds at least one active membership.
+     * @param user The address to check.
+     */
+    function isActiveMember(address user) public view returns (bool) {
+        return MembershipVotes.isActiveMember(hasMembership, expiresAt, gracePeriod, totalMemberships, user);
     }
 
     /**
      * @notice Purchase a membership by sending the required cost.
-     * @dev Reverts if the payment amount is incorrect or if the caller already has a membership.
+     * @dev Memberships paid in an ERC-20 pull the cost from the caller's allowance.
+     * @dev Reverts if the membership is not listed, the payment amount is incorrect,
+     * the caller already has this membership or the contract is paused.
      * @param membershipId The ID of the membership to purchase. 
-     * @dev Returns true if the user purchased a membership, false otherwise.
-     * @notice Track the deposit for refund.
+     * @dev A user can hold several memberships of different IDs at the same time.
+     * @notice Track the deposit of the user for refund.
+     * @dev Sets the expiry to the current time plus the membership duration.
      * @dev Mints 1 NFT to the user after buying a membership.
      * @notice The NFT represents proof of membership.
+     * @dev Buys without an allowlist proof or referral code, so memberships with an allowlist
+     * need {buyMembershipWithProof} and referred purchases {buyMembershipWithReferral}.
      * Emits a {MembershipPurchased} event. 
      */
     function buyMembership(uint256 membershipId) public payable {
+        buyMembershipWithProof(membershipId, new bytes32[](0));
+    }
+
+    /**
+     * @notice Purchase a membership, proving the caller is on its allowlist.
+     * @dev Reverts if the membership is paused, retired, outside its sale window, sold out,
+     * or has an allowlist `proof` doesn't verify the caller against.
+     * @param membershipId The ID of the membership to purchase.
+     * @param proof Merkle proof of the caller's allowlist entry, empty for memberships without an allowlist.
+     * Emits a {MembershipPurchased} event.
+     */
+    function buyMembershipWithProof(uint256 membershipId, bytes32[] memory proof) public payable whenNotPaused {
         uint256 cost = memberships[membershipId].cost;
-        if (msg.value != cost) {
-            revert MembershipDAO_IncorrectValueSent(cost, msg.value);
+        _buyMembership(msg.sender, membershipId, proof, cost, cost);
+    }
+
+    /**
+     * @notice Purchase a membership for `recipient`, paid by the caller, e.g. to gift it.
+     * @dev The recipient holds the membership and gets its refund if it cancels.
+     * @dev Reverts like {buyMembership} with the checks applied to the recipient.
+     * Buys without an allowlist proof, so memberships with an allowlist can't be gifted.
+     * @param recipient The account receiving the membership.
+     * @param membershipId The ID of the membership to purchase.
+     * Emits a {MembershipPurchased} event.
+     */
+    function buyMembershipFor(address recipient, uint256 membershipId) public payable whenNotPaused {
+        uint256 cost = memberships[membershipId].cost;
+        _buyMembership(recipient, membershipId, new bytes32[](0), cost, cost);
+    }
+
+    /**
+     * @notice Purchase several memberships for `recipient` at once, paid by the caller,
+     * and mint them in one batch.
+     * @dev The Ether sent must match the total cost of the memberships paid in Ether,
+     * the cost of those paid in an ERC-20 is pulled from the caller's allowance.
+     * @dev Reverts like {buyMembershipFor} if any of them can't be bought, or one is listed twice.
+     * @param recipient The account receiving the memberships, the caller for a multi-tier purchase.
+     * @param membershipIds The IDs of the memberships to purchase.
+     * Emits a {MembershipPurchased} event per membership.
+     */
+    function buyMembershipsFor(address recipient, uint256[] memory membershipIds) public payable whenNotPaused {
+        uint256[] memory values = new uint256[](membershipIds.length);
+        uint256 value;
+
+        for (uint256 i = 0; i < membershipIds.length; i++) {
+            uint256 membershipId = membershipIds[i];
+            uint256 cost = memberships[membershipId].cost;
+            _startMembership(recipient, membershipId, new bytes32[](0), cost);
+            value += _pullPayment(membershipId, cost);
+            values[i] = 1;
         }
 
-        if (hasMembership[msg.sender]) {
-            revert MembershipDAO_MembershipAlreadyPurchased(msg.sender);
+        _checkValue(value);
+        _mintBatch(recipient, membershipIds, values, "");
+    }
+
+    /**
+     * @dev Throws if caller doesn't have TIER_MANAGER_ROLE.
+     * @notice Give each recipient a complimentary membership, e.g. for an airdrop.
+     * @dev Complimentary memberships have no deposit, so canceling them refunds nothing.
+     * @dev They don't need the membership to be on sale, but count towards its supply cap.
+     * @dev Reverts if the membership is not listed or a recipient already holds it.
+     * @param recipients The accounts receiving the membership.
+     * @param membershipId The ID of the membership.
+     * Emits a {MembershipGranted} event per recipient.
+     */
+    function grantMemberships(address[] memory recipients, uint256 membershipId) public onlyRole(TIER_MANAGER_ROLE) {
+        _requireListed(membershipId);
+
+        for (uint256 i = 0; i < recipients.length; i++) {
+            _setMembership(recipients[i], membershipId);
+            _mint(recipients[i], membershipId, 1, "");
+            emit MembershipGranted(recipients[i], membershipId);
         }
+    }
 
-        hasMembership[msg.sender] = true;
-        deposit[membershipId] = msg.value;
-        _mint(msg.sender, membershipId, 1, "");
-        emit MembershipPurchased(msg.sender, membershipId);
+    /**
+     * @notice Purchase a membership with a referral code, for the cost less the membership's
+     * referral discount. The referrer is credited its reward, to claim with {claimReferralRewards}.
+     * @dev Reverts if the code isn't registered or is the caller's own, and like {buyMembershipWithProof}.
+     * @dev The reward leaves the treasury with the referrer, so refunds are based on the
+     * discounted price less the reward.
+     * @param membershipId The ID of the membership to purchase.
+     * @param proof Merkle proof of the caller's allowlist entry, empty for memberships without an allowlist.
+     * @param referralCode A registered referral code, or bytes32(0) for none.
+     * Emits a {ReferralUsed} event with a referral code, and a {MembershipPurchased} event.
+     */
+    function buyMembershipWithReferral(
+        uint256 membershipId,
+        bytes32[] memory proof,
+        bytes32 referralCode
+    ) public payable whenNotPaused {
+        (uint256 price, uint256 reward) = MembershipReferrals.useCode(
+            referrers,
+            referralTerms[membershipId],
+            referralRewards,
+            unclaimedReferralRewards,
+            referralCode,
+            msg.sender,
+            membershipId,
+            memberships[membershipId].paymentToken,
+            memberships[membershipId].cost
+        );
+        _buyMembership(msg.sender, membershipId, proof, price, price - reward);
+    }
+
+    /**
+     * @dev Sell `recipient` a membership for `price` paid by the caller,
+     * recording `depositAmount` of it as the refundable deposit.
+     */
+    function _buyMembership(address recipient, uint256 membershipId, bytes32[] memory proof, uint256 price, uint256 depositAmount) internal {
+        _startMembership(recipient, membershipId, proof, depositAmount);
+        _collectPayment(membershipId, price);
+        _mint(recipient, membershipId, 1, "");
+    }
+
+    /**
+     * @dev Check a membership is on sale to `recipient` and start it with `depositAmount` as its deposit.
+     * @dev Reverts if the membership is not listed, not on sale to the recipient, or already held.
+     * Emits a {MembershipPurchased} event.
+     */
+    function _startMembership(address recipient, uint256 membershipId, bytes32[] memory proof, uint256 depositAmount) internal {
+        _requireListed(membershipId);
+
+        MembershipSales.checkSale(tierSales[membershipId], membershipId, recipient, proof);
+        _setMembership(recipient, membershipId);
+        _setDeposit(recipient, membershipId, depositAmount);
+        emit MembershipPurchased(recipient, membershipId);
+    }
+
+    /**
+     * @dev Give `user` a membership for one period from now, without a deposit.
+     * A membership not held has no deposit, so there is none to clear.
+     * @dev Reverts if the user already holds it or its token would take the tier above its supply cap.
+     */
+    function _setMembership(address user, uint256 membershipId) internal {
+        if (hasMembership[user][membershipId]) {
+            revert MembershipDAO_MembershipAlreadyPurchased(user, membershipId);
+        }
+        _checkSupply(membershipId);
+
+        _addMembership(user, membershipId);
+        _setExpiry(user, membershipId, block.timestamp + memberships[membershipId].duration);
+        depositedAt[user][membershipId] = block.timestamp;
     }
 
     /**
+     * @notice Purchase a membership paid in an ERC-20, approving the cost with an EIP-2612 permit
+     * in the same transaction.
+     * @dev A permit that fails, for example because it was already used, is ignored so the
+     * purchase can still go through on an existing allowance.
      * @param membershipId The ID of the membership to purchase.
-     * @notice Checks for an active membership to cancel.
-     * @notice Retrive the refund amount.
-     * @dev The call method is used to transfer ETH to the user's address.
-     * @dev Notice we transfer first before burning the NFT.
-     * @dev Burn the membership token.
-     * @notice Mark the user as no longer having a membership.
+     * @param deadline The permit deadline.
+     * @param v The permit signature v.
+     * @param r The permit signature r.
+     * @param s The permit signature s.
+     * Emits a {MembershipPurchased} event.
+     */
+    function buyMembershipWithPermit(uint256 membershipId, uint256 deadline, uint8 v, bytes32 r, bytes32 s) public {
+        _requireListed(membershipId);
+
+        address token = memberships[membershipId].paymentToken;
+        if (token == address(0)) {
+            revert MembershipDAO_MembershipNotPaidInToken(membershipId);
+        }
+
+        MembershipTreasury.permit(token, msg.sender, memberships[membershipId].cost, deadline, v, r, s);
+
+        buyMembership(membershipId);
+    }
+
+    /**
+     * @dev Take `amount` from the caller in the payment asset of the membership:
+     * as `msg.value` for ETH, or from the caller's allowance for an ERC-20.
+     * @dev Reverts if the ETH sent doesn't match, or if ETH is sent for an ERC-20 membership.
+     */
+    function _collectPayment(uint256 membershipId, uint256 amount) internal {
+        _checkValue(_pullPayment(membershipId, amount));
+    }
+
+    /**
+     * @dev Reverts unless the caller sent exactly `value` in ETH.
+     */
+    function _checkValue(uint256 value) internal view {
+        if (msg.value != value) {
+            revert MembershipDAO_IncorrectValueSent(value, msg.value);
+        }
+    }
+
+    /**
+     * @dev Pull `amount` from the caller's allowance if the membership is paid in an ERC-20,
+     * and return the ETH the caller owes for it, leaving the check of `msg.value` to the caller.
+     */
+    function _pullPayment(uint256 membershipId, uint256 amount) internal returns (uint256) {
+        address token = memberships[membershipId].paymentToken;
+        if (token == address(0)) {
+            return amount;
+        }
+
+        MembershipTreasury.pull(token, msg.sender, amount);
+        return 0;
+    }
+
+    /**
+     * @notice Renew a membership by sending the required cost.
+     * @dev Reverts if the caller doesn't hold the membership, the payment amount is incorrect,
+     * the membership is retired or the contract is paused.
+     * @param membershipId The ID of the membership to renew.
+     * @notice An active membership, including one in its grace period, is extended from its current expiry.
+     * @notice A lapsed membership starts a new period from now.
+     * @dev The payment is added to the deposit of an active membership.
+     * A lapsed membership has used up its deposit, so the payment starts a new one.
+     * Emits a {MembershipRenewed} event.
+     */
+    function renewMembership(uint256 membershipId) public payable whenNotPaused {
+        if (!hasMembership[msg.sender][membershipId]) {
+            revert MembershipDAO_NoMembershipToRenew(msg.sender, membershipId);
+        }
+
+        if (tierSales[membershipId].status == TierStatus.Retired) {
+            revert MembershipDAO_TierNotOnSale(membershipId, TierStatus.Retired);
+        }
+
+        uint256 cost = memberships[membershipId].cost;
+        _collectPayment(membershipId, cost);
+
+        uint256 start;
+        if (isMembershipActive(msg.sender, membershipId)) {
+            start = expiresAt[msg.sender][membershipId];
+            _setDeposit(msg.sender, membershipId, deposit[msg.sender][membershipId] + cost);
+        } else {
+            start = block.timestamp;
+            _setDeposit(msg.sender, membershipId, cost);
+            depositedAt[msg.sender][membershipId] = block.timestamp;
+        }
+
+        _setExpiry(msg.sender, membershipId, start + memberships[membershipId].duration);
+        emit MembershipRenewed(msg.sender, membershipId, expiresAt[msg.sender][membershipId]);
+    }
+
+    /**
+     * @notice Upgrade a membership to a more expensive one by paying the cost difference.
+     * @dev Reverts if the caller has no active `fromMembershipId`, already holds `toMembershipId`,
+     * or `toMembershipId` doesn't cost more, or if the contract is paused.
+     * @dev Burns the old membership token and mints the new one in the same transaction.
+     * @notice The deposit and expiry carry over to the new membership.
+     * @param fromMembershipId The ID of the membership held now.
+     * @param toMembershipId The ID of the membership to upgrade to.
+     * Emits a {MembershipUpgraded} event.
+     */
+    function upgradeMembership(uint256 fromMembershipId, uint256 toMembershipId) public payable whenNotPaused {
+        _checkMembershipChange(fromMembershipId, toMembershipId);
+
+        uint256 fromCost = memberships[fromMembershipId].cost;
+        uint256 toCost = memberships[toMembershipId].cost;
+        if (toCost <= fromCost) {
+            revert MembershipDAO_InvalidMembershipChange(fromMembershipId, toMembershipId);
+        }
+
+        uint256 difference = toCost - fromCost;
+        _collectPayment(toMembershipId, difference);
+
+        _moveMembership(fromMembershipId, toMembershipId, deposit[msg.sender][fromMembershipId] + difference);
+        emit MembershipUpgraded(msg.sender, fromMembershipId, toMembershipId, difference);
+    }
+
+    /**
+     * @notice Downgrade a membership to a cheaper one.
+     * @dev Reverts if the caller has no active `fromMembershipId`, already holds `toMembershipId`,
+     * or `toMembershipId` doesn't cost less.
+     * @dev Burns the old membership token and mints the new one in the same transaction.
+     * @notice The cost difference is refunded under the refund policy of `fromMembershipId`.
+     * @param fromMembershipId The ID of the membership held now.
+     * @param toMembershipId The ID of the membership to downgrade to.
+     * Emits a {MembershipDowngraded} event.
+     * Emits a {RefundIssued} event if a refund was sent.
+     */
+    function downgradeMembership(uint256 fromMembershipId, uint256 toMembershipId) public {
+        _checkMembershipChange(fromMembershipId, toMembershipId);
+
+        uint256 fromCost = memberships[fromMembershipId].cost;
+        uint256 toCost = memberships[toMembershipId].cost;
+        if (toCost >= fromCost) {
+            revert MembershipDAO_InvalidMembershipChange(fromMembershipId, toMembershipId);
+        }
+
+        uint256 currentDeposit = deposit[msg.sender][fromMembershipId];
+        uint256 difference = fromCost - toCost;
+        if (difference > currentDeposit) {
+            difference = currentDeposit;
+        }
+
+        uint256 refund = _applyRefundPolicy(msg.sender, fromMembershipId, difference);
+
+        _moveMembership(fromMembershipId, toMembershipId, currentDeposit - refund);
+        emit MembershipDowngraded(msg.sender, fromMembershipId, toMembershipId, refund);
+
+        _sendRefund(msg.sender, fromMembershipId, refund);
+    }
+
+    /**
+     * @dev Reverts unless the caller has an active `fromMembershipId`
+     * and a listed `toMembershipId` it doesn't hold yet, paid in the same asset.
+     * @dev Moving to a membership is a purchase of it, so it must be on sale to the caller:
+     * not paused or retired, within its sale window and without an allowlist.
+     * Its supply cap is enforced when the new token is minted.
+     */
+    function _checkMembershipChange(uint256 fromMembershipId, uint256 toMembershipId) internal view {
+        if (!isMembershipActive(msg.sender, fromMembershipId)) {
+            revert MembershipDAO_NoActiveMembershipToChange(msg.sender, fromMembershipId);
+        }
+
+        _requireListed(toMembershipId);
+
+        if (hasMembership[msg.sender][toMembershipId]) {
+            revert MembershipDAO_MembershipAlreadyPurchased(msg.sender, toMembershipId);
+        }
+
+        if (memberships[fromMembershipId].paymentToken != memberships[toMembershipId].paymentToken) {
+            revert MembershipDAO_PaymentTokenMismatch(fromMembershipId, toMembershipId);
+        }
+
+        MembershipSales.checkSale(tierSales[toMembershipId], toMembershipId, msg.sender, new bytes32[](0));
+    }
+
+    /**
+     * @dev Reverts if minting a token of the membership would take it above its supply cap.
+     * Checked before each mint, as the tokens in circulation only change when one is minted or burned.
+     */
+    function _checkSupply(uint256 membershipId) internal view {
+        MembershipSales.checkSupply(tierSales[membershipId], _supplyCheckpoints[membershipId], membershipId);
+    }
+
+    /**
+     * @dev Mark `user` as holding a membership and keep `membershipCount` and `memberCount` in step.
+     */
+    function _addMembership(address user, uint256 membershipId) internal {
+        hasMembership[user][membershipId] = true;
+        if (membershipCount[user]++ == 0) {
+            memberCount++;
+        }
+    }
+
+    /**
+     * @dev Mark `user` as no longer holding a membership and keep `membershipCount` and `memberCount` in step.
+     */
+    function _removeMembership(address user, uint256 membershipId) internal {
+        hasMembership[user][membershipId] = false;
+        if (--membershipCount[user] == 0) {
+            memberCount--;
+        }
+    }
+
+    /**
+     * @dev Move the caller from one membership to another, keeping the expiry
+     * and deposit period and setting the new deposit amount.
+     * @dev Reverts if the new token would take its tier above its supply cap.
+     */
+    function _moveMembership(uint256 fromMembershipId, uint256 toMembershipId, uint256 newDeposit) internal {
+        _checkSupply(toMembershipId);
+        _moveRecord(msg.sender, fromMembershipId, msg.sender, toMembershipId, newDeposit);
+        _burn(msg.sender, fromMembershipId, 1);
+        _mint(msg.sender, toMembershipId, 1, "");
+    }
+
+    /**
+     * @dev Move the membership record of `from` to `toMembershipId` of `to`, keeping the expiry
+     * and deposit period and setting the new deposit amount, then clear the old record.
+     */
+    function _moveRecord(address from, uint256 fromMembershipId, address to, uint256 toMembershipId, uint256 newDeposit) internal {
+        _addMembership(to, toMembershipId);
+        _setExpiry(to, toMembershipId, expiresAt[from][fromMembershipId]);
+        _setDeposit(to, toMembershipId, newDeposit);
+        depositedAt[to][toMembershipId] = depositedAt[from][fromMembershipId];
+
+        _clearRecord(from, fromMembershipId);
+    }
+
+    /**
+     * @dev Clear the membership record of `user`: its status, expiry, deposit and deposit period.
+     */
+    function _clearRecord(address user, uint256 membershipId) internal {
+        _removeMembership(user, membershipId);
+        _setExpiry(user, membershipId, 0);
+        _setDeposit(user, membershipId, 0);
+        depositedAt[user][membershipId] = 0;
+    }
+
+    /**
+     * @dev Set the expiry of a membership, zero for one not held, and keep the active supply in step.
+     */
+    function _setExpiry(address user, uint256 membershipId, uint256 expiry) internal {
+        MembershipVotes.moveExpiry(_activeSupply, membershipId, expiresAt[user][membershipId], expiry);
+        expiresAt[user][membershipId] = expiry;
+    }
+
+    /**
+     * @dev Set the deposit of a member and keep `totalDeposits` of the membership in step.
+     */
+    function _setDeposit(address user, uint256 membershipId, uint256 amount) internal {
+        totalDeposits[membershipId] = totalDeposits[membershipId] - deposit[user][membershipId] + amount;
+        deposit[user][membershipId] = amount;
+    }
+
+    /**
+     * @dev Move a membership with its token, keeping the expiry, deposit and deposit period,
+     * so membership status, refunds and voting eligibility follow the holder.
+     * @dev Reverts if the transfer mode doesn't allow it or the recipient already holds the membership.
+     */
+    function _transferMembership(address from, address to, uint256 membershipId) internal {
+        MembershipTiers.useTransfer(transferApproval, memberships[membershipId].transferMode, from, to, membershipId);
+
+        if (hasMembership[to][membershipId]) {
+            revert MembershipDAO_MembershipAlreadyPurchased(to, membershipId);
+        }
+
+        _moveRecord(from, membershipId, to, membershipId, deposit[from][membershipId]);
+        emit MembershipTransferred(from, to, membershipId);
+    }
+
+    /**
+     * @notice Calculate the refund a member gets when canceling a membership now.
+     * @dev Full returns the whole deposit, None returns nothing.
+     * @dev ProRated returns the deposit share of the time left until expiry.
+     * @param user The member address.
+     * @param membershipId The ID of the membership.
+     */
+    function refundAmount(address user, uint256 membershipId) public view returns (uint256) {
+        return _applyRefundPolicy(user, membershipId, deposit[user][membershipId]);
+    }
+
+    /**
+     * @dev Returns the part of `amount` the membership refund policy pays back now.
+     */
+    function _applyRefundPolicy(address user, uint256 membershipId, uint256 amount) internal view returns (uint256) {
+        return MembershipTiers.refundable(
+            memberships[membershipId],
+            amount,
+            depositedAt[user][membershipId],
+            expiresAt[user][membershipId]
+        );
+    }
+
+    /**
+     * @param membershipId The ID of the membership to cancel.
+     * @notice Checks the caller holds an active membership of this ID.
+     * @notice Retrive the refund amount under the membership refund policy.
+     * @dev Clear the deposit, burn the membership token and mark the user
+     * as no longer having a membership before sending the refund.
+     * @dev The call method is used to transfer ETH to the user's address,
+     * the whole cancellation reverts if the transfer fails.
+     * @dev Canceling revokes the caller's delegation.
      * Emits a {MembershipCanceled} event.
+     * Emits a {RefundIssued} event if a refund was sent.
      */
     function cancelMembership(uint256 membershipId) public {
-        if (!hasMembership[msg.sender]) {
+        if (!hasMembership[msg.sender][membershipId]) {
             revert MembershipDAO_NoActiveMembershipToCancel(msg.sender);
         }
 
-        uint256 refundAmount = deposit[membershipId];
-        
-        if (refundAmount > 0 ) {
-            (bool success, ) = msg.sender.call{value: refundAmount}("");
-            deposit[membershipId] = 0;
-        }
+        uint256 refund = refundAmount(msg.sender, membershipId);
 
+        _clearRecord(msg.sender, membershipId);
         _burn(msg.sender, membershipId, 1);
-        hasMembership[msg.sender] = false;
         emit MembershipCanceled(msg.sender, membershipId);
+        _delegate(msg.sender, address(0));
+
+        _sendRefund(msg.sender, membershipId, refund);
+    }
+
+    /**
+     * @dev Send a refund in the payment asset of the membership, with call for ETH,
+     * reverting the whole transaction if the transfer fails.
+     * Emits a {RefundIssued} event if `amount` is not zero.
+     */
+    function _sendRefund(address user, uint256 membershipId, uint256 amount) internal {
+        if (amount == 0) {
+            return;
+        }
+
+        if (!MembershipTreasury.send(memberships[membershipId].paymentToken, user, amount)) {
+            revert MembershipDAO_RefundFailed(user, amount);
+        }
+        emit RefundIssued(user, membershipId, amount);
     }
 
     /**
-     * @notice Creates a new membership with the given details.
-     * @dev Stores the membership in the newMembership mapping,
+     * @dev Throws if caller doesn't have PROPOSER_ROLE.
+     * @notice Proposes a new membership for members to vote on.
+     * @dev Stores the proposal in the newMembership mapping,
      * and increments totalNewMembership.
+     * @dev Voting opens after `votingDelay` and stays open for `votingPeriod`.
+     * @dev Voting power is snapshotted at the block before the proposal is listed, so
+     * memberships bought once it is listed don't count.
+     * @dev The quorum is fixed when the proposal is listed, as `quorumPercentage`
+     * of the voting power of active memberships (see {getActiveVotes}) but never less than `requiredVotes`.
      * @param _name Name of the membership.
      * @param _cost Cost of the membership.
-     * @param _voteCount Initial vote count for the membership.
-     * @param _isApproved Approval status of the membership.
+     * @param _duration Duration of the membership once listed, in seconds.
      * Emits a {ListedNewMembership} event.
      */
     function listNewMembership(
         string memory _name, 
         uint256 _cost, 
-        uint256 _voteCount, 
-        bool _isApproved
-    ) public onlyOwner {
+        uint256 _duration
+    ) public onlyRole(PROPOSER_ROLE) {
+        newMembership[_propose(_name, _cost)].duration = _duration;
+    }
 
-        newMembership[totalNewMembership] = NewMembership({
-           name: _name,
-           cost: _cost,
-           voteCount: _voteCount,
-           isApproved: _isApproved
-            });
+    /**
+     * @dev Store a proposal with the current voting settings and return its ID.
+     * @dev Its duration, vote count and approval keep the zero values of a fresh ID,
+     * a membership proposal sets its duration afterwards.
+     */
+    function _propose(string memory _name, uint256 _cost) internal returns (uint256) {
+        uint256 startTime = block.timestamp + votingDelay;
+        MembershipVotes.propose(
+            newMembership[totalNewMembership],
+            _activeSupply,
+            _weightCheckpoints,
+            totalMemberships,
+            gracePeriod,
+            _name,
+            _cost,
+            startTime,
+            startTime + votingPeriod,
+            quorumPercentage,
+            requiredVotes
+        );
 
         emit ListedNewMembership(msg.sender, totalNewMembership);
-        totalNewMembership++;
+        return totalNewMembership++;
     }
 
     /**
-     * @notice Allows a user to vote for a new membership.
-     * @dev Checks user eligibility, membership validity, and duplicate votes.
+     * @notice Returns the current state of a proposal.
+     * @dev Reverts if the proposal doesn't exist.
+     * @param newMembershipId The ID of the proposal.
+     */
+    function proposalState(uint256 newMembershipId) public view returns (ProposalState) {
+        if (newMembershipId >= totalNewMembership) {
+            revert MembershipDAO_NewMembershipIsInvalid(newMembershipId);
+        }
+
+        return MembershipVotes.state(newMembership[newMembershipId], proposalVotes[newMembershipId]);
+    }
+
+    /**
+     * @notice Allows a member to vote for, against or abstain on a new membership.
+     * @dev Checks user eligibility, proposal validity and state, and duplicate votes.
+     * @dev Only members holding at least one active, unexpired membership are eligible.
+     * @dev Reverts while the contract is paused.
+     * @dev The vote counts with the voter's power at the proposal snapshot.
      * Reverts with appropriate errors if conditions are not met.
      * @param newMembershipId The ID of the membership being voted for.
+     * @param support The vote type: Against, For or Abstain.
      * Emits a {HasVoted} event.
      */
-    function vote(uint256 newMembershipId) public {
-        if (!hasMembership[msg.sender]) {
-            revert MembershipDAO_UserNotEligibleToVote(msg.sender);
+    function vote(uint256 newMembershipId, VoteType support) public whenNotPaused {
+        _castVote(msg.sender, newMembershipId, support);
+    }
+
+    /**
+     * @dev Throws if caller doesn't have BALLOT_ROLE.
+     * @notice Records the vote of a ballot `voter` signed off-chain, checked by {MembershipBallots}.
+     * @dev Applies the same checks as {vote}.
+     * @param voter The member who signed the ballot.
+     * @param newMembershipId The ID of the proposal.
+     * @param support Against, For or Abstain.
+     * Emits a {HasVoted} event.
+     */
+    function castVote(address voter, uint256 newMembershipId, VoteType support) public onlyRole(BALLOT_ROLE) whenNotPaused {
+        _castVote(voter, newMembershipId, support);
+    }
+
+    function _castVote(address voter, uint256 newMembershipId, VoteType support) internal {
+        if (!isActiveMember(voter)) {
+            revert MembershipDAO_UserNotEligibleToVote(voter);
         }
 
         if (newMembershipId >= totalNewMembership) {
             revert MembershipDAO_NewMembershipIsInvalid(newMembershipId);
         }
 
-        if (hasVoted[msg.sender][newMembershipId]) { 
-            revert MembershipDAO_UserAlreadyVoted(msg.sender, newMembershipId);
-        }
-
-        hasVoted[msg.sender][newMembershipId] = true;
-        newMembership[newMembershipId].voteCount++;
-        voters[newMembershipId].push(msg.sender);
-        emit HasVoted(msg.sender, newMembershipId);
+        NewMembership storage proposal = newMembership[newMembershipId];
+        MembershipVotes.countVote(
+            proposal,
+            proposalVotes[newMembershipId],
+            hasVoted,
+            voters[newMembershipId],
+            _delegations,
+            _balanceCheckpoints[voter],
+            _weightCheckpoints,
+            totalMemberships,
+            MembershipVotes.dropLapsedDelegators(
+                _delegations,
+                _balanceCheckpoints,
+                _weightCheckpoints,
+                hasMembership,
+                expiresAt,
+                gracePeriod,
+                hasVoted,
+                totalMemberships,
+                voter,
+                newMembershipId,
+                proposal.snapshotBlock
+            ),
+            voter,
+            newMembershipId,
+            support
+        );
     }
 
     /**
      * @param newMembershipId Is new membership ID that is approved.
-     * @notice Mark the membership as approved.
-     * @dev Mint tokens for each voter.
-     * @notice Delete the voters after minting.
-     * Emits a {NewMembershipApproved} event indicating the new membership has been approved.
-     * @notice Revert if insufficient votes.
+     * @notice Executes a succeeded proposal.
+     * @dev Only PROPOSER_ROLE holders and active members can approve.
+     * @notice Mark the proposal as approved and list it as a membership,
+     * so it can be purchased.
+     * @dev Approved memberships are paid in ETH.
+     * @notice An approved spending proposal adds its amount to `approvedSpending` instead.
+     * Emits a {NewMembershipApproved} event with the ID of the listed membership,
+     * or a {SpendingApproved} event for a spending proposal.
+     * @notice Revert if the proposal has not succeeded.
      */
     function approve(uint256 newMembershipId) public {
-        if (newMembershipId >= totalNewMembership) {            
-            revert MembershipDAO_NewMembershipIsInvalid(totalNewMembership);
-       }
-
-        if (newMembership[newMembershipId].voteCount >= requiredVotes) {
-            newMembership[newMembershipId].isApproved = true;
-            for (uint256 i = 0; i < voters[newMembershipId].length; i++) {
-            _mint(voters[newMembershipId][i], newMembershipId, 1, "");
-            }
+        if (!hasRole(PROPOSER_ROLE, msg.sender) && !isActiveMember(msg.sender)) {
+            revert MembershipDAO_UserNotEligibleToApprove(msg.sender);
+        }
+
+        ProposalState state = proposalState(newMembershipId);
+        if (state != ProposalState.Succeeded) {
+            revert MembershipDAO_ProposalNotSucceeded(newMembershipId, state);
+        }
+
+        NewMembership storage proposal = newMembership[newMembershipId];
+        proposal.isApproved = true;
+
+        SpendingProposal storage spending = spendingProposals[newMembershipId];
+        if (spending.amount > 0) {
+            approvedSpending[spending.asset] += spending.amount;
+            emit SpendingApproved(newMembershipId, spending.asset, spending.amount);
+            return;
+        }
+
+        uint256 membershipId = _listMembership(MembershipListing(proposal.name, proposal.cost, proposal.duration, address(0)));
+        emit NewMembershipApproved(newMembershipId, membershipId);
+    }
 
-            delete voters[newMembershipId];
-            emit NewMembershipApproved(newMembershipId);
+    /**
+     * @notice Returns the deposits the treasury keeps for refunds, in ETH for address(0)
+     * or in an ERC-20 payment token.
+     * @dev Deposits of memberships with the `None` refund policy are not reserved.
+     * `ProRated` deposits stay reserved until they are canceled or released with {releaseDeposit}.
+     * @dev Referral rewards not yet claimed are reserved too.
+     * @param asset The payment asset.
+     */
+    function reservedDeposits(address asset) public view returns (uint256 reserved) {
+        reserved = MembershipTiers.reserved(memberships, totalDeposits, totalMemberships, asset) + unclaimedReferralRewards[asset];
+    }
+
+    /**
+     * @notice Returns the balance of an asset above its reserved deposits, the most that can be withdrawn.
+     * @param asset The payment asset, address(0) for ETH.
+     */
+    function surplus(address asset) public view returns (uint256) {
+        uint256 balance = MembershipTreasury.balance(asset);
+        uint256 reserved = reservedDeposits(asset);
+        return balance > reserved ? balance - reserved : 0;
+    }
+
+    /**
+     * @notice Release a deposit nothing of which can be refunded any more, such as a
+     * `ProRated` deposit after expiry, so it no longer counts as reserved.
+     * @dev Anyone can release a deposit. Reverts if any of it is still refundable.
+     * @dev Deposits of `None` memberships are not reserved and stay recorded.
+     * @param user The member.
+     * @param membershipId The ID of the membership.
+     * Emits a {DepositReleased} event.
+     */
+    function releaseDeposit(address user, uint256 membershipId) public {
+        if (memberships[membershipId].refundPolicy != RefundPolicy.ProRated || refundAmount(user, membershipId) > 0) {
+            revert MembershipDAO_DepositStillRefundable(user, membershipId);
+        }
+
+        uint256 amount = deposit[user][membershipId];
+        _setDeposit(user, membershipId, 0);
+        emit DepositReleased(user, membershipId, amount);
+    }
+
+    /**
+     * @dev Throws if caller doesn't have DEFAULT_ADMIN_ROLE.
+     * @notice Limit how much of an asset can be withdrawn per `SPENDING_PERIOD`.
+     * Withdrawals above the limit need a spending proposal approved by members.
+     * @param asset The payment asset, address(0) for ETH.
+     * @param limit The most that can be withdrawn per period, or 0 for no limit.
+     * Emits a {SpendingLimitUpdated} event.
+     */
+    function setSpendingLimit(address asset, uint256 limit) public onlyRole(DEFAULT_ADMIN_ROLE) {
+        spendingLimits[asset].limit = limit;
+        emit SpendingLimitUpdated(asset, limit);
+    }
+
+    /**
+     * @dev Throws if caller doesn't have DEFAULT_ADMIN_ROLE.
+     * @notice Split every withdrawal between payees in proportion to their shares,
+     * e.g. operations and reserve. An empty list sends withdrawals to the treasurer who withdraws.
+     * @param accounts The payees.
+     * @param shares The share of each payee, in the same order.
+     * Emits a {PayeesUpdated} event.
+     */
+    function setPayees(address[] memory accounts, uint256[] memory shares) public onlyRole(DEFAULT_ADMIN_ROLE) {
+        MembershipTreasury.setPayees(_payees, accounts, shares);
+    }
+
+    /**
+     * @notice Returns the payees withdrawals are split between.
+     */
+    function payees() public view returns (Payee[] memory) {
+        return _payees;
+    }
+
+    /**
+     * @dev Throws if caller doesn't have TREASURER_ROLE.
+     * @notice Proposes withdrawing `amount` of an asset above the spending limit. Members vote on it
+     * like on a new membership, and approving it adds the amount to `approvedSpending`.
+     * @param _description What the funds are for, stored as the proposal name.
+     * @param asset The payment asset, address(0) for ETH.
+     * @param amount The amount to approve.
+     * Emits a {ListedNewMembership} and a {SpendingProposed} event.
+     */
+    function proposeSpending(string memory _description, address asset, uint256 amount) public onlyRole(TREASURER_ROLE) {
+        if (amount == 0) {
+            revert MembershipDAO_InvalidSpendingProposal();
         }
 
-        else {
-            revert MembershipDAO_InsufficientVotesToApprove();
-        }  
+        uint256 newMembershipId = _propose(_description, amount);
+        SpendingProposal storage spending = spendingProposals[newMembershipId];
+        spending.asset = asset;
+        spending.amount = amount;
+        emit SpendingProposed(newMembershipId, asset, amount);
     }
 
     /**
-     * @dev Only Owner can withdraw funds.
-     * @notice Perform the withdrawal using call to send Ether to the owner.
+     * @dev Throws if caller doesn't have TREASURER_ROLE.
+     * @notice Withdraw part of the surplus of an asset and split it between the payees.
+     * @dev Reverts if `amount` is above the surplus, or above what is left of the spending
+     * limit this period plus the spending approved by members, which is used up first by the excess.
+     * @dev Reverts the whole withdrawal if a payee can't receive its share.
+     * @param asset The payment asset, address(0) for ETH.
+     * @param amount The amount to withdraw.
+     * Emits a {TreasuryWithdrawal} event and a {PaymentReleased} event for each payee.
      */
-    function withdraw() public onlyOwner {
-        (bool success, ) = owner().call{value: address(this).balance}("");
+    function withdraw(address asset, uint256 amount) public onlyRole(TREASURER_ROLE) {
+        MembershipTreasury.withdraw(_payees, spendingLimits[asset], approvedSpending, asset, amount, surplus(asset), msg.sender);
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,119 @@
+// SPDX-License-Identifier: UNLICENSED
+pragma solidity ^0.8.28;
+
+import "./MembershipDAO.sol";
+// Compiled for the deployment and upgrade scripts, which deploy the proxy and upgrade through its ProxyAdmin
+import "@openzeppelin/contracts/proxy/transparent/TransparentUpgradeableProxy.sol";
+
+/**
+ * @dev MembershipDAO deployed behind a TransparentUpgradeableProxy, so fixes can be shipped as a new
+ * implementation without losing members, tiers and votes. The proxy runs `initialize` in place of the constructor.
+ *
+ * The implementation itself has no admin and can't be initialized, only the proxy's storage is used.
+ * State is laid out in the proxy's storage in declaration order: an upgrade may append
+ * new state variables but must not remove, reorder or retype existing ones, which
+ * `scripts/upgrade.js` checks before upgrading.
+ */
+contract MembershipDAOUpgradeable is MembershipDAO {
+    /**
+     * @notice The migration from the previous deployment is finished.
+     */
+    error MembershipDAO_MigrationFinished();
+
+    /**
+     * @notice The proposal wasn't listed again by the migration.
+     */
+    error MembershipDAO_ProposalNotMigrated(uint256 newMembershipId);
+
+    event MigrationFinished();
+
+    /**
+     * @dev migrating:
+     * Whether the state of the previous deployment can still be imported. Set by `initialize`
+     * and cleared for good by {finishMigration}.
+     *
+     * @dev _migratedProposal:
+     * Proposals listed again by {importProposal}, the only ones {importVotes} takes votes for.
+     */
+    bool public migrating;
+    mapping(uint256 => bool) internal _migratedProposal;
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() MembershipDAO(address(0)) {
+        _disableInitializers();
+    }
+
+    /**
+     * @notice Set up the proxy: `admin` gets every role and the voting settings get their defaults.
+     * @dev Opens the migration from the previous deployment, see {finishMigration}.
+     * @dev Reverts with {InvalidInitialization} if the proxy was already initialized.
+     * @param admin Gets DEFAULT_ADMIN_ROLE and every other role, and can hand them out from there.
+     */
+    function initialize(address admin) external initializer {
+        __MembershipDAO_init(admin);
+        migrating = true;
+    }
+
+    /**
+     * @dev Throws if caller doesn't have DEFAULT_ADMIN_ROLE.
+     * @notice List again a proposal still open on the previous deployment, so its votes can be imported.
+     * Used by `scripts/migrate.js`.
+     * @dev Reverts once the migration is finished.
+     * @param _name Name of the membership.
+     * @param _cost Cost of the membership.
+     * @param _duration Duration of the membership once listed, in seconds.
+     * Emits a {ListedNewMembership} event.
+     */
+    function importProposal(string memory _name, uint256 _cost, uint256 _duration) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _requireMigrating();
+
+        uint256 newMembershipId = _propose(_name, _cost);
+        newMembership[newMembershipId].duration = _duration;
+        _migratedProposal[newMembershipId] = true;
+    }
+
+    /**
+     * @dev Throws if caller doesn't have DEFAULT_ADMIN_ROLE.
+     * @notice Replay the votes a proposal had on the previous deployment once {importProposal} listed it again,
+     * as votes in favour, the only kind that deployment had. Used by `scripts/migrate.js`.
+     * @dev Each vote is cast like the voter's own: it counts with their voting power at the proposal
+     * snapshot and sets `hasVoted`, `voters` and the tallies.
+     * @dev Reverts once the migration is finished, if the proposal wasn't listed by {importProposal}
+     * or isn't active, or if a voter isn't an active member or already voted.
+     * @param newMembershipId The ID of the proposal listed again.
+     * @param accounts The accounts that voted on it before.
+     * Emits a {HasVoted} event per vote.
+     */
+    function importVotes(uint256 newMembershipId, address[] calldata accounts) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _requireMigrating();
+        if (!_migratedProposal[newMembershipId]) {
+            revert MembershipDAO_ProposalNotMigrated(newMembershipId);
+        }
+
+        for (uint256 i = 0; i < accounts.length; i++) {
+            _castVote(accounts[i], newMembershipId, VoteType.For);
+        }
+    }
+
+    /**
+     * @dev Throws if caller doesn't have DEFAULT_ADMIN_ROLE.
+     * @notice Close the migration for good: nothing can be imported afterwards.
+     * @dev Reverts if it is already finished.
+     * Emits a {MigrationFinished} event.
+     */
+    function finishMigration() external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _requireMigrating();
+
+        migrating = false;
+        emit MigrationFinished();
+    }
+
+    /**
+     * @dev Reverts once the migration is finished.
+     */
+    function _requireMigrating() internal view {
+        if (!migrating) {
+            revert MembershipDAO_MigrationFinished();
+        }
+    }
+}
@@ -0,0 +1,174 @@
+// SPDX-License-Identifier: UNLICENSED
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+
+/**
+ * @dev Errors, events and types of the MembershipDAO referrals, shared by the DAO and
+ * the library so they appear in the DAO's ABI.
+ */
+interface IMembershipReferrals {
+    /**
+     * @dev Error thrown when an account that holds no membership registers a referral code.
+     */
+    error MembershipDAO_NotAMember(address account);
+
+    /**
+     * @dev Error thrown when registering a referral code someone already registered.
+     */
+    error MembershipDAO_ReferralCodeTaken(bytes32 code);
+
+    /**
+     * @dev Error thrown when a referral code is empty or was never registered.
+     */
+    error MembershipDAO_InvalidReferralCode(bytes32 code);
+
+    /**
+     * @dev Error thrown when a member buys with their own referral code.
+     */
+    error MembershipDAO_SelfReferral(address account);
+
+    /**
+     * @dev Error thrown when a discount or reward is above 100%.
+     */
+    error MembershipDAO_InvalidReferralTerms(uint256 discountBps, uint256 rewardBps);
+
+    /**
+     * @dev Error thrown when claiming referral rewards in an asset none were earned in.
+     */
+    error MembershipDAO_NoReferralRewards(address account, address asset);
+
+    /**
+     * @dev Error thrown when a referral reward can't be sent.
+     */
+    error MembershipDAO_ReferralRewardFailed(address account, uint256 amount);
+
+    /**
+     * @dev Referral terms of a tier in basis points: the discount off the cost for the buyer,
+     * and the reward for the referrer as a share of the discounted price.
+     */
+    struct ReferralTerms {
+        uint256 discountBps;
+        uint256 rewardBps;
+    }
+
+    event ReferralCodeRegistered(address indexed referrer, bytes32 code);
+    event ReferralTermsUpdated(uint256 membershipId, uint256 discountBps, uint256 rewardBps);
+    event ReferralUsed(address indexed referrer, address indexed buyer, uint256 membershipId, bytes32 code, uint256 discount, uint256 reward);
+    event ReferralRewardClaimed(address indexed referrer, address indexed asset, uint256 amount);
+}
+
+/**
+ * @dev Referral codes, discounts and rewards of MembershipDAO purchases.
+ * Linked as an external library to keep MembershipDAO under the contract size limit.
+ */
+library MembershipReferrals {
+    using SafeERC20 for IERC20;
+
+    /**
+     * @dev Basis points in 100%.
+     */
+    uint256 internal constant BPS = 10_000;
+
+    /**
+     * @dev Register `code` for `referrer`.
+     * @dev Reverts if the code is empty or taken.
+     * Emits a {ReferralCodeRegistered} event.
+     */
+    function register(mapping(bytes32 => address) storage referrers, bytes32 code, address referrer) external {
+        if (code == bytes32(0)) {
+            revert IMembershipReferrals.MembershipDAO_InvalidReferralCode(code);
+        }
+        if (referrers[code] != address(0)) {
+            revert IMembershipReferrals.MembershipDAO_ReferralCodeTaken(code);
+        }
+
+        referrers[code] = referrer;
+        emit IMembershipReferrals.ReferralCodeRegistered(referrer, code);
+    }
+
+    /**
+     * @dev Set the referral terms of a tier.
+     * @dev Reverts if the discount or reward is above 100%.
+     * Emits a {ReferralTermsUpdated} event.
+     */
+    function setTerms(IMembershipReferrals.ReferralTerms storage terms, uint256 membershipId, uint256 discountBps, uint256 rewardBps) external {
+        if (discountBps > BPS || rewardBps > BPS) {
+            revert IMembershipReferrals.MembershipDAO_InvalidReferralTerms(discountBps, rewardBps);
+        }
+
+        terms.discountBps = discountBps;
+        terms.rewardBps = rewardBps;
+        emit IMembershipReferrals.ReferralTermsUpdated(membershipId, discountBps, rewardBps);
+    }
+
+    /**
+     * @dev Apply a referral code to a purchase of `cost` in `asset`: take the tier's discount off
+     * and credit the referrer its reward. Returns the discounted price and the reward.
+     * An empty code leaves the cost as it is.
+     * @dev Reverts if the code isn't registered or belongs to the buyer.
+     * Emits a {ReferralUsed} event.
+     */
+    function useCode(
+        mapping(bytes32 => address) storage referrers,
+        IMembershipReferrals.ReferralTerms storage terms,
+        mapping(address => mapping(address => uint256)) storage rewards,
+        mapping(address => uint256) storage unclaimed,
+        bytes32 code,
+        address buyer,
+        uint256 membershipId,
+        address asset,
+        uint256 cost
+    ) external returns (uint256 price, uint256 reward) {
+        if (code == bytes32(0)) {
+            return (cost, 0);
+        }
+
+        address referrer = referrers[code];
+        if (referrer == address(0)) {
+            revert IMembershipReferrals.MembershipDAO_InvalidReferralCode(code);
+        }
+        if (referrer == buyer) {
+            revert IMembershipReferrals.MembershipDAO_SelfReferral(buyer);
+        }
+
+        uint256 discount = cost * terms.discountBps / BPS;
+        price = cost - discount;
+        reward = price * terms.rewardBps / BPS;
+
+        rewards[referrer][asset] += reward;
+        unclaimed[asset] += reward;
+        emit IMembershipReferrals.ReferralUsed(referrer, buyer, membershipId, code, discount, reward);
+    }
+
+    /**
+     * @dev Send `account` every reward it earned in `asset`, with call for ETH.
+     * @dev Reverts if there is nothing to claim or the transfer fails.
+     * Emits a {ReferralRewardClaimed} event.
+     */
+    function claim(
+        mapping(address => mapping(address => uint256)) storage rewards,
+        mapping(address => uint256) storage unclaimed,
+        address account,
+        address asset
+    ) external {
+        uint256 amount = rewards[account][asset];
+        if (amount == 0) {
+            revert IMembershipReferrals.MembershipDAO_NoReferralRewards(account, asset);
+        }
+
+        rewards[account][asset] = 0;
+        unclaimed[asset] -= amount;
+
+        if (asset == address(0)) {
+            (bool success, ) = account.call{value: amount}("");
+            if (!success) {
+                revert IMembershipReferrals.MembershipDAO_ReferralRewardFailed(account, amount);
+            }
+        } else {
+            IERC20(asset).safeTransfer(account, amount);
+        }
+        emit IMembershipReferrals.ReferralRewardClaimed(account, asset, amount);
+    }
+}
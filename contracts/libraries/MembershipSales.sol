@@ -0,0 +1,152 @@
+// SPDX-License-Identifier: UNLICENSED
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+import "@openzeppelin/contracts/utils/structs/Checkpoints.sol";
+
+/**
+ * @dev Errors, events and types of the MembershipDAO tier sales, shared by the DAO and
+ * the library so they appear in the DAO's ABI.
+ */
+interface IMembershipSales {
+    /**
+     * @dev Error thrown when a tier is paused or retired.
+     */
+    error MembershipDAO_TierNotOnSale(uint256 membershipId, TierStatus status);
+
+    /**
+     * @dev Error thrown when a tier is bought before its sale starts or after it ends.
+     */
+    error MembershipDAO_SaleNotOpen(uint256 membershipId, uint256 saleStart, uint256 saleEnd);
+
+    /**
+     * @dev Error thrown when an account is not on the allowlist of a tier, or the proof is wrong.
+     */
+    error MembershipDAO_NotAllowlisted(address account, uint256 membershipId);
+
+    /**
+     * @dev Error thrown when minting would take a tier above its maximum supply.
+     */
+    error MembershipDAO_SoldOut(uint256 membershipId, uint256 maxSupply);
+
+    /**
+     * @dev Error thrown when a sale ends before it starts.
+     */
+    error MembershipDAO_InvalidSaleWindow(uint256 saleStart, uint256 saleEnd);
+
+    /**
+     * @dev Error thrown when changing the status of a retired tier.
+     */
+    error MembershipDAO_TierIsRetired(uint256 membershipId);
+
+    /**
+     * @dev Whether a tier is sold:
+     * Active: on sale within its sale window.
+     * Paused: temporarily off sale, can be made Active again.
+     * Retired: permanently off sale, existing memberships run until they expire.
+     */
+    enum TierStatus {
+        Active,
+        Paused,
+        Retired
+    }
+
+    /**
+     * @dev Inventory controls of a tier. A `maxSupply` of 0 means no cap, a `saleStart` of 0 means
+     * on sale from listing, a `saleEnd` of 0 means no end and an empty `allowlistRoot` means anyone can buy.
+     */
+    struct TierSale {
+        uint256 maxSupply;
+        uint256 saleStart;
+        uint256 saleEnd;
+        TierStatus status;
+        bytes32 allowlistRoot;
+    }
+
+    event TierSaleUpdated(uint256 membershipId, uint256 maxSupply, uint256 saleStart, uint256 saleEnd, bytes32 allowlistRoot);
+    event TierStatusUpdated(uint256 membershipId, TierStatus status);
+}
+
+/**
+ * @dev Sale windows, tier status and allowlists of MembershipDAO tiers.
+ * Linked as an external library to keep MembershipDAO under the contract size limit.
+ */
+library MembershipSales {
+    using Checkpoints for Checkpoints.Trace208;
+
+    /**
+     * @dev Reverts unless the tier is Active, within its sale window and, if it has an allowlist,
+     * `proof` shows `account` is on it. The supply cap is enforced when the token is minted.
+     * @dev Allowlist leaves are `keccak256(bytes.concat(keccak256(abi.encode(account))))`.
+     */
+    function checkSale(
+        IMembershipSales.TierSale storage sale,
+        uint256 membershipId,
+        address account,
+        bytes32[] memory proof
+    ) external view {
+        if (sale.status != IMembershipSales.TierStatus.Active) {
+            revert IMembershipSales.MembershipDAO_TierNotOnSale(membershipId, sale.status);
+        }
+
+        if (block.timestamp < sale.saleStart || (sale.saleEnd != 0 && block.timestamp >= sale.saleEnd)) {
+            revert IMembershipSales.MembershipDAO_SaleNotOpen(membershipId, sale.saleStart, sale.saleEnd);
+        }
+
+        if (sale.allowlistRoot != bytes32(0)) {
+            bytes32 leaf = keccak256(bytes.concat(keccak256(abi.encode(account))));
+            if (!MerkleProof.verify(proof, sale.allowlistRoot, leaf)) {
+                revert IMembershipSales.MembershipDAO_NotAllowlisted(account, membershipId);
+            }
+        }
+    }
+
+    /**
+     * @dev Reverts if minting one more token of a tier would take it above its supply cap,
+     * `supply` being the tokens of the tier in circulation.
+     */
+    function checkSupply(IMembershipSales.TierSale storage sale, Checkpoints.Trace208 storage supply, uint256 membershipId) external view {
+        uint256 maxSupply = sale.maxSupply;
+        if (maxSupply != 0 && supply.latest() >= maxSupply) {
+            revert IMembershipSales.MembershipDAO_SoldOut(membershipId, maxSupply);
+        }
+    }
+
+    /**
+     * @dev Set the supply cap, sale window and allowlist of a tier, keeping its status.
+     * @dev Reverts if the sale ends before it starts.
+     * Emits a {TierSaleUpdated} event.
+     */
+    function setSale(
+        IMembershipSales.TierSale storage sale,
+        uint256 membershipId,
+        uint256 maxSupply,
+        uint256 saleStart,
+        uint256 saleEnd,
+        bytes32 allowlistRoot
+    ) external {
+        if (saleEnd != 0 && saleEnd <= saleStart) {
+            revert IMembershipSales.MembershipDAO_InvalidSaleWindow(saleStart, saleEnd);
+        }
+
+        sale.maxSupply = maxSupply;
+        sale.saleStart = saleStart;
+        sale.saleEnd = saleEnd;
+        sale.allowlistRoot = allowlistRoot;
+        emit IMembershipSales.TierSaleUpdated(membershipId, maxSupply, saleStart, saleEnd, allowlistRoot);
+    }
+
+    /**
+     * @dev Set the status of a tier.
+     * @dev Reverts if the tier is retired.
+     * Emits a {TierStatusUpdated} event.
+     */
+    function setStatus(IMembershipSales.TierSale storage sale, uint256 membershipId, IMembershipSales.TierStatus status) external {
+        if (sale.status == IMembershipSales.TierStatus.Retired) {
+            revert IMembershipSales.MembershipDAO_TierIsRetired(membershipId);
+        }
+
+        sale.status = status;
+        emit IMembershipSales.TierStatusUpdated(membershipId, status);
+    }
+}
@@ -0,0 +1,248 @@
+// SPDX-License-Identifier: UNLICENSED
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/token/ERC1155/IERC1155.sol";
+
+/**
+ * @dev Errors, events and types of the MembershipDAO tiers, shared by the DAO and
+ * the library so they appear in the DAO's ABI.
+ */
+interface IMembershipTiers {
+    /**
+     * @dev Error thrown when a membership ID has not been listed.
+     */
+    error MembershipDAO_MembershipIsInvalid(uint256 membershipId);
+
+    /**
+     * @dev Error thrown when a soulbound membership is transferred.
+     */
+    error MembershipDAO_MembershipNotTransferable(uint256 membershipId);
+
+    /**
+     * @dev Error thrown when a membership that needs a tier manager's approval is transferred without it.
+     */
+    error MembershipDAO_TransferNotApproved(address from, address to, uint256 membershipId);
+
+    /**
+     * @dev How much of the deposit is returned when a membership is canceled.
+     * Full: the whole deposit.
+     * ProRated: the part of the deposit covering the time left until expiry.
+     * None: nothing.
+     */
+    enum RefundPolicy {
+        Full,
+        ProRated,
+        None
+    }
+
+    /**
+     * @dev Whether the membership token can be transferred.
+     * Free: transferable like any ERC-1155 token (default).
+     * Soulbound: never transferable.
+     * OwnerApproved: transferable once a tier manager approves the sender, recipient and membership.
+     */
+    enum TransferMode {
+        Free,
+        Soulbound,
+        OwnerApproved
+    }
+
+    struct Membership {
+        string name;
+        uint256 cost;
+        uint256 duration;
+        RefundPolicy refundPolicy;
+        TransferMode transferMode;
+        address paymentToken;
+        string uri;
+    }
+
+    /**
+     * @dev A tier to list: its name, cost, duration and payment token, address(0) for ETH.
+     */
+    struct MembershipListing {
+        string name;
+        uint256 cost;
+        uint256 duration;
+        address paymentToken;
+    }
+
+    event MembershipListed(string name, uint256 cost, uint256 duration, address paymentToken);
+    event MembershipCostUpdated(uint256 membershipId, uint256 cost);
+    event RefundPolicyUpdated(uint256 membershipId, RefundPolicy refundPolicy);
+    event TransferModeUpdated(uint256 membershipId, TransferMode transferMode);
+    event TransferApprovalUpdated(address indexed from, address indexed to, uint256 membershipId, bool approved);
+}
+
+/**
+ * @dev Listing and settings of MembershipDAO tiers, which tier managers change rarely.
+ * Linked as an external library to keep MembershipDAO under the contract size limit,
+ * most of all the copying of names and URIs into storage.
+ */
+library MembershipTiers {
+    /**
+     * @dev Store `listing` as membership `membershipId`. Its refund policy, transfer mode and URI
+     * keep the zero values of a fresh ID: Full, Free and none of its own.
+     */
+    function list(
+        mapping(uint256 => IMembershipTiers.Membership) storage memberships,
+        uint256 membershipId,
+        IMembershipTiers.MembershipListing memory listing
+    ) external {
+        IMembershipTiers.Membership storage membership = memberships[membershipId];
+        membership.name = listing.name;
+        membership.cost = listing.cost;
+        membership.duration = listing.duration;
+        membership.paymentToken = listing.paymentToken;
+        emit IMembershipTiers.MembershipListed(listing.name, listing.cost, listing.duration, listing.paymentToken);
+    }
+
+    /**
+     * @dev Set the cost of a listed membership.
+     */
+    function setCost(
+        mapping(uint256 => IMembershipTiers.Membership) storage memberships,
+        uint256 totalMemberships,
+        uint256 membershipId,
+        uint256 cost
+    ) external {
+        requireListed(totalMemberships, membershipId);
+
+        memberships[membershipId].cost = cost;
+        emit IMembershipTiers.MembershipCostUpdated(membershipId, cost);
+    }
+
+    /**
+     * @dev Set the refund policy of a listed membership.
+     */
+    function setRefundPolicy(
+        mapping(uint256 => IMembershipTiers.Membership) storage memberships,
+        uint256 totalMemberships,
+        uint256 membershipId,
+        IMembershipTiers.RefundPolicy refundPolicy
+    ) external {
+        requireListed(totalMemberships, membershipId);
+
+        memberships[membershipId].refundPolicy = refundPolicy;
+        emit IMembershipTiers.RefundPolicyUpdated(membershipId, refundPolicy);
+    }
+
+    /**
+     * @dev Set the transfer mode of a listed membership.
+     */
+    function setTransferMode(
+        mapping(uint256 => IMembershipTiers.Membership) storage memberships,
+        uint256 totalMemberships,
+        uint256 membershipId,
+        IMembershipTiers.TransferMode transferMode
+    ) external {
+        requireListed(totalMemberships, membershipId);
+
+        memberships[membershipId].transferMode = transferMode;
+        emit IMembershipTiers.TransferModeUpdated(membershipId, transferMode);
+    }
+
+    /**
+     * @dev Set the metadata URI of a listed membership, "" to fall back to the base URI.
+     */
+    function setURI(
+        mapping(uint256 => IMembershipTiers.Membership) storage memberships,
+        uint256 totalMemberships,
+        uint256 membershipId,
+        string memory tierURI
+    ) external {
+        requireListed(totalMemberships, membershipId);
+
+        memberships[membershipId].uri = tierURI;
+        emit IERC1155.URI(tierURI, membershipId);
+    }
+
+    /**
+     * @dev Allow, or withdraw, one transfer of membership `membershipId` from `from` to `to`.
+     */
+    function approveTransfer(
+        mapping(address => mapping(address => mapping(uint256 => bool))) storage transferApproval,
+        address from,
+        address to,
+        uint256 membershipId,
+        bool approved
+    ) external {
+        transferApproval[from][to][membershipId] = approved;
+        emit IMembershipTiers.TransferApprovalUpdated(from, to, membershipId, approved);
+    }
+
+    /**
+     * @dev Reverts unless the transfer mode of a membership lets `from` transfer it to `to`,
+     * using up the approval of an OwnerApproved transfer.
+     */
+    function useTransfer(
+        mapping(address => mapping(address => mapping(uint256 => bool))) storage transferApproval,
+        IMembershipTiers.TransferMode transferMode,
+        address from,
+        address to,
+        uint256 membershipId
+    ) external {
+        if (transferMode == IMembershipTiers.TransferMode.Soulbound) {
+            revert IMembershipTiers.MembershipDAO_MembershipNotTransferable(membershipId);
+        }
+
+        if (transferMode == IMembershipTiers.TransferMode.OwnerApproved) {
+            if (!transferApproval[from][to][membershipId]) {
+                revert IMembershipTiers.MembershipDAO_TransferNotApproved(from, to, membershipId);
+            }
+            transferApproval[from][to][membershipId] = false;
+        }
+    }
+
+    /**
+     * @dev The part of `amount` the refund policy of `membership` pays back now, for a deposit
+     * paid at `start` for the period until `end`:
+     * all of it for Full, the part for the time still to come for ProRated, and none for None.
+     */
+    function refundable(
+        IMembershipTiers.Membership storage membership,
+        uint256 amount,
+        uint256 start,
+        uint256 end
+    ) external view returns (uint256) {
+        IMembershipTiers.RefundPolicy refundPolicy = membership.refundPolicy;
+        if (refundPolicy == IMembershipTiers.RefundPolicy.None) {
+            return 0;
+        }
+
+        if (refundPolicy == IMembershipTiers.RefundPolicy.ProRated) {
+            if (block.timestamp >= end || end <= start) {
+                return 0;
+            }
+            return amount * (end - block.timestamp) / (end - start);
+        }
+
+        return amount;
+    }
+
+    /**
+     * @dev The deposits of memberships paid in `asset` whose refund policy can pay them back.
+     */
+    function reserved(
+        mapping(uint256 => IMembershipTiers.Membership) storage memberships,
+        mapping(uint256 => uint256) storage totalDeposits,
+        uint256 totalMemberships,
+        address asset
+    ) external view returns (uint256 amount) {
+        for (uint256 i = 0; i < totalMemberships; i++) {
+            IMembershipTiers.Membership storage membership = memberships[i];
+            if (membership.paymentToken == asset && membership.refundPolicy != IMembershipTiers.RefundPolicy.None) {
+                amount += totalDeposits[i];
+            }
+        }
+    }
+
+    /**
+     * @dev Reverts if the membership has not been listed.
+     */
+    function requireListed(uint256 totalMemberships, uint256 membershipId) internal pure {
+        if (membershipId >= totalMemberships) {
+            revert IMembershipTiers.MembershipDAO_MembershipIsInvalid(membershipId);
+        }
+    }
+}
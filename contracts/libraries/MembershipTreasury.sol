@@ -0,0 +1,212 @@
+// SPDX-License-Identifier: UNLICENSED
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+
+/**
+ * @dev Errors, events and types of the MembershipDAO treasury, shared by the DAO and
+ * the library so they appear in the DAO's ABI.
+ */
+interface IMembershipTreasury {
+    /**
+     * @dev Error thrown when a withdrawal is larger than the surplus above the reserved deposits.
+     */
+    error MembershipDAO_InsufficientSurplus(address asset, uint256 amount, uint256 surplus);
+
+    /**
+     * @dev Error thrown when a withdrawal is above the spending limit and the spending approved by members.
+     */
+    error MembershipDAO_SpendingLimitExceeded(address asset, uint256 amount, uint256 available);
+
+    /**
+     * @dev Error thrown when a withdrawn share could not be sent to a payee.
+     */
+    error MembershipDAO_WithdrawalFailed(address payee, uint256 amount);
+
+    /**
+     * @dev Error thrown when payees and shares differ in length, or a payee is address(0) or has no shares.
+     */
+    error MembershipDAO_InvalidPayees();
+
+    /**
+     * @dev A payee of treasury withdrawals and its share of each withdrawal.
+     */
+    struct Payee {
+        address account;
+        uint256 shares;
+    }
+
+    /**
+     * @dev How much of an asset can be withdrawn per `SPENDING_PERIOD` without a spending
+     * proposal, and how much of it has been withdrawn in the current period. A limit of 0 means no limit.
+     */
+    struct SpendingLimit {
+        uint256 limit;
+        uint256 spent;
+        uint256 periodStart;
+    }
+
+    event TreasuryWithdrawal(address indexed asset, uint256 amount);
+    event PaymentReleased(address indexed asset, address indexed payee, uint256 amount);
+    event PayeesUpdated(address[] payees, uint256[] shares);
+}
+
+/**
+ * @dev Treasury withdrawals of MembershipDAO: spending limits and payee splits.
+ * Linked as an external library to keep MembershipDAO under the contract size limit,
+ * so its functions run in the DAO's context with the DAO's storage and balance.
+ */
+library MembershipTreasury {
+    using SafeERC20 for IERC20;
+
+    /**
+     * @dev Length of the window the spending limit applies to.
+     */
+    uint256 internal constant SPENDING_PERIOD = 30 days;
+
+    /**
+     * @dev Replace the payees.
+     * @dev Reverts if the lists differ in length or a payee is address(0) or has no shares.
+     * Emits a {PayeesUpdated} event.
+     */
+    function setPayees(IMembershipTreasury.Payee[] storage payees, address[] memory accounts, uint256[] memory shares) external {
+        if (accounts.length != shares.length) {
+            revert IMembershipTreasury.MembershipDAO_InvalidPayees();
+        }
+
+        while (payees.length > 0) {
+            payees.pop();
+        }
+        for (uint256 i = 0; i < accounts.length; i++) {
+            if (accounts[i] == address(0) || shares[i] == 0) {
+                revert IMembershipTreasury.MembershipDAO_InvalidPayees();
+            }
+            payees.push(IMembershipTreasury.Payee({account: accounts[i], shares: shares[i]}));
+        }
+        emit IMembershipTreasury.PayeesUpdated(accounts, shares);
+    }
+
+    /**
+     * @dev Withdraw `amount` of an asset and split it between the payees, or send it
+     * all to `recipient` if there are none.
+     * @dev Reverts if `amount` is above `surplus`, or above what is left of the spending
+     * limit this period plus the approved spending, which is used up first by the excess.
+     * @dev Reverts the whole withdrawal if a payee can't receive its share.
+     * Emits a {TreasuryWithdrawal} event and a {PaymentReleased} event for each payee.
+     */
+    function withdraw(
+        IMembershipTreasury.Payee[] storage payees,
+        IMembershipTreasury.SpendingLimit storage spending,
+        mapping(address => uint256) storage approvedSpending,
+        address asset,
+        uint256 amount,
+        uint256 surplus,
+        address recipient
+    ) external {
+        if (amount > surplus) {
+            revert IMembershipTreasury.MembershipDAO_InsufficientSurplus(asset, amount, surplus);
+        }
+
+        _useSpendingLimit(spending, approvedSpending, asset, amount);
+        emit IMembershipTreasury.TreasuryWithdrawal(asset, amount);
+
+        uint256 totalShares = 0;
+        for (uint256 i = 0; i < payees.length; i++) {
+            totalShares += payees[i].shares;
+        }
+
+        if (totalShares == 0) {
+            _release(asset, recipient, amount);
+            return;
+        }
+
+        // The last payee also gets the rounding remainder
+        uint256 remaining = amount;
+        for (uint256 i = 0; i < payees.length; i++) {
+            uint256 share = i == payees.length - 1 ? remaining : amount * payees[i].shares / totalShares;
+            remaining -= share;
+            _release(asset, payees[i].account, share);
+        }
+    }
+
+    /**
+     * @dev Count a withdrawal against the spending limit of the current period, using up
+     * approved spending for the part above it.
+     */
+    function _useSpendingLimit(
+        IMembershipTreasury.SpendingLimit storage spending,
+        mapping(address => uint256) storage approvedSpending,
+        address asset,
+        uint256 amount
+    ) private {
+        if (spending.limit == 0) {
+            return;
+        }
+
+        if (block.timestamp >= spending.periodStart + SPENDING_PERIOD) {
+            spending.periodStart = block.timestamp;
+            spending.spent = 0;
+        }
+
+        uint256 left = spending.spent < spending.limit ? spending.limit - spending.spent : 0;
+        if (amount > left) {
+            uint256 excess = amount - left;
+            if (excess > approvedSpending[asset]) {
+                revert IMembershipTreasury.MembershipDAO_SpendingLimitExceeded(asset, amount, left + approvedSpending[asset]);
+            }
+            approvedSpending[asset] -= excess;
+            amount = left;
+        }
+        spending.spent += amount;
+    }
+
+    /**
+     * @dev Send a payee its share of a withdrawal, with call for ETH.
+     */
+    function _release(address asset, address payee, uint256 amount) private {
+        if (!send(asset, payee, amount)) {
+            revert IMembershipTreasury.MembershipDAO_WithdrawalFailed(payee, amount);
+        }
+        emit IMembershipTreasury.PaymentReleased(asset, payee, amount);
+    }
+
+    /**
+     * @dev The DAO's balance of an asset, address(0) for ETH.
+     */
+    function balance(address asset) external view returns (uint256) {
+        return asset == address(0) ? address(this).balance : IERC20(asset).balanceOf(address(this));
+    }
+
+    /**
+     * @dev Have `owner` allow the DAO to take `value` of an ERC-20 with an EIP-2612 permit.
+     * A permit that fails, for example because it was already used, is ignored, leaving
+     * the existing allowance to cover the transfer.
+     */
+    function permit(address token, address owner, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s) external {
+        try IERC20Permit(token).permit(owner, address(this), value, deadline, v, r, s) {
+        } catch {}
+    }
+
+    /**
+     * @dev Take `amount` of an ERC-20 from the allowance `from` gave the DAO.
+     */
+    function pull(address token, address from, uint256 amount) external {
+        IERC20(token).safeTransferFrom(from, address(this), amount);
+    }
+
+    /**
+     * @dev Send `amount` of an asset, with call for ETH. Returns false if the ETH transfer failed,
+     * a failed ERC-20 transfer reverts.
+     */
+    function send(address asset, address to, uint256 amount) public returns (bool) {
+        if (asset == address(0)) {
+            (bool success, ) = to.call{value: amount}("");
+            return success;
+        }
+
+        IERC20(asset).safeTransfer(to, amount);
+        return true;
+    }
+}
@@ -0,0 +1,593 @@
+// SPDX-License-Identifier: UNLICENSED
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/utils/structs/Checkpoints.sol";
+import "@openzeppelin/contracts/utils/math/SafeCast.sol";
+
+/**
+ * @dev Errors, events and types of the MembershipDAO proposals and votes, shared by the DAO and
+ * the library so they appear in the DAO's ABI.
+ */
+interface IMembershipVotes {
+    /**
+     * @notice User has already voted on this membership.
+     */
+    error MembershipDAO_UserAlreadyVoted(address user, uint256 newMembershipId);
+
+    /**
+     * @notice User had no voting power at the proposal snapshot.
+     */
+    error MembershipDAO_NoVotingPower(address user, uint256 newMembershipId);
+
+    /**
+     * @notice The proposal is not open for voting.
+     */
+    error MembershipDAO_ProposalNotActive(uint256 newMembershipId, ProposalState state);
+
+    /**
+     * @notice The delegate is the delegator or not an active member.
+     */
+    error MembershipDAO_InvalidDelegate(address delegator, address delegatee);
+
+    /**
+     * @dev Lifecycle of a proposal:
+     * Pending: listed, voting hasn't started.
+     * Active: voting is open.
+     * Succeeded: voting ended with more for than against votes and the quorum reached.
+     * Defeated: voting ended without succeeding.
+     * Executed: approved and listed as a membership.
+     */
+    enum ProposalState {
+        Pending,
+        Active,
+        Succeeded,
+        Defeated,
+        Executed
+    }
+
+    enum VoteType {
+        Against,
+        For,
+        Abstain
+    }
+
+    struct NewMembership {
+        string name;
+        uint256 cost;
+        uint256 duration;
+        uint256 startTime;
+        uint256 endTime;
+        uint256 snapshotBlock;
+        uint256 quorum;
+        uint256 voteCount;
+        bool isApproved;
+    }
+
+    struct ProposalVotes {
+        uint256 forVotes;
+        uint256 againstVotes;
+        uint256 abstainVotes;
+    }
+
+    event HasVoted(address indexed user, uint256 newMembershipId, VoteType support, uint256 weight);
+    event DelegateChanged(address indexed delegator, address indexed fromDelegate, address indexed toDelegate);
+    event DelegateVoteOverridden(address indexed delegator, address indexed delegatee, uint256 newMembershipId, uint256 weight);
+}
+
+/**
+ * @dev Balance, supply and weight checkpoints of MembershipDAO, the voting power lookups
+ * over them, vote delegation, proposal states, vote counting and ballot signature checks.
+ * Linked as an external library to keep MembershipDAO under the contract size limit.
+ */
+library MembershipVotes {
+    using Checkpoints for Checkpoints.Trace208;
+
+    /**
+     * @dev Vote delegation of MembershipDAO members:
+     * delegates: each account's delegate by block, the address as the checkpoint value, zero for none.
+     * balances: the token balance of each tier delegated to each delegate, by block.
+     * choices: how each account voted on each proposal.
+     * overridden: voting power of each delegate's delegators who voted themselves, by proposal.
+     * delegators: the accounts delegating to each delegate now.
+     * delegatorIndex: the position of an account in the delegators of a delegate plus one, zero if it isn't one.
+     * departures: the accounts that stopped delegating to each delegate, in the order they did.
+     * dropped: delegators whose power was left out of their delegate's vote on a proposal
+     * because their membership had lapsed, by proposal.
+     */
+    struct Delegations {
+        mapping(address => Checkpoints.Trace208) delegates;
+        mapping(address => mapping(uint256 => Checkpoints.Trace208)) balances;
+        mapping(uint256 => mapping(address => IMembershipVotes.VoteType)) choices;
+        mapping(uint256 => mapping(address => uint256)) overridden;
+        mapping(address => address[]) delegators;
+        mapping(address => mapping(address => uint256)) delegatorIndex;
+        mapping(address => Departure[]) departures;
+        mapping(uint256 => mapping(address => bool)) dropped;
+    }
+
+    /**
+     * @dev An account that stopped delegating to a delegate, and the block it did in.
+     */
+    struct Departure {
+        address delegator;
+        uint48 blockNumber;
+    }
+
+    /**
+     * @dev Tokens of MembershipDAO memberships by the day they expire, to count the active ones:
+     * expiring: tokens of each tier whose membership expires on each day, by day and tier.
+     * expiringTotal: tokens of every tier expiring on each day, to skip days without any.
+     * active: tokens of each tier expiring on `fromDay` or later.
+     * fromDay: the first day memberships expiring on it were still active when last synced.
+     */
+    struct ActiveSupply {
+        mapping(uint256 => mapping(uint256 => uint256)) expiring;
+        mapping(uint256 => uint256) expiringTotal;
+        mapping(uint256 => uint256) active;
+        uint256 fromDay;
+    }
+
+    /**
+     * @dev Record the balance and supply changes of a mint, burn or transfer as of the current block,
+     * and move the tokens between the delegated balances of the sender's and recipient's delegates.
+     * Every mint, burn and transfer is recorded, so the latest checkpoint is the current balance.
+     */
+    function moveCheckpoints(
+        mapping(address => mapping(uint256 => Checkpoints.Trace208)) storage balances,
+        mapping(uint256 => Checkpoints.Trace208) storage supplies,
+        Delegations storage delegations,
+        address from,
+        address to,
+        uint256[] memory ids,
+        uint256[] memory values
+    ) external {
+        address fromDelegate = delegateOf(delegations, from);
+        address toDelegate = delegateOf(delegations, to);
+
+        for (uint256 i = 0; i < ids.length; i++) {
+            uint256 id = ids[i];
+            uint208 value = SafeCast.toUint208(values[i]);
+            moveDelegatedBalance(delegations, fromDelegate, toDelegate, id, value);
+
+            if (from == address(0)) {
+                push(supplies[id], supplies[id].latest() + value);
+            } else {
+                push(balances[from][id], balances[from][id].latest() - value);
+            }
+
+            if (to == address(0)) {
+                push(supplies[id], supplies[id].latest() - value);
+            } else {
+                push(balances[to][id], balances[to][id].latest() + value);
+            }
+        }
+    }
+
+    /**
+     * @dev Make `delegatee` the delegate of `delegator` as of the current block, zero to revoke,
+     * and move the delegator's balance of every tier from the old delegate to the new one.
+     * Does nothing if `delegatee` already is the delegate.
+     * Emits a {DelegateChanged} event if the delegate changed.
+     */
+    function delegate(
+        Delegations storage delegations,
+        mapping(uint256 => Checkpoints.Trace208) storage balances,
+        address delegator,
+        address delegatee,
+        uint256 totalMemberships
+    ) external {
+        address oldDelegate = delegateOf(delegations, delegator);
+        if (oldDelegate == delegatee) {
+            return;
+        }
+
+        push(delegations.delegates[delegator], uint160(delegatee));
+        if (oldDelegate != address(0)) {
+            removeDelegator(delegations, oldDelegate, delegator);
+        }
+        if (delegatee != address(0)) {
+            delegations.delegators[delegatee].push(delegator);
+            delegations.delegatorIndex[delegatee][delegator] = delegations.delegators[delegatee].length;
+        }
+        for (uint256 i = 0; i < totalMemberships; i++) {
+            uint256 balance = balances[i].latest();
+            if (balance > 0) {
+                moveDelegatedBalance(delegations, oldDelegate, delegatee, i, balance);
+            }
+        }
+
+        emit IMembershipVotes.DelegateChanged(delegator, oldDelegate, delegatee);
+    }
+
+    /**
+     * @dev Take `delegator` out of the delegators of `delegatee`, moving the last one into its place,
+     * and record its departure for votes on proposals listed before it.
+     */
+    function removeDelegator(Delegations storage delegations, address delegatee, address delegator) private {
+        address[] storage delegators = delegations.delegators[delegatee];
+        uint256 index = delegations.delegatorIndex[delegatee][delegator] - 1;
+        address last = delegators[delegators.length - 1];
+
+        delegators[index] = last;
+        delegations.delegatorIndex[delegatee][last] = index + 1;
+        delegators.pop();
+        delete delegations.delegatorIndex[delegatee][delegator];
+
+        delegations.departures[delegatee].push(Departure(delegator, SafeCast.toUint48(block.number)));
+    }
+
+    /**
+     * @dev The current delegate of `account`, zero if it has none.
+     */
+    function delegateOf(Delegations storage delegations, address account) internal view returns (address) {
+        return address(uint160(delegations.delegates[account].latest()));
+    }
+
+    /**
+     * @dev Move `amount` tokens of a tier from the delegated balance of `from` to that of `to`,
+     * a zero address on either side for none.
+     */
+    function moveDelegatedBalance(Delegations storage delegations, address from, address to, uint256 id, uint256 amount) private {
+        if (from != address(0)) {
+            push(delegations.balances[from][id], delegations.balances[from][id].latest() - amount);
+        }
+        if (to != address(0)) {
+            push(delegations.balances[to][id], delegations.balances[to][id].latest() + amount);
+        }
+    }
+
+    /**
+     * @dev Record `value` as of the current block.
+     */
+    function push(Checkpoints.Trace208 storage checkpoints, uint256 value) public {
+        checkpoints.push(SafeCast.toUint48(block.number), SafeCast.toUint208(value));
+    }
+
+    /**
+     * @dev The sum, over the first `totalMemberships` tiers, of `balances` times the tier weight
+     * at the end of `blockNumber`. Pass an account's balance checkpoints for its voting power,
+     * or the supply checkpoints for the voting power of every token.
+     */
+    function pastVotes(
+        mapping(uint256 => Checkpoints.Trace208) storage balances,
+        mapping(uint256 => Checkpoints.Trace208) storage weights,
+        uint256 totalMemberships,
+        uint256 blockNumber
+    ) public view returns (uint256 votes) {
+        uint48 key = SafeCast.toUint48(blockNumber);
+
+        for (uint256 i = 0; i < totalMemberships; i++) {
+            uint256 balance = balances[i].upperLookupRecent(key);
+            if (balance > 0) {
+                votes += balance * weights[i].upperLookupRecent(key);
+            }
+        }
+    }
+
+    /**
+     * @dev Move the token of a membership of tier `id` from the day of `oldExpiry` to the day of `newExpiry`,
+     * a zero expiry on either side for a membership not held.
+     */
+    function moveExpiry(ActiveSupply storage supply, uint256 id, uint256 oldExpiry, uint256 newExpiry) external {
+        if (oldExpiry != 0) {
+            uint256 day = oldExpiry / 1 days;
+            supply.expiring[day][id]--;
+            supply.expiringTotal[day]--;
+            if (day >= supply.fromDay) {
+                supply.active[id]--;
+            }
+        }
+        if (newExpiry != 0) {
+            uint256 day = newExpiry / 1 days;
+            supply.expiring[day][id]++;
+            supply.expiringTotal[day]++;
+            if (day >= supply.fromDay) {
+                supply.active[id]++;
+            }
+        }
+    }
+
+    /**
+     * @dev The voting power of active memberships under the current tier weights. A membership counts
+     * until the end of the day its grace period ends, so this can include memberships lapsed that day.
+     */
+    function activeVotes(
+        ActiveSupply storage supply,
+        mapping(uint256 => Checkpoints.Trace208) storage weights,
+        uint256 totalMemberships,
+        uint256 gracePeriod
+    ) external view returns (uint256) {
+        return sumVotes(activeTokens(supply, totalMemberships, firstActiveDay(gracePeriod)), weights);
+    }
+
+    /**
+     * @dev Store `name` and `cost` as a proposal whose voting opens at `startTime` and closes at `endTime`,
+     * with its snapshot at the previous block. Its quorum is `quorumPercentage` of the voting power of
+     * active memberships, rounded up, but never less than `requiredVotes`.
+     */
+    function propose(
+        IMembershipVotes.NewMembership storage proposal,
+        ActiveSupply storage supply,
+        mapping(uint256 => Checkpoints.Trace208) storage weights,
+        uint256 totalMemberships,
+        uint256 gracePeriod,
+        string memory name,
+        uint256 cost,
+        uint256 startTime,
+        uint256 endTime,
+        uint256 quorumPercentage,
+        uint256 requiredVotes
+    ) external {
+        uint256 quorum = (syncActiveVotes(supply, weights, totalMemberships, gracePeriod) * quorumPercentage + 99) / 100;
+
+        proposal.name = name;
+        proposal.cost = cost;
+        proposal.startTime = startTime;
+        proposal.endTime = endTime;
+        proposal.snapshotBlock = block.number - 1;
+        proposal.quorum = quorum < requiredVotes ? requiredVotes : quorum;
+    }
+
+    /**
+     * @dev Same as {activeVotes}, storing the active tokens of each tier as of today so later
+     * calls only go through the days since.
+     */
+    function syncActiveVotes(
+        ActiveSupply storage supply,
+        mapping(uint256 => Checkpoints.Trace208) storage weights,
+        uint256 totalMemberships,
+        uint256 gracePeriod
+    ) public returns (uint256) {
+        uint256 day = firstActiveDay(gracePeriod);
+        uint256[] memory tokens = activeTokens(supply, totalMemberships, day);
+
+        for (uint256 i = 0; i < totalMemberships; i++) {
+            supply.active[i] = tokens[i];
+        }
+        supply.fromDay = day;
+        return sumVotes(tokens, weights);
+    }
+
+    /**
+     * @dev The first day memberships expiring on it are still active, given the grace period.
+     */
+    function firstActiveDay(uint256 gracePeriod) private view returns (uint256) {
+        return block.timestamp > gracePeriod ? (block.timestamp - gracePeriod) / 1 days : 0;
+    }
+
+    /**
+     * @dev The tokens of each tier expiring on `day` or later: the stored count less the days that
+     * lapsed since `fromDay`, or plus the days that are active again if the grace period grew.
+     */
+    function activeTokens(ActiveSupply storage supply, uint256 totalMemberships, uint256 day) private view returns (uint256[] memory tokens) {
+        tokens = new uint256[](totalMemberships);
+        for (uint256 i = 0; i < totalMemberships; i++) {
+            tokens[i] = supply.active[i];
+        }
+
+        for (uint256 d = supply.fromDay; d < day; d++) {
+            if (supply.expiringTotal[d] > 0) {
+                for (uint256 i = 0; i < totalMemberships; i++) {
+                    tokens[i] -= supply.expiring[d][i];
+                }
+            }
+        }
+        for (uint256 d = day; d < supply.fromDay; d++) {
+            if (supply.expiringTotal[d] > 0) {
+                for (uint256 i = 0; i < totalMemberships; i++) {
+                    tokens[i] += supply.expiring[d][i];
+                }
+            }
+        }
+    }
+
+    /**
+     * @dev The sum of `tokens` of each tier times the current tier weight.
+     */
+    function sumVotes(uint256[] memory tokens, mapping(uint256 => Checkpoints.Trace208) storage weights) private view returns (uint256 votes) {
+        for (uint256 i = 0; i < tokens.length; i++) {
+            if (tokens[i] > 0) {
+                votes += tokens[i] * weights[i].latest();
+            }
+        }
+    }
+
+    /**
+     * @dev The state of a proposal from its voting window, tallies and quorum.
+     */
+    function state(
+        IMembershipVotes.NewMembership storage proposal,
+        IMembershipVotes.ProposalVotes storage votes
+    ) public view returns (IMembershipVotes.ProposalState) {
+        if (proposal.isApproved) {
+            return IMembershipVotes.ProposalState.Executed;
+        }
+
+        if (block.timestamp < proposal.startTime) {
+            return IMembershipVotes.ProposalState.Pending;
+        }
+
+        if (block.timestamp <= proposal.endTime) {
+            return IMembershipVotes.ProposalState.Active;
+        }
+
+        if (votes.forVotes > votes.againstVotes && votes.forVotes + votes.abstainVotes >= proposal.quorum) {
+            return IMembershipVotes.ProposalState.Succeeded;
+        }
+
+        return IMembershipVotes.ProposalState.Defeated;
+    }
+
+    /**
+     * @dev Count `voter`'s vote with the voting power they had at the proposal snapshot: the power of
+     * their own tokens, `balances`, plus the power delegated to them by delegators who didn't vote themselves
+     * and whose memberships haven't lapsed, `lapsed` being that of the lapsed ones (see {dropLapsedDelegators}).
+     * A delegator voting themselves takes their power back from the delegate they had at the snapshot,
+     * out of the delegate's vote if it was already counted.
+     * A delegator dropped from the proposal who renews and votes doesn't take their power back again.
+     * @dev Reverts if the proposal isn't active, the voter already voted or had no voting power.
+     * Emits a {HasVoted} event, and a {DelegateVoteOverridden} event if the delegate already voted.
+     */
+    function countVote(
+        IMembershipVotes.NewMembership storage proposal,
+        IMembershipVotes.ProposalVotes storage votes,
+        mapping(address => mapping(uint256 => bool)) storage hasVoted,
+        address[] storage voters,
+        Delegations storage delegations,
+        mapping(uint256 => Checkpoints.Trace208) storage balances,
+        mapping(uint256 => Checkpoints.Trace208) storage weights,
+        uint256 totalMemberships,
+        uint256 lapsed,
+        address voter,
+        uint256 newMembershipId,
+        IMembershipVotes.VoteType support
+    ) external {
+        IMembershipVotes.ProposalState proposalState = state(proposal, votes);
+        if (proposalState != IMembershipVotes.ProposalState.Active) {
+            revert IMembershipVotes.MembershipDAO_ProposalNotActive(newMembershipId, proposalState);
+        }
+
+        if (hasVoted[voter][newMembershipId]) {
+            revert IMembershipVotes.MembershipDAO_UserAlreadyVoted(voter, newMembershipId);
+        }
+
+        uint256 snapshotBlock = proposal.snapshotBlock;
+        uint256 ownVotes = pastVotes(balances, weights, totalMemberships, snapshotBlock);
+        uint256 weight = ownVotes
+            + pastVotes(delegations.balances[voter], weights, totalMemberships, snapshotBlock)
+            - delegations.overridden[newMembershipId][voter]
+            - lapsed;
+        if (weight == 0) {
+            revert IMembershipVotes.MembershipDAO_NoVotingPower(voter, newMembershipId);
+        }
+
+        hasVoted[voter][newMembershipId] = true;
+        proposal.voteCount++;
+        voters.push(voter);
+        delegations.choices[newMembershipId][voter] = support;
+        tally(votes, support, weight, 0);
+
+        address delegatee = address(uint160(delegations.delegates[voter].upperLookupRecent(SafeCast.toUint48(snapshotBlock))));
+        if (delegatee != address(0) && ownVotes > 0 && !delegations.dropped[newMembershipId][voter]) {
+            delegations.overridden[newMembershipId][delegatee] += ownVotes;
+            if (hasVoted[delegatee][newMembershipId]) {
+                tally(votes, delegations.choices[newMembershipId][delegatee], 0, ownVotes);
+                emit IMembershipVotes.DelegateVoteOverridden(voter, delegatee, newMembershipId, ownVotes);
+            }
+        }
+
+        emit IMembershipVotes.HasVoted(voter, newMembershipId, support, weight);
+    }
+
+    /**
+     * @dev Mark the delegators `voter` had at the snapshot who haven't voted and are no longer active members
+     * as dropped from the proposal, and return their voting power at the snapshot, to leave out of the vote
+     * of `voter`: delegated power only counts while its delegator could vote themselves.
+     * Goes through the current delegators of `voter` and those who stopped delegating to them after the snapshot,
+     * not through older departures.
+     */
+    function dropLapsedDelegators(
+        Delegations storage delegations,
+        mapping(address => mapping(uint256 => Checkpoints.Trace208)) storage balances,
+        mapping(uint256 => Checkpoints.Trace208) storage weights,
+        mapping(address => mapping(uint256 => bool)) storage hasMembership,
+        mapping(address => mapping(uint256 => uint256)) storage expiresAt,
+        uint256 gracePeriod,
+        mapping(address => mapping(uint256 => bool)) storage hasVoted,
+        uint256 totalMemberships,
+        address voter,
+        uint256 newMembershipId,
+        uint256 snapshotBlock
+    ) external returns (uint256 lapsed) {
+        address[] memory candidates = delegatorsSince(delegations, voter, snapshotBlock);
+
+        for (uint256 i = 0; i < candidates.length; i++) {
+            address delegator = candidates[i];
+            if (
+                delegateAt(delegations, delegator, snapshotBlock) == voter &&
+                !hasVoted[delegator][newMembershipId] &&
+                !delegations.dropped[newMembershipId][delegator] &&
+                !isActiveMember(hasMembership, expiresAt, gracePeriod, totalMemberships, delegator)
+            ) {
+                lapsed += dropDelegator(delegations, balances[delegator], weights, totalMemberships, delegator, newMembershipId, snapshotBlock);
+            }
+        }
+    }
+
+    /**
+     * @dev The current delegators of `delegatee`, followed by the accounts that stopped delegating to it
+     * after `blockNumber`. An account can appear more than once.
+     */
+    function delegatorsSince(Delegations storage delegations, address delegatee, uint256 blockNumber) private view returns (address[] memory accounts) {
+        address[] storage delegators = delegations.delegators[delegatee];
+        Departure[] storage departures = delegations.departures[delegatee];
+
+        uint256 first = departures.length;
+        while (first > 0 && departures[first - 1].blockNumber > blockNumber) {
+            first--;
+        }
+
+        accounts = new address[](delegators.length + departures.length - first);
+        for (uint256 i = 0; i < delegators.length; i++) {
+            accounts[i] = delegators[i];
+        }
+        for (uint256 i = first; i < departures.length; i++) {
+            accounts[delegators.length + i - first] = departures[i].delegator;
+        }
+    }
+
+    /**
+     * @dev The delegate of `delegator` at `blockNumber`, address(0) for none.
+     */
+    function delegateAt(Delegations storage delegations, address delegator, uint256 blockNumber) private view returns (address) {
+        return address(uint160(delegations.delegates[delegator].upperLookupRecent(SafeCast.toUint48(blockNumber))));
+    }
+
+    /**
+     * @dev Mark `delegator` as dropped from a proposal and return its voting power at the snapshot.
+     */
+    function dropDelegator(
+        Delegations storage delegations,
+        mapping(uint256 => Checkpoints.Trace208) storage balances,
+        mapping(uint256 => Checkpoints.Trace208) storage weights,
+        uint256 totalMemberships,
+        address delegator,
+        uint256 newMembershipId,
+        uint256 snapshotBlock
+    ) private returns (uint256) {
+        delegations.dropped[newMembershipId][delegator] = true;
+        return pastVotes(balances, weights, totalMemberships, snapshotBlock);
+    }
+
+    /**
+     * @dev Whether `account` holds a membership of one of the first `totalMemberships` tiers
+     * that hasn't passed its expiry plus the grace period.
+     */
+    function isActiveMember(
+        mapping(address => mapping(uint256 => bool)) storage hasMembership,
+        mapping(address => mapping(uint256 => uint256)) storage expiresAt,
+        uint256 gracePeriod,
+        uint256 totalMemberships,
+        address account
+    ) public view returns (bool) {
+        for (uint256 i = 0; i < totalMemberships; i++) {
+            if (hasMembership[account][i] && block.timestamp <= expiresAt[account][i] + gracePeriod) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * @dev Add `added` to and take `removed` from the tally of `support`.
+     */
+    function tally(IMembershipVotes.ProposalVotes storage votes, IMembershipVotes.VoteType support, uint256 added, uint256 removed) private {
+        if (support == IMembershipVotes.VoteType.For) {
+            votes.forVotes = votes.forVotes + added - removed;
+        } else if (support == IMembershipVotes.VoteType.Against) {
+            votes.againstVotes = votes.againstVotes + added - removed;
+        } else {
+            votes.abstainVotes = votes.abstainVotes + added - removed;
+        }
+    }
+}
@@ -0,0 +1,24 @@
+// SPDX-License-Identifier: UNLICENSED
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/token/ERC1155/utils/ERC1155Holder.sol";
+import "../MembershipDAO.sol";
+
+/**
+ * @dev Test helper that holds a membership but rejects ETH refunds.
+ */
+contract RefundRejecter is ERC1155Holder {
+    MembershipDAO public membershipDAO;
+
+    constructor(MembershipDAO _membershipDAO) {
+        membershipDAO = _membershipDAO;
+    }
+
+    function buyMembership(uint256 membershipId) public payable {
+        membershipDAO.buyMembership{value: msg.value}(membershipId);
+    }
+
+    function cancelMembership(uint256 membershipId) public {
+        membershipDAO.cancelMembership(membershipId);
+    }
+}
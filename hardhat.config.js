@@ -1,6 +1,24 @@
 require("@nomicfoundation/hardhat-toolbox");
+require("./tasks/seed");
+require("./tasks/dao");
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
-  solidity: "0.8.28",
+  solidity: {
+    version: "0.8.28",
+    settings: {
+      optimizer: {
+        enabled: true,
+        runs: 1,
+      },
+      viaIR: true,
+      evmVersion: "cancun",
+      // Read by scripts/upgrade.js to check an upgrade keeps the existing storage in place
+      outputSelection: {
+        "*": {
+          "*": ["storageLayout"],
+        },
+      },
+    },
+  },
 };
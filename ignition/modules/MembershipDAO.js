@@ -0,0 +1,80 @@
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+const { ZeroHash, id } = require("ethers");
+
+const { LIBRARIES } = require("../../scripts/libraries");
+
+// Roles the deployer hands over to the owner
+const ROLES = {
+	DEFAULT_ADMIN_ROLE: ZeroHash,
+	TIER_MANAGER_ROLE: id("TIER_MANAGER_ROLE"),
+	PROPOSER_ROLE: id("PROPOSER_ROLE"),
+	TREASURER_ROLE: id("TREASURER_ROLE"),
+	PAUSER_ROLE: id("PAUSER_ROLE")
+};
+
+/**
+ * Link the libraries MembershipDAO is deployed against.
+ */
+function linkLibraries(m) {
+	const libraries = {};
+	for (const name of LIBRARIES) {
+		libraries[name] = m.library(name);
+	}
+	return libraries;
+}
+
+/**
+ * List the tiers on `membershipDAO`, set requiredVotes and grant every role to the owner.
+ * Also deploys the MembershipBallots contract that submits signed ballots, which gets BALLOT_ROLE,
+ * and returns it.
+ *
+ * Parameters:
+ * - owner: account that gets every role, the deployer by default
+ * - requiredVotes: minimum quorum in voting power, 2 by default
+ * - tiers: tiers to list in one `listMemberships` call, each with a `name`, a `cost` in wei or
+ *   the token's smallest unit, a `duration` in seconds and a `paymentToken`, the zero address for ETH
+ *
+ * The deployer holds every role while it lists the tiers and sets the voting settings,
+ * then grants them to the owner. It keeps its roles until it renounces them.
+ */
+function setUpMembershipDAO(m, membershipDAO) {
+	const owner = m.getParameter("owner", m.getAccount(0));
+	const requiredVotes = m.getParameter("requiredVotes", 2);
+	const tiers = m.getParameter("tiers", []);
+
+	const listed = m.call(membershipDAO, "listMemberships", [tiers]);
+
+	// Keep the other voting settings at their defaults
+	const settings = m.call(
+		membershipDAO,
+		"setVotingSettings",
+		[
+			m.staticCall(membershipDAO, "votingDelay"),
+			m.staticCall(membershipDAO, "votingPeriod"),
+			m.staticCall(membershipDAO, "quorumPercentage"),
+			requiredVotes
+		],
+		{ after: [listed] }
+	);
+
+	const membershipBallots = m.contract("MembershipBallots", [membershipDAO]);
+	m.call(membershipDAO, "grantRole", [id("BALLOT_ROLE"), membershipBallots], { id: "grant_BALLOT_ROLE" });
+
+	for (const [name, role] of Object.entries(ROLES)) {
+		m.call(membershipDAO, "grantRole", [role, owner], { id: `grant_${name}`, after: [settings] });
+	}
+
+	return membershipBallots;
+}
+
+/**
+ * MembershipDAO with its libraries, set up from the module parameters, see {setUpMembershipDAO}.
+ */
+const MembershipDAOModule = buildModule("MembershipDAOModule", (m) => {
+	const membershipDAO = m.contract("MembershipDAO", [m.getAccount(0)], { libraries: linkLibraries(m) });
+	const membershipBallots = setUpMembershipDAO(m, membershipDAO);
+
+	return { membershipDAO, membershipBallots };
+});
+
+module.exports = { default: MembershipDAOModule, linkLibraries, setUpMembershipDAO, ROLES };
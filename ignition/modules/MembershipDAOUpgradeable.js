@@ -0,0 +1,30 @@
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+
+const { linkLibraries, setUpMembershipDAO } = require("./MembershipDAO");
+
+/**
+ * MembershipDAOUpgradeable behind a TransparentUpgradeableProxy, initialized for the deployer,
+ * then set up like MembershipDAO from the same parameters, see {setUpMembershipDAO}.
+ *
+ * The proxy creates its ProxyAdmin, owned by the `owner` parameter, which upgrades it
+ * with `scripts/upgrade.js`. `membershipDAO` is the proxy with the implementation's ABI.
+ */
+const MembershipDAOUpgradeableModule = buildModule("MembershipDAOUpgradeableModule", (m) => {
+	const deployer = m.getAccount(0);
+	const owner = m.getParameter("owner", deployer);
+
+	const implementation = m.contract("MembershipDAOUpgradeable", [], { libraries: linkLibraries(m) });
+	const proxy = m.contract("TransparentUpgradeableProxy", [
+		implementation,
+		owner,
+		m.encodeFunctionCall(implementation, "initialize", [deployer])
+	]);
+
+	const proxyAdmin = m.contractAt("ProxyAdmin", m.readEventArgument(proxy, "AdminChanged", "newAdmin"));
+	const membershipDAO = m.contractAt("MembershipDAOUpgradeable", proxy, { id: "MembershipDAOProxy" });
+	const membershipBallots = setUpMembershipDAO(m, membershipDAO);
+
+	return { membershipDAO, membershipBallots, implementation, proxyAdmin };
+});
+
+module.exports = { default: MembershipDAOUpgradeableModule };
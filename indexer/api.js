@@ -0,0 +1,68 @@
+const http = require("http");
+
+// Keep only the items whose fields match every query parameter, e.g. /votes?voter=0x...
+const filterItems = (items, searchParams) => {
+	let result = items;
+
+	for (const [key, value] of searchParams) {
+		result = result.filter((item) => String(item[key]).toLowerCase() === value.toLowerCase());
+	}
+	return result;
+};
+
+const findMember = (members, address) =>
+	members.find((member) => member.address.toLowerCase() === address.toLowerCase());
+
+/**
+ * Small read-only HTTP/JSON API over the indexer state.
+ */
+function createApi(indexer) {
+	const routes = [
+		[/^\/status$/, (state) => ({ ...indexer.getStatus(), gracePeriod: state.gracePeriod, paused: state.paused })],
+		[/^\/roles$/, (state) => state.roles],
+		[/^\/tiers$/, (state, query) => filterItems(state.tiers, query)],
+		[/^\/tiers\/(\d+)$/, (state, query, [id]) => state.tiers[Number(id)]],
+		[/^\/members$/, (state, query) => filterItems(state.members, query)],
+		[/^\/members\/(0x[0-9a-fA-F]{40})$/, (state, query, [address]) => findMember(state.members, address)],
+		[/^\/proposals$/, (state, query) => filterItems(state.proposals, query)],
+		[/^\/proposals\/(\d+)$/, (state, query, [id]) => state.proposals.find((proposal) => proposal.id === Number(id))],
+		[/^\/votes$/, (state, query) => filterItems(state.votes, query)],
+		[/^\/delegations$/, (state, query) => filterItems(state.delegations, query)],
+		[/^\/delegates$/, (state) => state.delegates],
+		[/^\/deposits$/, (state, query) => filterItems(state.deposits, query)],
+		[/^\/refunds$/, (state, query) => filterItems(state.refunds, query)],
+		[/^\/referrals$/, (state, query) => filterItems(state.referrals, query)],
+		[/^\/referrals\/leaderboard$/, (state) => state.leaderboard],
+		[/^\/treasury$/, (state) => state.treasury]
+	];
+
+	return http.createServer((req, res) => {
+		const send = (status, body) => {
+			res.writeHead(status, {
+				"Content-Type": "application/json",
+				"Access-Control-Allow-Origin": "*"
+			});
+			res.end(JSON.stringify(body));
+		};
+
+		if (req.method !== "GET") {
+			return send(405, { error: "Method not allowed" });
+		}
+
+		const url = new URL(req.url, "http://localhost");
+
+		for (const [pattern, handler] of routes) {
+			const match = url.pathname.match(pattern);
+			if (!match) {
+				continue;
+			}
+
+			const body = handler(indexer.getState(), url.searchParams, match.slice(1));
+			return body === undefined ? send(404, { error: "Not found" }) : send(200, body);
+		}
+
+		send(404, { error: "Not found" });
+	});
+}
+
+module.exports = { createApi };
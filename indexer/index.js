@@ -0,0 +1,49 @@
+const path = require("path");
+const { JsonRpcProvider } = require("ethers");
+
+const { createStore } = require("./store");
+const { createIndexer } = require("./indexer");
+const { createApi } = require("./api");
+
+const MEMBERSHIP_DAO_ABI = require("../src/abis/membershipDAO.json");
+const config = require("../src/config.json");
+
+const RPC_URL = process.env.INDEXER_RPC_URL || "http://127.0.0.1:8545";
+const PORT = Number(process.env.INDEXER_PORT || 4000);
+const CONFIRMATIONS = Number(process.env.INDEXER_CONFIRMATIONS || 0);
+const POLL_INTERVAL = Number(process.env.INDEXER_POLL_INTERVAL || 2000);
+
+async function main() {
+	const provider = new JsonRpcProvider(RPC_URL);
+	const { chainId } = await provider.getNetwork();
+
+	// Resolve the contract from src/config.json by chain ID
+	const deployment = config[chainId.toString()];
+	if (!deployment) {
+		throw new Error(`MembershipDAO is not deployed on chain ${chainId}, check src/config.json`);
+	}
+
+	const { address, blockNumber = 0 } = deployment.MembershipDAO;
+	const fromBlock = Number(process.env.INDEXER_FROM_BLOCK || blockNumber);
+
+	const store = createStore(path.join(__dirname, "data", `${chainId}.json`), fromBlock);
+	const indexer = createIndexer({
+		provider,
+		address,
+		abi: MEMBERSHIP_DAO_ABI,
+		store,
+		confirmations: CONFIRMATIONS
+	});
+
+	indexer.start(POLL_INTERVAL);
+
+	createApi(indexer).listen(PORT, () => {
+		console.log(`Indexing ${address} on chain ${chainId} from block ${fromBlock}`);
+		console.log(`API listening on http://localhost:${PORT}`);
+	});
+}
+
+main().catch((error) => {
+	console.error(error);
+	process.exitCode = 1;
+});
@@ -0,0 +1,199 @@
+const { Contract, Interface } = require("ethers");
+const { buildState } = require("./state");
+
+// Blocks requested per eth_getLogs call
+const BATCH_SIZE = 2000;
+
+// Convert decoded event values into plain JSON values
+const toPlain = (value) => {
+	if (typeof value === "bigint") {
+		return value.toString();
+	}
+	if (Array.isArray(value)) {
+		return Array.from(value, toPlain);
+	}
+	return value;
+};
+
+/**
+ * Follows the MembershipDAO logs from the deployment block and keeps
+ * the store and the derived state in sync with the chain.
+ * @param provider An ethers provider connected to the chain.
+ * @param address The MembershipDAO address.
+ * @param abi The MembershipDAO ABI.
+ * @param store The store created with `createStore`.
+ * @param confirmations Blocks to wait before a block is indexed.
+ */
+function createIndexer({ provider, address, abi, store, confirmations = 0, batchSize = BATCH_SIZE }) {
+	const contractInterface = new Interface(abi);
+	const membershipDAO = new Contract(address, abi, provider);
+
+	let state = buildState(store.events);
+	let timer = null;
+
+	// Pull the data the events don't carry from the contract state
+	const enrich = async (event) => {
+		if (event.name === "ListedNewMembership") {
+			const proposal = await membershipDAO.newMembership(event.args.newMembership, { blockTag: event.blockNumber });
+			event.proposal = {
+				name: proposal.name,
+				cost: proposal.cost.toString(),
+				duration: Number(proposal.duration),
+				startTime: Number(proposal.startTime),
+				endTime: Number(proposal.endTime),
+				snapshotBlock: Number(proposal.snapshotBlock),
+				quorum: proposal.quorum.toString()
+			};
+		}
+	};
+
+	// Walk back through the checkpoints until one still matches the chain
+	const findCommonAncestor = async () => {
+		for (let i = store.checkpoints.length - 1; i >= 0; i--) {
+			const checkpoint = store.checkpoints[i];
+			const block = await provider.getBlock(checkpoint.blockNumber);
+
+			if (block && block.hash === checkpoint.blockHash) {
+				return checkpoint;
+			}
+		}
+		return null;
+	};
+
+	// Returns true if the last indexed block is no longer part of the chain
+	const handleReorg = async () => {
+		if (!store.cursor) {
+			return false;
+		}
+
+		const block = await provider.getBlock(store.cursor.blockNumber);
+		if (block && block.hash === store.cursor.blockHash) {
+			return false;
+		}
+
+		const ancestor = await findCommonAncestor();
+		if (ancestor) {
+			store.rollback(ancestor);
+		} else {
+			store.reset();
+		}
+		return true;
+	};
+
+	// Index one block range, returns false if the range changed while reading it
+	const indexRange = async (fromBlock, toBlock) => {
+		const logs = await provider.getLogs({ address, fromBlock, toBlock });
+		const blocks = new Map();
+
+		const getBlock = async (blockNumber) => {
+			if (!blocks.has(blockNumber)) {
+				blocks.set(blockNumber, await provider.getBlock(blockNumber));
+			}
+			return blocks.get(blockNumber);
+		};
+
+		const events = [];
+
+		for (const log of logs) {
+			const parsed = contractInterface.parseLog(log);
+			if (log.removed || !parsed) {
+				continue;
+			}
+
+			const block = await getBlock(log.blockNumber);
+			if (block.hash !== log.blockHash) {
+				return false;
+			}
+
+			const args = {};
+			parsed.fragment.inputs.forEach((input, i) => {
+				args[input.name] = toPlain(parsed.args[i]);
+			});
+
+			const event = {
+				name: parsed.name,
+				args,
+				blockNumber: log.blockNumber,
+				blockHash: log.blockHash,
+				transactionHash: log.transactionHash,
+				logIndex: log.index,
+				timestamp: block.timestamp
+			};
+
+			await enrich(event);
+			events.push(event);
+		}
+
+		const tip = await getBlock(toBlock);
+		const checkpoints = [...blocks.values()].map((block) => ({ blockNumber: block.number, blockHash: block.hash }));
+
+		store.append(events, { blockNumber: toBlock, blockHash: tip.hash }, checkpoints);
+		store.save();
+		return true;
+	};
+
+	/**
+	 * Catch up with the chain head, rolling back first if a reorg happened.
+	 */
+	const sync = async () => {
+		const reorged = await handleReorg();
+		const head = (await provider.getBlockNumber()) - confirmations;
+
+		let fromBlock = store.cursor ? store.cursor.blockNumber + 1 : store.fromBlock;
+
+		while (fromBlock <= head) {
+			const toBlock = Math.min(fromBlock + batchSize - 1, head);
+
+			if (!(await indexRange(fromBlock, toBlock))) {
+				break;
+			}
+			fromBlock = toBlock + 1;
+		}
+
+		if (reorged) {
+			store.save();
+		}
+
+		state = buildState(store.events);
+		return { reorged, cursor: store.cursor };
+	};
+
+	// Poll for new blocks until `stop` is called
+	const start = (interval = 2000) => {
+		const poll = async () => {
+			try {
+				await sync();
+			} catch (error) {
+				console.error(error);
+			}
+
+			if (timer) {
+				timer = setTimeout(poll, interval);
+			}
+		};
+
+		timer = setTimeout(poll, 0);
+	};
+
+	const stop = () => {
+		clearTimeout(timer);
+		timer = null;
+	};
+
+	const getStatus = () => ({
+		address,
+		fromBlock: store.fromBlock,
+		cursor: store.cursor,
+		events: store.events.length
+	});
+
+	return {
+		sync,
+		start,
+		stop,
+		getState: () => state,
+		getStatus
+	};
+}
+
+module.exports = { createIndexer };
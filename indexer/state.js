@@ -0,0 +1,574 @@
+const { ZeroAddress, ZeroHash, id } = require("ethers");
+
+// Names of the contract RefundPolicy enum values
+const REFUND_POLICIES = ["Full", "ProRated", "None"];
+
+// Names of the contract TransferMode enum values
+const TRANSFER_MODES = ["Free", "Soulbound", "OwnerApproved"];
+
+// Names of the contract TierStatus enum values
+const TIER_STATUSES = ["Active", "Paused", "Retired"];
+
+// Names of the contract VoteType enum values
+const VOTE_TYPES = ["Against", "For", "Abstain"];
+
+// Names of the contract roles by role ID
+const ROLE_NAMES = {
+	[ZeroHash]: "DEFAULT_ADMIN_ROLE",
+	[id("TIER_MANAGER_ROLE")]: "TIER_MANAGER_ROLE",
+	[id("PROPOSER_ROLE")]: "PROPOSER_ROLE",
+	[id("TREASURER_ROLE")]: "TREASURER_ROLE",
+	[id("PAUSER_ROLE")]: "PAUSER_ROLE",
+	[id("BALLOT_ROLE")]: "BALLOT_ROLE"
+};
+
+const getMember = (members, address) => {
+	if (!members[address]) {
+		members[address] = {
+			address,
+			memberships: {},
+			balances: {},
+			purchases: 0,
+			grants: 0,
+			cancellations: 0,
+			delegate: null
+		};
+	}
+	return members[address];
+};
+
+const addBalance = (members, address, id, amount) => {
+	if (address === ZeroAddress) {
+		return;
+	}
+
+	const member = getMember(members, address);
+	const balance = BigInt(member.balances[id] || 0) + amount;
+
+	if (balance === 0n) {
+		delete member.balances[id];
+	} else {
+		member.balances[id] = balance.toString();
+	}
+};
+
+// Mirror `totalSupply(id)`: tokens minted from and burned to address(0)
+const addSupply = (tiers, from, to, id, amount) => {
+	const tier = tiers[Number(id)];
+	if (!tier) {
+		return;
+	}
+
+	if (from === ZeroAddress) {
+		tier.supply = (BigInt(tier.supply) + amount).toString();
+	}
+	if (to === ZeroAddress) {
+		tier.supply = (BigInt(tier.supply) - amount).toString();
+	}
+};
+
+const location = (event) => ({
+	blockNumber: event.blockNumber,
+	timestamp: event.timestamp,
+	transactionHash: event.transactionHash
+});
+
+// Purchases and renewals pay the tier cost at the time. It can't be read from the transaction
+// value, which covers every tier of a batch purchase and nothing of token payments.
+const tierCost = (tier) => (tier ? tier.cost : "0");
+
+// Mirror `expiresAt[user][membershipId]` and `deposit[user][membershipId]` for each membership held
+const setMembership = (member, id, expiresAt, deposit) => {
+	member.memberships[id] = { expiresAt, deposit: deposit.toString() };
+};
+
+// Add `amount` to the running total of an asset, keyed by asset address
+const addToAsset = (totals, asset, amount) => {
+	totals[asset] = (BigInt(totals[asset] || 0) + BigInt(amount)).toString();
+};
+
+// Mirror `reservedDeposits(asset)`: the deposits held for tiers that refund them
+// and the referral rewards not claimed yet
+const reservedDeposits = (tiers, members, unclaimedRewards) => {
+	const reserved = {};
+
+	for (const member of Object.values(members)) {
+		for (const [id, membership] of Object.entries(member.memberships)) {
+			const tier = tiers[Number(id)];
+			if (tier && tier.refundPolicy !== "None") {
+				addToAsset(reserved, tier.paymentToken, membership.deposit);
+			}
+		}
+	}
+	for (const [asset, amount] of Object.entries(unclaimedRewards)) {
+		if (amount !== "0") {
+			addToAsset(reserved, asset, amount);
+		}
+	}
+	return reserved;
+};
+
+const getReferrer = (referrers, address) => {
+	if (!referrers[address]) {
+		referrers[address] = {
+			referrer: address,
+			codes: [],
+			referrals: 0,
+			rewards: {},
+			claimed: {}
+		};
+	}
+	return referrers[address];
+};
+
+// Referrers ranked by the number of purchases made with their codes, earliest first on ties
+const leaderboard = (referrers) =>
+	Object.values(referrers)
+		.filter((referrer) => referrer.referrals > 0)
+		.sort((a, b) => b.referrals - a.referrals);
+
+// Mirror `getVotes(account)`: the tokens held of each tier times its current weight
+const votingPower = (tiers, member) =>
+	Object.entries(member.balances).reduce((total, [id, balance]) => {
+		const tier = tiers[Number(id)];
+		return total + (tier ? BigInt(balance) * BigInt(tier.votingWeight) : 0n);
+	}, 0n);
+
+// Delegates ranked by the voting power delegated to them now, with who delegates to them
+const delegateBoard = (tiers, members) => {
+	const delegates = {};
+
+	for (const member of Object.values(members)) {
+		if (!member.delegate) {
+			continue;
+		}
+		if (!delegates[member.delegate]) {
+			delegates[member.delegate] = { delegate: member.delegate, delegators: [], delegatedVotes: 0n };
+		}
+		delegates[member.delegate].delegators.push(member.address);
+		delegates[member.delegate].delegatedVotes += votingPower(tiers, member);
+	}
+
+	return Object.values(delegates)
+		.sort((a, b) => (b.delegatedVotes > a.delegatedVotes ? 1 : b.delegatedVotes < a.delegatedVotes ? -1 : 0))
+		.map((entry) => ({ ...entry, delegatedVotes: entry.delegatedVotes.toString() }));
+};
+
+/**
+ * Rebuild the DAO state by replaying the indexed events in chain order.
+ */
+function buildState(events) {
+	const tiers = [];
+	const members = {};
+	const proposals = [];
+	const votes = [];
+	const delegations = [];
+	const deposits = [];
+	const refunds = [];
+	const treasury = {
+		payees: [],
+		spendingLimits: {},
+		withdrawals: [],
+		payments: [],
+		releasedDeposits: []
+	};
+	const referrals = [];
+	const referrers = {};
+	const unclaimedRewards = {};
+	// The referral of the purchase in the same transaction, emitted just before it
+	let referral = null;
+	const roles = Object.fromEntries(Object.values(ROLE_NAMES).map((name) => [name, []]));
+	let paused = false;
+	let gracePeriod = 0;
+
+	for (const event of events) {
+		const { args } = event;
+
+		switch (event.name) {
+			case "MembershipListed":
+				tiers.push({
+					id: tiers.length,
+					name: args.name,
+					cost: args.cost,
+					duration: Number(args.duration),
+					paymentToken: args.paymentToken,
+					refundPolicy: "Full",
+					votingWeight: "1",
+					transferMode: "Free",
+					status: "Active",
+					supply: "0",
+					maxSupply: "0",
+					saleStart: 0,
+					saleEnd: 0,
+					allowlistRoot: ZeroHash,
+					...location(event)
+				});
+				break;
+
+			case "MembershipPurchased": {
+				const member = getMember(members, args.user);
+				member.purchases++;
+
+				// Referred purchases pay the discounted price, and the reward isn't refundable
+				const tier = tiers[Number(args.membershipId)];
+				const isReferred = referral && referral.transactionHash === event.transactionHash;
+				const discount = isReferred ? BigInt(referral.discount) : 0n;
+				const amount = (BigInt(tierCost(tier)) - discount).toString();
+				const deposit = BigInt(amount) - (isReferred ? BigInt(referral.reward) : 0n);
+				setMembership(member, args.membershipId, event.timestamp + (tier ? tier.duration : 0), deposit);
+				deposits.push({
+					user: args.user,
+					membershipId: Number(args.membershipId),
+					kind: "purchase",
+					paymentToken: tier ? tier.paymentToken : ZeroAddress,
+					amount,
+					...location(event)
+				});
+				break;
+			}
+
+			case "MembershipGranted": {
+				// Complimentary memberships carry no deposit
+				const member = getMember(members, args.user);
+				member.grants++;
+
+				const tier = tiers[Number(args.membershipId)];
+				setMembership(member, args.membershipId, event.timestamp + (tier ? tier.duration : 0), 0n);
+				break;
+			}
+
+			case "ReferralCodeRegistered":
+				getReferrer(referrers, args.referrer).codes.push(args.code);
+				break;
+
+			case "ReferralUsed": {
+				const tier = tiers[Number(args.membershipId)];
+				const paymentToken = tier ? tier.paymentToken : ZeroAddress;
+				referral = {
+					referrer: args.referrer,
+					buyer: args.buyer,
+					membershipId: Number(args.membershipId),
+					code: args.code,
+					paymentToken,
+					discount: args.discount,
+					reward: args.reward,
+					...location(event)
+				};
+				referrals.push(referral);
+
+				const referrer = getReferrer(referrers, args.referrer);
+				referrer.referrals++;
+				addToAsset(referrer.rewards, paymentToken, args.reward);
+				addToAsset(unclaimedRewards, paymentToken, args.reward);
+				break;
+			}
+
+			case "ReferralRewardClaimed": {
+				const referrer = getReferrer(referrers, args.referrer);
+				addToAsset(referrer.claimed, args.asset, args.amount);
+				addToAsset(unclaimedRewards, args.asset, -BigInt(args.amount));
+				break;
+			}
+
+			case "MembershipRenewed": {
+				// A renewal after the grace period starts a new deposit
+				const member = getMember(members, args.user);
+				const membership = member.memberships[args.membershipId] || { expiresAt: 0, deposit: "0" };
+				const isActive = event.timestamp <= membership.expiresAt + gracePeriod;
+				const current = isActive ? BigInt(membership.deposit) : 0n;
+
+				const tier = tiers[Number(args.membershipId)];
+				const amount = tierCost(tier);
+				setMembership(member, args.membershipId, Number(args.expiresAt), current + BigInt(amount));
+				deposits.push({
+					user: args.user,
+					membershipId: Number(args.membershipId),
+					kind: "renewal",
+					paymentToken: tier ? tier.paymentToken : ZeroAddress,
+					amount,
+					...location(event)
+				});
+				break;
+			}
+
+			case "MembershipUpgraded":
+			case "MembershipDowngraded": {
+				// Expiry and deposit move to the new membership
+				const member = getMember(members, args.user);
+				const membership = member.memberships[args.fromMembershipId];
+				delete member.memberships[args.fromMembershipId];
+
+				const deposit = event.name === "MembershipUpgraded"
+					? BigInt(membership.deposit) + BigInt(args.paid)
+					: BigInt(membership.deposit) - BigInt(args.refunded);
+
+				setMembership(member, args.toMembershipId, membership.expiresAt, deposit);
+				break;
+			}
+
+			case "RefundPolicyUpdated": {
+				const tier = tiers[Number(args.membershipId)];
+				if (tier) {
+					tier.refundPolicy = REFUND_POLICIES[Number(args.refundPolicy)];
+				}
+				break;
+			}
+
+			case "TransferModeUpdated": {
+				const tier = tiers[Number(args.membershipId)];
+				if (tier) {
+					tier.transferMode = TRANSFER_MODES[Number(args.transferMode)];
+				}
+				break;
+			}
+
+			case "TierSaleUpdated": {
+				const tier = tiers[Number(args.membershipId)];
+				if (tier) {
+					tier.maxSupply = args.maxSupply;
+					tier.saleStart = Number(args.saleStart);
+					tier.saleEnd = Number(args.saleEnd);
+					tier.allowlistRoot = args.allowlistRoot;
+				}
+				break;
+			}
+
+			case "TierStatusUpdated": {
+				const tier = tiers[Number(args.membershipId)];
+				if (tier) {
+					tier.status = TIER_STATUSES[Number(args.status)];
+				}
+				break;
+			}
+
+			case "MembershipCostUpdated": {
+				// Later token payments are recorded at the new cost
+				const tier = tiers[Number(args.membershipId)];
+				if (tier) {
+					tier.cost = args.cost;
+				}
+				break;
+			}
+
+			case "MembershipTransferred": {
+				// The expiry and deposit move with the token
+				const from = getMember(members, args.from);
+				const to = getMember(members, args.to);
+				to.memberships[args.membershipId] = from.memberships[args.membershipId];
+				delete from.memberships[args.membershipId];
+				break;
+			}
+
+			case "VotingWeightUpdated": {
+				const tier = tiers[Number(args.membershipId)];
+				if (tier) {
+					tier.votingWeight = args.weight;
+				}
+				break;
+			}
+
+			case "GracePeriodUpdated":
+				gracePeriod = Number(args.gracePeriod);
+				break;
+
+			case "MembershipCanceled": {
+				const member = getMember(members, args.user);
+				member.cancellations++;
+				delete member.memberships[args.membershipId];
+				break;
+			}
+
+			case "RefundIssued": {
+				const tier = tiers[Number(args.membershipId)];
+				refunds.push({
+					user: args.user,
+					membershipId: Number(args.membershipId),
+					paymentToken: tier ? tier.paymentToken : ZeroAddress,
+					amount: args.amount,
+					...location(event)
+				});
+				break;
+			}
+
+			case "ListedNewMembership":
+				proposals.push({
+					id: Number(args.newMembership),
+					name: event.proposal.name,
+					cost: event.proposal.cost,
+					duration: event.proposal.duration,
+					startTime: event.proposal.startTime,
+					endTime: event.proposal.endTime,
+					snapshotBlock: event.proposal.snapshotBlock,
+					quorum: event.proposal.quorum,
+					proposer: args.user,
+					voteCount: 0,
+					forVotes: "0",
+					againstVotes: "0",
+					abstainVotes: "0",
+					voters: [],
+					kind: "membership",
+					asset: null,
+					amount: null,
+					isApproved: false,
+					membershipId: null,
+					approvedAt: null,
+					...location(event)
+				});
+				break;
+
+			case "HasVoted": {
+				const support = VOTE_TYPES[Number(args.support)];
+				const proposal = proposals[Number(args.newMembershipId)];
+				if (proposal) {
+					// Tallies are weighted by the voter's power at the snapshot
+					const tally = `${support.toLowerCase()}Votes`;
+					proposal.voteCount++;
+					proposal[tally] = (BigInt(proposal[tally]) + BigInt(args.weight)).toString();
+					proposal.voters.push(args.user);
+				}
+
+				votes.push({
+					voter: args.user,
+					proposalId: Number(args.newMembershipId),
+					support,
+					weight: args.weight,
+					...location(event)
+				});
+				break;
+			}
+
+			case "DelegateChanged":
+				getMember(members, args.delegator).delegate = args.toDelegate === ZeroAddress ? null : args.toDelegate;
+				delegations.push({
+					delegator: args.delegator,
+					fromDelegate: args.fromDelegate,
+					toDelegate: args.toDelegate,
+					...location(event)
+				});
+				break;
+
+			// A delegator voting after their delegate takes their power out of the delegate's vote
+			case "DelegateVoteOverridden": {
+				const vote = votes.find((v) => v.voter === args.delegatee && v.proposalId === Number(args.newMembershipId));
+				const proposal = proposals[Number(args.newMembershipId)];
+				if (vote && proposal) {
+					const tally = `${vote.support.toLowerCase()}Votes`;
+					proposal[tally] = (BigInt(proposal[tally]) - BigInt(args.weight)).toString();
+					vote.weight = (BigInt(vote.weight) - BigInt(args.weight)).toString();
+				}
+				break;
+			}
+
+			case "NewMembershipApproved": {
+				const proposal = proposals[Number(args.newMembershipId)];
+				if (proposal) {
+					proposal.isApproved = true;
+					proposal.membershipId = Number(args.membershipId);
+					proposal.approvedAt = location(event);
+				}
+				break;
+			}
+
+			case "SpendingProposed": {
+				// Listed right after its ListedNewMembership event
+				const proposal = proposals[Number(args.newMembershipId)];
+				if (proposal) {
+					proposal.kind = "spending";
+					proposal.asset = args.asset;
+					proposal.amount = args.amount;
+				}
+				break;
+			}
+
+			case "SpendingApproved": {
+				const proposal = proposals[Number(args.newMembershipId)];
+				if (proposal) {
+					proposal.isApproved = true;
+					proposal.approvedAt = location(event);
+				}
+				break;
+			}
+
+			case "SpendingLimitUpdated":
+				treasury.spendingLimits[args.asset] = args.limit;
+				break;
+
+			case "PayeesUpdated":
+				treasury.payees = args.payees.map((account, i) => ({ account, shares: args.shares[i] }));
+				break;
+
+			case "TreasuryWithdrawal":
+				treasury.withdrawals.push({ asset: args.asset, amount: args.amount, ...location(event) });
+				break;
+
+			case "PaymentReleased":
+				treasury.payments.push({ asset: args.asset, payee: args.payee, amount: args.amount, ...location(event) });
+				break;
+
+			case "DepositReleased": {
+				// The membership stays, only its deposit is no longer reserved
+				const member = getMember(members, args.user);
+				const membership = member.memberships[args.membershipId];
+				if (membership) {
+					membership.deposit = "0";
+				}
+				treasury.releasedDeposits.push({
+					user: args.user,
+					membershipId: Number(args.membershipId),
+					amount: args.amount,
+					...location(event)
+				});
+				break;
+			}
+
+			case "RoleGranted":
+			case "RoleRevoked": {
+				const name = ROLE_NAMES[args.role] || args.role;
+				const holders = (roles[name] || []).filter((account) => account !== args.account);
+				roles[name] = event.name === "RoleGranted" ? [...holders, args.account] : holders;
+				break;
+			}
+
+			case "Paused":
+			case "Unpaused":
+				paused = event.name === "Paused";
+				break;
+
+			case "TransferSingle":
+				addBalance(members, args.from, args.id, -BigInt(args.value));
+				addBalance(members, args.to, args.id, BigInt(args.value));
+				addSupply(tiers, args.from, args.to, args.id, BigInt(args.value));
+				break;
+
+			case "TransferBatch":
+				args.ids.forEach((id, i) => {
+					addBalance(members, args.from, id, -BigInt(args.values[i]));
+					addBalance(members, args.to, id, BigInt(args.values[i]));
+					addSupply(tiers, args.from, args.to, id, BigInt(args.values[i]));
+				});
+				break;
+
+			default:
+				break;
+		}
+	}
+
+	return {
+		gracePeriod,
+		paused,
+		roles,
+		tiers,
+		members: Object.values(members),
+		proposals,
+		votes,
+		delegations,
+		delegates: delegateBoard(tiers, members),
+		deposits,
+		refunds,
+		referrals,
+		leaderboard: leaderboard(referrers),
+		treasury: { ...treasury, reserved: reservedDeposits(tiers, members, unclaimedRewards) }
+	};
+}
+
+module.exports = { buildState };
@@ -0,0 +1,83 @@
+const fs = require("fs");
+const path = require("path");
+
+// Keep this many block hashes around to find the common ancestor after a reorg
+const MAX_CHECKPOINTS = 128;
+
+const emptyData = (fromBlock) => ({
+	fromBlock,
+	cursor: null,
+	checkpoints: [],
+	events: []
+});
+
+/**
+ * JSON file store for the indexer.
+ * Holds the raw contract events and the block hashes they were read at,
+ * the DAO state is always rebuilt from the events.
+ */
+function createStore(file, fromBlock = 0) {
+	let data = emptyData(fromBlock);
+
+	if (file && fs.existsSync(file)) {
+		data = JSON.parse(fs.readFileSync(file, "utf8"));
+	}
+
+	const save = () => {
+		if (!file) {
+			return;
+		}
+
+		fs.mkdirSync(path.dirname(file), { recursive: true });
+		fs.writeFileSync(`${file}.tmp`, JSON.stringify(data, null, 2));
+		fs.renameSync(`${file}.tmp`, file);
+	};
+
+	// Record a scanned block range and the events found in it
+	const append = (events, cursor, blockHashes) => {
+		data.events.push(...events);
+		data.cursor = cursor;
+
+		const checkpoints = new Map(data.checkpoints.map((c) => [c.blockNumber, c.blockHash]));
+		for (const { blockNumber, blockHash } of blockHashes) {
+			checkpoints.set(blockNumber, blockHash);
+		}
+
+		data.checkpoints = [...checkpoints]
+			.map(([blockNumber, blockHash]) => ({ blockNumber, blockHash }))
+			.sort((a, b) => a.blockNumber - b.blockNumber)
+			.slice(-MAX_CHECKPOINTS);
+	};
+
+	// Drop everything after a checkpoint that is still on chain, used after a reorg
+	const rollback = (checkpoint) => {
+		data.events = data.events.filter((event) => event.blockNumber <= checkpoint.blockNumber);
+		data.checkpoints = data.checkpoints.filter((c) => c.blockNumber <= checkpoint.blockNumber);
+		data.cursor = checkpoint;
+	};
+
+	const reset = () => {
+		data = emptyData(data.fromBlock);
+	};
+
+	return {
+		get fromBlock() {
+			return data.fromBlock;
+		},
+		get cursor() {
+			return data.cursor;
+		},
+		get checkpoints() {
+			return data.checkpoints;
+		},
+		get events() {
+			return data.events;
+		},
+		append,
+		rollback,
+		reset,
+		save
+	};
+}
+
+module.exports = { createStore };
@@ -0,0 +1,44 @@
+// Badge palettes, picked by membership ID so neighbouring tiers differ
+const PALETTES = [
+	["#8e9eab", "#eef2f3"],
+	["#f7971e", "#ffd200"],
+	["#4568dc", "#b06ab3"],
+	["#11998e", "#38ef7d"],
+	["#cb356b", "#bd3f32"],
+	["#232526", "#414345"]
+];
+
+// Names of the contract TransferMode enum values
+const TRANSFER_MODES = ["Transferable", "Soulbound", "Owner approval"];
+
+const escapeXml = (text) =>
+	String(text).replace(/[<>&'"]/g, (char) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", "'": "&apos;", "\"": "&quot;" })[char]);
+
+/**
+ * Render the SVG badge of a membership tier: a medal in the tier colours
+ * with its name, price and duration.
+ * @param tier A tier as returned by `loadTiers`.
+ */
+function renderBadge(tier) {
+	const [from, to] = PALETTES[tier.id % PALETTES.length];
+	const initial = tier.name.trim().charAt(0).toUpperCase() || "#";
+
+	return `<svg xmlns="http://www.w3.org/2000/svg" width="350" height="350" viewBox="0 0 350 350">
+	<defs>
+		<linearGradient id="medal" x1="0" y1="0" x2="1" y2="1">
+			<stop offset="0" stop-color="${from}"/>
+			<stop offset="1" stop-color="${to}"/>
+		</linearGradient>
+	</defs>
+	<rect width="350" height="350" rx="24" fill="#14161a"/>
+	<circle cx="175" cy="140" r="90" fill="url(#medal)"/>
+	<circle cx="175" cy="140" r="74" fill="none" stroke="#ffffff" stroke-opacity="0.6" stroke-width="4"/>
+	<text x="175" y="165" font-family="Helvetica, Arial, sans-serif" font-size="72" font-weight="bold" fill="#ffffff" text-anchor="middle">${escapeXml(initial)}</text>
+	<text x="175" y="265" font-family="Helvetica, Arial, sans-serif" font-size="24" font-weight="bold" fill="#ffffff" text-anchor="middle">${escapeXml(tier.name)}</text>
+	<text x="175" y="297" font-family="Helvetica, Arial, sans-serif" font-size="16" fill="#b8bcc4" text-anchor="middle">${escapeXml(`${tier.price} · ${tier.days} days · ${TRANSFER_MODES[tier.transferMode]}`)}</text>
+	<text x="175" y="325" font-family="Helvetica, Arial, sans-serif" font-size="12" fill="#6b7079" text-anchor="middle">MembershipDAO #${tier.id}</text>
+</svg>
+`;
+}
+
+module.exports = { renderBadge, TRANSFER_MODES };
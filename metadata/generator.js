@@ -0,0 +1,108 @@
+const fs = require("fs");
+const path = require("path");
+const { Contract, ZeroAddress, formatUnits } = require("ethers");
+
+const { renderBadge, TRANSFER_MODES } = require("./badge");
+
+const DAY = 24 * 60 * 60;
+
+// Names of the contract RefundPolicy enum values
+const REFUND_POLICIES = ["Full refund", "Pro-rated refund", "No refund"];
+
+const ERC20_ABI = [
+	"function symbol() view returns (string)",
+	"function decimals() view returns (uint8)"
+];
+
+/**
+ * File name of a membership's metadata, the ID as 64 lowercase hex characters
+ * the way ERC-1155 clients substitute `{id}`.
+ */
+function tokenFileName(id) {
+	return BigInt(id).toString(16).padStart(64, "0");
+}
+
+/**
+ * Read every listed tier from the `memberships` getter, with its price formatted
+ * in the payment token.
+ */
+async function loadTiers(membershipDAO) {
+	const runner = membershipDAO.runner;
+	const totalMemberships = await membershipDAO.totalMemberships();
+	const assets = {};
+	const tiers = [];
+
+	for (let id = 0; id < totalMemberships; id++) {
+		const membership = await membershipDAO.memberships(id);
+		const token = membership.paymentToken;
+
+		if (!assets[token]) {
+			if (token === ZeroAddress) {
+				assets[token] = { symbol: "ETH", decimals: 18 };
+			} else {
+				const erc20 = new Contract(token, ERC20_ABI, runner);
+				assets[token] = { symbol: await erc20.symbol(), decimals: Number(await erc20.decimals()) };
+			}
+		}
+
+		const { symbol, decimals } = assets[token];
+		tiers.push({
+			id,
+			name: membership.name,
+			cost: membership.cost,
+			price: `${formatUnits(membership.cost, decimals)} ${symbol}`,
+			days: Number(membership.duration) / DAY,
+			refundPolicy: Number(membership.refundPolicy),
+			transferMode: Number(membership.transferMode),
+			paymentToken: token
+		});
+	}
+
+	return tiers;
+}
+
+/**
+ * Build the ERC-1155 metadata JSON of a tier.
+ * @param tier A tier as returned by `loadTiers`.
+ * @param image The URI of the tier's badge.
+ */
+function buildMetadata(tier, image) {
+	return {
+		name: tier.name,
+		description: `${tier.name} of MembershipDAO: ${tier.price} for ${tier.days} days.`,
+		image,
+		decimals: 0,
+		properties: {
+			membershipId: tier.id,
+			cost: tier.cost.toString(),
+			price: tier.price,
+			paymentToken: tier.paymentToken,
+			durationDays: tier.days,
+			refundPolicy: REFUND_POLICIES[tier.refundPolicy],
+			transferMode: TRANSFER_MODES[tier.transferMode]
+		}
+	};
+}
+
+/**
+ * Write `<id>.json` metadata and an `<id>.svg` badge for every listed tier.
+ * @param membershipDAO A MembershipDAO contract connected to a provider.
+ * @param outDir The directory to write to, created if missing.
+ * @param imageBaseURI Where `outDir` is served from, the badges are linked as `<imageBaseURI>/<id>.svg`.
+ * @returns The tiers written, with the file name used for each.
+ */
+async function generateMetadata({ membershipDAO, outDir, imageBaseURI }) {
+	const tiers = await loadTiers(membershipDAO);
+	fs.mkdirSync(outDir, { recursive: true });
+
+	return tiers.map((tier) => {
+		const fileName = tokenFileName(tier.id);
+		const metadata = buildMetadata(tier, `${imageBaseURI.replace(/\/$/, "")}/${fileName}.svg`);
+
+		fs.writeFileSync(path.join(outDir, `${fileName}.svg`), renderBadge(tier));
+		fs.writeFileSync(path.join(outDir, `${fileName}.json`), JSON.stringify(metadata, null, 2) + "\n");
+		return { ...tier, fileName, metadata };
+	});
+}
+
+module.exports = { tokenFileName, loadTiers, buildMetadata, generateMetadata };
@@ -0,0 +1,36 @@
+const path = require("path");
+const { Contract, JsonRpcProvider } = require("ethers");
+
+const { generateMetadata } = require("./generator");
+
+const MEMBERSHIP_DAO_ABI = require("../src/abis/membershipDAO.json");
+const config = require("../src/config.json");
+
+const RPC_URL = process.env.METADATA_RPC_URL || "http://127.0.0.1:8545";
+const OUT_DIR = process.env.METADATA_OUT_DIR || path.join(__dirname, "..", "public", "metadata");
+const BASE_URI = process.env.METADATA_BASE_URI || "http://localhost:3000/metadata";
+
+async function main() {
+	const provider = new JsonRpcProvider(RPC_URL);
+	const { chainId } = await provider.getNetwork();
+
+	// Resolve the contract from src/config.json by chain ID
+	const deployment = config[chainId.toString()];
+	if (!deployment) {
+		throw new Error(`MembershipDAO is not deployed on chain ${chainId}, check src/config.json`);
+	}
+
+	const membershipDAO = new Contract(deployment.MembershipDAO.address, MEMBERSHIP_DAO_ABI, provider);
+	const tiers = await generateMetadata({ membershipDAO, outDir: OUT_DIR, imageBaseURI: BASE_URI });
+
+	for (const tier of tiers) {
+		console.log(`#${tier.id} ${tier.name}: ${tier.fileName}.json`);
+	}
+	console.log(`Wrote ${tiers.length} tiers to ${OUT_DIR}`);
+	console.log(`Set the base URI to ${BASE_URI}/{id}.json with setBaseURI`);
+}
+
+main().catch((error) => {
+	console.error(error);
+	process.exitCode = 1;
+});
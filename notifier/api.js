@@ -0,0 +1,65 @@
+const http = require("http");
+
+// Largest request body accepted, a signed registration is well under 1 KB
+const MAX_BODY = 16 * 1024;
+
+const readJson = (req) => new Promise((resolve, reject) => {
+	let body = "";
+
+	req.on("data", (chunk) => {
+		body += chunk;
+		if (body.length > MAX_BODY) {
+			reject(new Error("Request body too large"));
+			req.destroy();
+		}
+	});
+	req.on("end", () => {
+		try {
+			resolve(JSON.parse(body));
+		} catch {
+			reject(new Error("Request body is not valid JSON"));
+		}
+	});
+	req.on("error", reject);
+});
+
+/**
+ * Small HTTP/JSON API members register their notification channels with.
+ * - `POST /subscriptions` registers a signed `{ account, webhook, email, issuedAt, signature }`
+ * - `GET /status` reports the cursor and the delivery counts
+ */
+function createApi(notifier) {
+	return http.createServer(async (req, res) => {
+		const send = (status, body) => {
+			res.writeHead(status, {
+				"Content-Type": "application/json",
+				"Access-Control-Allow-Origin": "*",
+				"Access-Control-Allow-Headers": "Content-Type"
+			});
+			res.end(body === undefined ? undefined : JSON.stringify(body));
+		};
+
+		const { pathname } = new URL(req.url, "http://localhost");
+		const route = `${req.method} ${pathname}`;
+
+		try {
+			switch (route) {
+				case "OPTIONS /subscriptions":
+					return send(204);
+
+				case "POST /subscriptions":
+					return send(200, await notifier.subscribe(await readJson(req)));
+
+				case "GET /status":
+					return send(200, notifier.getStatus());
+
+				default:
+					return send(404, { error: "Not found" });
+			}
+		} catch (error) {
+			send(400, { error: error.message });
+		}
+	});
+}
+
+module.exports = { createApi };
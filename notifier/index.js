@@ -0,0 +1,73 @@
+const path = require("path");
+const { Contract, JsonRpcProvider } = require("ethers");
+
+const { createStore } = require("./store");
+const { createNotifier } = require("./notifier");
+const { createWebhookTransport, createSmtpTransport } = require("./transports");
+const { createApi } = require("./api");
+
+const MEMBERSHIP_DAO_ABI = require("../src/abis/membershipDAO.json");
+const config = require("../src/config.json");
+
+const RPC_URL = process.env.NOTIFIER_RPC_URL || "http://127.0.0.1:8545";
+const PORT = Number(process.env.NOTIFIER_PORT || 4002);
+const CONFIRMATIONS = Number(process.env.NOTIFIER_CONFIRMATIONS || 0);
+const INTERVAL = Number(process.env.NOTIFIER_INTERVAL || 15000);
+const VOTE_NOTICE = Number(process.env.NOTIFIER_VOTE_NOTICE || 24 * 60 * 60);
+const EXPIRY_NOTICE = Number(process.env.NOTIFIER_EXPIRY_NOTICE || 7 * 24 * 60 * 60);
+const MAX_ATTEMPTS = Number(process.env.NOTIFIER_MAX_ATTEMPTS || 5);
+const RETRY_DELAY = Number(process.env.NOTIFIER_RETRY_DELAY || 60000);
+const DELIVERED_RETENTION = Number(process.env.NOTIFIER_DELIVERED_RETENTION || 30 * 24 * 60 * 60 * 1000);
+const WEBHOOK_HOSTS = (process.env.NOTIFIER_WEBHOOK_HOSTS || "").split(",").map((host) => host.trim()).filter(Boolean);
+
+async function main() {
+	const provider = new JsonRpcProvider(RPC_URL);
+	const { chainId } = await provider.getNetwork();
+
+	// Resolve the contract from src/config.json by chain ID
+	const deployment = config[chainId.toString()];
+	if (!deployment) {
+		throw new Error(`MembershipDAO is not deployed on chain ${chainId}, check src/config.json`);
+	}
+
+	const { address, blockNumber = 0 } = deployment.MembershipDAO;
+	const fromBlock = Number(process.env.NOTIFIER_FROM_BLOCK || blockNumber);
+	const membershipDAO = new Contract(address, MEMBERSHIP_DAO_ABI, provider);
+
+	// Webhooks always work, email only with an SMTP relay configured
+	const transports = [createWebhookTransport({ allowedHosts: WEBHOOK_HOSTS })];
+	if (process.env.NOTIFIER_SMTP_HOST) {
+		transports.push(createSmtpTransport({
+			host: process.env.NOTIFIER_SMTP_HOST,
+			port: Number(process.env.NOTIFIER_SMTP_PORT || 25),
+			from: process.env.NOTIFIER_SMTP_FROM || "notifications@localhost"
+		}));
+	}
+
+	const store = createStore(path.join(__dirname, "data", `${chainId}.json`), fromBlock);
+	const notifier = createNotifier({
+		provider,
+		membershipDAO,
+		store,
+		transports,
+		confirmations: CONFIRMATIONS,
+		voteNotice: VOTE_NOTICE,
+		expiryNotice: EXPIRY_NOTICE,
+		maxAttempts: MAX_ATTEMPTS,
+		retryDelay: RETRY_DELAY,
+		webhookHosts: WEBHOOK_HOSTS,
+		deliveredRetention: DELIVERED_RETENTION
+	});
+
+	notifier.start(INTERVAL);
+
+	createApi(notifier).listen(PORT, () => {
+		console.log(`Notifying members of ${address} on chain ${chainId} by ${transports.map((t) => t.channel).join(" and ")}`);
+		console.log(`API listening on http://localhost:${PORT}`);
+	});
+}
+
+main().catch((error) => {
+	console.error(error);
+	process.exitCode = 1;
+});
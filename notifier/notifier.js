@@ -0,0 +1,331 @@
+const { verifyMessage } = require("ethers");
+
+const { MAX_AGE, parseRegistration, registrationMessage } = require("./registration");
+const { render } = require("./templates");
+
+const DAY = 24 * 60 * 60;
+
+// Blocks requested per eth_getLogs call
+const BATCH_SIZE = 2000;
+
+// ProposalState enum value of a proposal open for votes
+const ACTIVE = 1;
+
+// Events that notify members, the rest of the logs are skipped
+const EVENTS = ["ListedNewMembership", "NewMembershipApproved", "SpendingApproved"];
+
+/**
+ * Watches the MembershipDAO for new and approved proposals, reminds members before a vote
+ * closes or their membership lapses, and delivers the notifications to the channels they
+ * registered through pluggable transports.
+ * Each notification is keyed by the transaction hash and log index of the event behind it,
+ * the member and the channel, so it is delivered once even if its blocks are read again.
+ * Reminders are keyed by the listing event of the proposal, or by the expiry of the membership.
+ * @param provider An ethers provider connected to the chain.
+ * @param membershipDAO The MembershipDAO contract, connected to the provider.
+ * @param store The store created with `createStore`.
+ * @param transports Transports created with `createWebhookTransport` or `createSmtpTransport`, one per channel.
+ * @param confirmations Blocks to wait before reading a block, so reorgs don't notify events that never happened.
+ * @param voteNotice How long before a vote closes members who haven't voted are reminded, in seconds.
+ * @param expiryNotice How long before a membership lapses its holder is reminded, in seconds.
+ * @param maxAttempts Delivery attempts before a notification is given up on.
+ * @param retryDelay Wait before the first retry in ms, doubling with every failed attempt.
+ * @param webhookHosts Host names webhooks may be registered on, any public host when empty.
+ * @param deliveredRetention How long delivered notifications are remembered in ms, longer than both notices
+ *        so a reminder due again isn't delivered twice.
+ */
+function createNotifier({
+	provider,
+	membershipDAO,
+	store,
+	transports,
+	confirmations = 0,
+	batchSize = BATCH_SIZE,
+	voteNotice = DAY,
+	expiryNotice = 7 * DAY,
+	maxAttempts = 5,
+	retryDelay = 60_000,
+	webhookHosts = [],
+	deliveredRetention = 30 * DAY * 1000
+}) {
+	if (deliveredRetention <= Math.max(voteNotice, expiryNotice) * 1000) {
+		throw new Error("Delivered notifications must be remembered for longer than the reminder notices");
+	}
+
+	const channels = Object.fromEntries(transports.map((transport) => [transport.channel, transport]));
+	const topics = [EVENTS.map((name) => membershipDAO.interface.getEvent(name).topicHash)];
+	let timer = null;
+
+	// Accounts with at least one channel turned on
+	const subscribers = () => Object.keys(store.subscriptions)
+		.filter((account) => store.subscriptions[account].webhook || store.subscriptions[account].email);
+
+	const activeSubscribers = async () => {
+		const accounts = [];
+		for (const account of subscribers()) {
+			if (await membershipDAO.isActiveMember(account)) {
+				accounts.push(account);
+			}
+		}
+		return accounts;
+	};
+
+	// Queue a notification for every channel of every account that wasn't notified yet
+	const enqueue = (eventKey, kind, data, accounts) => {
+		let queued = 0;
+
+		for (const account of accounts) {
+			const { webhook, email } = store.subscriptions[account];
+
+			for (const [channel, to] of [["webhook", webhook], ["email", email]]) {
+				const key = `${eventKey}:${account}:${channel}`;
+				if (!to || !channels[channel] || store.isKnown(key)) {
+					continue;
+				}
+
+				store.enqueue({ key, kind, data, account, channel, to, attempts: 0, nextAttemptAt: 0, error: null });
+				queued++;
+			}
+		}
+		return queued;
+	};
+
+	/**
+	 * Register or update a member's channels from a signed registration.
+	 * Throws if it isn't signed by the account, was issued more than `MAX_AGE` from the chain time,
+	 * isn't newer than the account's current registration, or the account holds no membership.
+	 * A registration with neither a webhook nor an email turns notifications off.
+	 */
+	const subscribe = async (request) => {
+		const registration = parseRegistration(request, { webhookHosts });
+		const { account, webhook, email, issuedAt, signature } = registration;
+
+		const { chainId } = await provider.getNetwork();
+		const address = await membershipDAO.getAddress();
+		const message = registrationMessage({ ...registration, chainId, address });
+
+		let signer;
+		try {
+			signer = verifyMessage(message, signature);
+		} catch {
+			signer = null;
+		}
+		if (signer !== account) {
+			throw new Error(`Registration is not signed by ${account}`);
+		}
+
+		const { timestamp } = await provider.getBlock("latest");
+		if (Math.abs(timestamp - issuedAt) > MAX_AGE) {
+			throw new Error("Registration has expired, sign a new one");
+		}
+
+		const current = store.subscriptions[account];
+		if (current && issuedAt <= current.issuedAt) {
+			throw new Error("Registration is not newer than the current one");
+		}
+
+		if ((webhook || email) && (await membershipDAO.membershipCount(account)) === 0n) {
+			throw new Error(`${account} holds no membership`);
+		}
+
+		store.setSubscription(account, { webhook, email, issuedAt });
+		store.save();
+		return { account, webhook, email, issuedAt };
+	};
+
+	// Queue the notifications of one log
+	const handleLog = async (log) => {
+		const parsed = membershipDAO.interface.parseLog(log);
+		const eventKey = `${log.transactionHash}:${log.index}`;
+		const blockTag = log.blockNumber;
+
+		if (parsed.name === "ListedNewMembership") {
+			const id = parsed.args.newMembership;
+			const proposal = await membershipDAO.newMembership(id, { blockTag });
+			const spending = await membershipDAO.spendingProposals(id, { blockTag });
+			const data = { id: Number(id), name: proposal.name, spending: spending.amount > 0n, endTime: Number(proposal.endTime) };
+
+			store.addProposal({ ...data, key: eventKey });
+			return enqueue(eventKey, "proposalListed", data, await activeSubscribers());
+		}
+
+		const id = parsed.args.newMembershipId;
+		const { name } = await membershipDAO.newMembership(id, { blockTag });
+		const data = parsed.name === "NewMembershipApproved"
+			? { id: Number(id), name, membershipId: Number(parsed.args.membershipId) }
+			: { id: Number(id), name };
+
+		return enqueue(eventKey, "proposalApproved", data, subscribers());
+	};
+
+	/**
+	 * Read the proposal events up to the confirmed head and queue their notifications.
+	 */
+	const sync = async () => {
+		const address = await membershipDAO.getAddress();
+		const head = (await provider.getBlockNumber()) - confirmations;
+
+		let fromBlock = store.cursor === null ? store.fromBlock : store.cursor + 1;
+		let queued = 0;
+
+		while (fromBlock <= head) {
+			const toBlock = Math.min(fromBlock + batchSize - 1, head);
+			const logs = await provider.getLogs({ address, topics, fromBlock, toBlock });
+
+			for (const log of logs) {
+				if (!log.removed) {
+					queued += await handleLog(log);
+				}
+			}
+
+			store.setCursor(toBlock);
+			store.save();
+			fromBlock = toBlock + 1;
+		}
+
+		return { cursor: store.cursor, queued };
+	};
+
+	/**
+	 * Queue the reminders due at the latest block: votes closing within `voteNotice`
+	 * for active members who haven't voted, and memberships lapsing within `expiryNotice`.
+	 */
+	const remind = async () => {
+		const { timestamp } = await provider.getBlock("latest");
+		let queued = 0;
+
+		store.pruneProposals(timestamp);
+		for (const proposal of store.proposals) {
+			if (proposal.endTime - timestamp > voteNotice || Number(await membershipDAO.proposalState(proposal.id)) !== ACTIVE) {
+				continue;
+			}
+
+			const accounts = [];
+			for (const account of await activeSubscribers()) {
+				if (!(await membershipDAO.hasVoted(account, proposal.id))) {
+					accounts.push(account);
+				}
+			}
+			const { id, name, endTime } = proposal;
+			queued += enqueue(`${proposal.key}:closing`, "voteClosing", { id, name, endTime }, accounts);
+		}
+
+		// A membership lapses once the grace period after its expiry has passed
+		const totalMemberships = await membershipDAO.totalMemberships();
+		const gracePeriod = Number(await membershipDAO.gracePeriod());
+
+		for (const account of subscribers()) {
+			for (let membershipId = 0n; membershipId < totalMemberships; membershipId++) {
+				if (!(await membershipDAO.hasMembership(account, membershipId))) {
+					continue;
+				}
+
+				const expiresAt = Number(await membershipDAO.expiresAt(account, membershipId));
+				const lapsesAt = expiresAt + gracePeriod;
+				if (timestamp >= lapsesAt || lapsesAt - timestamp > expiryNotice) {
+					continue;
+				}
+
+				const { name } = await membershipDAO.memberships(membershipId);
+				const data = { membershipId: Number(membershipId), name, lapsesAt };
+				queued += enqueue(`lapsing:${membershipId}:${expiresAt}`, "membershipLapsing", data, [account]);
+			}
+		}
+
+		store.save();
+		return { queued };
+	};
+
+	/**
+	 * Send the queued notifications that are due. A failed delivery is retried with an
+	 * exponential backoff, and given up on after `maxAttempts`.
+	 * Deliveries older than `deliveredRetention` are forgotten.
+	 */
+	const deliver = async () => {
+		const sent = [];
+		const failed = [];
+
+		store.pruneDelivered(Date.now() - deliveredRetention);
+
+		for (const delivery of [...store.outbox]) {
+			const now = Date.now();
+			if (delivery.nextAttemptAt > now) {
+				continue;
+			}
+
+			try {
+				await channels[delivery.channel].send(delivery.to, render(delivery.kind, delivery.data));
+				store.markDelivered(delivery, now);
+				sent.push(delivery.key);
+			} catch (error) {
+				delivery.attempts++;
+				delivery.error = error.message;
+				delivery.nextAttemptAt = now + retryDelay * 2 ** (delivery.attempts - 1);
+
+				if (delivery.attempts >= maxAttempts) {
+					store.markFailed(delivery);
+					failed.push(delivery.key);
+				}
+			}
+		}
+
+		store.save();
+		return { sent, failed };
+	};
+
+	// Read new events, queue the reminders due and deliver what is waiting
+	const run = async () => {
+		const { queued: events } = await sync();
+		const { queued: reminders } = await remind();
+		return { queued: events + reminders, ...(await deliver()) };
+	};
+
+	// Run until `stop` is called
+	const start = (interval = 15_000) => {
+		const poll = async () => {
+			try {
+				const { sent, failed } = await run();
+				if (sent.length > 0) {
+					console.log(`Sent ${sent.length} notifications`);
+				}
+				failed.forEach((key) => console.log(`Gave up on notification ${key}`));
+			} catch (error) {
+				console.error(error);
+			}
+
+			if (timer) {
+				timer = setTimeout(poll, interval);
+			}
+		};
+
+		timer = setTimeout(poll, 0);
+	};
+
+	const stop = () => {
+		clearTimeout(timer);
+		timer = null;
+	};
+
+	const getStatus = () => ({
+		fromBlock: store.fromBlock,
+		cursor: store.cursor,
+		channels: Object.keys(channels),
+		subscribers: subscribers().length,
+		queued: store.outbox.length,
+		delivered: Object.keys(store.delivered).length,
+		failed: store.failed.length
+	});
+
+	return {
+		subscribe,
+		sync,
+		remind,
+		deliver,
+		run,
+		start,
+		stop,
+		getStatus
+	};
+}
+
+module.exports = { createNotifier };
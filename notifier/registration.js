@@ -0,0 +1,147 @@
+const net = require("net");
+const { getAddress } = require("ethers");
+
+// How far a registration's issue time may be from the chain time, in seconds
+const MAX_AGE = 10 * 60;
+
+// Loose email check that still rules out anything that could break out of an SMTP command
+const EMAIL_PATTERN = /^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/;
+
+// Parse an IPv4 address into its four bytes
+const ipv4Bytes = (address) => address.split(".").map(Number);
+
+// Whether an IPv4 address is unspecified, loopback, private, shared or link-local
+function isPrivateIPv4(address) {
+	const [a, b] = ipv4Bytes(address);
+	return a === 0 || a === 10 || a === 127
+		|| (a === 100 && b >= 64 && b < 128)
+		|| (a === 169 && b === 254)
+		|| (a === 172 && b >= 16 && b < 32)
+		|| (a === 192 && b === 168);
+}
+
+// Whether an IPv6 address is unspecified, loopback, unique local or link-local, or maps a private IPv4 address
+function isPrivateIPv6(address) {
+	const lower = address.toLowerCase();
+	if (lower === "::" || lower === "::1" || /^f[cd]/.test(lower) || /^fe[89ab]/.test(lower)) {
+		return true;
+	}
+
+	// IPv4-mapped addresses, in dotted form or as the two hex groups URL normalizes them to
+	const mapped = lower.match(/^::ffff:(?:(\d+\.\d+\.\d+\.\d+)|([0-9a-f]{1,4}):([0-9a-f]{1,4}))$/);
+	if (!mapped) {
+		return false;
+	}
+	if (mapped[1]) {
+		return isPrivateIPv4(mapped[1]);
+	}
+	const [high, low] = [parseInt(mapped[2], 16), parseInt(mapped[3], 16)];
+	return isPrivateIPv4([high >> 8, high & 0xff, low >> 8, low & 0xff].join("."));
+}
+
+/**
+ * Whether a host name or IP address points at this machine or a private network:
+ * `localhost` and its subdomains, or a loopback, private or link-local address.
+ */
+function isPrivateHost(host) {
+	const name = host.replace(/^\[|\]$/g, "").replace(/\.$/, "").toLowerCase();
+	if (name === "localhost" || name.endsWith(".localhost")) {
+		return true;
+	}
+
+	switch (net.isIP(name)) {
+		case 4:
+			return isPrivateIPv4(name);
+		case 6:
+			return isPrivateIPv6(name);
+		default:
+			return false;
+	}
+}
+
+/**
+ * Throw unless a webhook URL may be posted to. With `webhookHosts`, only those host names
+ * are allowed, private ones included. Without, any host is allowed but a private one,
+ * so a registration can't make the notifier post to itself or its network.
+ */
+function checkWebhookHost(url, webhookHosts = []) {
+	const { hostname } = new URL(url);
+	if (webhookHosts.length > 0) {
+		if (!webhookHosts.includes(hostname)) {
+			throw new Error(`${url} is not on an allowed webhook host`);
+		}
+	} else if (isPrivateHost(hostname)) {
+		throw new Error(`${url} points at a private address`);
+	}
+}
+
+/**
+ * The message a member signs to register their channels, bound to the contract and chain
+ * so it can't be replayed elsewhere. An empty webhook or email turns that channel off.
+ */
+function registrationMessage({ account, webhook, email, issuedAt, chainId, address }) {
+	return [
+		"MembershipDAO notifications",
+		`Account: ${account}`,
+		`Webhook: ${webhook || ""}`,
+		`Email: ${email || ""}`,
+		`Chain ID: ${chainId}`,
+		`Contract: ${address}`,
+		`Issued at: ${issuedAt}`
+	].join("\n");
+}
+
+/**
+ * Parse a registration received as JSON. Throws if the webhook isn't an http(s) URL
+ * on an allowed host, see {checkWebhookHost}, or the email isn't an address.
+ */
+function parseRegistration({ account, webhook, email, issuedAt, signature }, { webhookHosts = [] } = {}) {
+	if (webhook) {
+		let url;
+		try {
+			url = new URL(webhook);
+		} catch {
+			throw new Error(`${webhook} is not a URL`);
+		}
+		if (url.protocol !== "http:" && url.protocol !== "https:") {
+			throw new Error(`${webhook} is not an http or https URL`);
+		}
+		checkWebhookHost(webhook, webhookHosts);
+	}
+
+	if (email && !EMAIL_PATTERN.test(email)) {
+		throw new Error(`${email} is not an email address`);
+	}
+
+	if (!Number.isSafeInteger(Number(issuedAt))) {
+		throw new Error("Registration has no valid issue time");
+	}
+
+	return {
+		account: getAddress(account),
+		webhook: webhook || null,
+		email: email || null,
+		issuedAt: Number(issuedAt),
+		signature
+	};
+}
+
+/**
+ * Sign a registration of the signer's channels, issued at the latest block unless a time is given.
+ */
+async function signRegistration(signer, membershipDAO, { webhook, email, issuedAt }) {
+	const provider = membershipDAO.runner.provider;
+	const registration = {
+		account: await signer.getAddress(),
+		webhook: webhook || null,
+		email: email || null,
+		issuedAt: issuedAt === undefined ? (await provider.getBlock("latest")).timestamp : Number(issuedAt)
+	};
+
+	const { chainId } = await provider.getNetwork();
+	const address = await membershipDAO.getAddress();
+	const signature = await signer.signMessage(registrationMessage({ ...registration, chainId, address }));
+	return { ...registration, signature };
+}
+
+module.exports = { MAX_AGE, isPrivateHost, checkWebhookHost, registrationMessage, parseRegistration, signRegistration };
@@ -0,0 +1,117 @@
+const fs = require("fs");
+const path = require("path");
+
+const emptyData = (fromBlock) => ({
+	fromBlock,
+	cursor: null,
+	subscriptions: {},
+	proposals: [],
+	outbox: [],
+	delivered: {},
+	failed: []
+});
+
+/**
+ * JSON file store for the notifier.
+ * Holds the members' channels, the open proposals to remind about, the notifications
+ * waiting to be delivered and the keys of those already delivered or given up on.
+ */
+function createStore(file, fromBlock = 0) {
+	let data = emptyData(fromBlock);
+
+	if (file && fs.existsSync(file)) {
+		data = JSON.parse(fs.readFileSync(file, "utf8"));
+	}
+
+	const save = () => {
+		if (!file) {
+			return;
+		}
+
+		fs.mkdirSync(path.dirname(file), { recursive: true });
+		fs.writeFileSync(`${file}.tmp`, JSON.stringify(data, null, 2));
+		fs.renameSync(`${file}.tmp`, file);
+	};
+
+	// Whether a notification was already queued, delivered or given up on
+	const isKnown = (key) =>
+		key in data.delivered || data.outbox.some((entry) => entry.key === key) || data.failed.some((entry) => entry.key === key);
+
+	const setCursor = (blockNumber) => {
+		data.cursor = blockNumber;
+	};
+
+	const setSubscription = (account, subscription) => {
+		data.subscriptions[account] = subscription;
+	};
+
+	const addProposal = (proposal) => {
+		if (!data.proposals.some((entry) => entry.id === proposal.id)) {
+			data.proposals.push(proposal);
+		}
+	};
+
+	// Forget proposals whose vote closed before `timestamp`
+	const pruneProposals = (timestamp) => {
+		data.proposals = data.proposals.filter((proposal) => proposal.endTime > timestamp);
+	};
+
+	const enqueue = (delivery) => {
+		data.outbox.push(delivery);
+	};
+
+	const markDelivered = (delivery, deliveredAt) => {
+		data.outbox = data.outbox.filter((entry) => entry !== delivery);
+		data.delivered[delivery.key] = deliveredAt;
+	};
+
+	// Forget deliveries made before `timestamp`, their notifications are no longer queued again
+	const pruneDelivered = (timestamp) => {
+		for (const [key, deliveredAt] of Object.entries(data.delivered)) {
+			if (deliveredAt < timestamp) {
+				delete data.delivered[key];
+			}
+		}
+	};
+
+	const markFailed = (delivery) => {
+		data.outbox = data.outbox.filter((entry) => entry !== delivery);
+		data.failed.push(delivery);
+	};
+
+	return {
+		get fromBlock() {
+			return data.fromBlock;
+		},
+		get cursor() {
+			return data.cursor;
+		},
+		get subscriptions() {
+			return data.subscriptions;
+		},
+		get proposals() {
+			return data.proposals;
+		},
+		get outbox() {
+			return data.outbox;
+		},
+		get delivered() {
+			return data.delivered;
+		},
+		get failed() {
+			return data.failed;
+		},
+		isKnown,
+		setCursor,
+		setSubscription,
+		addProposal,
+		pruneProposals,
+		enqueue,
+		markDelivered,
+		pruneDelivered,
+		markFailed,
+		save
+	};
+}
+
+module.exports = { createStore };
@@ -0,0 +1,39 @@
+// Dates in notifications are UTC, members can be anywhere
+const formatDate = (timestamp) => new Date(timestamp * 1000).toUTCString();
+
+/**
+ * Subject and text of each kind of notification, from the plain data stored with it.
+ */
+const TEMPLATES = {
+	proposalListed: ({ id, name, spending, endTime }) => ({
+		subject: `New ${spending ? "spending proposal" : "proposal"}: ${name}`,
+		text: `${spending ? "Spending proposal" : "Proposal"} ${id}, ${name}, is listed and open for votes until ${formatDate(endTime)}.`
+	}),
+	proposalApproved: ({ id, name, membershipId }) => ({
+		subject: `Proposal approved: ${name}`,
+		text: membershipId === undefined
+			? `Spending proposal ${id}, ${name}, was approved.`
+			: `Proposal ${id}, ${name}, was approved and can be bought as membership ${membershipId}.`
+	}),
+	voteClosing: ({ id, name, endTime }) => ({
+		subject: `Vote closing soon: ${name}`,
+		text: `Voting on proposal ${id}, ${name}, closes at ${formatDate(endTime)} and you haven't voted yet.`
+	}),
+	membershipLapsing: ({ membershipId, name, lapsesAt }) => ({
+		subject: `Your ${name} membership is about to lapse`,
+		text: `Your membership ${membershipId}, ${name}, lapses at ${formatDate(lapsesAt)}. Renew it to keep your access and your vote.`
+	})
+};
+
+/**
+ * Render a notification of `kind`, keeping its data for webhooks.
+ */
+function render(kind, data) {
+	const template = TEMPLATES[kind];
+	if (!template) {
+		throw new Error(`Unknown notification ${kind}`);
+	}
+	return { kind, ...template(data), data };
+}
+
+module.exports = { TEMPLATES, render };
@@ -0,0 +1,119 @@
+const dns = require("dns");
+const net = require("net");
+const os = require("os");
+
+const { checkWebhookHost, isPrivateHost } = require("./registration");
+
+// Time a transport waits for the other side before failing the delivery, in ms
+const TIMEOUT = 10_000;
+
+// Header values can't span lines
+const headerValue = (value) => String(value).replace(/[\r\n]+/g, " ");
+
+// The message in the DATA command, with lines starting with a dot escaped
+const formatEmail = ({ from, to, subject, text }) => [
+	`From: ${from}`,
+	`To: ${to}`,
+	`Subject: ${headerValue(subject)}`,
+	`Date: ${new Date().toUTCString()}`,
+	"MIME-Version: 1.0",
+	"Content-Type: text/plain; charset=utf-8",
+	"",
+	...text.split(/\r?\n/).map((line) => (line.startsWith(".") ? `.${line}` : line))
+].join("\r\n");
+
+/**
+ * Posts notifications as JSON to the member's webhook URL.
+ * The URL must be on one of `allowedHosts`, or, without them, on a host that doesn't resolve
+ * to a private address. Redirects aren't followed, so they can't lead anywhere else.
+ * A response outside 2xx fails the delivery.
+ */
+function createWebhookTransport({ timeout = TIMEOUT, allowedHosts = [] } = {}) {
+	const send = async (url, notification) => {
+		checkWebhookHost(url, allowedHosts);
+		if (allowedHosts.length === 0) {
+			const addresses = await dns.promises.lookup(new URL(url).hostname, { all: true });
+			if (addresses.some(({ address }) => isPrivateHost(address))) {
+				throw new Error(`${url} resolves to a private address`);
+			}
+		}
+
+		const response = await fetch(url, {
+			method: "POST",
+			headers: { "Content-Type": "application/json" },
+			body: JSON.stringify(notification),
+			redirect: "error",
+			signal: AbortSignal.timeout(timeout)
+		});
+
+		if (!response.ok) {
+			throw new Error(`Webhook answered ${response.status}`);
+		}
+	};
+
+	return { channel: "webhook", send };
+}
+
+/**
+ * Sends notifications as plain text email through an SMTP server, without authentication
+ * or TLS, meant for a relay on the same host or network.
+ * A reply outside the expected class of any command fails the delivery.
+ */
+function createSmtpTransport({ host = "127.0.0.1", port = 25, from, timeout = TIMEOUT }) {
+	const send = (to, { subject, text }) => new Promise((resolve, reject) => {
+		// Each command with the reply class that lets the conversation go on, the greeting has no command
+		const steps = [
+			[null, 2],
+			[`EHLO ${os.hostname()}`, 2],
+			[`MAIL FROM:<${from}>`, 2],
+			[`RCPT TO:<${to}>`, 2],
+			["DATA", 3],
+			[`${formatEmail({ from, to, subject, text })}\r\n.`, 2],
+			["QUIT", 2]
+		];
+
+		let step = 0;
+		let buffer = "";
+		const socket = net.createConnection({ host, port });
+
+		const fail = (error) => {
+			socket.destroy();
+			reject(error);
+		};
+
+		socket.setEncoding("utf8");
+		socket.setTimeout(timeout, () => fail(new Error("SMTP server timed out")));
+		socket.on("error", fail);
+		socket.on("data", (chunk) => {
+			buffer += chunk;
+
+			let end;
+			while ((end = buffer.indexOf("\r\n")) !== -1) {
+				const line = buffer.slice(0, end);
+				buffer = buffer.slice(end + 2);
+
+				// Multiline replies continue with a dash after the code
+				if (line[3] === "-") {
+					continue;
+				}
+
+				if (Number(line[0]) !== steps[step][1]) {
+					fail(new Error(`SMTP server answered ${line}`));
+					return;
+				}
+
+				step++;
+				if (step === steps.length) {
+					socket.end();
+					resolve();
+					return;
+				}
+				socket.write(`${steps[step][0]}\r\n`);
+			}
+		});
+	});
+
+	return { channel: "email", send };
+}
+
+module.exports = { createWebhookTransport, createSmtpTransport, formatEmail };
@@ -0,0 +1,69 @@
+const http = require("http");
+
+// Largest request body accepted, a signed ballot is well under 1 KB
+const MAX_BODY = 16 * 1024;
+
+const readJson = (req) => new Promise((resolve, reject) => {
+	let body = "";
+
+	req.on("data", (chunk) => {
+		body += chunk;
+		if (body.length > MAX_BODY) {
+			reject(new Error("Request body too large"));
+			req.destroy();
+		}
+	});
+	req.on("end", () => {
+		try {
+			resolve(JSON.parse(body));
+		} catch {
+			reject(new Error("Request body is not valid JSON"));
+		}
+	});
+	req.on("error", reject);
+});
+
+/**
+ * Small HTTP/JSON API the frontend posts signed ballots to.
+ * - `POST /ballots` queues a `{ ballot, signature }`
+ * - `GET /ballots` lists the queued ballots
+ * - `POST /flush` submits the queue now
+ */
+function createApi(relayer) {
+	return http.createServer(async (req, res) => {
+		const send = (status, body) => {
+			res.writeHead(status, {
+				"Content-Type": "application/json",
+				"Access-Control-Allow-Origin": "*",
+				"Access-Control-Allow-Headers": "Content-Type"
+			});
+			res.end(body === undefined ? undefined : JSON.stringify(body));
+		};
+
+		const { pathname } = new URL(req.url, "http://localhost");
+		const route = `${req.method} ${pathname}`;
+
+		try {
+			switch (route) {
+				case "OPTIONS /ballots":
+					return send(204);
+
+				case "GET /ballots":
+					return send(200, relayer.getPending());
+
+				case "POST /ballots":
+					return send(202, await relayer.add(await readJson(req)));
+
+				case "POST /flush":
+					return send(200, await relayer.flush());
+
+				default:
+					return send(404, { error: "Not found" });
+			}
+		} catch (error) {
+			send(400, { error: error.message });
+		}
+	});
+}
+
+module.exports = { createApi };
@@ -0,0 +1,52 @@
+const { getAddress } = require("ethers");
+
+// EIP-712 type of a ballot, `support` is the VoteType enum value (0 Against, 1 For, 2 Abstain)
+const BALLOT_TYPES = {
+	Ballot: [
+		{ name: "voter", type: "address" },
+		{ name: "newMembershipId", type: "uint256" },
+		{ name: "support", type: "uint8" },
+		{ name: "nonce", type: "uint256" },
+		{ name: "deadline", type: "uint256" }
+	]
+};
+
+/**
+ * Read the EIP-712 domain the MembershipBallots contract checks ballots in (ERC-5267).
+ */
+async function getDomain(membershipBallots) {
+	const { name, version, chainId, verifyingContract } = await membershipBallots.eip712Domain();
+	return { name, version, chainId, verifyingContract };
+}
+
+/**
+ * Parse a ballot received as JSON, where numbers may be strings.
+ */
+function parseBallot(ballot) {
+	return {
+		voter: getAddress(ballot.voter),
+		newMembershipId: BigInt(ballot.newMembershipId),
+		support: Number(ballot.support),
+		nonce: BigInt(ballot.nonce),
+		deadline: BigInt(ballot.deadline)
+	};
+}
+
+/**
+ * Sign a ballot, for the signer's next nonce unless one is given.
+ */
+async function signBallot(signer, membershipBallots, { newMembershipId, support, deadline, nonce }) {
+	const voter = await signer.getAddress();
+	const ballot = {
+		voter,
+		newMembershipId: BigInt(newMembershipId),
+		support: Number(support),
+		nonce: nonce === undefined ? await membershipBallots.nonces(voter) : BigInt(nonce),
+		deadline: BigInt(deadline)
+	};
+
+	const signature = await signer.signTypedData(await getDomain(membershipBallots), BALLOT_TYPES, ballot);
+	return { ballot, signature };
+}
+
+module.exports = { BALLOT_TYPES, getDomain, parseBallot, signBallot };
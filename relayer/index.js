@@ -0,0 +1,47 @@
+const { Contract, JsonRpcProvider, Wallet } = require("ethers");
+
+const { createRelayer } = require("./relayer");
+const { createApi } = require("./api");
+
+const MEMBERSHIP_DAO_ABI = require("../src/abis/membershipDAO.json");
+const MEMBERSHIP_BALLOTS_ABI = require("../src/abis/membershipBallots.json");
+const config = require("../src/config.json");
+
+const RPC_URL = process.env.RELAYER_RPC_URL || "http://127.0.0.1:8545";
+const PORT = Number(process.env.RELAYER_PORT || 4001);
+const INTERVAL = Number(process.env.RELAYER_INTERVAL || 5000);
+const BATCH_SIZE = Number(process.env.RELAYER_BATCH_SIZE || 20);
+
+async function main() {
+	const provider = new JsonRpcProvider(RPC_URL);
+	const { chainId } = await provider.getNetwork();
+
+	// Resolve the contract from src/config.json by chain ID
+	const deployment = config[chainId.toString()];
+	if (!deployment || !deployment.MembershipBallots) {
+		throw new Error(`MembershipDAO is not deployed with MembershipBallots on chain ${chainId}, check src/config.json`);
+	}
+
+	// Pay for the ballots with RELAYER_PRIVATE_KEY, or the node's first account locally
+	const signer = process.env.RELAYER_PRIVATE_KEY
+		? new Wallet(process.env.RELAYER_PRIVATE_KEY, provider)
+		: await provider.getSigner(0);
+
+	const relayerAddress = await signer.getAddress();
+	const { address } = deployment.MembershipBallots;
+	const membershipBallots = new Contract(address, MEMBERSHIP_BALLOTS_ABI, signer);
+	const membershipDAO = new Contract(deployment.MembershipDAO.address, MEMBERSHIP_DAO_ABI, signer);
+	const relayer = createRelayer({ membershipBallots, membershipDAO, batchSize: BATCH_SIZE });
+
+	relayer.start(INTERVAL);
+
+	createApi(relayer).listen(PORT, () => {
+		console.log(`Relaying ballots to ${address} on chain ${chainId} from ${relayerAddress}`);
+		console.log(`API listening on http://localhost:${PORT}`);
+	});
+}
+
+main().catch((error) => {
+	console.error(error);
+	process.exitCode = 1;
+});
@@ -0,0 +1,160 @@
+const { verifyTypedData } = require("ethers");
+const { BALLOT_TYPES, getDomain, parseBallot } = require("./ballot");
+
+// Ballots submitted per voteBySigBatch transaction
+const BATCH_SIZE = 20;
+
+// Name of the contract error behind a failed call, looked up in each interface in turn, or the ethers message
+const revertReason = (error, contractInterfaces) => {
+	if (error.revert) {
+		return error.revert.name;
+	}
+
+	for (const contractInterface of contractInterfaces) {
+		const parsed = typeof error.data === "string" ? contractInterface.parseError(error.data) : null;
+		if (parsed) {
+			return parsed.name;
+		}
+	}
+	return error.shortMessage || error.message;
+};
+
+const toPlain = ({ ballot, signature }) => ({
+	ballot: {
+		voter: ballot.voter,
+		newMembershipId: ballot.newMembershipId.toString(),
+		support: ballot.support,
+		nonce: ballot.nonce.toString(),
+		deadline: ballot.deadline.toString()
+	},
+	signature
+});
+
+/**
+ * Collects signed ballots and submits them to the contract in batches,
+ * paying the gas for the voters.
+ * @param membershipBallots The MembershipBallots contract, connected to the relayer's signer.
+ * @param membershipDAO The MembershipDAO the ballots are cast on, to name the errors it reverts with.
+ * @param batchSize The most ballots submitted in one transaction.
+ */
+function createRelayer({ membershipBallots, membershipDAO, batchSize = BATCH_SIZE }) {
+	let pending = [];
+	let domain = null;
+	let timer = null;
+
+	/**
+	 * Queue a signed ballot. Throws if the signature doesn't match the voter, the
+	 * deadline has passed, or the voter already has a ballot queued for the proposal or nonce.
+	 */
+	const add = async ({ ballot, signature }) => {
+		ballot = parseBallot(ballot);
+		domain = domain || (await getDomain(membershipBallots));
+
+		if (verifyTypedData(domain, BALLOT_TYPES, ballot, signature) !== ballot.voter) {
+			throw new Error(`Ballot is not signed by ${ballot.voter}`);
+		}
+
+		const block = await membershipBallots.runner.provider.getBlock("latest");
+		if (ballot.deadline < BigInt(block.timestamp)) {
+			throw new Error("Ballot deadline has passed");
+		}
+
+		const isQueued = pending.some((entry) => entry.ballot.voter === ballot.voter &&
+			(entry.ballot.newMembershipId === ballot.newMembershipId || entry.ballot.nonce === ballot.nonce));
+		if (isQueued) {
+			throw new Error(`A ballot from ${ballot.voter} is already queued for this proposal or nonce`);
+		}
+
+		const entry = { ballot, signature };
+		pending.push(entry);
+		return toPlain(entry);
+	};
+
+	/**
+	 * Simulate the queued ballots and submit the valid ones in one transaction.
+	 * Ballots that would revert are dropped, except those waiting for an earlier
+	 * nonce of the same voter or for the contract to be unpaused, which stay queued for the next flush.
+	 */
+	const flush = async () => {
+		const batch = [];
+		const rejected = [];
+		const voters = new Set();
+
+		for (const entry of pending) {
+			if (batch.length === batchSize) {
+				break;
+			}
+
+			// Later nonces of a voter can only be checked once the earlier ballot is recorded
+			if (voters.has(entry.ballot.voter)) {
+				continue;
+			}
+
+			try {
+				await membershipBallots.voteBySig.staticCall(entry.ballot, entry.signature);
+				batch.push(entry);
+				voters.add(entry.ballot.voter);
+			} catch (error) {
+				const reason = revertReason(error, [membershipBallots.interface, membershipDAO.interface]);
+				const isWaiting = reason === "EnforcedPause" || (reason === "InvalidAccountNonce" &&
+					entry.ballot.nonce > (await membershipBallots.nonces(entry.ballot.voter)));
+
+				if (!isWaiting) {
+					rejected.push({ ...toPlain(entry), reason });
+				}
+			}
+		}
+
+		pending = pending.filter((entry) => !rejected.some((item) => item.signature === entry.signature));
+
+		if (batch.length === 0) {
+			return { submitted: [], rejected, transactionHash: null };
+		}
+
+		// The batch stays queued if the transaction fails
+		const transaction = await membershipBallots.voteBySigBatch(
+			batch.map((entry) => entry.ballot),
+			batch.map((entry) => entry.signature)
+		);
+		await transaction.wait();
+		pending = pending.filter((entry) => !batch.includes(entry));
+
+		return { submitted: batch.map(toPlain), rejected, transactionHash: transaction.hash };
+	};
+
+	// Flush the queue until `stop` is called
+	const start = (interval = 5000) => {
+		const poll = async () => {
+			try {
+				const { submitted, rejected, transactionHash } = await flush();
+				if (submitted.length > 0) {
+					console.log(`Submitted ${submitted.length} ballots in ${transactionHash}`);
+				}
+				rejected.forEach(({ ballot, reason }) => console.log(`Rejected ballot from ${ballot.voter}: ${reason}`));
+			} catch (error) {
+				console.error(error);
+			}
+
+			if (timer) {
+				timer = setTimeout(poll, interval);
+			}
+		};
+
+		timer = setTimeout(poll, 0);
+	};
+
+	const stop = () => {
+		clearTimeout(timer);
+		timer = null;
+	};
+
+	return {
+		add,
+		flush,
+		start,
+		stop,
+		getPending: () => pending.map(toPlain)
+	};
+}
+
+module.exports = { createRelayer };
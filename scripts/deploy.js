@@ -1,17 +1,41 @@
-const hre = require("hardhat");
-
-async function main() {
-	//Setup account
-	[owner] = await ethers.getSigners();
-
-	// Deploy contract
-	const MembershipDAO = await ethers.getContractFactory("MembershipDAO");
-	membershipDAO = await MembershipDAO.deploy(owner.address);
-	await membershipDAO.waitForDeployment();
-	console.log(`membershipDAO contract deployed at: ${await membershipDAO.getAddress()}`)
-}
-
-main().catch((error) => {
-	console.error(error);
-	process.exitCode = 1;
-});
\ No newline at end of file
+const hre = require("hardhat");
+const { loadParameters, deployMembershipDAO, writeDeployment } = require("./deployment");
+const { getStorageLayout, writeStorageLayout } = require("./upgrades");
+
+async function main() {
+	// Parameters from DEPLOY_PARAMETERS or ignition/parameters/<network>.json
+	const parameters = loadParameters(hre.network.name, process.env.DEPLOY_PARAMETERS);
+	// DEPLOY_UPGRADEABLE=true deploys MembershipDAOUpgradeable behind a proxy
+	const upgradeable = process.env.DEPLOY_UPGRADEABLE === "true";
+
+	// Deploy the libraries and the contract linked against them, then list the tiers
+	const { membershipBallots, address, blockNumber, implementation } = await deployMembershipDAO(hre, parameters, { upgradeable });
+	console.log(`membershipDAO contract deployed at: ${address}`)
+	console.log(`Ballots contract deployed at: ${membershipBallots.target}`);
+	if (upgradeable) {
+		console.log(`Implementation deployed at: ${implementation}`);
+	}
+
+	// The in-process network is gone once the script ends
+	if (hre.network.name === "hardhat") {
+		console.log("Skipping src/config.json on the in-process network, deploy with --network localhost");
+		return;
+	}
+
+	const { chainId } = await hre.ethers.provider.getNetwork();
+	const { abi } = await hre.artifacts.readArtifact(upgradeable ? "MembershipDAOUpgradeable" : "MembershipDAO");
+	const ballots = { address: membershipBallots.target, abi: (await hre.artifacts.readArtifact("MembershipBallots")).abi };
+	writeDeployment({ chainId, address, blockNumber, implementation, abi, ballots });
+	console.log(`Wrote the chain ${chainId} deployment to src/config.json and its ABIs to src/abis`);
+
+	// The next upgrade is checked against the layout of this implementation
+	if (upgradeable) {
+		writeStorageLayout(chainId, await getStorageLayout(hre));
+		console.log(`Recorded its storage layout in ignition/layouts/chain-${chainId}.json`);
+	}
+}
+
+main().catch((error) => {
+	console.error(error);
+	process.exitCode = 1;
+});
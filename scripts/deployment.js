@@ -0,0 +1,125 @@
+const fs = require("fs");
+const path = require("path");
+
+const { ZeroAddress } = require("ethers");
+
+const { default: MembershipDAOModule, ROLES } = require("../ignition/modules/MembershipDAO");
+const { default: MembershipDAOUpgradeableModule } = require("../ignition/modules/MembershipDAOUpgradeable");
+
+const MODULE_ID = "MembershipDAOModule";
+const PARAMETERS_DIR = path.join(__dirname, "..", "ignition", "parameters");
+const CONFIG_PATH = path.join(__dirname, "..", "src", "config.json");
+const ABI_PATH = path.join(__dirname, "..", "src", "abis", "membershipDAO.json");
+const BALLOTS_ABI_PATH = path.join(__dirname, "..", "src", "abis", "membershipBallots.json");
+
+/**
+ * Read the deployment parameters from `file`, or from `ignition/parameters/<network>.json`
+ * if it exists. Returns the parameters of the MembershipDAO module.
+ */
+function loadParameters(networkName, file) {
+	const parametersFile = file || path.join(PARAMETERS_DIR, `${networkName}.json`);
+	if (!fs.existsSync(parametersFile)) {
+		if (file) {
+			throw new Error(`Parameters file ${file} not found`);
+		}
+		return {};
+	}
+
+	const parameters = JSON.parse(fs.readFileSync(parametersFile, "utf8"));
+	return parameters[MODULE_ID] || {};
+}
+
+/**
+ * Find the block a contract was deployed in by bisecting for the first block with its code.
+ */
+async function findDeploymentBlock(provider, address) {
+	let low = 0;
+	let high = await provider.getBlockNumber();
+
+	while (low < high) {
+		const middle = Math.floor((low + high) / 2);
+		if ((await provider.getCode(address, middle)) === "0x") {
+			low = middle + 1;
+		} else {
+			high = middle;
+		}
+	}
+	return low;
+}
+
+/**
+ * Returns the MembershipDAO deployment recorded for `chainId` in the frontend config, if any.
+ */
+function readDeployment(chainId, { configPath = CONFIG_PATH } = {}) {
+	const config = fs.existsSync(configPath) ? JSON.parse(fs.readFileSync(configPath, "utf8")) : {};
+	return config[chainId.toString()] && config[chainId.toString()].MembershipDAO;
+}
+
+/**
+ * Record the MembershipDAO deployment on `chainId` in the frontend config,
+ * keeping the other chains, and write its ABI. A deployment behind a proxy also
+ * records its `implementation`. `ballots` is the `address` and `abi` of its
+ * MembershipBallots contract, recorded alongside when given.
+ */
+function writeDeployment(
+	{ chainId, address, blockNumber, implementation, abi, ballots },
+	{ configPath = CONFIG_PATH, abiPath = ABI_PATH, ballotsAbiPath = BALLOTS_ABI_PATH } = {}
+) {
+	const config = fs.existsSync(configPath) ? JSON.parse(fs.readFileSync(configPath, "utf8")) : {};
+	config[chainId.toString()] = { MembershipDAO: implementation ? { address, blockNumber, implementation } : { address, blockNumber } };
+	if (ballots) {
+		config[chainId.toString()].MembershipBallots = { address: ballots.address };
+	}
+
+	fs.writeFileSync(configPath, `${JSON.stringify(config, null, "\t")}\n`);
+	fs.mkdirSync(path.dirname(abiPath), { recursive: true });
+	fs.writeFileSync(abiPath, `${JSON.stringify(abi, null, 2)}\n`);
+	if (ballots) {
+		fs.writeFileSync(ballotsAbiPath, `${JSON.stringify(ballots.abi, null, 2)}\n`);
+	}
+}
+
+/**
+ * Deploy MembershipDAO with its Ignition module, passing it `owner`, `requiredVotes` and `tiers`.
+ * Tiers without a `paymentToken` are paid in ETH, and costs may be written as `"<wei>n"`. When the owner isn't the deployer, the deployer
+ * renounces its roles once they are handed over. The result has the `membershipBallots`
+ * contract relayers submit signed ballots to.
+ *
+ * With `upgradeable`, MembershipDAOUpgradeable is deployed behind a proxy instead, and the
+ * result also has its `implementation` and `proxyAdmin`.
+ */
+async function deployMembershipDAO(hre, parameters = {}, { upgradeable = false } = {}) {
+	const module = upgradeable ? MembershipDAOUpgradeableModule : MembershipDAOModule;
+	const moduleParameters = { ...parameters };
+	if (parameters.tiers) {
+		moduleParameters.tiers = parameters.tiers.map(({ name, cost, duration, paymentToken }) => ({
+			name,
+			cost: BigInt(String(cost).replace(/n$/, "")),
+			duration,
+			paymentToken: paymentToken || ZeroAddress
+		}));
+	}
+	const { membershipDAO, membershipBallots, implementation, proxyAdmin } = await hre.ignition.deploy(module, {
+		parameters: { [module.id]: moduleParameters }
+	});
+
+	const [deployer] = await hre.ethers.getSigners();
+	const { owner } = moduleParameters;
+	if (owner && owner.toLowerCase() !== deployer.address.toLowerCase()) {
+		// The admin role goes last, it manages the others
+		for (const role of Object.values(ROLES).reverse()) {
+			if (await membershipDAO.hasRole(role, deployer.address)) {
+				await (await membershipDAO.connect(deployer).renounceRole(role, deployer.address)).wait();
+			}
+		}
+	}
+
+	const address = await membershipDAO.getAddress();
+	const blockNumber = await findDeploymentBlock(hre.ethers.provider, address);
+	if (!upgradeable) {
+		return { membershipDAO, membershipBallots, address, blockNumber };
+	}
+	return { membershipDAO, membershipBallots, address, blockNumber, implementation: await implementation.getAddress(), proxyAdmin };
+}
+
+module.exports = { loadParameters, findDeploymentBlock, readDeployment, writeDeployment, deployMembershipDAO };
@@ -0,0 +1,36 @@
+const { ethers } = require("hardhat");
+
+// Libraries MembershipDAO is linked against
+const LIBRARIES = ["MembershipTreasury", "MembershipSales", "MembershipVotes", "MembershipReferrals", "MembershipTiers"];
+
+/**
+ * Deploy the libraries MembershipDAO links against and return its factory,
+ * ready to deploy with the library addresses filled in. `contractName` may be
+ * MembershipDAOUpgradeable, which links the same libraries, and `signer` deploys
+ * both, the first account by default.
+ */
+async function getMembershipDAOFactory(contractName = "MembershipDAO", signer = undefined) {
+	const libraries = {};
+
+	for (const name of LIBRARIES) {
+		const library = await ethers.deployContract(name, signer);
+		await library.waitForDeployment();
+		libraries[name] = await library.getAddress();
+	}
+
+	return ethers.getContractFactory(contractName, { libraries, signer });
+}
+
+/**
+ * Deploy the MembershipBallots contract for `membershipDAO` and have `admin`, a holder of
+ * DEFAULT_ADMIN_ROLE, grant it BALLOT_ROLE so it can cast the votes of signed ballots.
+ */
+async function deployMembershipBallots(membershipDAO, admin) {
+	const membershipBallots = await ethers.deployContract("MembershipBallots", [await membershipDAO.getAddress()], admin);
+	await membershipBallots.waitForDeployment();
+
+	await (await membershipDAO.connect(admin).grantRole(await membershipDAO.BALLOT_ROLE(), membershipBallots.target)).wait();
+	return membershipBallots;
+}
+
+module.exports = { LIBRARIES, getMembershipDAOFactory, deployMembershipBallots };
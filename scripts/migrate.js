@@ -0,0 +1,38 @@
+const hre = require("hardhat");
+const { findDeploymentBlock, readDeployment } = require("./deployment");
+const { readMembershipState, replayMembershipState } = require("./migration");
+
+async function main() {
+	// The old deployment from MIGRATE_FROM, the new one from src/config.json, both run by the signer
+	const from = process.env.MIGRATE_FROM;
+	if (!from) {
+		throw new Error("Set MIGRATE_FROM to the address of the deployment to migrate from");
+	}
+
+	const { chainId } = await hre.ethers.provider.getNetwork();
+	const deployment = readDeployment(chainId);
+	if (!deployment || !deployment.implementation) {
+		throw new Error(`No MembershipDAO proxy recorded for chain ${chainId} in src/config.json, deploy with DEPLOY_UPGRADEABLE=true`);
+	}
+
+	const legacyDAO = await hre.ethers.getContractAt("LegacyMembershipDAO", from);
+	const state = await readMembershipState(legacyDAO, { fromBlock: await findDeploymentBlock(hre.ethers.provider, from) });
+	console.log(`Read ${state.tiers.length} tiers, ${state.memberships.length} memberships and ${state.proposals.length} proposals from ${from}`);
+
+	const membershipDAO = await hre.ethers.getContractAt("MembershipDAOUpgradeable", deployment.address);
+	const { tierIds, memberships, deposits, proposals } = await replayMembershipState(membershipDAO, state, { legacyDAO });
+	console.log(`Listed ${Object.keys(tierIds).length} tiers and imported ${memberships} memberships into ${deployment.address}, with ${hre.ethers.formatEther(deposits)} ETH of deposits`);
+
+	for (const proposal of proposals) {
+		console.log(`Proposal ${proposal.from} is now ${proposal.to}, with the votes of ${proposal.voters.join(", ") || "nobody"}`);
+	}
+
+	// Nothing can be imported afterwards
+	await (await membershipDAO.finishMigration()).wait();
+	console.log(`Finished the migration of ${deployment.address}`);
+}
+
+main().catch((error) => {
+	console.error(error);
+	process.exitCode = 1;
+});
@@ -0,0 +1,125 @@
+const { ZeroAddress } = require("ethers");
+
+// Membership period of the tiers and of the memberships proposed again, the old deployment had none
+const DEFAULT_DURATION = 365 * 24 * 60 * 60;
+
+/**
+ * Read the state of a LegacyMembershipDAO deployment, the first, non-upgradeable MembershipDAO,
+ * from `fromBlock` on:
+ * - `tiers`, the name and cost of each tier from `memberships`
+ * - `memberships`, the tier each member bought last according to the `MembershipPurchased`
+ *   events, for the accounts `hasMembership` still holds. Its `deposit` is what the member paid,
+ *   the tier cost, as the old deployment only keeps the last payment per tier
+ * - `proposals`, from `newMembership`, with the accounts that voted on each according to
+ *   the `HasVoted` events, as approving a proposal clears its `voters`
+ * - `balance`, the ETH the old deployment holds, which backs the deposits
+ */
+async function readMembershipState(legacyDAO, { fromBlock = 0 } = {}) {
+	const tiers = [];
+	const totalMemberships = await legacyDAO.totalMemberships();
+	for (let id = 0n; id < totalMemberships; id++) {
+		const { name, cost } = await legacyDAO.memberships(id);
+		tiers.push({ id, name, cost });
+	}
+
+	// Later purchases replace earlier ones, an account only holds one membership at a time
+	const purchases = new Map();
+	for (const log of await legacyDAO.queryFilter(legacyDAO.filters.MembershipPurchased(), fromBlock)) {
+		purchases.set(log.args.user, log.args.membershipId);
+	}
+
+	const memberships = [];
+	for (const [user, membershipId] of purchases) {
+		if (await legacyDAO.hasMembership(user)) {
+			memberships.push({ user, membershipId, deposit: tiers[Number(membershipId)].cost });
+		}
+	}
+
+	const votes = await legacyDAO.queryFilter(legacyDAO.filters.HasVoted(), fromBlock);
+	const proposals = [];
+	const totalNewMembership = await legacyDAO.totalNewMembership();
+	for (let id = 0n; id < totalNewMembership; id++) {
+		const { name, cost, isApproved } = await legacyDAO.newMembership(id);
+		const voters = votes.filter((log) => log.args.newMembershipId === id).map((log) => log.args.user);
+		proposals.push({ id, name, cost, isApproved, voters });
+	}
+
+	const balance = await legacyDAO.runner.provider.getBalance(await legacyDAO.getAddress());
+	return { tiers, memberships, proposals, balance };
+}
+
+/**
+ * Replay `state` read with {readMembershipState} into a MembershipDAOUpgradeable deployment,
+ * sending the transactions from the account `membershipDAO` is connected to, which needs every role
+ * and, with `legacyDAO`, must own the old deployment. The proxy must still be `migrating`,
+ * the caller finishes the migration once everything is replayed:
+ * - the tiers are listed again, paid in ETH, with a membership period of `duration`
+ * - with `legacyDAO`, the old deployment's balance is withdrawn to its owner, then each membership
+ *   is bought for its holder with its deposit, so the new treasury holds the funds backing
+ *   the deposits and refunds them like those of any purchase. Whatever is left of the balance
+ *   stays with the owner, as the old deployment's withdrawals did
+ * - proposals not approved are listed again with `importProposal`, proposing memberships of `duration`,
+ *   and the votes of the members carried over are imported with `importVotes`, `batchSize` per
+ *   transaction. They vote in favour, the only way the old deployment voted. The proposals are open
+ *   for the proxy's `votingPeriod`. Voting opens at once for the votes to be imported,
+ *   the voting delay is restored afterwards
+ *
+ * Throws before anything is sent if the old balance doesn't cover the deposits.
+ * Returns the new ID of each tier and each proposal listed again, with the voters imported.
+ */
+async function replayMembershipState(membershipDAO, state, { legacyDAO = null, duration = DEFAULT_DURATION, batchSize = 50 } = {}) {
+	const deposits = state.memberships.reduce((total, { deposit }) => total + deposit, 0n);
+	if (legacyDAO && state.balance < deposits) {
+		throw new Error(`The old deployment holds ${state.balance} wei, less than the ${deposits} wei of deposits it owes`);
+	}
+
+	const tierIds = {};
+	const firstId = await membershipDAO.totalMemberships();
+	if (state.tiers.length > 0) {
+		const listings = state.tiers.map(({ name, cost }) => ({ name, cost, duration, paymentToken: ZeroAddress }));
+		await (await membershipDAO.listMemberships(listings)).wait();
+	}
+	for (const [index, tier] of state.tiers.entries()) {
+		tierIds[tier.id] = firstId + BigInt(index);
+	}
+
+	const members = new Set();
+	if (legacyDAO) {
+		await (await legacyDAO.withdraw()).wait();
+
+		for (const { user, membershipId, deposit } of state.memberships) {
+			await (await membershipDAO.buyMembershipFor(user, tierIds[membershipId], { value: deposit })).wait();
+			members.add(user);
+		}
+	}
+
+	const votingDelay = await membershipDAO.votingDelay();
+	const settings = [await membershipDAO.votingPeriod(), await membershipDAO.quorumPercentage(), await membershipDAO.requiredVotes()];
+	if (votingDelay > 0n) {
+		await (await membershipDAO.setVotingSettings(0, ...settings)).wait();
+	}
+
+	const proposals = [];
+	for (const proposal of state.proposals) {
+		if (proposal.isApproved) {
+			continue;
+		}
+
+		const id = await membershipDAO.totalNewMembership();
+		await (await membershipDAO.importProposal(proposal.name, proposal.cost, duration)).wait();
+
+		const voters = proposal.voters.filter((voter) => members.has(voter));
+		for (let i = 0; i < voters.length; i += batchSize) {
+			await (await membershipDAO.importVotes(id, voters.slice(i, i + batchSize))).wait();
+		}
+		proposals.push({ from: proposal.id, to: id, voters });
+	}
+
+	if (votingDelay > 0n) {
+		await (await membershipDAO.setVotingSettings(votingDelay, ...settings)).wait();
+	}
+
+	return { tierIds, memberships: members.size, deposits: legacyDAO ? deposits : 0n, proposals };
+}
+
+module.exports = { DEFAULT_DURATION, readMembershipState, replayMembershipState };
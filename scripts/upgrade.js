@@ -0,0 +1,31 @@
+const hre = require("hardhat");
+const { readDeployment, writeDeployment } = require("./deployment");
+const { readStorageLayout, writeStorageLayout, upgradeMembershipDAO } = require("./upgrades");
+
+async function main() {
+	const { chainId } = await hre.ethers.provider.getNetwork();
+	const deployment = readDeployment(chainId);
+	if (!deployment || !deployment.implementation) {
+		throw new Error(`No MembershipDAO proxy recorded for chain ${chainId} in src/config.json, deploy with DEPLOY_UPGRADEABLE=true`);
+	}
+
+	// The layout recorded when the current implementation was deployed
+	const previousLayout = readStorageLayout(chainId);
+	if (!previousLayout) {
+		throw new Error(`No storage layout recorded for chain ${chainId} in ignition/layouts`);
+	}
+
+	// Refuses to upgrade if the new implementation would move existing state
+	const { implementation, layout } = await upgradeMembershipDAO(hre, { proxy: deployment.address, previousLayout });
+	console.log(`Upgraded ${deployment.address} to the implementation at ${implementation}`);
+
+	const { abi } = await hre.artifacts.readArtifact("MembershipDAOUpgradeable");
+	writeDeployment({ ...deployment, chainId, implementation, abi });
+	writeStorageLayout(chainId, layout);
+	console.log(`Recorded it in src/config.json and its storage layout in ignition/layouts/chain-${chainId}.json`);
+}
+
+main().catch((error) => {
+	console.error(error);
+	process.exitCode = 1;
+});
@@ -0,0 +1,189 @@
+const fs = require("fs");
+const path = require("path");
+const { dataSlice, getAddress } = require("ethers");
+
+const { getMembershipDAOFactory } = require("./libraries");
+
+const CONTRACT_NAME = "MembershipDAOUpgradeable";
+const LAYOUTS_DIR = path.join(__dirname, "..", "ignition", "layouts");
+
+// ERC-1967 slots the proxy keeps its implementation and admin in
+const IMPLEMENTATION_SLOT = "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc";
+const ADMIN_SLOT = "0xb53127684a568b3173ae13b9f8a6016e243e63b6e8ee1178d6a717850b5d6103";
+
+/**
+ * Describe a type of the compiler's storage layout output by what it is rather than its
+ * AST id, which changes between compilations: its label and size, and the members of a
+ * struct, the key and value of a mapping or the base of an array.
+ */
+function describeType(types, id) {
+	const type = types[id];
+	const description = { label: type.label, numberOfBytes: type.numberOfBytes };
+
+	if (type.members) {
+		description.members = type.members.map((member) => ({
+			label: member.label,
+			slot: member.slot,
+			offset: member.offset,
+			type: describeType(types, member.type)
+		}));
+	}
+	if (type.key) {
+		description.key = describeType(types, type.key);
+		description.value = describeType(types, type.value);
+	}
+	if (type.base) {
+		description.base = describeType(types, type.base);
+	}
+	return description;
+}
+
+/**
+ * Returns the storage layout of a compiled contract, MembershipDAOUpgradeable by default:
+ * each state variable in declaration order with its slot, offset and type.
+ * Needs `storageLayout` in the compiler's output selection, see hardhat.config.js.
+ */
+async function getStorageLayout(hre, contractName = CONTRACT_NAME) {
+	const { sourceName } = await hre.artifacts.readArtifact(contractName);
+	const buildInfo = await hre.artifacts.getBuildInfo(`${sourceName}:${contractName}`);
+	const { storageLayout } = buildInfo.output.contracts[sourceName][contractName];
+	if (!storageLayout) {
+		throw new Error(`No storage layout in the build of ${contractName}, recompile with storageLayout in the output selection`);
+	}
+
+	return storageLayout.storage.map((variable) => ({
+		label: variable.label,
+		slot: variable.slot,
+		offset: variable.offset,
+		type: describeType(storageLayout.types, variable.type)
+	}));
+}
+
+/**
+ * Compare two type descriptions, returning why `next` can't take the place of `previous`
+ * or null if it can. Structs held in a mapping may gain members at the end, their
+ * storage is not followed by anything else.
+ */
+function compareTypes(previous, next, appendable = false) {
+	if (previous.label !== next.label) {
+		return `type changed from ${previous.label} to ${next.label}`;
+	}
+
+	if (previous.members) {
+		const members = next.members || [];
+		if (members.length < previous.members.length || (!appendable && previous.numberOfBytes !== next.numberOfBytes)) {
+			return `members of ${previous.label} changed size`;
+		}
+		for (let i = 0; i < previous.members.length; i++) {
+			const [before, after] = [previous.members[i], members[i]];
+			if (before.label !== after.label || before.slot !== after.slot || before.offset !== after.offset) {
+				return `member ${before.label} of ${previous.label} moved or was replaced by ${after.label}`;
+			}
+			const problem = compareTypes(before.type, after.type);
+			if (problem) {
+				return `member ${before.label}: ${problem}`;
+			}
+		}
+		return null;
+	}
+
+	if (previous.numberOfBytes !== next.numberOfBytes) {
+		return `${previous.label} changed size from ${previous.numberOfBytes} to ${next.numberOfBytes} bytes`;
+	}
+	if (previous.key) {
+		return compareTypes(previous.key, next.key) || compareTypes(previous.value, next.value, true);
+	}
+	if (previous.base) {
+		return compareTypes(previous.base, next.base);
+	}
+	return null;
+}
+
+/**
+ * Check an implementation with storage layout `next` can replace one with layout `previous`:
+ * every existing state variable keeps its name, slot, offset and type, and new variables
+ * only come after them. Returns the problems found, empty if the upgrade is safe.
+ */
+function compareStorageLayouts(previous, next) {
+	const problems = [];
+
+	previous.forEach((variable, index) => {
+		const replacement = next[index];
+		if (!replacement) {
+			problems.push(`${variable.label} (slot ${variable.slot}) was removed`);
+		} else if (replacement.label !== variable.label) {
+			problems.push(`${variable.label} (slot ${variable.slot}) was replaced by ${replacement.label}`);
+		} else if (replacement.slot !== variable.slot || replacement.offset !== variable.offset) {
+			problems.push(
+				`${variable.label} moved from slot ${variable.slot} offset ${variable.offset} to slot ${replacement.slot} offset ${replacement.offset}`
+			);
+		} else {
+			const problem = compareTypes(variable.type, replacement.type);
+			if (problem) {
+				problems.push(`${variable.label} (slot ${variable.slot}): ${problem}`);
+			}
+		}
+	});
+	return problems;
+}
+
+/**
+ * Read the storage layout recorded for the proxy on `chainId`, or null if there is none.
+ */
+function readStorageLayout(chainId, { layoutsDir = LAYOUTS_DIR } = {}) {
+	const file = path.join(layoutsDir, `chain-${chainId}.json`);
+	return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : null;
+}
+
+/**
+ * Record the storage layout of the implementation the proxy on `chainId` runs,
+ * which the next upgrade is checked against.
+ */
+function writeStorageLayout(chainId, layout, { layoutsDir = LAYOUTS_DIR } = {}) {
+	fs.mkdirSync(layoutsDir, { recursive: true });
+	fs.writeFileSync(path.join(layoutsDir, `chain-${chainId}.json`), `${JSON.stringify(layout, null, "\t")}\n`);
+}
+
+/**
+ * Returns the implementation and ProxyAdmin addresses of a proxy, read from its ERC-1967 slots.
+ */
+async function readProxy(provider, proxy) {
+	const [implementation, admin] = await Promise.all([
+		provider.getStorage(proxy, IMPLEMENTATION_SLOT),
+		provider.getStorage(proxy, ADMIN_SLOT)
+	]);
+	return { implementation: getAddress(dataSlice(implementation, 12)), proxyAdmin: getAddress(dataSlice(admin, 12)) };
+}
+
+/**
+ * Upgrade the MembershipDAO proxy at `proxy` to a new MembershipDAOUpgradeable implementation.
+ * The storage layout of the compiled contract is checked against `previousLayout` first and the
+ * upgrade is refused if it would move or retype existing state. `signer` must own the ProxyAdmin.
+ * Returns the new implementation address and its storage layout, to record for the next upgrade.
+ */
+async function upgradeMembershipDAO(hre, { proxy, previousLayout, signer }) {
+	const layout = await getStorageLayout(hre);
+	const problems = compareStorageLayouts(previousLayout, layout);
+	if (problems.length > 0) {
+		throw new Error(`The storage layout of ${CONTRACT_NAME} is not compatible with the deployed one:\n- ${problems.join("\n- ")}`);
+	}
+
+	const factory = await getMembershipDAOFactory(CONTRACT_NAME, signer);
+	const implementation = await factory.deploy();
+	await implementation.waitForDeployment();
+
+	const { proxyAdmin } = await readProxy(hre.ethers.provider, proxy);
+	const admin = await hre.ethers.getContractAt("ProxyAdmin", proxyAdmin, signer);
+	await (await admin.upgradeAndCall(proxy, implementation, "0x")).wait();
+
+	return { implementation: await implementation.getAddress(), layout };
+}
+
+module.exports = {
+	getStorageLayout,
+	compareStorageLayouts,
+	readStorageLayout,
+	writeStorageLayout,
+	readProxy,
+	upgradeMembershipDAO
+};
@@ -1,23 +1,126 @@
-import logo from './logo.svg';
+import { useCallback, useEffect, useState } from 'react';
+import { ethers } from 'ethers';
 import './App.css';
 
+// Components
+import Navigation from './components/Navigation';
+import Memberships from './components/Memberships';
+import Proposals from './components/Proposals';
+import Analytics from './components/Analytics';
+import Admin from './components/Admin';
+
+// ABIs
+import MEMBERSHIP_DAO_ABI from './abis/membershipDAO.json';
+import MEMBERSHIP_BALLOTS_ABI from './abis/membershipBallots.json';
+
+// Utils
+import { loadAccountRoles } from './utils/roles';
+
+// Config
+import config from './config.json';
+
 function App() {
+  const [provider, setProvider] = useState(null);
+  const [membershipDAO, setMembershipDAO] = useState(null);
+  const [membershipBallots, setMembershipBallots] = useState(null);
+  const [account, setAccount] = useState(null);
+  const [roles, setRoles] = useState([]);
+  const [error, setError] = useState(null);
+  const [page, setPage] = useState('memberships');
+
+  const loadBlockchainData = useCallback(async () => {
+    // Browser wallet is required to talk to the contract
+    if (!window.ethereum) {
+      setError('No browser wallet detected. Install MetaMask to continue.');
+      return;
+    }
+
+    const provider = new ethers.BrowserProvider(window.ethereum);
+    setProvider(provider);
+
+    // Resolve the contract address for the connected chain
+    const { chainId } = await provider.getNetwork();
+    const deployment = config[chainId.toString()];
+
+    if (!deployment) {
+      setMembershipDAO(null);
+      setError(`MembershipDAO is not deployed on chain ${chainId}.`);
+      return;
+    }
+
+    const membershipDAO = new ethers.Contract(deployment.MembershipDAO.address, MEMBERSHIP_DAO_ABI, provider);
+    setMembershipDAO(membershipDAO);
+
+    // Signed ballots go through the MembershipBallots contract, when it is deployed
+    setMembershipBallots(
+      deployment.MembershipBallots ? new ethers.Contract(deployment.MembershipBallots.address, MEMBERSHIP_BALLOTS_ABI, provider) : null
+    );
+    setError(null);
+
+    // Pick up an account the wallet has already authorised
+    const accounts = await window.ethereum.request({ method: 'eth_accounts' });
+    setAccount(accounts.length > 0 ? ethers.getAddress(accounts[0]) : null);
+  }, []);
+
+  useEffect(() => {
+    loadBlockchainData();
+
+    if (!window.ethereum) {
+      return;
+    }
+
+    // Reload when the user switches network or account
+    const accountsChanged = (accounts) => {
+      setAccount(accounts.length > 0 ? ethers.getAddress(accounts[0]) : null);
+    };
+    const chainChanged = () => {
+      loadBlockchainData();
+    };
+
+    window.ethereum.on('accountsChanged', accountsChanged);
+    window.ethereum.on('chainChanged', chainChanged);
+
+    return () => {
+      window.ethereum.removeListener('accountsChanged', accountsChanged);
+      window.ethereum.removeListener('chainChanged', chainChanged);
+    };
+  }, [loadBlockchainData]);
+
+  // The Admin page is shown to accounts holding any role
+  useEffect(() => {
+    if (!membershipDAO || !account) {
+      setRoles([]);
+      return;
+    }
+
+    loadAccountRoles(membershipDAO, account).then(setRoles);
+  }, [membershipDAO, account]);
+
+  const isAdmin = roles.length > 0;
+
   return (
     <div className="App">
-      <header className="App-header">
-        <img src={logo} className="App-logo" alt="logo" />
-        <p>
-          Edit <code>src/App.js</code> and save to reload.
-        </p>
-        <a
-          className="App-link"
-          href="https://reactjs.org"
-          target="_blank"
-          rel="noopener noreferrer"
-        >
-          Learn React
-        </a>
-      </header>
+      <Navigation account={account} setAccount={setAccount} page={page} setPage={setPage} isAdmin={isAdmin} />
+
+      <main className="App-main">
+        {error && <p className="App-error">{error}</p>}
+
+        {membershipDAO && page === 'memberships' && (
+          <Memberships provider={provider} membershipDAO={membershipDAO} account={account} />
+        )}
+
+        {membershipDAO && page === 'governance' && (
+          <Proposals provider={provider} membershipDAO={membershipDAO} membershipBallots={membershipBallots} account={account} />
+        )}
+
+        {membershipDAO && page === 'analytics' && (
+          <Analytics provider={provider} membershipDAO={membershipDAO} />
+        )}
+
+        {membershipDAO && isAdmin && page === 'admin' && (
+          <Admin provider={provider} membershipDAO={membershipDAO} roles={roles} />
+        )}
+      </main>
     </div>
   );
 }
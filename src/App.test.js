@@ -1,8 +1,8 @@
 import { render, screen } from '@testing-library/react';
 import App from './App';
 
-test('renders learn react link', () => {
+test('asks for a browser wallet when none is injected', async () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  expect(await screen.findByText(/no browser wallet detected/i)).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: /connect/i })).toBeDisabled();
 });
@@ -0,0 +1,502 @@
+import { useCallback, useEffect, useState } from 'react';
+import { ethers } from 'ethers';
+
+import decodeError from '../utils/decodeError';
+import { loadAsset } from '../utils/erc20';
+import { ROLES, loadRoleHolders } from '../utils/roles';
+
+// Render a call the way it will be sent, e.g. listMembership("Gold", 4000000000000000000)
+const formatArg = (arg) => {
+  if (Array.isArray(arg)) {
+    return `[${arg.map(formatArg).join(', ')}]`;
+  }
+  return typeof arg === 'string' ? JSON.stringify(arg) : arg.toString();
+};
+
+const formatCall = ({ method, args }) => `${method}(${args.map(formatArg).join(', ')})`;
+
+const DAY = 24 * 60 * 60;
+
+const Admin = ({ provider, membershipDAO, roles = [] }) => {
+  const [treasury, setTreasury] = useState({ balance: 0n, reserved: 0n, surplus: 0n });
+  const [holders, setHolders] = useState({});
+  const [isPaused, setIsPaused] = useState(false);
+  const [roleName, setRoleName] = useState('TIER_MANAGER_ROLE');
+  const [roleAccount, setRoleAccount] = useState('');
+  const [tierName, setTierName] = useState('');
+  const [tierCost, setTierCost] = useState('');
+  const [tierDuration, setTierDuration] = useState('365');
+  const [tierToken, setTierToken] = useState('');
+  const [policyTier, setPolicyTier] = useState('');
+  const [policy, setPolicy] = useState('0');
+  const [modeTier, setModeTier] = useState('');
+  const [transferMode, setTransferMode] = useState('0');
+  const [approvalFrom, setApprovalFrom] = useState('');
+  const [approvalTo, setApprovalTo] = useState('');
+  const [approvalTier, setApprovalTier] = useState('');
+  const [saleTier, setSaleTier] = useState('');
+  const [saleMaxSupply, setSaleMaxSupply] = useState('0');
+  const [saleStart, setSaleStart] = useState('');
+  const [saleEnd, setSaleEnd] = useState('');
+  const [saleRoot, setSaleRoot] = useState('');
+  const [statusTier, setStatusTier] = useState('');
+  const [tierStatus, setTierStatus] = useState('0');
+  const [costTier, setCostTier] = useState('');
+  const [newCost, setNewCost] = useState('');
+  const [referralTier, setReferralTier] = useState('');
+  const [referralDiscount, setReferralDiscount] = useState('');
+  const [referralReward, setReferralReward] = useState('');
+  const [weightTier, setWeightTier] = useState('');
+  const [weight, setWeight] = useState('1');
+  const [proposalName, setProposalName] = useState('');
+  const [proposalCost, setProposalCost] = useState('');
+  const [proposalDuration, setProposalDuration] = useState('365');
+  const [withdrawAsset, setWithdrawAsset] = useState('');
+  const [withdrawAmount, setWithdrawAmount] = useState('');
+  const [payeeAccounts, setPayeeAccounts] = useState('');
+  const [payeeShares, setPayeeShares] = useState('');
+  const [limitAsset, setLimitAsset] = useState('');
+  const [limitAmount, setLimitAmount] = useState('');
+  const [spendingDescription, setSpendingDescription] = useState('');
+  const [spendingAsset, setSpendingAsset] = useState('');
+  const [spendingAmount, setSpendingAmount] = useState('');
+  const [pending, setPending] = useState(null);
+  const [isWaiting, setIsWaiting] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  // ETH held by the contract, the part reserved for refunds and the withdrawable rest
+  const loadTreasury = useCallback(async () => {
+    setTreasury({
+      balance: await provider.getBalance(await membershipDAO.getAddress()),
+      reserved: await membershipDAO.reservedDeposits(ethers.ZeroAddress),
+      surplus: await membershipDAO.surplus(ethers.ZeroAddress)
+    });
+  }, [provider, membershipDAO]);
+
+  const loadRoles = useCallback(async () => {
+    setHolders(await loadRoleHolders(membershipDAO, provider));
+    setIsPaused(await membershipDAO.paused());
+  }, [provider, membershipDAO]);
+
+  useEffect(() => {
+    loadTreasury();
+    loadRoles();
+  }, [loadTreasury, loadRoles]);
+
+  // Convert an amount typed by the owner into the asset's smallest unit, wei for ETH
+  const toUnits = (amount, asset = { symbol: 'ETH', decimals: 18 }) => {
+    try {
+      return ethers.parseUnits(amount, asset.decimals);
+    } catch {
+      setMessage(`"${amount}" is not a valid ${asset.symbol} amount.`);
+      return null;
+    }
+  };
+
+  // Resolve an asset field, blank for ETH, and convert the amount typed for it
+  const toAssetAmount = async (assetInput, amount) => {
+    const address = assetInput.trim() || ethers.ZeroAddress;
+    if (!ethers.isAddress(address)) {
+      setMessage(`${address} is not a valid token address.`);
+      return null;
+    }
+
+    let asset;
+    try {
+      asset = await loadAsset(address, provider);
+    } catch {
+      setMessage(`${address} is not an ERC-20 token.`);
+      return null;
+    }
+
+    const value = toUnits(amount, asset);
+    return value === null ? null : { address, value };
+  };
+
+  // A blank payment token lists the tier in ETH
+  const listHandler = async (e) => {
+    e.preventDefault();
+    setMessage(null);
+
+    const payment = await toAssetAmount(tierToken, tierCost);
+    if (payment === null) {
+      return;
+    }
+
+    // Durations are entered in days and stored in seconds
+    const duration = ethers.getBigInt(Math.round(Number(tierDuration) * DAY));
+
+    setPending({ method: 'listMembership', args: [tierName, payment.value, duration, payment.address], value: 0n });
+  };
+
+  const policyHandler = (e) => {
+    e.preventDefault();
+    setMessage(null);
+    setPending({ method: 'setRefundPolicy', args: [ethers.getBigInt(policyTier), ethers.getBigInt(policy)], value: 0n });
+  };
+
+  const transferModeHandler = (e) => {
+    e.preventDefault();
+    setMessage(null);
+    setPending({ method: 'setTransferMode', args: [ethers.getBigInt(modeTier), ethers.getBigInt(transferMode)], value: 0n });
+  };
+
+  // Blank dates leave the sale open on that side, a blank root opens the tier to everyone
+  const saleHandler = (e) => {
+    e.preventDefault();
+    setMessage(null);
+
+    const root = saleRoot.trim() || ethers.ZeroHash;
+    if (!ethers.isHexString(root, 32)) {
+      setMessage('Allowlist root must be a 32 byte hex string.');
+      return;
+    }
+
+    const toTimestamp = (date) => ethers.getBigInt(date ? Math.floor(new Date(date).getTime() / 1000) : 0);
+
+    setPending({
+      method: 'setTierSale',
+      args: [ethers.getBigInt(saleTier), ethers.getBigInt(saleMaxSupply), toTimestamp(saleStart), toTimestamp(saleEnd), root],
+      value: 0n
+    });
+  };
+
+  const statusHandler = (e) => {
+    e.preventDefault();
+    setMessage(null);
+    setPending({ method: 'setTierStatus', args: [ethers.getBigInt(statusTier), ethers.getBigInt(tierStatus)], value: 0n });
+  };
+
+  // The new cost is entered in the tier's own payment asset
+  const costHandler = async (e) => {
+    e.preventDefault();
+    setMessage(null);
+
+    const membershipId = ethers.getBigInt(costTier);
+    const membership = await membershipDAO.memberships(membershipId);
+    const cost = toUnits(newCost, await loadAsset(membership.paymentToken, provider));
+    if (cost !== null) {
+      setPending({ method: 'setMembershipCost', args: [membershipId, cost], value: 0n });
+    }
+  };
+
+  // Discount and reward are entered in percent and sent in basis points
+  const referralHandler = (e) => {
+    e.preventDefault();
+    setMessage(null);
+
+    const toBps = (percent) => ethers.getBigInt(Math.round(Number(percent) * 100));
+
+    setPending({
+      method: 'setReferralTerms',
+      args: [ethers.getBigInt(referralTier), toBps(referralDiscount), toBps(referralReward)],
+      value: 0n
+    });
+  };
+
+  const approveTransferHandler = (e) => {
+    e.preventDefault();
+    setMessage(null);
+
+    if (!ethers.isAddress(approvalFrom) || !ethers.isAddress(approvalTo)) {
+      setMessage('Sender and recipient must be valid addresses.');
+      return;
+    }
+
+    setPending({ method: 'approveTransfer', args: [approvalFrom, approvalTo, ethers.getBigInt(approvalTier), true], value: 0n });
+  };
+
+  const weightHandler = (e) => {
+    e.preventDefault();
+    setMessage(null);
+    setPending({ method: 'setVotingWeight', args: [ethers.getBigInt(weightTier), ethers.getBigInt(weight)], value: 0n });
+  };
+
+  const proposeHandler = (e) => {
+    e.preventDefault();
+    setMessage(null);
+
+    const cost = toUnits(proposalCost);
+    if (cost === null) {
+      return;
+    }
+
+    const duration = ethers.getBigInt(Math.round(Number(proposalDuration) * DAY));
+
+    setPending({ method: 'listNewMembership', args: [proposalName, cost, duration], value: 0n });
+  };
+
+  const withdrawHandler = async (e) => {
+    e.preventDefault();
+    setMessage(null);
+
+    const withdrawal = await toAssetAmount(withdrawAsset, withdrawAmount);
+    if (withdrawal !== null) {
+      setPending({ method: 'withdraw', args: [withdrawal.address, withdrawal.value], value: 0n });
+    }
+  };
+
+  // Payees and shares are entered as comma separated lists in the same order
+  const payeesHandler = (e) => {
+    e.preventDefault();
+    setMessage(null);
+
+    const accounts = payeeAccounts.split(',').map((account) => account.trim()).filter(Boolean);
+    const shares = payeeShares.split(',').map((share) => share.trim()).filter(Boolean);
+
+    if (accounts.length !== shares.length || !accounts.every((account) => ethers.isAddress(account))) {
+      setMessage('Enter one valid address per share.');
+      return;
+    }
+
+    setPending({ method: 'setPayees', args: [accounts, shares.map((share) => ethers.getBigInt(share))], value: 0n });
+  };
+
+  const spendingLimitHandler = async (e) => {
+    e.preventDefault();
+    setMessage(null);
+
+    const limit = await toAssetAmount(limitAsset, limitAmount);
+    if (limit !== null) {
+      setPending({ method: 'setSpendingLimit', args: [limit.address, limit.value], value: 0n });
+    }
+  };
+
+  const proposeSpendingHandler = async (e) => {
+    e.preventDefault();
+    setMessage(null);
+
+    const spending = await toAssetAmount(spendingAsset, spendingAmount);
+    if (spending !== null) {
+      setPending({ method: 'proposeSpending', args: [spendingDescription, spending.address, spending.value], value: 0n });
+    }
+  };
+
+  const roleHandler = (method) => {
+    setMessage(null);
+
+    if (!ethers.isAddress(roleAccount)) {
+      setMessage('Account must be a valid address.');
+      return;
+    }
+
+    setPending({ method, args: [ROLES[roleName], roleAccount], value: 0n });
+  };
+
+  const pauseHandler = () => {
+    setMessage(null);
+    setPending({ method: isPaused ? 'unpause' : 'pause', args: [], value: 0n });
+  };
+
+  const confirmHandler = async () => {
+    setIsWaiting(true);
+
+    try {
+      const signer = await provider.getSigner();
+      const transaction = await membershipDAO.connect(signer)[pending.method](...pending.args, { value: pending.value });
+      await transaction.wait();
+
+      setMessage(`${pending.method} confirmed.`);
+      setTierName('');
+      setTierCost('');
+      setTierToken('');
+      setNewCost('');
+      setProposalName('');
+      setProposalCost('');
+      setWithdrawAmount('');
+      setSpendingDescription('');
+      setSpendingAmount('');
+    } catch (error) {
+      setMessage(decodeError(error, membershipDAO));
+    }
+
+    setPending(null);
+    await loadTreasury();
+    await loadRoles();
+    setIsWaiting(false);
+  };
+
+  return (
+    <section className="Admin">
+      <h2>Admin</h2>
+      <p>Your roles: {roles.join(', ') || 'none'}</p>
+
+      <div className="Admin-roles">
+        <h3>Roles</h3>
+        <table>
+          <tbody>
+            {Object.keys(ROLES).map((name) => (
+              <tr key={name}>
+                <td>{name}</td>
+                <td>{(holders[name] || []).join(', ') || '-'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <select value={roleName} onChange={(e) => setRoleName(e.target.value)}>
+          {Object.keys(ROLES).map((name) => (
+            <option key={name} value={name}>{name}</option>
+          ))}
+        </select>
+        <input type="text" placeholder="Account" value={roleAccount} onChange={(e) => setRoleAccount(e.target.value)} />
+        <button type="button" onClick={() => roleHandler('grantRole')} disabled={isWaiting}>Grant</button>
+        <button type="button" onClick={() => roleHandler('revokeRole')} disabled={isWaiting}>Revoke</button>
+      </div>
+
+      <div className="Admin-pause">
+        <p>
+          Purchases and votes are <strong>{isPaused ? 'paused' : 'open'}</strong>. Cancellations and refunds always work.
+        </p>
+        <button type="button" onClick={pauseHandler} disabled={isWaiting}>
+          {isPaused ? 'Unpause' : 'Pause'}
+        </button>
+      </div>
+
+      <div className="Admin-treasury">
+        <p>
+          Contract balance: <strong>{ethers.formatEther(treasury.balance)} ETH</strong>
+        </p>
+        <p>
+          Reserved for refunds: {ethers.formatEther(treasury.reserved)} ETH, withdrawable: {ethers.formatEther(treasury.surplus)} ETH
+        </p>
+      </div>
+
+      <form onSubmit={withdrawHandler}>
+        <h3>Withdraw</h3>
+        <input type="text" placeholder="Asset (blank for ETH)" value={withdrawAsset} onChange={(e) => setWithdrawAsset(e.target.value)} />
+        <input type="text" placeholder="Amount" value={withdrawAmount} onChange={(e) => setWithdrawAmount(e.target.value)} required />
+        <button type="submit" disabled={isWaiting}>Preview</button>
+      </form>
+
+      <form onSubmit={payeesHandler}>
+        <h3>Set payees</h3>
+        <input type="text" placeholder="Addresses, comma separated" value={payeeAccounts} onChange={(e) => setPayeeAccounts(e.target.value)} />
+        <input type="text" placeholder="Shares, comma separated" value={payeeShares} onChange={(e) => setPayeeShares(e.target.value)} />
+        <button type="submit" disabled={isWaiting}>Preview</button>
+      </form>
+
+      <form onSubmit={spendingLimitHandler}>
+        <h3>Set spending limit (per 30 days, 0 for none)</h3>
+        <input type="text" placeholder="Asset (blank for ETH)" value={limitAsset} onChange={(e) => setLimitAsset(e.target.value)} />
+        <input type="text" placeholder="Limit" value={limitAmount} onChange={(e) => setLimitAmount(e.target.value)} required />
+        <button type="submit" disabled={isWaiting}>Preview</button>
+      </form>
+
+      <form onSubmit={proposeSpendingHandler}>
+        <h3>Propose spending above the limit</h3>
+        <input type="text" placeholder="Description" value={spendingDescription} onChange={(e) => setSpendingDescription(e.target.value)} required />
+        <input type="text" placeholder="Asset (blank for ETH)" value={spendingAsset} onChange={(e) => setSpendingAsset(e.target.value)} />
+        <input type="text" placeholder="Amount" value={spendingAmount} onChange={(e) => setSpendingAmount(e.target.value)} required />
+        <button type="submit" disabled={isWaiting}>Preview</button>
+      </form>
+
+      <form onSubmit={listHandler}>
+        <h3>List membership</h3>
+        <input type="text" placeholder="Name" value={tierName} onChange={(e) => setTierName(e.target.value)} required />
+        <input type="text" placeholder="Cost" value={tierCost} onChange={(e) => setTierCost(e.target.value)} required />
+        <input type="number" placeholder="Duration (days)" min="1" value={tierDuration} onChange={(e) => setTierDuration(e.target.value)} required />
+        <input type="text" placeholder="Payment token (blank for ETH)" value={tierToken} onChange={(e) => setTierToken(e.target.value)} />
+        <button type="submit" disabled={isWaiting}>Preview</button>
+      </form>
+
+      <form onSubmit={policyHandler}>
+        <h3>Set refund policy</h3>
+        <input type="number" placeholder="Membership ID" min="0" value={policyTier} onChange={(e) => setPolicyTier(e.target.value)} required />
+        <select value={policy} onChange={(e) => setPolicy(e.target.value)}>
+          <option value="0">Full</option>
+          <option value="1">Pro-rated</option>
+          <option value="2">None</option>
+        </select>
+        <button type="submit" disabled={isWaiting}>Preview</button>
+      </form>
+
+      <form onSubmit={transferModeHandler}>
+        <h3>Set transfer mode</h3>
+        <input type="number" placeholder="Membership ID" min="0" value={modeTier} onChange={(e) => setModeTier(e.target.value)} required />
+        <select value={transferMode} onChange={(e) => setTransferMode(e.target.value)}>
+          <option value="0">Free</option>
+          <option value="1">Soulbound</option>
+          <option value="2">Owner approved</option>
+        </select>
+        <button type="submit" disabled={isWaiting}>Preview</button>
+      </form>
+
+      <form onSubmit={saleHandler}>
+        <h3>Set tier sale</h3>
+        <input type="number" placeholder="Membership ID" min="0" value={saleTier} onChange={(e) => setSaleTier(e.target.value)} required />
+        <input type="number" placeholder="Max supply (0 for no cap)" min="0" step="1" value={saleMaxSupply} onChange={(e) => setSaleMaxSupply(e.target.value)} required />
+        <input type="datetime-local" title="Sale start (blank for now)" value={saleStart} onChange={(e) => setSaleStart(e.target.value)} />
+        <input type="datetime-local" title="Sale end (blank for no end)" value={saleEnd} onChange={(e) => setSaleEnd(e.target.value)} />
+        <input type="text" placeholder="Allowlist root (blank for anyone)" value={saleRoot} onChange={(e) => setSaleRoot(e.target.value)} />
+        <button type="submit" disabled={isWaiting}>Preview</button>
+      </form>
+
+      <form onSubmit={statusHandler}>
+        <h3>Set tier status</h3>
+        <input type="number" placeholder="Membership ID" min="0" value={statusTier} onChange={(e) => setStatusTier(e.target.value)} required />
+        <select value={tierStatus} onChange={(e) => setTierStatus(e.target.value)}>
+          <option value="0">Active</option>
+          <option value="1">Paused</option>
+          <option value="2">Retired (permanent)</option>
+        </select>
+        <button type="submit" disabled={isWaiting}>Preview</button>
+      </form>
+
+      <form onSubmit={costHandler}>
+        <h3>Set membership cost</h3>
+        <input type="number" placeholder="Membership ID" min="0" value={costTier} onChange={(e) => setCostTier(e.target.value)} required />
+        <input type="text" placeholder="Cost" value={newCost} onChange={(e) => setNewCost(e.target.value)} required />
+        <button type="submit" disabled={isWaiting}>Preview</button>
+      </form>
+
+      <form onSubmit={referralHandler}>
+        <h3>Set referral terms</h3>
+        <input type="number" placeholder="Membership ID" min="0" value={referralTier} onChange={(e) => setReferralTier(e.target.value)} required />
+        <input type="number" placeholder="Buyer discount (%)" min="0" max="100" step="0.01" value={referralDiscount} onChange={(e) => setReferralDiscount(e.target.value)} required />
+        <input type="number" placeholder="Referrer reward (%)" min="0" max="100" step="0.01" value={referralReward} onChange={(e) => setReferralReward(e.target.value)} required />
+        <button type="submit" disabled={isWaiting}>Preview</button>
+      </form>
+
+      <form onSubmit={approveTransferHandler}>
+        <h3>Approve transfer</h3>
+        <input type="text" placeholder="From address" value={approvalFrom} onChange={(e) => setApprovalFrom(e.target.value)} required />
+        <input type="text" placeholder="To address" value={approvalTo} onChange={(e) => setApprovalTo(e.target.value)} required />
+        <input type="number" placeholder="Membership ID" min="0" value={approvalTier} onChange={(e) => setApprovalTier(e.target.value)} required />
+        <button type="submit" disabled={isWaiting}>Preview</button>
+      </form>
+
+      <form onSubmit={weightHandler}>
+        <h3>Set voting weight</h3>
+        <input type="number" placeholder="Membership ID" min="0" value={weightTier} onChange={(e) => setWeightTier(e.target.value)} required />
+        <input type="number" placeholder="Weight" min="0" step="1" value={weight} onChange={(e) => setWeight(e.target.value)} required />
+        <button type="submit" disabled={isWaiting}>Preview</button>
+      </form>
+
+      <form onSubmit={proposeHandler}>
+        <h3>Propose new membership</h3>
+        <input type="text" placeholder="Name" value={proposalName} onChange={(e) => setProposalName(e.target.value)} required />
+        <input type="text" placeholder="Cost (ETH)" value={proposalCost} onChange={(e) => setProposalCost(e.target.value)} required />
+        <input type="number" placeholder="Duration (days)" min="1" value={proposalDuration} onChange={(e) => setProposalDuration(e.target.value)} required />
+        <button type="submit" disabled={isWaiting}>Preview</button>
+      </form>
+
+      {pending && (
+        <div className="Admin-preview">
+          <h3>Confirm transaction</h3>
+          <code>{formatCall(pending)}</code>
+          <p>Value: {ethers.formatEther(pending.value)} ETH</p>
+          <button type="button" onClick={confirmHandler} disabled={isWaiting}>
+            Send
+          </button>
+          <button type="button" onClick={() => setPending(null)} disabled={isWaiting}>
+            Cancel
+          </button>
+        </div>
+      )}
+
+      {message && <p className="Admin-message">{message}</p>}
+    </section>
+  );
+};
+
+export default Admin;
@@ -0,0 +1,68 @@
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { ethers } from 'ethers';
+import Admin from './Admin';
+
+const admin = '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266';
+const pauser = '0x90F79bf6EB2c4f870365E785982E1f101E93b906';
+
+const provider = { getBalance: async () => 1000000000000000000n, getBlockNumber: async () => 10 };
+const membershipDAO = {
+  getAddress: async () => '0x5FbDB2315678afecb367f032d93F642f64180aa3',
+  reservedDeposits: async () => 400000000000000000n,
+  surplus: async () => 600000000000000000n,
+  paused: async () => false,
+  filters: { RoleGranted: () => 'RoleGranted', RoleRevoked: () => 'RoleRevoked' },
+  queryFilter: async (filter) => (filter === 'RoleGranted' ? [
+    { fragment: { name: 'RoleGranted' }, blockNumber: 1, index: 0, args: { role: ethers.ZeroHash, account: admin } },
+    { fragment: { name: 'RoleGranted' }, blockNumber: 1, index: 1, args: { role: ethers.id('PAUSER_ROLE'), account: admin } },
+    { fragment: { name: 'RoleGranted' }, blockNumber: 2, index: 0, args: { role: ethers.id('PAUSER_ROLE'), account: pauser } }
+  ] : [
+    { fragment: { name: 'RoleRevoked' }, blockNumber: 3, index: 0, args: { role: ethers.id('PAUSER_ROLE'), account: admin } }
+  ])
+};
+
+test('previews an ETH listMembership call with the cost in wei', async () => {
+  render(<Admin provider={provider} membershipDAO={membershipDAO} />);
+  expect(await screen.findByText('1.0 ETH')).toBeInTheDocument();
+
+  const [nameInput] = screen.getAllByPlaceholderText('Name');
+  const [costInput] = screen.getAllByPlaceholderText('Cost');
+  userEvent.type(nameInput, 'Gold');
+  userEvent.type(costInput, '4{enter}');
+
+  expect(await screen.findByText('listMembership("Gold", 4000000000000000000, 31536000, "0x0000000000000000000000000000000000000000")')).toBeInTheDocument();
+  expect(screen.getByText('Value: 0.0 ETH')).toBeInTheDocument();
+});
+
+test('shows the reserved deposits and previews payee splits', async () => {
+  render(<Admin provider={provider} membershipDAO={membershipDAO} />);
+  expect(await screen.findByText('Reserved for refunds: 0.4 ETH, withdrawable: 0.6 ETH')).toBeInTheDocument();
+
+  userEvent.type(screen.getByPlaceholderText('Addresses, comma separated'), '0x70997970C51812dc3A010C7d01b50e0d17dc79C8, 0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC');
+  userEvent.type(screen.getByPlaceholderText('Shares, comma separated'), '3, 1{enter}');
+
+  expect(await screen.findByText('setPayees(["0x70997970C51812dc3A010C7d01b50e0d17dc79C8", "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC"], [3, 1])')).toBeInTheDocument();
+});
+
+test('lists the current holders of each role', async () => {
+  render(<Admin provider={provider} membershipDAO={membershipDAO} roles={['DEFAULT_ADMIN_ROLE']} />);
+
+  expect(await screen.findByText(pauser)).toBeInTheDocument();
+  expect(screen.getByText(admin)).toBeInTheDocument();
+  expect(screen.getByText('Your roles: DEFAULT_ADMIN_ROLE')).toBeInTheDocument();
+});
+
+test('previews a capped, allowlisted tier sale', async () => {
+  render(<Admin provider={provider} membershipDAO={membershipDAO} />);
+  expect(await screen.findByText('1.0 ETH')).toBeInTheDocument();
+
+  const root = ethers.id('allowlist');
+  userEvent.clear(screen.getByPlaceholderText('Max supply (0 for no cap)'));
+  userEvent.type(screen.getByPlaceholderText('Max supply (0 for no cap)'), '100');
+  userEvent.type(screen.getByPlaceholderText('Allowlist root (blank for anyone)'), root);
+  const saleTier = screen.getAllByPlaceholderText('Membership ID')[2];
+  userEvent.type(saleTier, '0{enter}');
+
+  expect(await screen.findByText(`setTierSale(0, 100, 0, 0, "${root}")`)).toBeInTheDocument();
+});
@@ -0,0 +1,250 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { ethers } from 'ethers';
+
+import { loadAsset } from '../utils/erc20';
+import {
+  EXPORT_COLUMNS,
+  dayEnd,
+  dayStart,
+  exportRows,
+  exportTotals,
+  loadAnalyticsEvents,
+  proposalTurnout,
+  replayAnalytics,
+  toCsv,
+  voterParticipation,
+  weeklyReport
+} from '../utils/analytics';
+
+const DAY = 24 * 60 * 60;
+
+// Date input value of a timestamp, in UTC
+const toDate = (timestamp) => new Date(timestamp * 1000).toISOString().slice(0, 10);
+
+const formatPercent = (share) => `${Math.round(share * 100)}%`;
+
+// Bars of a weekly figure, labelled with the start of each week. Values may be numbers or wei amounts
+const BarChart = ({ title, weeks, value, format = (v) => v.toString() }) => {
+  const values = weeks.map(value);
+  const heights = values.map(Number);
+  const max = Math.max(...heights, 1);
+  const top = values.reduce((a, b) => (b > a ? b : a), values[0]);
+  const width = 100 / Math.max(weeks.length, 1);
+
+  return (
+    <figure className="Analytics-chart">
+      <figcaption>{title}</figcaption>
+      <svg viewBox="0 0 100 40" preserveAspectRatio="none" role="img" aria-label={title}>
+        {weeks.map((week, i) => (
+          <rect key={week.start} x={i * width + width * 0.1} y={40 - (heights[i] / max) * 40} width={width * 0.8} height={(heights[i] / max) * 40}>
+            <title>{`${toDate(week.start)}: ${format(values[i])}`}</title>
+          </rect>
+        ))}
+      </svg>
+      <div className="Analytics-axis">
+        <span>{weeks.length > 0 && toDate(weeks[0].start)}</span>
+        <span>{weeks.length > 0 && `max ${format(top)}`}</span>
+        <span>{weeks.length > 0 && toDate(weeks[weeks.length - 1].start)}</span>
+      </div>
+    </figure>
+  );
+};
+
+// Save text as a file through a temporary link
+const download = (name, type, content) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = name;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+const Analytics = ({ provider, membershipDAO }) => {
+  const [analytics, setAnalytics] = useState(null);
+  const [assets, setAssets] = useState({});
+  const [from, setFrom] = useState(toDate(Date.now() / 1000 - 12 * 7 * DAY));
+  const [to, setTo] = useState(toDate(Date.now() / 1000));
+  const [message, setMessage] = useState(null);
+
+  const loadAnalytics = useCallback(async () => {
+    try {
+      const analytics = replayAnalytics(await loadAnalyticsEvents(membershipDAO, provider));
+
+      const assets = {};
+      for (const tier of analytics.tiers) {
+        assets[tier.paymentToken] = assets[tier.paymentToken] || (await loadAsset(tier.paymentToken, provider));
+      }
+
+      setAssets(assets);
+      setAnalytics(analytics);
+    } catch (error) {
+      setMessage(`Could not read the contract logs: ${error.shortMessage || error.message}`);
+    }
+  }, [provider, membershipDAO]);
+
+  useEffect(() => {
+    loadAnalytics();
+  }, [loadAnalytics]);
+
+  // Figures for the chosen range, empty until both dates are valid and in order
+  const range = useMemo(() => {
+    const start = dayStart(from);
+    const end = dayEnd(to);
+    if (!analytics || Number.isNaN(start) || Number.isNaN(end) || start > end) {
+      return null;
+    }
+
+    return {
+      start,
+      end,
+      weeks: weeklyReport(analytics, start, end),
+      turnout: proposalTurnout(analytics, start, end),
+      participation: voterParticipation(analytics, start, end),
+      rows: exportRows(analytics, assets, start, end),
+      totals: exportTotals(analytics, assets, start, end)
+    };
+  }, [analytics, assets, from, to]);
+
+  const exportCsv = () => {
+    download(`membershipdao-${from}-${to}.csv`, 'text/csv', toCsv(range.rows, EXPORT_COLUMNS));
+  };
+
+  const exportJson = () => {
+    const report = { from, to, totals: range.totals, rows: range.rows };
+    download(`membershipdao-${from}-${to}.json`, 'application/json', JSON.stringify(report, null, 2));
+  };
+
+  const formatTierAmount = (tier) => (amount) => `${ethers.formatUnits(amount, assets[tier.paymentToken].decimals)} ${assets[tier.paymentToken].symbol}`;
+
+  return (
+    <section className="Analytics">
+      <h2>Analytics</h2>
+
+      <form className="Analytics-range" onSubmit={(e) => e.preventDefault()}>
+        <label>
+          From <input type="date" value={from} onChange={(e) => setFrom(e.target.value)} />
+        </label>
+        <label>
+          To <input type="date" value={to} onChange={(e) => setTo(e.target.value)} />
+        </label>
+        <button type="button" onClick={exportCsv} disabled={!range}>
+          Export CSV
+        </button>
+        <button type="button" onClick={exportJson} disabled={!range}>
+          Export JSON
+        </button>
+      </form>
+
+      {!analytics && !message && <p>Reading the contract logs...</p>}
+      {analytics && !range && <p>Choose a start date on or before the end date.</p>}
+
+      {range && (
+        <>
+          <h3>Totals</h3>
+          {range.totals.length === 0 ? (
+            <p>No payments in this range.</p>
+          ) : (
+            <table>
+              <thead>
+                <tr>
+                  <th>Asset</th>
+                  <th>Revenue</th>
+                  <th>Refunds</th>
+                </tr>
+              </thead>
+              <tbody>
+                {range.totals.map((total) => (
+                  <tr key={total.assetAddress}>
+                    <td>{total.asset}</td>
+                    <td>{total.revenue}</td>
+                    <td>{total.refunds}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          <h3>Over time</h3>
+          <div className="Analytics-charts">
+            {analytics.tiers.map((tier) => (
+              <BarChart
+                key={tier.id}
+                title={`Revenue: ${tier.name}`}
+                weeks={range.weeks}
+                value={(week) => week.revenue[tier.id]}
+                format={formatTierAmount(tier)}
+              />
+            ))}
+            <BarChart title="Active members" weeks={range.weeks} value={(week) => week.activeMembers} />
+            <BarChart title="New purchases" weeks={range.weeks} value={(week) => week.purchases} />
+            <BarChart title="Cancellations" weeks={range.weeks} value={(week) => week.cancellations} />
+            {Object.entries(assets).map(([address, asset]) => (
+              <BarChart
+                key={address}
+                title={`Refunds in ${asset.symbol}`}
+                weeks={range.weeks}
+                value={(week) => week.refunds[address] || 0n}
+                format={(amount) => `${ethers.formatUnits(amount, asset.decimals)} ${asset.symbol}`}
+              />
+            ))}
+          </div>
+
+          <h3>Proposal turnout</h3>
+          {range.turnout.length === 0 ? (
+            <p>No proposals in this range.</p>
+          ) : (
+            <table>
+              <thead>
+                <tr>
+                  <th>ID</th>
+                  <th>Listed</th>
+                  <th>Voters / Members</th>
+                  <th>Turnout</th>
+                </tr>
+              </thead>
+              <tbody>
+                {range.turnout.map((proposal) => (
+                  <tr key={proposal.id}>
+                    <td>{proposal.id}</td>
+                    <td>{toDate(proposal.timestamp)}</td>
+                    <td>{proposal.voters} / {proposal.eligible}</td>
+                    <td>{formatPercent(proposal.turnout)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          <h3>Voter participation</h3>
+          {range.participation.length === 0 ? (
+            <p>No members could vote in this range.</p>
+          ) : (
+            <table>
+              <thead>
+                <tr>
+                  <th>Member</th>
+                  <th>Voted / Proposals</th>
+                  <th>Participation</th>
+                </tr>
+              </thead>
+              <tbody>
+                {range.participation.map((member) => (
+                  <tr key={member.account}>
+                    <td>{member.account}</td>
+                    <td>{member.voted} / {member.eligible}</td>
+                    <td>{formatPercent(member.participation)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </>
+      )}
+
+      {message && <p className="App-error">{message}</p>}
+    </section>
+  );
+};
+
+export default Analytics;
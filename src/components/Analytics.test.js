@@ -0,0 +1,37 @@
+import { render, screen } from '@testing-library/react';
+import { ethers } from 'ethers';
+import Analytics from './Analytics';
+
+const alice = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const bob = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+
+// Blocks a day apart ending now, so the default twelve week range covers them
+const now = Math.floor(Date.now() / 1000);
+const provider = {
+  getBlockNumber: async () => 5,
+  getBlock: async (blockNumber) => ({ timestamp: now - (5 - blockNumber) * 24 * 60 * 60 })
+};
+
+const log = (name, blockNumber, args) => ({ fragment: { name }, blockNumber, index: 0, transactionHash: `0x${blockNumber}`, args });
+const membershipDAO = {
+  getAddress: async () => '0x5FbDB2315678afecb367f032d93F642f64180aa3',
+  queryFilter: async () => [
+    log('MembershipListed', 1, { name: 'Silver', cost: ethers.parseEther('1'), duration: 365n * 86400n, paymentToken: ethers.ZeroAddress }),
+    log('MembershipPurchased', 2, { user: alice, membershipId: 0n }),
+    log('MembershipPurchased', 3, { user: bob, membershipId: 0n }),
+    log('ListedNewMembership', 4, { newMembership: 0n }),
+    log('HasVoted', 5, { user: alice, newMembershipId: 0n }),
+    log('RoleGranted', 1, {})
+  ]
+};
+
+test('shows revenue totals, proposal turnout and voter participation', async () => {
+  render(<Analytics provider={provider} membershipDAO={membershipDAO} />);
+
+  expect(await screen.findByText('2.0')).toBeInTheDocument();
+  expect(screen.getByText('Revenue: Silver')).toBeInTheDocument();
+  expect(screen.getByText('1 / 2')).toBeInTheDocument();
+  expect(screen.getByText('50%')).toBeInTheDocument();
+  expect(screen.getByText(alice)).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'Export CSV' })).toBeEnabled();
+});
@@ -0,0 +1,482 @@
+import { useCallback, useEffect, useState } from 'react';
+import { ethers } from 'ethers';
+
+import { loadProof } from '../utils/allowlist';
+import decodeError from '../utils/decodeError';
+import { ERC20_ABI, formatAmount, loadAsset } from '../utils/erc20';
+import { loadMetadata } from '../utils/metadata';
+import { formatReferralCode, loadReferralCodes, referralLink, referralPrice, toReferralCode } from '../utils/referrals';
+
+const DAY = 24 * 60 * 60;
+
+// Names of the contract RefundPolicy enum values
+const REFUND_POLICIES = ['Full refund', 'Pro-rated refund', 'No refund'];
+
+// Names of the contract TransferMode enum values
+const TRANSFER_MODES = ['Transferable', 'Soulbound', 'Owner approval'];
+
+// Show tier durations in days
+const formatDuration = (duration) => {
+  const days = Number(duration) / DAY;
+  return days === 1 ? '1 day' : `${days} days`;
+};
+
+const formatDate = (timestamp) => new Date(Number(timestamp) * 1000).toLocaleDateString();
+
+// Names of the contract TierStatus enum values
+const TIER_STATUSES = ['Active', 'Paused', 'Retired'];
+
+// Why a tier can't be bought right now, or null if it can
+const saleBlocker = (tier, now) => {
+  if (tier.status !== 'Active') {
+    return tier.status;
+  }
+  if (now < tier.saleStart) {
+    return `On sale ${formatDate(tier.saleStart)}`;
+  }
+  if (tier.saleEnd !== 0 && now >= tier.saleEnd) {
+    return 'Sale ended';
+  }
+  if (tier.maxSupply !== 0n && tier.supply >= tier.maxSupply) {
+    return 'Sold out';
+  }
+  return null;
+};
+
+// Left of a capped tier, e.g. "3 of 10 left"
+const formatSupply = (tier) => (tier.maxSupply === 0n
+  ? `${tier.supply} sold, unlimited`
+  : `${tier.supply < tier.maxSupply ? tier.maxSupply - tier.supply : 0n} of ${tier.maxSupply} left`);
+
+// Every tier a held tier can move to, with the price of the move
+const getUpgradePaths = (tiers, now) => {
+  const paths = [];
+
+  for (const from of tiers.filter((tier) => tier.isActive)) {
+    // Memberships only change within the same payment asset, to tiers on sale without an allowlist
+    const candidates = tiers.filter((tier) => !tier.hasMembership && tier.cost !== from.cost &&
+      tier.asset.address === from.asset.address && !saleBlocker(tier, now) && tier.allowlistRoot === ethers.ZeroHash);
+
+    for (const to of candidates) {
+      paths.push({
+        from,
+        to,
+        isUpgrade: to.cost > from.cost,
+        difference: to.cost > from.cost ? to.cost - from.cost : from.cost - to.cost
+      });
+    }
+  }
+  return paths;
+};
+
+const Memberships = ({ provider, membershipDAO, account }) => {
+  const [tiers, setTiers] = useState([]);
+  const [badges, setBadges] = useState([]);
+  const [transferTier, setTransferTier] = useState('');
+  const [recipient, setRecipient] = useState('');
+  const [giftTier, setGiftTier] = useState('');
+  const [giftRecipient, setGiftRecipient] = useState('');
+  // A ?ref= link fills in the referral code
+  const [referralCode, setReferralCode] = useState(() => new URLSearchParams(window.location.search).get('ref') || '');
+  const [newCode, setNewCode] = useState('');
+  const [referrals, setReferrals] = useState({ codes: [], rewards: [] });
+  const [isWaiting, setIsWaiting] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const loadMemberships = useCallback(async () => {
+    // Walk every listed tier up to totalMemberships
+    const totalMemberships = await membershipDAO.totalMemberships();
+    const tiers = [];
+    const assets = {};
+
+    for (let i = 0; i < totalMemberships; i++) {
+      const membership = await membershipDAO.memberships(i);
+      const sale = await membershipDAO.tierSales(i);
+      const terms = await membershipDAO.referralTerms(i);
+      const hasMembership = account ? await membershipDAO.hasMembership(account, i) : false;
+
+      if (!assets[membership.paymentToken]) {
+        assets[membership.paymentToken] = await loadAsset(membership.paymentToken, provider);
+      }
+
+      tiers.push({
+        id: i,
+        name: membership.name,
+        cost: membership.cost,
+        asset: assets[membership.paymentToken],
+        duration: membership.duration,
+        refundPolicy: Number(membership.refundPolicy),
+        transferMode: Number(membership.transferMode),
+        status: TIER_STATUSES[Number(sale.status)],
+        saleStart: Number(sale.saleStart),
+        saleEnd: Number(sale.saleEnd),
+        maxSupply: sale.maxSupply,
+        allowlistRoot: sale.allowlistRoot,
+        discountBps: terms.discountBps,
+        supply: await membershipDAO.totalSupply(i),
+        hasMembership,
+        isActive: hasMembership && await membershipDAO.isMembershipActive(account, i),
+        expiresAt: hasMembership ? await membershipDAO.expiresAt(account, i) : 0n,
+        refund: hasMembership ? await membershipDAO.refundAmount(account, i) : 0n,
+        balance: account ? await membershipDAO.balanceOf(account, i) : 0n
+      });
+    }
+
+    setTiers(tiers);
+
+    // Badges of the held tiers, from each tier's metadata
+    const badges = [];
+    for (const tier of tiers.filter((tier) => tier.hasMembership)) {
+      const metadata = await loadMetadata(membershipDAO, tier.id);
+      if (metadata && metadata.image) {
+        badges.push({ tier, image: metadata.image, name: metadata.name || tier.name });
+      }
+    }
+    setBadges(badges);
+
+    // The account's referral codes and the rewards it can claim in each asset
+    if (account) {
+      const rewards = [];
+      for (const asset of Object.values(assets)) {
+        const amount = await membershipDAO.referralRewards(account, asset.address);
+        if (amount > 0n) {
+          rewards.push({ asset, amount });
+        }
+      }
+      setReferrals({ codes: await loadReferralCodes(membershipDAO, provider, account), rewards });
+    }
+  }, [provider, membershipDAO, account]);
+
+  useEffect(() => {
+    loadMemberships();
+  }, [loadMemberships]);
+
+  // Token payments need an allowance first, so approve the amount if the current one is too low
+  const sendTransaction = async (action, successMessage, payment = null) => {
+    setIsWaiting(true);
+    setMessage(null);
+
+    try {
+      const signer = await provider.getSigner();
+
+      if (payment && payment.asset.address !== ethers.ZeroAddress) {
+        const token = new ethers.Contract(payment.asset.address, ERC20_ABI, signer);
+        const allowance = await token.allowance(account, await membershipDAO.getAddress());
+
+        if (allowance < payment.amount) {
+          setMessage(`Approving ${formatAmount(payment.amount, payment.asset)}...`);
+          await (await token.approve(await membershipDAO.getAddress(), payment.amount)).wait();
+        }
+      }
+
+      const transaction = await action(membershipDAO.connect(signer));
+      await transaction.wait();
+
+      setMessage(successMessage);
+    } catch (error) {
+      setMessage(decodeError(error, membershipDAO));
+    }
+
+    await loadMemberships();
+    setIsWaiting(false);
+  };
+
+  // ETH tiers need the exact cost as value, token tiers pull it from the allowance
+  const valueFor = (tier, amount) => (tier.asset.address === ethers.ZeroAddress ? amount : 0n);
+
+  // Allowlisted tiers need the account's proof from the allowlist file,
+  // and a referral code buys at the tier's referral price
+  const buyHandler = async (tier) => {
+    let proof = [];
+    if (tier.allowlistRoot !== ethers.ZeroHash) {
+      proof = await loadProof(tier.id, account, tier.allowlistRoot);
+      if (!proof) {
+        setMessage(`${account} is not on the allowlist of ${tier.name}.`);
+        return;
+      }
+    }
+
+    if (referralCode.trim()) {
+      const code = toReferralCode(referralCode);
+      if (!code) {
+        setMessage(`"${referralCode}" is not a valid referral code.`);
+        return;
+      }
+
+      const price = referralPrice(tier.cost, tier.discountBps);
+      sendTransaction(
+        (dao) => dao.buyMembershipWithReferral(tier.id, proof, code, { value: valueFor(tier, price) }),
+        `Purchased ${tier.name} with referral code ${referralCode.trim()}.`,
+        { asset: tier.asset, amount: price }
+      );
+      return;
+    }
+
+    const buy = proof.length > 0
+      ? (dao) => dao.buyMembershipWithProof(tier.id, proof, { value: valueFor(tier, tier.cost) })
+      : (dao) => dao.buyMembership(tier.id, { value: valueFor(tier, tier.cost) });
+    sendTransaction(buy, `Purchased ${tier.name}.`, { asset: tier.asset, amount: tier.cost });
+  };
+
+  const registerCodeHandler = (e) => {
+    e.preventDefault();
+
+    const code = toReferralCode(newCode);
+    if (!code) {
+      setMessage(`"${newCode}" is not a valid referral code, use 1 to 31 characters.`);
+      return;
+    }
+
+    sendTransaction((dao) => dao.registerReferralCode(code), `Registered referral code ${newCode.trim()}.`);
+  };
+
+  const claimHandler = ({ asset, amount }) => {
+    sendTransaction(
+      (dao) => dao.claimReferralRewards(asset.address),
+      `Claimed ${formatAmount(amount, asset)} of referral rewards.`
+    );
+  };
+
+  const renewHandler = (tier) => {
+    sendTransaction(
+      (dao) => dao.renewMembership(tier.id, { value: valueFor(tier, tier.cost) }),
+      `Renewed ${tier.name}.`,
+      { asset: tier.asset, amount: tier.cost }
+    );
+  };
+
+  const cancelHandler = (tier) => {
+    sendTransaction((dao) => dao.cancelMembership(tier.id), `Canceled ${tier.name}.`);
+  };
+
+  // The membership moves with the token, soulbound tiers and unapproved transfers revert
+  const transferHandler = (e) => {
+    e.preventDefault();
+
+    if (!ethers.isAddress(recipient)) {
+      setMessage(`"${recipient}" is not a valid address.`);
+      return;
+    }
+
+    const tier = tiers[Number(transferTier)];
+    sendTransaction(
+      (dao) => dao.safeTransferFrom(account, recipient, tier.id, 1, '0x'),
+      `Transferred ${tier.name} to ${recipient}.`
+    );
+  };
+
+  // Gifts are paid by the account and minted to the recipient, without an allowlist proof
+  const giftHandler = (e) => {
+    e.preventDefault();
+
+    if (!ethers.isAddress(giftRecipient)) {
+      setMessage(`"${giftRecipient}" is not a valid address.`);
+      return;
+    }
+
+    const tier = tiers[Number(giftTier)];
+    sendTransaction(
+      (dao) => dao.buyMembershipFor(giftRecipient, tier.id, { value: valueFor(tier, tier.cost) }),
+      `Gifted ${tier.name} to ${giftRecipient}.`,
+      { asset: tier.asset, amount: tier.cost }
+    );
+  };
+
+  const changeHandler = ({ from, to, isUpgrade, difference }) => {
+    if (isUpgrade) {
+      sendTransaction(
+        (dao) => dao.upgradeMembership(from.id, to.id, { value: valueFor(to, difference) }),
+        `Upgraded to ${to.name}.`,
+        { asset: to.asset, amount: difference }
+      );
+    } else {
+      sendTransaction((dao) => dao.downgradeMembership(from.id, to.id), `Downgraded to ${to.name}.`);
+    }
+  };
+
+  const now = Math.floor(Date.now() / 1000);
+  const isMember = tiers.some((tier) => tier.isActive);
+  const isReferred = referralCode.trim() !== '';
+  const upgradePaths = getUpgradePaths(tiers, now);
+  const transferable = tiers.filter((tier) => tier.hasMembership && TRANSFER_MODES[tier.transferMode] !== 'Soulbound');
+  const giftable = tiers.filter((tier) => !saleBlocker(tier, now) && tier.allowlistRoot === ethers.ZeroHash);
+
+  return (
+    <section className="Memberships">
+      <h2>Memberships</h2>
+
+      {account && (
+        <p className="Memberships-status">
+          Status: <strong>{isMember ? 'Active member' : 'Not an active member'}</strong>
+        </p>
+      )}
+
+      {badges.length > 0 && (
+        <div className="Memberships-badges">
+          {badges.map(({ tier, image, name }) => (
+            <figure key={tier.id} className={tier.isActive ? '' : 'expired'}>
+              <img src={image} alt={`${name} badge`} />
+              <figcaption>{tier.isActive ? name : `${name} (expired)`}</figcaption>
+            </figure>
+          ))}
+        </div>
+      )}
+
+      {tiers.length > 0 && (
+        <p className="Memberships-referral">
+          <input type="text" placeholder="Referral code" value={referralCode} onChange={(e) => setReferralCode(e.target.value)} />
+        </p>
+      )}
+
+      {tiers.length === 0 ? (
+        <p>No memberships listed yet.</p>
+      ) : (
+        <table>
+          <thead>
+            <tr>
+              <th>ID</th>
+              <th>Name</th>
+              <th>Cost</th>
+              <th>Duration</th>
+              <th>Refund</th>
+              <th>Transfers</th>
+              <th>Supply</th>
+              <th>Owned</th>
+              <th>Status</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {tiers.map((tier) => (
+              <tr key={tier.id}>
+                <td>{tier.id}</td>
+                <td>{tier.name}</td>
+                <td>
+                  {isReferred && tier.discountBps > 0n ? (
+                    <>
+                      <s>{formatAmount(tier.cost, tier.asset)}</s> {formatAmount(referralPrice(tier.cost, tier.discountBps), tier.asset)}
+                    </>
+                  ) : formatAmount(tier.cost, tier.asset)}
+                </td>
+                <td>{formatDuration(tier.duration)}</td>
+                <td>
+                  {REFUND_POLICIES[tier.refundPolicy]}
+                  {tier.hasMembership && <span> ({formatAmount(tier.refund, tier.asset)} now)</span>}
+                </td>
+                <td>{TRANSFER_MODES[tier.transferMode]}</td>
+                <td>
+                  {formatSupply(tier)}
+                  {tier.allowlistRoot !== ethers.ZeroHash && <span> (allowlist)</span>}
+                </td>
+                <td>{tier.balance.toString()}</td>
+                <td>
+                  {!tier.hasMembership ? '-' : tier.isActive
+                    ? `Active until ${formatDate(tier.expiresAt)}`
+                    : `Expired ${formatDate(tier.expiresAt)}`}
+                </td>
+                <td>
+                  {tier.hasMembership ? (
+                    <>
+                      <button type="button" onClick={() => renewHandler(tier)} disabled={isWaiting || tier.status === 'Retired'}>
+                        Renew
+                      </button>
+                      <button type="button" onClick={() => cancelHandler(tier)} disabled={isWaiting}>
+                        Cancel
+                      </button>
+                    </>
+                  ) : saleBlocker(tier, now) || (
+                    <button type="button" onClick={() => buyHandler(tier)} disabled={!account || isWaiting}>
+                      Buy
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {upgradePaths.length > 0 && (
+        <>
+          <h3>Change membership</h3>
+          <table>
+            <tbody>
+              {upgradePaths.map((path) => (
+                <tr key={`${path.from.id}-${path.to.id}`}>
+                  <td>{path.from.name} &rarr; {path.to.name}</td>
+                  <td>
+                    {path.isUpgrade
+                      ? `Pay ${formatAmount(path.difference, path.to.asset)}`
+                      : `Refund up to ${formatAmount(path.difference, path.from.asset)} (${REFUND_POLICIES[path.from.refundPolicy].toLowerCase()})`}
+                  </td>
+                  <td>
+                    <button type="button" onClick={() => changeHandler(path)} disabled={isWaiting}>
+                      {path.isUpgrade ? 'Upgrade' : 'Downgrade'}
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+
+      {transferable.length > 0 && (
+        <form onSubmit={transferHandler}>
+          <h3>Transfer membership</h3>
+          <select value={transferTier} onChange={(e) => setTransferTier(e.target.value)} required>
+            <option value="">Membership</option>
+            {transferable.map((tier) => (
+              <option key={tier.id} value={tier.id}>{tier.name}</option>
+            ))}
+          </select>
+          <input type="text" placeholder="Recipient address" value={recipient} onChange={(e) => setRecipient(e.target.value)} required />
+          <button type="submit" disabled={isWaiting}>Transfer</button>
+        </form>
+      )}
+
+      {account && giftable.length > 0 && (
+        <form onSubmit={giftHandler}>
+          <h3>Gift a membership</h3>
+          <select value={giftTier} onChange={(e) => setGiftTier(e.target.value)} required>
+            <option value="">Membership</option>
+            {giftable.map((tier) => (
+              <option key={tier.id} value={tier.id}>{tier.name} ({formatAmount(tier.cost, tier.asset)})</option>
+            ))}
+          </select>
+          <input type="text" placeholder="Recipient address" value={giftRecipient} onChange={(e) => setGiftRecipient(e.target.value)} required />
+          <button type="submit" disabled={isWaiting}>Gift</button>
+        </form>
+      )}
+
+      {tiers.some((tier) => tier.hasMembership) && (
+        <div className="Memberships-referrals">
+          <h3>Referrals</h3>
+          {referrals.codes.length > 0 && (
+            <ul>
+              {referrals.codes.map((code) => (
+                <li key={code}>
+                  <strong>{formatReferralCode(code)}</strong> <code>{referralLink(formatReferralCode(code))}</code>
+                </li>
+              ))}
+            </ul>
+          )}
+          {referrals.rewards.map((reward) => (
+            <p key={reward.asset.address}>
+              Rewards: {formatAmount(reward.amount, reward.asset)}{' '}
+              <button type="button" onClick={() => claimHandler(reward)} disabled={isWaiting}>Claim</button>
+            </p>
+          ))}
+          <form onSubmit={registerCodeHandler}>
+            <input type="text" placeholder="New referral code" maxLength="31" value={newCode} onChange={(e) => setNewCode(e.target.value)} required />
+            <button type="submit" disabled={isWaiting}>Register</button>
+          </form>
+        </div>
+      )}
+
+      {message && <p className="Memberships-message">{message}</p>}
+    </section>
+  );
+};
+
+export default Memberships;
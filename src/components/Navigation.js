@@ -0,0 +1,47 @@
+import { ethers } from 'ethers';
+
+const PAGES = [
+  { id: 'memberships', label: 'Memberships' },
+  { id: 'governance', label: 'Governance' },
+  { id: 'analytics', label: 'Analytics' },
+  { id: 'admin', label: 'Admin', adminOnly: true }
+];
+
+const Navigation = ({ account, setAccount, page, setPage, isAdmin }) => {
+  const connectHandler = async () => {
+    const accounts = await window.ethereum.request({ method: 'eth_requestAccounts' });
+    setAccount(ethers.getAddress(accounts[0]));
+  };
+
+  return (
+    <nav className="Navigation">
+      <h1>MembershipDAO</h1>
+
+      <ul className="Navigation-pages">
+        {PAGES.filter(({ adminOnly }) => isAdmin || !adminOnly).map(({ id, label }) => (
+          <li key={id}>
+            <button
+              type="button"
+              className={page === id ? 'active' : ''}
+              onClick={() => setPage(id)}
+            >
+              {label}
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      {account ? (
+        <span className="Navigation-account">
+          {account.slice(0, 6) + '...' + account.slice(38, 42)}
+        </span>
+      ) : (
+        <button type="button" onClick={connectHandler} disabled={!window.ethereum}>
+          Connect
+        </button>
+      )}
+    </nav>
+  );
+};
+
+export default Navigation;
@@ -0,0 +1,250 @@
+import { useCallback, useEffect, useState } from 'react';
+import { ethers } from 'ethers';
+
+import decodeError from '../utils/decodeError';
+import { sendBallot, signBallot } from '../utils/ballot';
+import { loadDelegates } from '../utils/delegation';
+import { formatAmount, loadAsset } from '../utils/erc20';
+
+// Names of the contract ProposalState and VoteType enum values
+const STATES = ['Pending', 'Active', 'Succeeded', 'Defeated', 'Executed'];
+const VOTE_TYPES = { Against: 0, For: 1, Abstain: 2 };
+
+const Proposals = ({ provider, membershipDAO, membershipBallots, account }) => {
+  const [proposals, setProposals] = useState([]);
+  const [isMember, setIsMember] = useState(false);
+  const [isGasless, setIsGasless] = useState(false);
+  const [isWaiting, setIsWaiting] = useState(false);
+  const [delegates, setDelegates] = useState([]);
+  const [currentDelegate, setCurrentDelegate] = useState(ethers.ZeroAddress);
+  const [delegatee, setDelegatee] = useState('');
+  const [message, setMessage] = useState(null);
+
+  const loadProposals = useCallback(async () => {
+    setIsMember(account ? await membershipDAO.isActiveMember(account) : false);
+    setCurrentDelegate(account ? await membershipDAO.delegates(account) : ethers.ZeroAddress);
+    setDelegates(await loadDelegates(membershipDAO, provider));
+
+    // Walk every proposal from 0 to totalNewMembership - 1
+    const totalNewMembership = await membershipDAO.totalNewMembership();
+    const proposals = [];
+
+    for (let i = 0; i < totalNewMembership; i++) {
+      const proposal = await membershipDAO.newMembership(i);
+      const votes = await membershipDAO.proposalVotes(i);
+
+      // Spending proposals approve withdrawing an amount above the treasury limit
+      const spending = await membershipDAO.spendingProposals(i);
+      const asset = spending.amount > 0n ? await loadAsset(spending.asset, provider) : null;
+
+      const voters = [];
+      for (let j = 0; j < proposal.voteCount; j++) {
+        voters.push(await membershipDAO.voters(i, j));
+      }
+
+      proposals.push({
+        id: i,
+        name: proposal.name,
+        cost: proposal.cost,
+        duration: proposal.duration,
+        spending: asset && { asset, amount: spending.amount },
+        endTime: proposal.endTime,
+        quorum: proposal.quorum,
+        forVotes: votes.forVotes,
+        againstVotes: votes.againstVotes,
+        abstainVotes: votes.abstainVotes,
+        state: STATES[Number(await membershipDAO.proposalState(i))],
+        hasVoted: account ? await membershipDAO.hasVoted(account, i) : false,
+        // Voting power is read at the block the proposal snapshotted, with what was delegated to the account
+        power: account
+          ? await membershipDAO.getPastVotes(account, proposal.snapshotBlock) + await membershipDAO.getPastDelegatedVotes(account, proposal.snapshotBlock)
+          : 0n,
+        voters
+      });
+    }
+
+    setProposals(proposals);
+  }, [provider, membershipDAO, account]);
+
+  useEffect(() => {
+    loadProposals();
+  }, [loadProposals]);
+
+  const sendTransaction = async (action, successMessage) => {
+    setIsWaiting(true);
+    setMessage(null);
+
+    try {
+      const signer = await provider.getSigner();
+      const transaction = await action(membershipDAO.connect(signer));
+      await transaction.wait();
+
+      setMessage(successMessage);
+    } catch (error) {
+      setMessage(decodeError(error, membershipDAO));
+    }
+
+    await loadProposals();
+    setIsWaiting(false);
+  };
+
+  // Sign the ballot off-chain and let the relayer submit it
+  const signHandler = async (proposal, support) => {
+    setIsWaiting(true);
+    setMessage(null);
+
+    try {
+      const signer = await provider.getSigner();
+      await sendBallot(await signBallot(signer, membershipBallots, {
+        newMembershipId: proposal.id,
+        support: VOTE_TYPES[support],
+        deadline: proposal.endTime
+      }));
+
+      setMessage(`Signed ${support} on ${proposal.name}, the relayer will submit it shortly.`);
+    } catch (error) {
+      setMessage(decodeError(error, membershipDAO));
+    }
+
+    setIsWaiting(false);
+  };
+
+  const voteHandler = (proposal, support) => {
+    if (isGasless) {
+      signHandler(proposal, support);
+      return;
+    }
+
+    sendTransaction((dao) => dao.vote(proposal.id, VOTE_TYPES[support]), `Voted ${support} on ${proposal.name}.`);
+  };
+
+  const approveHandler = (proposal) => {
+    sendTransaction((dao) => dao.approve(proposal.id), `Approved ${proposal.name}.`);
+  };
+
+  const delegateHandler = (e) => {
+    e.preventDefault();
+    sendTransaction((dao) => dao.delegate(delegatee), `Delegated your votes to ${delegatee}.`);
+    setDelegatee('');
+  };
+
+  const undelegateHandler = () => {
+    sendTransaction((dao) => dao.undelegate(), 'Took your votes back.');
+  };
+
+  return (
+    <section className="Proposals">
+      <h2>Proposals</h2>
+
+      {isMember && membershipBallots && (
+        <label>
+          <input type="checkbox" checked={isGasless} onChange={(e) => setIsGasless(e.target.checked)} />
+          Vote without gas (sign a ballot for the relayer)
+        </label>
+      )}
+
+      {proposals.length === 0 ? (
+        <p>No proposals yet.</p>
+      ) : (
+        <table>
+          <thead>
+            <tr>
+              <th>ID</th>
+              <th>Name</th>
+              <th>Cost / Spending</th>
+              <th>For / Against / Abstain</th>
+              <th>Quorum</th>
+              <th>Ends</th>
+              <th>Status</th>
+              <th>Your power</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {proposals.map((proposal) => (
+              <tr key={proposal.id}>
+                <td>{proposal.id}</td>
+                <td>{proposal.name}</td>
+                <td>
+                  {proposal.spending
+                    ? `Spend ${formatAmount(proposal.spending.amount, proposal.spending.asset)}`
+                    : `${ethers.formatEther(proposal.cost)} ETH`}
+                </td>
+                <td title={proposal.voters.join('\n')}>
+                  {proposal.forVotes.toString()} / {proposal.againstVotes.toString()} / {proposal.abstainVotes.toString()}
+                </td>
+                <td>{(proposal.forVotes + proposal.abstainVotes).toString()} / {proposal.quorum.toString()}</td>
+                <td>{new Date(Number(proposal.endTime) * 1000).toLocaleString()}</td>
+                <td>{proposal.state}</td>
+                <td>{proposal.power.toString()}</td>
+                <td>
+                  {isMember && !proposal.hasVoted && proposal.power > 0n && proposal.state === 'Active' && Object.keys(VOTE_TYPES).map((support) => (
+                    <button key={support} type="button" onClick={() => voteHandler(proposal, support)} disabled={isWaiting}>
+                      {support}
+                    </button>
+                  ))}
+                  {account && proposal.state === 'Succeeded' && (
+                    <button type="button" onClick={() => approveHandler(proposal)} disabled={isWaiting}>
+                      Approve
+                    </button>
+                  )}
+                  {proposal.hasVoted && proposal.state === 'Active' && <span>Voted</span>}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {isMember && (
+        <div className="Proposals-delegation">
+          <h3>Delegation</h3>
+          {currentDelegate === ethers.ZeroAddress ? (
+            <p>You vote with your own power.</p>
+          ) : (
+            <p>
+              You delegate to {currentDelegate}. Voting on a proposal yourself overrides their vote with your power.{' '}
+              <button type="button" onClick={undelegateHandler} disabled={isWaiting}>
+                Undelegate
+              </button>
+            </p>
+          )}
+          <form onSubmit={delegateHandler}>
+            <input type="text" placeholder="Delegate address (0x...)" value={delegatee} onChange={(e) => setDelegatee(e.target.value)} />
+            <button type="submit" disabled={isWaiting || !ethers.isAddress(delegatee)}>
+              Delegate
+            </button>
+          </form>
+        </div>
+      )}
+
+      <h3>Delegates</h3>
+      {delegates.length === 0 ? (
+        <p>No one delegates yet.</p>
+      ) : (
+        <table className="Proposals-delegates">
+          <thead>
+            <tr>
+              <th>Delegate</th>
+              <th>Delegated votes</th>
+              <th>Delegators</th>
+            </tr>
+          </thead>
+          <tbody>
+            {delegates.map((entry) => (
+              <tr key={entry.delegate}>
+                <td>{entry.delegate}</td>
+                <td>{entry.delegatedVotes.toString()}</td>
+                <td>{entry.delegators.join(', ')}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {message && <p className="Proposals-message">{message}</p>}
+    </section>
+  );
+};
+
+export default Proposals;
@@ -0,0 +1,20 @@
+// Where `npm run allowlist` writes the proofs of each tier, served with the app
+const ALLOWLIST_URL = process.env.REACT_APP_ALLOWLIST_URL || `${process.env.PUBLIC_URL}/allowlists`;
+
+// The account's proof for a tier's allowlist, or null if it isn't on it or the file doesn't match the root
+export const loadProof = async (membershipId, account, allowlistRoot) => {
+  try {
+    const response = await fetch(`${ALLOWLIST_URL}/${membershipId}.json`);
+    if (!response.ok) {
+      return null;
+    }
+
+    const { root, proofs } = await response.json();
+    if (root !== allowlistRoot) {
+      return null;
+    }
+    return proofs[account] || null;
+  } catch (error) {
+    return null;
+  }
+};
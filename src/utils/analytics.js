@@ -0,0 +1,357 @@
+import { ethers } from 'ethers';
+
+import { loadBlockTimestamps, queryLogs } from './logs';
+
+const DAY = 24 * 60 * 60;
+const WEEK = 7 * DAY;
+
+// Events the analytics are rebuilt from, the rest of the contract's logs are skipped
+const EVENTS = [
+  'MembershipListed',
+  'MembershipCostUpdated',
+  'MembershipPurchased',
+  'MembershipGranted',
+  'MembershipRenewed',
+  'MembershipUpgraded',
+  'MembershipDowngraded',
+  'MembershipTransferred',
+  'MembershipCanceled',
+  'ReferralUsed',
+  'RefundIssued',
+  'ListedNewMembership',
+  'HasVoted'
+];
+
+// Columns of the accounting export, in order
+export const EXPORT_COLUMNS = [
+  'date',
+  'blockNumber',
+  'transactionHash',
+  'type',
+  'account',
+  'membershipId',
+  'tier',
+  'asset',
+  'assetAddress',
+  'amountWei',
+  'amount'
+];
+
+// Every analytics event with the timestamp of its block, oldest first
+export const loadAnalyticsEvents = async (membershipDAO, provider) => {
+  const logs = (await queryLogs(membershipDAO, provider, '*')).filter((log) => log.fragment && EVENTS.includes(log.fragment.name));
+  const timestamps = await loadBlockTimestamps(provider, logs.map((log) => log.blockNumber));
+
+  return logs.map((log) => ({
+    name: log.fragment.name,
+    args: log.args,
+    blockNumber: log.blockNumber,
+    transactionHash: log.transactionHash,
+    timestamp: timestamps.get(log.blockNumber)
+  }));
+};
+
+// Accounts holding at least one unexpired membership at `timestamp`
+export const activeMembers = (holdings, timestamp) => [
+  ...new Set(holdings.filter((holding) => holding.start <= timestamp && timestamp < holding.end).map((holding) => holding.account))
+];
+
+/**
+ * Replay the events into:
+ * - `tiers` with their name, current cost and payment token
+ * - `ledger`, the payments in and out of the treasury. Purchases are paid at the tier's cost less any
+ *   referral discount and renewals at its cost, refunds are negative
+ * - `holdings`, the time each account held each membership, ending at expiry, cancellation or transfer
+ * - `cancellations` and `purchases`
+ * - `proposals` with the accounts that were active members when each was listed and those who voted
+ */
+export const replayAnalytics = (events) => {
+  const tiers = [];
+  const ledger = [];
+  const holdings = [];
+  const cancellations = [];
+  const purchases = [];
+  const proposals = [];
+
+  // Open holdings by account and membership, and referral discounts not matched to a purchase yet
+  const open = new Map();
+  let referrals = [];
+
+  const entry = (event, type, account, membershipId, amount) => {
+    const tier = tiers[membershipId];
+    ledger.push({
+      timestamp: event.timestamp,
+      blockNumber: event.blockNumber,
+      transactionHash: event.transactionHash,
+      type,
+      account,
+      membershipId,
+      asset: tier ? tier.paymentToken : ethers.ZeroAddress,
+      amount
+    });
+  };
+
+  const hold = (account, membershipId, start, expiresAt) => {
+    const holding = { account, membershipId, start, end: expiresAt };
+    holdings.push(holding);
+    open.set(`${account}:${membershipId}`, holding);
+  };
+
+  // End a holding early, returning the expiry it had or null if there was none
+  const release = (account, membershipId, timestamp) => {
+    const key = `${account}:${membershipId}`;
+    const holding = open.get(key);
+    if (!holding) {
+      return null;
+    }
+
+    const expiresAt = holding.end;
+    holding.end = Math.min(holding.end, timestamp);
+    open.delete(key);
+    return expiresAt;
+  };
+
+  const duration = (membershipId) => (tiers[membershipId] ? tiers[membershipId].duration : 0);
+  const cost = (membershipId) => (tiers[membershipId] ? tiers[membershipId].cost : 0n);
+
+  for (const event of events) {
+    const { args, timestamp } = event;
+
+    switch (event.name) {
+      case 'MembershipListed':
+        tiers.push({
+          id: tiers.length,
+          name: args.name,
+          cost: args.cost,
+          duration: Number(args.duration),
+          paymentToken: args.paymentToken
+        });
+        break;
+
+      case 'MembershipCostUpdated':
+        if (tiers[Number(args.membershipId)]) {
+          tiers[Number(args.membershipId)].cost = args.cost;
+        }
+        break;
+
+      case 'ReferralUsed':
+        referrals.push({ transactionHash: event.transactionHash, membershipId: Number(args.membershipId), discount: args.discount });
+        break;
+
+      case 'MembershipPurchased': {
+        const membershipId = Number(args.membershipId);
+        const referral = referrals.find((item) => item.transactionHash === event.transactionHash && item.membershipId === membershipId);
+        referrals = referrals.filter((item) => item !== referral);
+
+        entry(event, 'purchase', args.user, membershipId, cost(membershipId) - (referral ? referral.discount : 0n));
+        hold(args.user, membershipId, timestamp, timestamp + duration(membershipId));
+        purchases.push({ timestamp, account: args.user, membershipId });
+        break;
+      }
+
+      case 'MembershipGranted': {
+        const membershipId = Number(args.membershipId);
+        hold(args.user, membershipId, timestamp, timestamp + duration(membershipId));
+        break;
+      }
+
+      case 'MembershipRenewed': {
+        // A renewal after expiry starts a new holding
+        const membershipId = Number(args.membershipId);
+        const holding = open.get(`${args.user}:${membershipId}`);
+        if (holding && holding.end >= timestamp) {
+          holding.end = Number(args.expiresAt);
+        } else {
+          hold(args.user, membershipId, timestamp, Number(args.expiresAt));
+        }
+        entry(event, 'renewal', args.user, membershipId, cost(membershipId));
+        break;
+      }
+
+      case 'MembershipUpgraded':
+      case 'MembershipDowngraded': {
+        // The expiry moves to the new membership
+        const expiresAt = release(args.user, Number(args.fromMembershipId), timestamp);
+        hold(args.user, Number(args.toMembershipId), timestamp, expiresAt === null ? timestamp : expiresAt);
+        if (event.name === 'MembershipUpgraded') {
+          entry(event, 'upgrade', args.user, Number(args.toMembershipId), args.paid);
+        }
+        break;
+      }
+
+      case 'MembershipTransferred': {
+        const expiresAt = release(args.from, Number(args.membershipId), timestamp);
+        if (expiresAt !== null) {
+          hold(args.to, Number(args.membershipId), timestamp, expiresAt);
+        }
+        break;
+      }
+
+      case 'MembershipCanceled':
+        release(args.user, Number(args.membershipId), timestamp);
+        cancellations.push({ timestamp, account: args.user, membershipId: Number(args.membershipId) });
+        break;
+
+      case 'RefundIssued':
+        entry(event, 'refund', args.user, Number(args.membershipId), -args.amount);
+        break;
+
+      case 'ListedNewMembership':
+        proposals.push({
+          id: Number(args.newMembership),
+          timestamp,
+          eligible: activeMembers(holdings, timestamp),
+          voters: []
+        });
+        break;
+
+      case 'HasVoted': {
+        const proposal = proposals.find((item) => item.id === Number(args.newMembershipId));
+        if (proposal) {
+          proposal.voters.push(args.user);
+        }
+        break;
+      }
+
+      default:
+        break;
+    }
+  }
+
+  return { tiers, ledger, holdings, cancellations, purchases, proposals };
+};
+
+/**
+ * Weekly figures between `from` and `to` (inclusive, in seconds): revenue per tier and refunds
+ * per asset in base units, new purchases, cancellations and the active members at the end of each week.
+ */
+export const weeklyReport = (analytics, from, to) => {
+  const weeks = [];
+
+  for (let start = from; start <= to; start += WEEK) {
+    const end = Math.min(start + WEEK - 1, to);
+    const within = (item) => item.timestamp >= start && item.timestamp <= end;
+    const ledger = analytics.ledger.filter(within);
+
+    const revenue = Object.fromEntries(analytics.tiers.map((tier) => [tier.id, 0n]));
+    const refunds = {};
+    for (const item of ledger) {
+      if (item.type === 'refund') {
+        refunds[item.asset] = (refunds[item.asset] || 0n) - item.amount;
+      } else {
+        revenue[item.membershipId] = (revenue[item.membershipId] || 0n) + item.amount;
+      }
+    }
+
+    weeks.push({
+      start,
+      end,
+      revenue,
+      refunds,
+      purchases: analytics.purchases.filter(within).length,
+      cancellations: analytics.cancellations.filter(within).length,
+      activeMembers: activeMembers(analytics.holdings, end).length
+    });
+  }
+  return weeks;
+};
+
+// Share of the members active at listing who voted on each proposal listed between `from` and `to`
+export const proposalTurnout = (analytics, from, to) => analytics.proposals
+  .filter((proposal) => proposal.timestamp >= from && proposal.timestamp <= to)
+  .map((proposal) => ({
+    id: proposal.id,
+    timestamp: proposal.timestamp,
+    eligible: proposal.eligible.length,
+    voters: proposal.voters.length,
+    turnout: proposal.eligible.length > 0 ? proposal.voters.filter((voter) => proposal.eligible.includes(voter)).length / proposal.eligible.length : 0
+  }));
+
+// How many of the proposals each member could vote on they voted on, most active first
+export const voterParticipation = (analytics, from, to) => {
+  const members = new Map();
+  const member = (account) => {
+    if (!members.has(account)) {
+      members.set(account, { account, eligible: 0, voted: 0 });
+    }
+    return members.get(account);
+  };
+
+  for (const proposal of analytics.proposals) {
+    if (proposal.timestamp < from || proposal.timestamp > to) {
+      continue;
+    }
+    proposal.eligible.forEach((account) => member(account).eligible++);
+    new Set(proposal.voters).forEach((account) => member(account).voted++);
+  }
+
+  return [...members.values()]
+    .map((item) => ({ ...item, participation: item.eligible > 0 ? Math.min(item.voted / item.eligible, 1) : 0 }))
+    .sort((a, b) => b.participation - a.participation || b.voted - a.voted);
+};
+
+// Ledger entries between `from` and `to`
+const ledgerBetween = (analytics, from, to) => analytics.ledger.filter((item) => item.timestamp >= from && item.timestamp <= to);
+
+const assetOf = (assets, address) => assets[address] || { symbol: address, decimals: 18 };
+
+// Ledger entries between `from` and `to` as export rows, amounts in base units and in the asset's decimals
+export const exportRows = (analytics, assets, from, to) => ledgerBetween(analytics, from, to).map((item) => {
+  const asset = assetOf(assets, item.asset);
+  const tier = analytics.tiers[item.membershipId];
+  return {
+    date: new Date(item.timestamp * 1000).toISOString(),
+    blockNumber: item.blockNumber,
+    transactionHash: item.transactionHash,
+    type: item.type,
+    account: item.account,
+    membershipId: item.membershipId,
+    tier: tier ? tier.name : '',
+    asset: asset.symbol,
+    assetAddress: item.asset,
+    amountWei: item.amount.toString(),
+    amount: ethers.formatUnits(item.amount, asset.decimals)
+  };
+});
+
+// Revenue and refunds per asset between `from` and `to`, in both forms
+export const exportTotals = (analytics, assets, from, to) => {
+  const totals = new Map();
+
+  for (const item of ledgerBetween(analytics, from, to)) {
+    if (!totals.has(item.asset)) {
+      totals.set(item.asset, { revenue: 0n, refunds: 0n });
+    }
+    const total = totals.get(item.asset);
+    if (item.type === 'refund') {
+      total.refunds -= item.amount;
+    } else {
+      total.revenue += item.amount;
+    }
+  }
+
+  return [...totals].map(([address, { revenue, refunds }]) => {
+    const asset = assetOf(assets, address);
+    return {
+      asset: asset.symbol,
+      assetAddress: address,
+      revenueWei: revenue.toString(),
+      revenue: ethers.formatUnits(revenue, asset.decimals),
+      refundsWei: refunds.toString(),
+      refunds: ethers.formatUnits(refunds, asset.decimals)
+    };
+  });
+};
+
+// Rows as CSV, quoting the values that need it
+export const toCsv = (rows, columns) => {
+  const escape = (value) => {
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [columns.join(','), ...rows.map((row) => columns.map((column) => escape(row[column])).join(','))].join('\r\n') + '\r\n';
+};
+
+// The UTC day of a date input as a range of timestamps in seconds
+export const dayStart = (date) => Math.floor(Date.parse(`${date}T00:00:00Z`) / 1000);
+export const dayEnd = (date) => dayStart(date) + DAY - 1;
@@ -0,0 +1,103 @@
+import { ethers } from 'ethers';
+
+import {
+  EXPORT_COLUMNS,
+  dayEnd,
+  dayStart,
+  exportRows,
+  exportTotals,
+  proposalTurnout,
+  replayAnalytics,
+  toCsv,
+  voterParticipation,
+  weeklyReport
+} from './analytics';
+
+const DAY = 24 * 60 * 60;
+const START = dayStart('2026-01-05');
+const [alice, bob, carol] = ['0xa', '0xb', '0xc'].map((prefix) => ethers.zeroPadValue(prefix.padEnd(4, '0'), 20));
+
+// An event as returned by loadAnalyticsEvents, `day` days after START
+let block = 0;
+const event = (name, day, args, transactionHash = `0x${(++block).toString(16)}`) => ({
+  name,
+  args,
+  blockNumber: block,
+  transactionHash,
+  timestamp: START + day * DAY
+});
+
+// Two yearly ETH tiers; alice and bob buy, bob with a referral, carol buys late and cancels, and one proposal
+const events = () => [
+  event('MembershipListed', 0, { name: 'Silver', cost: ethers.parseEther('1'), duration: 365n * 86400n, paymentToken: ethers.ZeroAddress }),
+  event('MembershipListed', 0, { name: 'Gold', cost: ethers.parseEther('4'), duration: 365n * 86400n, paymentToken: ethers.ZeroAddress }),
+  event('MembershipPurchased', 1, { user: alice, membershipId: 0n }),
+  event('ReferralUsed', 2, { membershipId: 1n, discount: ethers.parseEther('0.4') }, '0xref'),
+  event('MembershipPurchased', 2, { user: bob, membershipId: 1n }, '0xref'),
+  event('ListedNewMembership', 3, { newMembership: 0n }),
+  event('HasVoted', 4, { user: alice, newMembershipId: 0n }),
+  event('MembershipPurchased', 8, { user: carol, membershipId: 0n }),
+  event('MembershipCanceled', 9, { user: carol, membershipId: 0n }),
+  event('RefundIssued', 9, { user: carol, membershipId: 0n, amount: ethers.parseEther('1') })
+];
+
+test('records purchases at the discounted price and refunds as negative amounts', () => {
+  const { ledger } = replayAnalytics(events());
+
+  expect(ledger.map((item) => [item.type, item.account, item.amount])).toEqual([
+    ['purchase', alice, ethers.parseEther('1')],
+    ['purchase', bob, ethers.parseEther('3.6')],
+    ['purchase', carol, ethers.parseEther('1')],
+    ['refund', carol, -ethers.parseEther('1')]
+  ]);
+});
+
+test('reports revenue per tier, churn and active members per week', () => {
+  const [first, second] = weeklyReport(replayAnalytics(events()), START, START + 14 * DAY - 1);
+
+  expect(first.revenue).toEqual({ 0: ethers.parseEther('1'), 1: ethers.parseEther('3.6') });
+  expect(first.purchases).toBe(2);
+  expect(first.activeMembers).toBe(2);
+
+  expect(second.revenue).toEqual({ 0: ethers.parseEther('1'), 1: 0n });
+  expect(second.refunds).toEqual({ [ethers.ZeroAddress]: ethers.parseEther('1') });
+  expect(second.cancellations).toBe(1);
+  expect(second.activeMembers).toBe(2);
+});
+
+test('measures proposal turnout and participation per member', () => {
+  const analytics = replayAnalytics(events());
+
+  expect(proposalTurnout(analytics, START, START + 14 * DAY)).toEqual([
+    { id: 0, timestamp: START + 3 * DAY, eligible: 2, voters: 1, turnout: 0.5 }
+  ]);
+  expect(voterParticipation(analytics, START, START + 14 * DAY)).toEqual([
+    { account: alice, eligible: 1, voted: 1, participation: 1 },
+    { account: bob, eligible: 1, voted: 0, participation: 0 }
+  ]);
+});
+
+test('exports the ledger in a date range with amounts in wei and ETH', () => {
+  const analytics = replayAnalytics(events());
+  const assets = { [ethers.ZeroAddress]: { symbol: 'ETH', decimals: 18 } };
+  const rows = exportRows(analytics, assets, dayStart('2026-01-13'), dayEnd('2026-01-14'));
+
+  expect(rows).toHaveLength(2);
+  expect(rows[1]).toMatchObject({
+    date: '2026-01-14T00:00:00.000Z',
+    type: 'refund',
+    account: carol,
+    tier: 'Silver',
+    asset: 'ETH',
+    amountWei: '-1000000000000000000',
+    amount: '-1.0'
+  });
+  expect(exportTotals(analytics, assets, dayStart('2026-01-13'), dayEnd('2026-01-14'))).toEqual([
+    { asset: 'ETH', assetAddress: ethers.ZeroAddress, revenueWei: '1000000000000000000', revenue: '1.0', refundsWei: '1000000000000000000', refunds: '1.0' }
+  ]);
+
+  const csv = toCsv(rows, EXPORT_COLUMNS).split('\r\n');
+  expect(csv[0]).toBe(EXPORT_COLUMNS.join(','));
+  expect(csv[2]).toContain('refund');
+  expect(toCsv([{ date: 'a,"b"' }], ['date'])).toBe('date\r\n"a,""b"""\r\n');
+});
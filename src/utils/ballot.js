@@ -0,0 +1,43 @@
+// EIP-712 type of a ballot, matching `BALLOT_TYPEHASH` in MembershipBallots
+export const BALLOT_TYPES = {
+  Ballot: [
+    { name: 'voter', type: 'address' },
+    { name: 'newMembershipId', type: 'uint256' },
+    { name: 'support', type: 'uint8' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+};
+
+export const RELAYER_URL = process.env.REACT_APP_RELAYER_URL || 'http://localhost:4001';
+
+// Sign a ballot for the MembershipBallots contract with the wallet, no transaction is sent
+export const signBallot = async (signer, membershipBallots, { newMembershipId, support, deadline }) => {
+  const { name, version, chainId, verifyingContract } = await membershipBallots.eip712Domain();
+  const voter = await signer.getAddress();
+
+  const ballot = {
+    voter,
+    newMembershipId: newMembershipId.toString(),
+    support,
+    nonce: (await membershipBallots.nonces(voter)).toString(),
+    deadline: deadline.toString()
+  };
+
+  const signature = await signer.signTypedData({ name, version, chainId, verifyingContract }, BALLOT_TYPES, ballot);
+  return { ballot, signature };
+};
+
+// Hand a signed ballot to the relayer, which submits it and pays the gas
+export const sendBallot = async (signedBallot) => {
+  const response = await fetch(`${RELAYER_URL}/ballots`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(signedBallot)
+  });
+
+  if (!response.ok) {
+    const { error } = await response.json();
+    throw new Error(error);
+  }
+};
@@ -0,0 +1,49 @@
+import { ethers } from 'ethers';
+
+import { errorMessages } from './errorMessages';
+
+// Readable messages for the contract's custom errors, the same as the Hardhat tasks show
+const MESSAGES = errorMessages(ethers);
+
+// Find the raw revert data in the error shapes returned by ethers and the wallet
+const findRevertData = (error) => {
+  const candidates = [
+    error.data,
+    error.info?.error?.data,
+    error.info?.error?.data?.data,
+    error.error?.data,
+    error.error?.data?.data
+  ];
+
+  return candidates.find((data) => typeof data === 'string' && data.startsWith('0x'));
+};
+
+// Decode a failed contract call with the contract ABI into a readable message
+const decodeError = (error, contract) => {
+  if (error.code === 'ACTION_REJECTED') {
+    return 'Transaction rejected in wallet.';
+  }
+
+  let revert = error.revert;
+
+  if (!revert && contract) {
+    const data = findRevertData(error);
+
+    if (data) {
+      try {
+        revert = contract.interface.parseError(data);
+      } catch {
+        revert = null;
+      }
+    }
+  }
+
+  if (revert && revert.name) {
+    const format = MESSAGES[revert.name];
+    return format ? format(revert.args) : `Transaction reverted: ${revert.name}`;
+  }
+
+  return error.shortMessage || error.message;
+};
+
+export default decodeError;
@@ -0,0 +1,44 @@
+import { ethers } from 'ethers';
+import decodeError from './decodeError';
+
+import MEMBERSHIP_DAO_ABI from '../abis/membershipDAO.json';
+
+const membershipDAO = new ethers.Contract(ethers.ZeroAddress, MEMBERSHIP_DAO_ABI);
+
+test('decodes custom errors from raw revert data', () => {
+  const data = membershipDAO.interface.encodeErrorResult('MembershipDAO_UserAlreadyVoted', [ethers.ZeroAddress, 3]);
+  const error = { code: 'CALL_EXCEPTION', info: { error: { data } } };
+
+  expect(decodeError(error, membershipDAO)).toBe(`${ethers.ZeroAddress} already voted on proposal 3.`);
+});
+
+test('uses the revert already decoded by ethers', () => {
+  const error = { revert: { name: 'MembershipDAO_ProposalNotSucceeded', args: [0n, 3n] } };
+
+  expect(decodeError(error, membershipDAO)).toMatch(/Proposal 0 is Defeated/);
+});
+
+test('names the missing role', () => {
+  const data = membershipDAO.interface.encodeErrorResult('AccessControlUnauthorizedAccount', [ethers.ZeroAddress, ethers.id('TREASURER_ROLE')]);
+
+  expect(decodeError({ data }, membershipDAO)).toBe(`${ethers.ZeroAddress} is missing the TREASURER_ROLE role.`);
+
+  const ballot = membershipDAO.interface.encodeErrorResult('AccessControlUnauthorizedAccount', [ethers.ZeroAddress, ethers.id('BALLOT_ROLE')]);
+  expect(decodeError({ data: ballot }, membershipDAO)).toBe(`${ethers.ZeroAddress} is missing the BALLOT_ROLE role.`);
+});
+
+test('explains why a tier is not on sale', () => {
+  const data = membershipDAO.interface.encodeErrorResult('MembershipDAO_SoldOut', [2, 100]);
+
+  expect(decodeError({ data }, membershipDAO)).toBe('Membership 2 is sold out, all 100 are taken.');
+});
+
+test('shows the referral code that was not found', () => {
+  const data = membershipDAO.interface.encodeErrorResult('MembershipDAO_InvalidReferralCode', [ethers.encodeBytes32String('MEMBER10')]);
+
+  expect(decodeError({ data }, membershipDAO)).toBe('The referral code MEMBER10 does not exist.');
+});
+
+test('falls back to the ethers message', () => {
+  expect(decodeError({ shortMessage: 'missing revert data' }, membershipDAO)).toBe('missing revert data');
+});
@@ -0,0 +1,39 @@
+import { ethers } from 'ethers';
+
+import { queryLogs } from './logs';
+
+// Replay DelegateChanged events into the delegates who have delegators now, with who delegates to them
+export const groupDelegators = (events) => {
+  const delegateOf = new Map();
+
+  for (const event of events) {
+    const { delegator, toDelegate } = event.args;
+    if (toDelegate === ethers.ZeroAddress) {
+      delegateOf.delete(delegator);
+    } else {
+      delegateOf.set(delegator, toDelegate);
+    }
+  }
+
+  const delegates = new Map();
+  for (const [delegator, delegate] of delegateOf) {
+    delegates.set(delegate, [...(delegates.get(delegate) || []), delegator]);
+  }
+  return [...delegates].map(([delegate, delegators]) => ({ delegate, delegators }));
+};
+
+// Delegates ranked by the voting power delegated to them, most first
+export const rankDelegates = (delegates) =>
+  [...delegates].sort((a, b) => (b.delegatedVotes > a.delegatedVotes ? 1 : b.delegatedVotes < a.delegatedVotes ? -1 : 0));
+
+// The delegates board: every delegate with its delegators and the voting power they delegated as of the latest block
+export const loadDelegates = async (membershipDAO, provider) => {
+  const events = await queryLogs(membershipDAO, provider, membershipDAO.filters.DelegateChanged());
+  const blockNumber = await provider.getBlockNumber();
+
+  const delegates = [];
+  for (const { delegate, delegators } of groupDelegators(events)) {
+    delegates.push({ delegate, delegators, delegatedVotes: await membershipDAO.getPastDelegatedVotes(delegate, blockNumber) });
+  }
+  return rankDelegates(delegates);
+};
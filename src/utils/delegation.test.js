@@ -0,0 +1,28 @@
+import { ethers } from 'ethers';
+
+import { groupDelegators, rankDelegates } from './delegation';
+
+const [alice, bob, carol, dave] = ['0xa', '0xb', '0xc', '0xd'].map((prefix) => ethers.zeroPadValue(prefix.padEnd(4, '0'), 20));
+
+// A DelegateChanged event as returned by queryFilter
+const delegateChanged = (delegator, fromDelegate, toDelegate) => ({ args: { delegator, fromDelegate, toDelegate } });
+
+test('groups delegators by their current delegate', () => {
+  const events = [
+    delegateChanged(alice, ethers.ZeroAddress, carol),
+    delegateChanged(bob, ethers.ZeroAddress, carol),
+    delegateChanged(alice, carol, dave),
+    delegateChanged(bob, carol, ethers.ZeroAddress)
+  ];
+
+  expect(groupDelegators(events)).toEqual([{ delegate: dave, delegators: [alice] }]);
+});
+
+test('ranks delegates by delegated voting power', () => {
+  const delegates = [
+    { delegate: carol, delegators: [alice], delegatedVotes: 1n },
+    { delegate: dave, delegators: [bob], delegatedVotes: 3n }
+  ];
+
+  expect(rankDelegates(delegates).map((entry) => entry.delegate)).toEqual([dave, carol]);
+});
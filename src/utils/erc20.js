@@ -0,0 +1,22 @@
+import { ethers } from 'ethers';
+
+// The parts of the ERC-20 interface the app uses
+export const ERC20_ABI = [
+  'function symbol() view returns (string)',
+  'function decimals() view returns (uint8)',
+  'function balanceOf(address account) view returns (uint256)',
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function approve(address spender, uint256 value) returns (bool)'
+];
+
+// Symbol and decimals of a tier's payment asset, address(0) is ETH
+export const loadAsset = async (address, provider) => {
+  if (address === ethers.ZeroAddress) {
+    return { address, symbol: 'ETH', decimals: 18 };
+  }
+
+  const token = new ethers.Contract(address, ERC20_ABI, provider);
+  return { address, symbol: await token.symbol(), decimals: Number(await token.decimals()) };
+};
+
+export const formatAmount = (amount, asset) => `${ethers.formatUnits(amount, asset.decimals)} ${asset.symbol}`;
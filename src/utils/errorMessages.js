@@ -0,0 +1,124 @@
+// Readable messages for the contract's custom errors, shared by the frontend and the Hardhat tasks.
+// It's CommonJS without imports so the tasks can require it: each side passes its own ethers,
+// the browser and Node builds of ethers can't be mixed.
+
+// Names of the contract ProposalState enum values
+const PROPOSAL_STATES = ['Pending', 'Active', 'Succeeded', 'Defeated', 'Executed'];
+
+// Names of the contract TierStatus enum values
+const TIER_STATUSES = ['active', 'paused', 'retired'];
+
+// Names of the contract roles besides DEFAULT_ADMIN_ROLE, whose ID is zero
+const ROLE_NAMES = ['TIER_MANAGER_ROLE', 'PROPOSER_ROLE', 'TREASURER_ROLE', 'PAUSER_ROLE', 'BALLOT_ROLE'];
+
+const formatTime = (timestamp) => new Date(Number(timestamp) * 1000).toLocaleString();
+
+// Message formatters keyed by error name, each taking the error arguments
+const errorMessages = (ethers) => {
+  const roleName = (role) =>
+    role === ethers.ZeroHash ? 'DEFAULT_ADMIN_ROLE' : ROLE_NAMES.find((name) => ethers.id(name) === role) || role;
+
+  // A bytes32 referral code as text, or the raw hex if it isn't a string
+  const referralCode = (code) => {
+    try {
+      return ethers.decodeBytes32String(code);
+    } catch {
+      return code;
+    }
+  };
+
+  return {
+    MembershipDAO_IncorrectValueSent: ([requiredValue, sentValue]) =>
+      `Incorrect payment: this membership costs ${ethers.formatEther(requiredValue)} ETH but ${ethers.formatEther(sentValue)} ETH was sent.`,
+    MembershipDAO_MembershipAlreadyPurchased: ([user, membershipId]) =>
+      `${user} already holds membership ${membershipId}.`,
+    MembershipDAO_NoActiveMembershipToCancel: ([user]) =>
+      `${user} has no active membership to cancel.`,
+    MembershipDAO_UserNotEligibleToVote: ([user]) =>
+      `${user} holds no active membership, only members can vote.`,
+    MembershipDAO_NewMembershipIsInvalid: ([newMembershipId]) =>
+      `Proposal ${newMembershipId} does not exist.`,
+    MembershipDAO_UserAlreadyVoted: ([user, newMembershipId]) =>
+      `${user} already voted on proposal ${newMembershipId}.`,
+    MembershipDAO_NoVotingPower: ([user, newMembershipId]) =>
+      `${user} had no voting power when proposal ${newMembershipId} was listed.`,
+    MembershipDAO_InvalidBallotSignature: ([voter]) =>
+      `The ballot is not signed by ${voter}.`,
+    MembershipDAO_BallotExpired: () =>
+      'The ballot deadline has passed.',
+    InvalidAccountNonce: () =>
+      'The ballot was already used or signed out of order, sign it again.',
+    MembershipDAO_ProposalNotActive: ([newMembershipId, state]) =>
+      `Proposal ${newMembershipId} is ${PROPOSAL_STATES[Number(state)]}, voting is closed.`,
+    MembershipDAO_ProposalNotSucceeded: ([newMembershipId, state]) =>
+      `Proposal ${newMembershipId} is ${PROPOSAL_STATES[Number(state)]}, only succeeded proposals can be approved.`,
+    MembershipDAO_UserNotEligibleToApprove: ([user]) =>
+      `${user} is neither a proposer nor an active member, so it can't approve.`,
+    MembershipDAO_InvalidVotingSettings: () =>
+      'The voting period must be longer than zero and the quorum at most 100%.',
+    MembershipDAO_NoMembershipToRenew: ([user, membershipId]) =>
+      `${user} needs to hold membership ${membershipId} to renew it.`,
+    MembershipDAO_RefundFailed: ([, amount]) =>
+      `The refund of ${ethers.formatEther(amount)} ETH could not be sent, the cancellation was reverted.`,
+    MembershipDAO_MembershipIsInvalid: ([membershipId]) =>
+      `Membership ${membershipId} does not exist.`,
+    MembershipDAO_MembershipNotTransferable: ([membershipId]) =>
+      `Membership ${membershipId} is soulbound and can't be transferred.`,
+    MembershipDAO_TransferNotApproved: ([, to, membershipId]) =>
+      `A tier manager hasn't approved transferring membership ${membershipId} to ${to}.`,
+    MembershipDAO_NoActiveMembershipToChange: ([, membershipId]) =>
+      `Membership ${membershipId} is not active, so it can't be upgraded or downgraded.`,
+    MembershipDAO_InvalidMembershipChange: () =>
+      'Upgrades must be to a more expensive membership and downgrades to a cheaper one.',
+    MembershipDAO_MembershipNotPaidInToken: ([membershipId]) =>
+      `Membership ${membershipId} is paid in ETH, so it can't be bought with a permit.`,
+    MembershipDAO_PaymentTokenMismatch: ([fromMembershipId, toMembershipId]) =>
+      `Memberships ${fromMembershipId} and ${toMembershipId} are paid in different assets.`,
+    MembershipDAO_InsufficientSurplus: ([asset, amount, surplus]) =>
+      `Only ${surplus} of ${asset} is withdrawable, the rest is reserved for refunds (requested ${amount}).`,
+    MembershipDAO_SpendingLimitExceeded: ([asset, amount, available]) =>
+      `Withdrawing ${amount} of ${asset} is above the spending limit, ${available} is available without a spending proposal.`,
+    MembershipDAO_WithdrawalFailed: ([payee, amount]) =>
+      `Payee ${payee} could not receive ${amount}, nothing was withdrawn.`,
+    MembershipDAO_InvalidPayees: () =>
+      'Every payee needs a valid address and at least one share.',
+    MembershipDAO_InvalidSpendingProposal: () =>
+      'A spending proposal needs an amount.',
+    MembershipDAO_DepositStillRefundable: ([user, membershipId]) =>
+      `The deposit of ${user} for membership ${membershipId} can still be refunded.`,
+    MembershipDAO_TierNotOnSale: ([membershipId, status]) =>
+      `Membership ${membershipId} is ${TIER_STATUSES[Number(status)]} and not on sale.`,
+    MembershipDAO_SaleNotOpen: ([membershipId, saleStart, saleEnd]) =>
+      `Membership ${membershipId} is on sale from ${Number(saleStart) ? formatTime(saleStart) : 'listing'}${Number(saleEnd) ? ` until ${formatTime(saleEnd)}` : ''}.`,
+    MembershipDAO_NotAllowlisted: ([account, membershipId]) =>
+      `${account} is not on the allowlist of membership ${membershipId}.`,
+    MembershipDAO_SoldOut: ([membershipId, maxSupply]) =>
+      `Membership ${membershipId} is sold out, all ${maxSupply} are taken.`,
+    MembershipDAO_InvalidSaleWindow: () =>
+      'The sale must end after it starts.',
+    MembershipDAO_TierIsRetired: ([membershipId]) =>
+      `Membership ${membershipId} is retired for good.`,
+    MembershipDAO_NotAMember: () =>
+      'Only members can register referral codes.',
+    MembershipDAO_ReferralCodeTaken: ([code]) =>
+      `The referral code ${referralCode(code)} is already taken.`,
+    MembershipDAO_InvalidReferralCode: ([code]) =>
+      `The referral code ${referralCode(code)} does not exist.`,
+    MembershipDAO_SelfReferral: () =>
+      "A member can't use their own referral code.",
+    MembershipDAO_InvalidReferralTerms: () =>
+      'Referral discounts and rewards must be at most 100%.',
+    MembershipDAO_NoReferralRewards: ([account]) =>
+      `${account} has no referral rewards to claim in this asset.`,
+    MembershipDAO_ReferralRewardFailed: ([, amount]) =>
+      `The referral reward of ${ethers.formatEther(amount)} ETH could not be sent, the claim was reverted.`,
+    MembershipDAO_InvalidDelegate: ([, delegatee]) =>
+      `${delegatee} is not another active member to delegate to.`,
+    AccessControlUnauthorizedAccount: ([account, role]) =>
+      `${account} is missing the ${roleName(role)} role.`,
+    EnforcedPause: () =>
+      'Purchases and votes are paused. Cancellations and refunds still work.'
+  };
+};
+
+module.exports = { PROPOSAL_STATES, errorMessages };
@@ -0,0 +1,40 @@
+import config from '../config.json';
+
+// Blocks per eth_getLogs request, RPC providers cap the range they search at once
+export const LOG_BLOCK_RANGE = 5000;
+
+// Blocks fetched at once for their timestamps
+export const BLOCK_BATCH_SIZE = 20;
+
+// Block MembershipDAO at `address` was deployed in according to src/config.json, 0 if it isn't listed there
+export const deploymentBlock = (address) => {
+  const deployment = Object.values(config).find(
+    ({ MembershipDAO }) => MembershipDAO && MembershipDAO.address.toLowerCase() === address.toLowerCase()
+  );
+  return deployment && deployment.MembershipDAO.blockNumber ? deployment.MembershipDAO.blockNumber : 0;
+};
+
+// Logs matching `filter` from the deployment block up to the latest block, queried LOG_BLOCK_RANGE blocks at a time, oldest first
+export const queryLogs = async (membershipDAO, provider, filter) => {
+  const fromBlock = deploymentBlock(await membershipDAO.getAddress());
+  const toBlock = await provider.getBlockNumber();
+
+  const logs = [];
+  for (let from = fromBlock; from <= toBlock; from += LOG_BLOCK_RANGE) {
+    logs.push(...(await membershipDAO.queryFilter(filter, from, Math.min(from + LOG_BLOCK_RANGE - 1, toBlock))));
+  }
+  return logs.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+};
+
+// Timestamp of each block number, fetching BLOCK_BATCH_SIZE blocks in parallel at a time
+export const loadBlockTimestamps = async (provider, blockNumbers) => {
+  const unique = [...new Set(blockNumbers)];
+  const timestamps = new Map();
+
+  for (let i = 0; i < unique.length; i += BLOCK_BATCH_SIZE) {
+    const batch = unique.slice(i, i + BLOCK_BATCH_SIZE);
+    const blocks = await Promise.all(batch.map((blockNumber) => provider.getBlock(blockNumber)));
+    batch.forEach((blockNumber, j) => timestamps.set(blockNumber, blocks[j].timestamp));
+  }
+  return timestamps;
+};
@@ -0,0 +1,52 @@
+import config from '../config.json';
+import { BLOCK_BATCH_SIZE, LOG_BLOCK_RANGE, deploymentBlock, loadBlockTimestamps, queryLogs } from './logs';
+
+const { address, blockNumber } = config['31337'].MembershipDAO;
+
+test('starts from the deployment block in the config', () => {
+  expect(deploymentBlock(address.toLowerCase())).toBe(blockNumber);
+  expect(deploymentBlock('0x0000000000000000000000000000000000000001')).toBe(0);
+});
+
+test('queries logs in block ranges from the deployment block', async () => {
+  const toBlock = blockNumber + 2 * LOG_BLOCK_RANGE;
+  const ranges = [];
+  const membershipDAO = {
+    getAddress: async () => address,
+    queryFilter: async (filter, from, to) => {
+      ranges.push([from, to]);
+      return [{ blockNumber: to, index: 0 }];
+    }
+  };
+
+  const logs = await queryLogs(membershipDAO, { getBlockNumber: async () => toBlock }, '*');
+
+  expect(ranges).toEqual([
+    [blockNumber, blockNumber + LOG_BLOCK_RANGE - 1],
+    [blockNumber + LOG_BLOCK_RANGE, blockNumber + 2 * LOG_BLOCK_RANGE - 1],
+    [toBlock, toBlock]
+  ]);
+  expect(logs.map((log) => log.blockNumber)).toEqual(ranges.map(([, to]) => to));
+});
+
+test('fetches each block once, a batch at a time', async () => {
+  let inFlight = 0;
+  let maxInFlight = 0;
+  const fetched = [];
+  const provider = {
+    getBlock: async (number) => {
+      fetched.push(number);
+      maxInFlight = Math.max(maxInFlight, ++inFlight);
+      await Promise.resolve();
+      inFlight--;
+      return { timestamp: number * 12 };
+    }
+  };
+  const numbers = Array.from({ length: BLOCK_BATCH_SIZE + 5 }, (_, i) => i);
+
+  const timestamps = await loadBlockTimestamps(provider, [...numbers, ...numbers]);
+
+  expect(fetched).toHaveLength(numbers.length);
+  expect(maxInFlight).toBe(BLOCK_BATCH_SIZE);
+  expect(timestamps.get(3)).toBe(36);
+});
@@ -0,0 +1,28 @@
+// Public gateway ipfs:// URIs are fetched through
+const IPFS_GATEWAY = 'https://ipfs.io/ipfs/';
+
+// ERC-1155 clients replace {id} with the token ID as 64 lowercase hex characters
+export const tokenURI = (uri, id) => uri.replaceAll('{id}', id.toString(16).padStart(64, '0'));
+
+// Browsers can't fetch ipfs:// directly
+export const resolveURI = (uri) => (uri.startsWith('ipfs://') ? IPFS_GATEWAY + uri.slice('ipfs://'.length) : uri);
+
+// A tier's metadata JSON, or null if it has no URI or the URI doesn't resolve
+export const loadMetadata = async (membershipDAO, id) => {
+  const uri = await membershipDAO.uri(id);
+  if (!uri) {
+    return null;
+  }
+
+  try {
+    const response = await fetch(resolveURI(tokenURI(uri, id)));
+    if (!response.ok) {
+      return null;
+    }
+
+    const metadata = await response.json();
+    return { ...metadata, image: metadata.image ? resolveURI(tokenURI(metadata.image, id)) : null };
+  } catch (error) {
+    return null;
+  }
+};
@@ -0,0 +1,32 @@
+import { loadMetadata, resolveURI, tokenURI } from './metadata';
+
+const membershipDAO = { uri: async () => 'ipfs://bafy/{id}.json' };
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+test('substitutes {id} as 64 hex characters', () => {
+  expect(tokenURI('https://example.com/{id}.json', 26)).toBe(`https://example.com/${'0'.repeat(62)}1a.json`);
+});
+
+test('fetches ipfs:// URIs through a gateway', () => {
+  expect(resolveURI('ipfs://bafy/badge.svg')).toBe('https://ipfs.io/ipfs/bafy/badge.svg');
+  expect(resolveURI('https://example.com/badge.svg')).toBe('https://example.com/badge.svg');
+});
+
+test('loads the badge from the tier metadata', async () => {
+  global.fetch = jest.fn(async () => ({ ok: true, json: async () => ({ name: 'Gold', image: 'ipfs://bafy/{id}.svg' }) }));
+
+  const metadata = await loadMetadata(membershipDAO, 1);
+
+  expect(global.fetch).toHaveBeenCalledWith(`https://ipfs.io/ipfs/bafy/${'0'.repeat(63)}1.json`);
+  expect(metadata).toEqual({ name: 'Gold', image: `https://ipfs.io/ipfs/bafy/${'0'.repeat(63)}1.svg` });
+});
+
+test('skips metadata that does not resolve', async () => {
+  global.fetch = jest.fn(async () => ({ ok: false }));
+
+  expect(await loadMetadata(membershipDAO, 1)).toBeNull();
+  expect(await loadMetadata({ uri: async () => '' }, 1)).toBeNull();
+});
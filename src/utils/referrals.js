@@ -0,0 +1,41 @@
+import { ethers } from 'ethers';
+
+import { queryLogs } from './logs';
+
+// Referral terms are in basis points
+const BPS = 10000n;
+
+// A referral code typed by the member as bytes32, or null if it's empty or longer than 31 bytes
+export const toReferralCode = (text) => {
+  const code = text.trim();
+  if (!code) {
+    return null;
+  }
+
+  try {
+    return ethers.encodeBytes32String(code);
+  } catch {
+    return null;
+  }
+};
+
+// A bytes32 referral code as text, or the raw hex if it isn't a string
+export const formatReferralCode = (code) => {
+  try {
+    return ethers.decodeBytes32String(code);
+  } catch {
+    return code;
+  }
+};
+
+// What a referred buyer pays, matching the contract's rounding
+export const referralPrice = (cost, discountBps) => cost - (cost * discountBps) / BPS;
+
+// Link that fills in the code on the Memberships page
+export const referralLink = (code) => `${window.location.origin}${window.location.pathname}?ref=${encodeURIComponent(code)}`;
+
+// Codes the account registered, oldest first
+export const loadReferralCodes = async (membershipDAO, provider, account) => {
+  const events = await queryLogs(membershipDAO, provider, membershipDAO.filters.ReferralCodeRegistered(account));
+  return events.map((event) => event.args.code);
+};
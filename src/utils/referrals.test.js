@@ -0,0 +1,19 @@
+import { ethers } from 'ethers';
+
+import { formatReferralCode, referralPrice, toReferralCode } from './referrals';
+
+test('encodes referral codes as bytes32', () => {
+  expect(toReferralCode(' MEMBER10 ')).toBe(ethers.encodeBytes32String('MEMBER10'));
+  expect(toReferralCode('   ')).toBeNull();
+  expect(toReferralCode('x'.repeat(32))).toBeNull();
+});
+
+test('decodes referral codes, keeping raw hex', () => {
+  expect(formatReferralCode(ethers.encodeBytes32String('MEMBER10'))).toBe('MEMBER10');
+  expect(formatReferralCode(ethers.ZeroHash.replace(/0$/, '1'))).toMatch(/^0x/);
+});
+
+test('rounds the referral price like the contract', () => {
+  expect(referralPrice(ethers.parseEther('2'), 1000n)).toBe(ethers.parseEther('1.8'));
+  expect(referralPrice(999n, 1000n)).toBe(900n);
+});
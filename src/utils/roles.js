@@ -0,0 +1,50 @@
+import { ethers } from 'ethers';
+
+import { queryLogs } from './logs';
+
+// Role IDs of the contract, keccak256 of the role name and zero for the admin role
+export const ROLES = {
+  DEFAULT_ADMIN_ROLE: ethers.ZeroHash,
+  TIER_MANAGER_ROLE: ethers.id('TIER_MANAGER_ROLE'),
+  PROPOSER_ROLE: ethers.id('PROPOSER_ROLE'),
+  TREASURER_ROLE: ethers.id('TREASURER_ROLE'),
+  PAUSER_ROLE: ethers.id('PAUSER_ROLE')
+};
+
+// Names of the roles an account holds
+export const loadAccountRoles = async (membershipDAO, account) => {
+  const roles = [];
+
+  for (const [name, role] of Object.entries(ROLES)) {
+    if (await membershipDAO.hasRole(role, account)) {
+      roles.push(name);
+    }
+  }
+  return roles;
+};
+
+// Replay RoleGranted and RoleRevoked events into the current holders of each role
+export const loadRoleHolders = async (membershipDAO, provider) => {
+  const events = [
+    ...(await queryLogs(membershipDAO, provider, membershipDAO.filters.RoleGranted())),
+    ...(await queryLogs(membershipDAO, provider, membershipDAO.filters.RoleRevoked()))
+  ].sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+
+  const holders = Object.fromEntries(Object.keys(ROLES).map((name) => [name, new Set()]));
+  const names = Object.fromEntries(Object.entries(ROLES).map(([name, role]) => [role, name]));
+
+  for (const event of events) {
+    const name = names[event.args.role];
+    if (!name) {
+      continue;
+    }
+
+    if (event.fragment.name === 'RoleGranted') {
+      holders[name].add(event.args.account);
+    } else {
+      holders[name].delete(event.args.account);
+    }
+  }
+
+  return Object.fromEntries(Object.entries(holders).map(([name, accounts]) => [name, [...accounts]]));
+};
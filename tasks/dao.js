@@ -0,0 +1,210 @@
+const fs = require("fs");
+const { types } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+const { ZeroAddress, formatUnits, getAddress, parseUnits } = require("ethers");
+
+const { loadTiers } = require("../metadata/generator");
+const { parseCsv } = require("../allowlist/merkle");
+const { PLUGIN_NAME, PROPOSAL_STATES, VOTE_TYPES, daoTask, loadAsset, balanceOf, formatTime } = require("./utils");
+
+const DAY = 24 * 60 * 60;
+
+// Names of the contract TierStatus enum values
+const TIER_STATUSES = ["Active", "Paused", "Retired"];
+
+const formatAmount = (amount, asset) => `${formatUnits(amount, asset.decimals)} ${asset.symbol}`;
+
+// Parse an amount typed in the asset's units, rejecting anything else
+function parseAmount(amount, asset) {
+	try {
+		return parseUnits(amount, asset.decimals);
+	} catch {
+		throw new HardhatPluginError(PLUGIN_NAME, `${amount} is not an amount of ${asset.symbol}`);
+	}
+}
+
+// Wait for a transaction and report its hash and block
+async function send(transaction) {
+	const receipt = await (await transaction).wait();
+	return { transaction: receipt.hash, blockNumber: receipt.blockNumber };
+}
+
+daoTask("tiers:list", "Lists the membership tiers", async (args, membershipDAO) => {
+	const tiers = await loadTiers(membershipDAO);
+
+	const rows = [];
+	for (const tier of tiers) {
+		const sale = await membershipDAO.tierSales(tier.id);
+		const supply = await membershipDAO.totalSupply(tier.id);
+		rows.push({
+			id: tier.id,
+			name: tier.name,
+			price: tier.price,
+			days: tier.days,
+			status: TIER_STATUSES[Number(sale.status)],
+			supply: sale.maxSupply ? `${supply}/${sale.maxSupply}` : supply.toString(),
+			paymentToken: tier.paymentToken
+		});
+	}
+	return rows;
+});
+
+daoTask("tiers:add", "Lists a new membership tier", async ({ name, cost, days, token }, membershipDAO) => {
+	const asset = await loadAsset(token, membershipDAO.runner);
+	const membershipId = await membershipDAO.totalMemberships();
+
+	const receipt = await send(membershipDAO.listMembership(name, parseAmount(cost, asset), Math.round(days * DAY), token));
+	return { membershipId, name, price: `${cost} ${asset.symbol}`, days, ...receipt };
+})
+	.addParam("name", "Name of the tier")
+	.addParam("cost", "Cost in Ether or in units of the payment token, e.g. 0.5")
+	.addParam("days", "Duration in days", undefined, types.float)
+	.addOptionalParam("token", "ERC-20 the tier is paid in, Ether by default", ZeroAddress);
+
+daoTask("memberships:airdrop", "Grants complimentary memberships of a tier to the addresses in a CSV", async ({ csv, tier, batchSize }, membershipDAO) => {
+	if (tier < 0 || tier >= await membershipDAO.totalMemberships()) {
+		throw new HardhatPluginError(PLUGIN_NAME, `Membership ${tier} does not exist.`);
+	}
+	if (batchSize < 1) {
+		throw new HardhatPluginError(PLUGIN_NAME, "The batch size must be at least 1.");
+	}
+
+	let addresses;
+	try {
+		addresses = parseCsv(fs.readFileSync(csv, "utf8"));
+	} catch (error) {
+		throw new HardhatPluginError(PLUGIN_NAME, `${csv}: ${error.message}`);
+	}
+
+	// Current holders are skipped, the grant would revert for them
+	const recipients = [];
+	const skipped = [];
+	for (const account of new Set(addresses.map((address) => getAddress(address)))) {
+		(await membershipDAO.hasMembership(account, tier) ? skipped : recipients).push(account);
+	}
+
+	const transactions = [];
+	for (let i = 0; i < recipients.length; i += batchSize) {
+		const batch = recipients.slice(i, i + batchSize);
+		transactions.push({ recipients: batch.length, ...await send(membershipDAO.grantMemberships(batch, tier)) });
+	}
+
+	return {
+		tier,
+		granted: recipients.length,
+		skipped: skipped.map((account) => ({ account, reason: "already a member" })),
+		transactions
+	};
+})
+	.addParam("csv", "CSV file with an address in the first column of each line")
+	.addParam("tier", "ID of the tier to grant", undefined, types.int)
+	.addOptionalParam("batchSize", "Addresses per transaction", 100, types.int);
+
+daoTask("member:status", "Shows an account's memberships and voting power", async ({ account }, membershipDAO) => {
+	const tiers = await loadTiers(membershipDAO);
+
+	const memberships = [];
+	for (const tier of tiers) {
+		if (await membershipDAO.hasMembership(account, tier.id)) {
+			const asset = await loadAsset(tier.paymentToken, membershipDAO.runner);
+			memberships.push({
+				id: tier.id,
+				name: tier.name,
+				active: await membershipDAO.isMembershipActive(account, tier.id),
+				expiresAt: formatTime(await membershipDAO.expiresAt(account, tier.id)),
+				deposit: formatAmount(await membershipDAO.deposit(account, tier.id), asset),
+				refund: formatAmount(await membershipDAO.refundAmount(account, tier.id), asset)
+			});
+		}
+	}
+
+	return {
+		account,
+		activeMember: await membershipDAO.isActiveMember(account),
+		votingPower: await membershipDAO.getVotes(account),
+		delegate: await membershipDAO.delegates(account),
+		memberships
+	};
+})
+	.addPositionalParam("account", "Address of the account");
+
+daoTask("proposals:list", "Lists the membership and spending proposals with their votes", async (args, membershipDAO) => {
+	const totalNewMembership = await membershipDAO.totalNewMembership();
+
+	const rows = [];
+	for (let id = 0n; id < totalNewMembership; id++) {
+		const proposal = await membershipDAO.newMembership(id);
+		const votes = await membershipDAO.proposalVotes(id);
+		const spending = await membershipDAO.spendingProposals(id);
+		const isSpending = spending.amount !== 0n;
+		const asset = await loadAsset(isSpending ? spending.asset : ZeroAddress, membershipDAO.runner);
+
+		rows.push({
+			id,
+			kind: isSpending ? "spending" : "membership",
+			name: proposal.name,
+			amount: formatAmount(isSpending ? spending.amount : proposal.cost, asset),
+			state: PROPOSAL_STATES[Number(await membershipDAO.proposalState(id))],
+			for: votes.forVotes,
+			against: votes.againstVotes,
+			abstain: votes.abstainVotes,
+			quorum: proposal.quorum,
+			endsAt: formatTime(proposal.endTime)
+		});
+	}
+	return rows;
+});
+
+daoTask("proposal:create", "Proposes a new membership tier for members to vote on", async ({ name, cost, days }, membershipDAO) => {
+	const receipt = await send(membershipDAO.listNewMembership(name, parseAmount(cost, await loadAsset(ZeroAddress)), Math.round(days * DAY)));
+	const proposalId = (await membershipDAO.totalNewMembership()) - 1n;
+	return { proposalId, name, cost: `${cost} ETH`, days, ...receipt };
+})
+	.addParam("name", "Name of the proposed tier")
+	.addParam("cost", "Cost in Ether, e.g. 0.5")
+	.addParam("days", "Duration in days", undefined, types.float);
+
+daoTask("vote", "Votes on a proposal", async ({ proposal, support }, membershipDAO) => {
+	const voteType = VOTE_TYPES.indexOf(support.toLowerCase());
+	if (voteType === -1) {
+		throw new HardhatPluginError(PLUGIN_NAME, `${support} is not a vote, use one of ${VOTE_TYPES.join(", ")}`);
+	}
+
+	const receipt = await send(membershipDAO.vote(proposal, voteType));
+	return { proposal, voter: await membershipDAO.runner.getAddress(), support: VOTE_TYPES[voteType], ...receipt };
+})
+	.addPositionalParam("proposal", "ID of the proposal", undefined, types.int)
+	.addPositionalParam("support", `One of ${VOTE_TYPES.join(", ")}`);
+
+daoTask("approve", "Approves a succeeded proposal", async ({ proposal }, membershipDAO) => {
+	const receipt = await send(membershipDAO.approve(proposal));
+	return { proposal, ...receipt };
+})
+	.addPositionalParam("proposal", "ID of the proposal", undefined, types.int);
+
+daoTask("treasury:balance", "Shows the treasury balance, reserved deposits and surplus per asset", async (args, membershipDAO) => {
+	const tiers = await loadTiers(membershipDAO);
+	const assets = [...new Set([ZeroAddress, ...tiers.map((tier) => tier.paymentToken)])];
+
+	const rows = [];
+	for (const address of assets) {
+		const asset = await loadAsset(address, membershipDAO.runner);
+		rows.push({
+			asset: asset.symbol,
+			address,
+			balance: formatAmount(await balanceOf(address, membershipDAO.target, membershipDAO.runner.provider), asset),
+			reserved: formatAmount(await membershipDAO.reservedDeposits(address), asset),
+			surplus: formatAmount(await membershipDAO.surplus(address), asset),
+			approvedSpending: formatAmount(await membershipDAO.approvedSpending(address), asset)
+		});
+	}
+	return rows;
+});
+
+daoTask("treasury:withdraw", "Withdraws from the treasury surplus to the payees or the treasurer", async ({ amount, asset }, membershipDAO) => {
+	const { symbol, decimals } = await loadAsset(asset, membershipDAO.runner);
+	const receipt = await send(membershipDAO.withdraw(asset, parseAmount(amount, { symbol, decimals })));
+	return { asset: symbol, amount: `${amount} ${symbol}`, ...receipt };
+})
+	.addParam("amount", "Amount in Ether or in units of the token, e.g. 0.5")
+	.addOptionalParam("asset", "ERC-20 to withdraw, Ether by default", ZeroAddress);
@@ -0,0 +1,82 @@
+const { task, types } = require("hardhat/config");
+
+const config = require("../src/config.json");
+
+const DAY = 24 * 60 * 60;
+
+// Sample tiers listed when the contract has none, the token tier is paid in the mock stablecoin
+const SAMPLE_TIERS = [
+	{ name: "Silver Membership", cost: "0.1", duration: 365 * DAY },
+	{ name: "Gold Membership", cost: "0.5", duration: 365 * DAY },
+	{ name: "Community Membership", cost: "25", duration: 30 * DAY, token: true }
+];
+
+task("seed", "Lists sample tiers and proposals and funds test members on the local node")
+	.addOptionalParam("address", "MembershipDAO address, from src/config.json by default", undefined, types.string)
+	.addOptionalParam("members", "Comma-separated addresses to fund, e.g. your wallet", "", types.string)
+	.addOptionalParam("ether", "Ether sent to each of --members", "10", types.string)
+	.setAction(async ({ address, members, ether }, hre) => {
+		const { ethers } = hre;
+		const { chainId } = await ethers.provider.getNetwork();
+		if (chainId !== 31337n) {
+			throw new Error(`Seeding is for the local node only, chain ${chainId} is not 31337`);
+		}
+
+		const daoAddress = address || config[chainId.toString()]?.MembershipDAO.address;
+		if (!daoAddress || (await ethers.provider.getCode(daoAddress)) === "0x") {
+			throw new Error("MembershipDAO is not deployed on the local node, run scripts/deploy.js first");
+		}
+
+		const [owner, ...testMembers] = await ethers.getSigners();
+		const membershipDAO = await ethers.getContractAt("MembershipDAO", daoAddress, owner);
+
+		// Mock stablecoin for the token tier
+		const token = await ethers.deployContract("MockERC20", ["Mock USD", "mUSD"]);
+		await token.waitForDeployment();
+		console.log(`Mock USD deployed at: ${token.target}`);
+
+		if ((await membershipDAO.totalMemberships()) === 0n) {
+			for (const tier of SAMPLE_TIERS) {
+				const cost = tier.token ? ethers.parseUnits(tier.cost, 6) : ethers.parseEther(tier.cost);
+				await (await membershipDAO.listMembership(tier.name, cost, tier.duration, tier.token ? token.target : ethers.ZeroAddress)).wait();
+				console.log(`Listed ${tier.name}`);
+			}
+		}
+
+		// Fund the test members and any given addresses with Ether and mUSD
+		const extraMembers = members.split(",").map((address) => address.trim()).filter(Boolean);
+		for (const member of extraMembers) {
+			if (!ethers.isAddress(member)) {
+				throw new Error(`${member} is not an address`);
+			}
+			await (await owner.sendTransaction({ to: member, value: ethers.parseEther(ether) })).wait();
+		}
+		const funded = [...new Set([...testMembers.slice(0, 3).map((member) => member.address), ...extraMembers])];
+		for (const member of funded) {
+			await (await token.mint(member, ethers.parseUnits("1000", 6))).wait();
+			console.log(`Funded ${member}`);
+		}
+
+		// Three test members buy the first Ether tier so they can vote on the proposals
+		const totalMemberships = await membershipDAO.totalMemberships();
+		let membershipId = 0n;
+		while (membershipId < totalMemberships && (await membershipDAO.memberships(membershipId)).paymentToken !== ethers.ZeroAddress) {
+			membershipId++;
+		}
+		if (membershipId === totalMemberships) {
+			throw new Error("No tier is paid in Ether");
+		}
+		const { cost } = await membershipDAO.memberships(membershipId);
+		for (const member of testMembers.slice(0, 3)) {
+			if (!(await membershipDAO.hasMembership(member.address, membershipId))) {
+				await (await membershipDAO.connect(member).buyMembership(membershipId, { value: cost })).wait();
+				console.log(`${member.address} bought membership ${membershipId}`);
+			}
+		}
+
+		await (await membershipDAO.listNewMembership("Platinum Membership", ethers.parseEther("1"), 365 * DAY)).wait();
+		await (await membershipDAO.proposeSpending("Community event", ethers.ZeroAddress, ethers.parseEther("0.05"))).wait();
+		console.log(`Listed proposals, ${await membershipDAO.totalNewMembership()} in total`);
+
+		return { token: token.target, members: funded };
+	});
@@ -0,0 +1,182 @@
+const { task } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+const ethers = require("ethers");
+
+const config = require("../src/config.json");
+const { PROPOSAL_STATES, errorMessages } = require("../src/utils/errorMessages");
+
+const { Contract, ZeroAddress } = ethers;
+
+const PLUGIN_NAME = "membership-dao";
+
+// Names of the contract VoteType enum values
+const VOTE_TYPES = ["against", "for", "abstain"];
+
+const ERC20_ABI = [
+	"function symbol() view returns (string)",
+	"function decimals() view returns (uint8)",
+	"function balanceOf(address) view returns (uint256)"
+];
+
+// Readable messages for the custom errors, the same as the frontend shows
+const MESSAGES = errorMessages(ethers);
+
+// Find the raw revert data in the error shapes returned by ethers and Hardhat
+const findRevertData = (error) => {
+	const candidates = [error.data, error.data?.data, error.info?.error?.data, error.error?.data, error.error?.data?.data];
+	return candidates.find((data) => typeof data === "string" && data.startsWith("0x") && data.length > 2);
+};
+
+/**
+ * Turn a failed contract call into a readable message, decoding custom errors with the contract ABI.
+ * Errors without a message are shown with their arguments.
+ */
+function decodeError(error, contract) {
+	let revert = error.revert;
+
+	if (!revert) {
+		const data = findRevertData(error);
+		if (data) {
+			try {
+				revert = contract.interface.parseError(data);
+			} catch {
+				revert = null;
+			}
+		}
+	}
+
+	if (revert && revert.name) {
+		const format = MESSAGES[revert.name];
+		if (format) {
+			return format(revert.args);
+		}
+		return `${revert.name}(${revert.args.map((arg) => arg.toString()).join(", ")})`;
+	}
+
+	return error.shortMessage || error.message;
+}
+
+/**
+ * Resolve the MembershipDAO from `address` or from src/config.json by the network's chain ID,
+ * connected to the `from` account or the first signer.
+ */
+async function getMembershipDAO(hre, { address, from }) {
+	const { chainId } = await hre.ethers.provider.getNetwork();
+	const daoAddress = address || config[chainId.toString()]?.MembershipDAO.address;
+	if (!daoAddress || (await hre.ethers.provider.getCode(daoAddress)) === "0x") {
+		throw new HardhatPluginError(PLUGIN_NAME, `MembershipDAO is not deployed on chain ${chainId}, check src/config.json or pass --address`);
+	}
+
+	const signer = from ? await hre.ethers.getSigner(from) : (await hre.ethers.getSigners())[0];
+	return hre.ethers.getContractAt("MembershipDAO", daoAddress, signer);
+}
+
+/**
+ * Symbol and decimals of an asset, `address(0)` being Ether.
+ */
+async function loadAsset(address, runner) {
+	if (address === ZeroAddress) {
+		return { address, symbol: "ETH", decimals: 18 };
+	}
+
+	const erc20 = new Contract(address, ERC20_ABI, runner);
+	return { address, symbol: await erc20.symbol(), decimals: Number(await erc20.decimals()) };
+}
+
+/**
+ * Balance of an asset held by `account`.
+ */
+async function balanceOf(asset, account, provider) {
+	if (asset === ZeroAddress) {
+		return provider.getBalance(account);
+	}
+	return new Contract(asset, ERC20_ABI, provider).balanceOf(account);
+}
+
+const formatTime = (timestamp) => (Number(timestamp) ? new Date(Number(timestamp) * 1000).toISOString() : "");
+
+const toText = (value) => (typeof value === "bigint" ? value.toString() : String(value ?? ""));
+
+/**
+ * Align `rows` of objects in columns under their keys.
+ */
+function formatTable(rows) {
+	if (rows.length === 0) {
+		return "(none)";
+	}
+
+	const columns = Object.keys(rows[0]);
+	const cells = [columns, ...rows.map((row) => columns.map((column) => toText(row[column])))];
+	const widths = columns.map((_, index) => Math.max(...cells.map((line) => line[index].length)));
+
+	return cells
+		.map((line) => line.map((cell, index) => cell.padEnd(widths[index])).join("  ").trimEnd())
+		.join("\n");
+}
+
+/**
+ * Print a task result as JSON, or as tables: lists as one table, objects as a key/value table
+ * followed by a table per list they hold.
+ */
+function print(result, json) {
+	if (json) {
+		console.log(JSON.stringify(result, (key, value) => (typeof value === "bigint" ? value.toString() : value), 2));
+		return;
+	}
+
+	if (Array.isArray(result)) {
+		console.log(formatTable(result));
+		return;
+	}
+
+	const fields = Object.entries(result).filter(([, value]) => !Array.isArray(value));
+	const lists = Object.entries(result).filter(([, value]) => Array.isArray(value));
+
+	console.log(formatTable(fields.map(([field, value]) => ({ field, value }))));
+	for (const [name, rows] of lists) {
+		console.log(`\n${name}:\n${formatTable(rows)}`);
+	}
+}
+
+/**
+ * Define a task on the MembershipDAO of the network, with the shared `--address`, `--from`
+ * and `--json` options; add the task's own parameters to the returned definition.
+ * `action` gets the arguments, the connected contract and the runtime, and its result
+ * is printed and returned. Reverts are decoded into readable errors.
+ */
+function daoTask(name, description, action) {
+	return task(name, description)
+		.addOptionalParam("address", "MembershipDAO address, from src/config.json by default")
+		.addOptionalParam("from", "Account sending transactions, the first signer by default")
+		.addFlag("json", "Print JSON instead of a table")
+		.setAction(async (args, hre) => {
+			const membershipDAO = await getMembershipDAO(hre, args);
+
+			let result;
+			try {
+				result = await action(args, membershipDAO, hre);
+			} catch (error) {
+				if (error instanceof HardhatPluginError) {
+					throw error;
+				}
+				throw new HardhatPluginError(PLUGIN_NAME, decodeError(error, membershipDAO), error);
+			}
+
+			print(result, args.json);
+			return result;
+		});
+}
+
+module.exports = {
+	PLUGIN_NAME,
+	PROPOSAL_STATES,
+	VOTE_TYPES,
+	decodeError,
+	getMembershipDAO,
+	loadAsset,
+	balanceOf,
+	formatTime,
+	formatTable,
+	print,
+	daoTask
+};
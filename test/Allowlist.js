@@ -0,0 +1,59 @@
+const {
+  ethers
+} = require("hardhat");
+const {
+  expect
+} = require("chai");
+
+const { getMembershipDAOFactory } = require("../scripts/libraries");
+const { buildAllowlist, buildTree, getProof, parseCsv } = require("../allowlist/merkle");
+
+describe("Allowlist", () => {
+  let membershipDAO, owner, accounts, outsider
+
+  beforeEach(async () => {
+    const signers = await ethers.getSigners();
+    [owner] = signers;
+    accounts = signers.slice(1, 6);
+    outsider = signers[6];
+
+    // Deploy the libraries and link them into the contract
+    const MembershipDAO = await getMembershipDAOFactory();
+    membershipDAO = await MembershipDAO.deploy(owner.address);
+    await membershipDAO.waitForDeployment();
+
+    await membershipDAO.connect(owner).listMembership("Founder Membership", ethers.parseEther("1"), 365 * 24 * 60 * 60, ethers.ZeroAddress);
+  })
+
+  // Header, blank lines, extra columns and any address case
+  it("Reads addresses from a CSV", () => {
+    const csv = `address,name\n${accounts[0].address.toLowerCase()},Alice\n\n"${accounts[1].address}",Bob\n`;
+
+    expect(parseCsv(csv)).to.deep.equal([accounts[0].address.toLowerCase(), accounts[1].address]);
+    expect(() => parseCsv(`address\n${accounts[0].address}\nnot-an-address\n`)).to.throw("Line 3");
+  })
+
+  // The same addresses give the same root whatever their order or duplicates
+  it("Builds the same root from any order", () => {
+    const addresses = accounts.map((account) => account.address);
+
+    expect(buildTree([...addresses].reverse()).root).to.equal(buildTree(addresses).root);
+    expect(buildTree([...addresses, addresses[0]]).root).to.equal(buildTree(addresses).root);
+    expect(() => buildTree([])).to.throw("empty");
+  })
+
+  // Every proof in the file verifies on chain, including the odd leaf out
+  it("Builds proofs the contract accepts", async () => {
+    const allowlist = buildAllowlist(accounts.map((account) => account.address));
+    await membershipDAO.connect(owner).setTierSale(0, 0, 0, 0, allowlist.root);
+
+    for (const account of accounts) {
+      await membershipDAO.connect(account).buyMembershipWithProof(0, allowlist.proofs[account.address], { value: ethers.parseEther("1") });
+      expect(await membershipDAO.hasMembership(account.address, 0)).to.equal(true);
+    }
+
+    expect(() => getProof(buildTree(accounts.map((account) => account.address)), outsider.address)).to.throw("not on the allowlist");
+    await expect(membershipDAO.connect(outsider).buyMembershipWithProof(0, allowlist.proofs[accounts[0].address], { value: ethers.parseEther("1") }))
+      .to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_NotAllowlisted");
+  })
+})
@@ -0,0 +1,178 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const {
+  ethers
+} = hre;
+const {
+  expect
+} = require("chai");
+
+const { ROLES } = require("../ignition/modules/MembershipDAO");
+const { loadParameters, findDeploymentBlock, readDeployment, writeDeployment, deployMembershipDAO } = require("../scripts/deployment");
+
+const tokens = (n) => {
+  return ethers.parseUnits(n.toString(), 'ether')
+}
+
+const TIERS = [
+  { name: "Silver Membership", cost: tokens(1).toString(), duration: 365 * 24 * 60 * 60 },
+  { name: "Gold Membership", cost: `${tokens(2)}n`, duration: 30 * 24 * 60 * 60 }
+];
+
+describe("Deployment", () => {
+  let deployer, owner, outDir
+
+  beforeEach(async () => {
+    [deployer, owner] = await ethers.getSigners();
+    outDir = fs.mkdtempSync(path.join(os.tmpdir(), "deployment-"));
+  })
+
+  afterEach(() => {
+    fs.rmSync(outDir, { recursive: true, force: true });
+  })
+
+  describe("Success", () => {
+    // The Ignition module links the libraries, lists the tiers and sets requiredVotes
+    it("Deploys with tiers and requiredVotes", async () => {
+      const { membershipDAO, membershipBallots } = await deployMembershipDAO(hre, { tiers: TIERS, requiredVotes: 3 });
+
+      expect(await membershipDAO.totalMemberships()).to.equal(2);
+      const gold = await membershipDAO.memberships(1);
+      expect(gold.name).to.equal("Gold Membership");
+      expect(gold.cost).to.equal(tokens(2));
+      expect(gold.paymentToken).to.equal(ethers.ZeroAddress);
+      expect(await membershipDAO.requiredVotes()).to.equal(3);
+      expect(await membershipDAO.votingPeriod()).to.equal(7 * 24 * 60 * 60);
+      expect(await membershipDAO.hasRole(ROLES.TREASURER_ROLE, deployer.address)).to.equal(true);
+
+      // Signed ballots are cast through MembershipBallots
+      expect(await membershipBallots.membershipDAO()).to.equal(membershipDAO.target);
+      expect(await membershipDAO.hasRole(await membershipDAO.BALLOT_ROLE(), membershipBallots.target)).to.equal(true);
+    })
+
+    // Roles go to the owner and the deployer gives up its own
+    it("Hands every role over to the owner", async () => {
+      const { membershipDAO } = await deployMembershipDAO(hre, { owner: owner.address });
+
+      for (const role of Object.values(ROLES)) {
+        expect(await membershipDAO.hasRole(role, owner.address)).to.equal(true);
+        expect(await membershipDAO.hasRole(role, deployer.address)).to.equal(false);
+      }
+    })
+
+    // Behind a proxy the owner also gets the ProxyAdmin, which upgrades it
+    it("Deploys behind a proxy with tiers and the owner's roles", async () => {
+      const { membershipDAO, address, implementation, proxyAdmin } = await deployMembershipDAO(
+        hre,
+        { tiers: TIERS, requiredVotes: 3, owner: owner.address },
+        { upgradeable: true }
+      );
+
+      expect(address).to.not.equal(implementation);
+      expect(await membershipDAO.totalMemberships()).to.equal(2);
+      expect(await membershipDAO.requiredVotes()).to.equal(3);
+      expect(await proxyAdmin.owner()).to.equal(owner.address);
+      for (const role of Object.values(ROLES)) {
+        expect(await membershipDAO.hasRole(role, owner.address)).to.equal(true);
+        expect(await membershipDAO.hasRole(role, deployer.address)).to.equal(false);
+      }
+    })
+
+    // The indexer starts from the deployment block
+    it("Finds the deployment block", async () => {
+      await ethers.provider.send("hardhat_mine", ["0x5"]);
+      const { membershipDAO, blockNumber } = await deployMembershipDAO(hre);
+
+      expect(await ethers.provider.getCode(membershipDAO.target, blockNumber)).to.not.equal("0x");
+      expect(await ethers.provider.getCode(membershipDAO.target, blockNumber - 1)).to.equal("0x");
+      expect(await findDeploymentBlock(ethers.provider, membershipDAO.target)).to.equal(blockNumber);
+    })
+
+    // Other chains in the config are kept
+    it("Writes the config and ABI for the chain", async () => {
+      const configPath = path.join(outDir, "config.json");
+      const abiPath = path.join(outDir, "abis", "membershipDAO.json");
+      fs.writeFileSync(configPath, JSON.stringify({ 11155111: { MembershipDAO: { address: ethers.ZeroAddress } } }));
+
+      const { abi } = await hre.artifacts.readArtifact("MembershipDAO");
+      writeDeployment({ chainId: 31337n, address: deployer.address, blockNumber: 4, abi }, { configPath, abiPath });
+
+      const config = JSON.parse(fs.readFileSync(configPath, "utf8"));
+      expect(config["31337"].MembershipDAO).to.deep.equal({ address: deployer.address, blockNumber: 4 });
+      expect(config["11155111"].MembershipDAO.address).to.equal(ethers.ZeroAddress);
+      expect(JSON.parse(fs.readFileSync(abiPath, "utf8"))).to.deep.equal(abi);
+
+      // A proxy also records its implementation
+      writeDeployment({ chainId: 31337n, address: deployer.address, blockNumber: 4, implementation: owner.address, abi }, { configPath, abiPath });
+      expect(readDeployment(31337n, { configPath })).to.deep.equal({ address: deployer.address, blockNumber: 4, implementation: owner.address });
+      expect(readDeployment(1n, { configPath })).to.equal(undefined);
+
+      // And the ballots contract with its ABI
+      const ballotsAbiPath = path.join(outDir, "abis", "membershipBallots.json");
+      const ballots = { address: owner.address, abi: (await hre.artifacts.readArtifact("MembershipBallots")).abi };
+      writeDeployment({ chainId: 31337n, address: deployer.address, blockNumber: 4, abi, ballots }, { configPath, abiPath, ballotsAbiPath });
+      expect(JSON.parse(fs.readFileSync(configPath, "utf8"))["31337"].MembershipBallots).to.deep.equal({ address: owner.address });
+      expect(JSON.parse(fs.readFileSync(ballotsAbiPath, "utf8"))).to.deep.equal(ballots.abi);
+    })
+
+    // Parameters are read per network
+    it("Loads the module parameters", () => {
+      const file = path.join(outDir, "parameters.json");
+      fs.writeFileSync(file, JSON.stringify({ MembershipDAOModule: { requiredVotes: 5, tiers: TIERS } }));
+
+      expect(loadParameters("localhost", file)).to.deep.equal({ requiredVotes: 5, tiers: TIERS });
+      expect(loadParameters("no-such-network")).to.deep.equal({});
+    })
+
+    // The example parameters list their tiers through the script
+    it("Lists the tiers of the example parameters", async () => {
+      const parameters = loadParameters("localhost", path.join(__dirname, "..", "ignition", "parameters", "example.json"));
+      const { membershipDAO } = await deployMembershipDAO(hre, { ...parameters, owner: deployer.address });
+
+      expect(await membershipDAO.totalMemberships()).to.equal(parameters.tiers.length);
+      expect((await membershipDAO.memberships(1)).name).to.equal("Gold Membership");
+    })
+
+    // hardhat ignition deploy runs the default export with the parameters file as it is
+    it("Deploys the default module from the example parameters", async () => {
+      const file = JSON.parse(fs.readFileSync(path.join(__dirname, "..", "ignition", "parameters", "example.json"), "utf8"));
+      const { membershipDAO } = await hre.ignition.deploy(require("../ignition/modules/MembershipDAO").default, {
+        parameters: { MembershipDAOModule: { ...file.MembershipDAOModule, owner: deployer.address, requiredVotes: 3 } }
+      });
+
+      expect(await membershipDAO.totalMemberships()).to.equal(2);
+      const silver = await membershipDAO.memberships(0);
+      expect([silver.name, silver.cost, silver.duration]).to.deep.equal(["Silver Membership", tokens(0.1), 31536000n]);
+      expect(await membershipDAO.requiredVotes()).to.equal(3);
+    })
+
+    // Seeding lists tiers and proposals, and members can vote on them
+    it("Seeds the local node", async () => {
+      const { membershipDAO, address } = await deployMembershipDAO(hre);
+      const { token, members } = await hre.run("seed", { address, members: owner.address });
+
+      expect(await membershipDAO.totalMemberships()).to.equal(3);
+      expect(await membershipDAO.totalNewMembership()).to.equal(2);
+      expect(members).to.include(owner.address);
+      expect(await (await ethers.getContractAt("MockERC20", token)).balanceOf(owner.address)).to.equal(ethers.parseUnits("1000", 6));
+
+      const signers = await ethers.getSigners();
+      expect(await membershipDAO.hasMembership(signers[1].address, 0)).to.equal(true);
+      expect(await membershipDAO.getVotes(signers[3].address)).to.equal(1);
+    })
+  })
+
+  describe("Failure", () => {
+    // A parameters file passed explicitly must exist
+    it("Rejects a missing parameters file", () => {
+      expect(() => loadParameters("localhost", path.join(outDir, "missing.json"))).to.throw("not found");
+    })
+
+    // Seeding needs a deployed contract
+    it("Rejects seeding without a contract", async () => {
+      await expect(hre.run("seed", { address: deployer.address })).to.be.rejectedWith("not deployed");
+    })
+  })
+})
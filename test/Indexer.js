@@ -0,0 +1,445 @@
+const {
+  ethers
+} = require("hardhat");
+const {
+  expect
+} = require("chai");
+const {
+  takeSnapshot,
+  time
+} = require("@nomicfoundation/hardhat-network-helpers");
+
+const { getMembershipDAOFactory } = require("../scripts/libraries");
+const { createStore } = require("../indexer/store");
+const { createIndexer } = require("../indexer/indexer");
+const { createApi } = require("../indexer/api");
+
+describe("Indexer", () => {
+  let membershipDAO, owner, user, member, store, indexer, fromBlock
+
+  beforeEach(async () => {
+    [owner, user, member] = await ethers.getSigners();
+
+    // Deploy the libraries and link them into the contract
+    const MembershipDAO = await getMembershipDAOFactory();
+    membershipDAO = await MembershipDAO.deploy(owner.address);
+    await membershipDAO.waitForDeployment();
+    fromBlock = (await membershipDAO.deploymentTransaction().wait()).blockNumber;
+
+    // In-memory store, indexing from the deployment block
+    store = createStore(null, fromBlock);
+    indexer = createIndexer({
+      provider: ethers.provider,
+      address: membershipDAO.target,
+      abi: MembershipDAO.interface.formatJson(),
+      store
+    });
+
+    // List a membership
+    await membershipDAO.connect(owner).listMembership("Silver Membership", ethers.parseEther("2"), 365 * 24 * 60 * 60, ethers.ZeroAddress);
+
+    // User and member buy membership
+    await membershipDAO.connect(user).buyMembership(0, { value: ethers.parseEther("2") });
+    await membershipDAO.connect(member).buyMembership(0, { value: ethers.parseEther("2") });
+
+    // List a proposal once both hold voting power
+    await membershipDAO.connect(owner).listNewMembership("Gold Membership", ethers.parseEther("4"), 365 * 24 * 60 * 60);
+  })
+
+  describe("Sync", () => {
+    // Rebuild tiers, members and deposits
+    it("Rebuilds tiers, members and deposits from logs", async () => {
+      await indexer.sync();
+      const state = indexer.getState();
+
+      expect(state.tiers).to.have.length(1);
+      expect(state.tiers[0].name).to.equal("Silver Membership");
+      expect(state.tiers[0].cost).to.equal(ethers.parseEther("2").toString());
+
+      const userState = state.members.find((m) => m.address === user.address);
+      expect(userState.memberships).to.have.keys("0");
+      expect(userState.balances["0"]).to.equal("1");
+
+      expect(state.deposits).to.have.length(2);
+      expect(state.deposits[0].amount).to.equal(ethers.parseEther("2").toString());
+    })
+
+    // Rebuild proposals, votes and approvals
+    it("Tracks proposals, votes and approvals", async () => {
+      await membershipDAO.connect(user).vote(0, 1);
+      await membershipDAO.connect(member).vote(0, 2);
+      await time.increase(7 * 24 * 60 * 60 + 1);
+      await membershipDAO.connect(owner).approve(0);
+
+      await indexer.sync();
+      const { proposals, votes, tiers } = indexer.getState();
+
+      expect(proposals[0].name).to.equal("Gold Membership");
+      expect(proposals[0].quorum).to.equal("2");
+      expect(proposals[0].endTime).to.equal(proposals[0].startTime + 7 * 24 * 60 * 60);
+      expect(proposals[0].voteCount).to.equal(2);
+      expect(proposals[0].forVotes).to.equal("1");
+      expect(proposals[0].abstainVotes).to.equal("1");
+      expect(proposals[0].voters).to.deep.equal([user.address, member.address]);
+      expect(proposals[0].isApproved).to.equal(true);
+      expect(votes).to.have.length(2);
+      expect(votes[1].support).to.equal("Abstain");
+
+      // Execution lists the proposal as a new tier
+      expect(proposals[0].membershipId).to.equal(1);
+      expect(tiers[1].name).to.equal("Gold Membership");
+    })
+
+    // Weight tallies by voting power at the snapshot
+    it("Tracks weighted tallies", async () => {
+      await membershipDAO.connect(owner).setVotingWeight(0, 3);
+      await membershipDAO.connect(owner).listNewMembership("Platinum Membership", ethers.parseEther("6"), 365 * 24 * 60 * 60);
+      await membershipDAO.connect(user).vote(1, 1);
+
+      await indexer.sync();
+      const { proposals, votes, tiers } = indexer.getState();
+
+      expect(tiers[0].votingWeight).to.equal("3");
+      expect(proposals[1].snapshotBlock).to.equal(proposals[1].blockNumber - 1);
+      expect(proposals[1].quorum).to.equal("3");
+      expect(proposals[1].forVotes).to.equal("3");
+      expect(votes[0].weight).to.equal("3");
+    })
+
+    // Delegations feed the delegates board, overrides come out of the delegate's vote
+    it("Tracks delegations, delegates and overridden votes", async () => {
+      const [, , , delegator] = await ethers.getSigners();
+      await membershipDAO.connect(delegator).buyMembership(0, { value: ethers.parseEther("2") });
+      await membershipDAO.connect(user).delegate(member.address);
+      await membershipDAO.connect(delegator).delegate(member.address);
+      await membershipDAO.connect(owner).listNewMembership("Platinum Membership", ethers.parseEther("6"), 365 * 24 * 60 * 60);
+
+      await membershipDAO.connect(member).vote(1, 1);
+      await membershipDAO.connect(user).vote(1, 0);
+      await membershipDAO.connect(delegator).cancelMembership(0);
+
+      await indexer.sync();
+      const { delegations, delegates, members, proposals, votes } = indexer.getState();
+
+      expect(delegations.map((d) => [d.delegator, d.toDelegate])).to.deep.equal([
+        [user.address, member.address],
+        [delegator.address, member.address],
+        [delegator.address, ethers.ZeroAddress]
+      ]);
+      expect(members.find((m) => m.address === user.address).delegate).to.equal(member.address);
+      expect(members.find((m) => m.address === delegator.address).delegate).to.equal(null);
+      expect(delegates).to.deep.equal([{ delegate: member.address, delegators: [user.address], delegatedVotes: "1" }]);
+
+      // The delegate voted with three, the user took their one back
+      expect(proposals[1].forVotes).to.equal("2");
+      expect(proposals[1].againstVotes).to.equal("1");
+      expect(votes.find((v) => v.voter === member.address && v.proposalId === 1).weight).to.equal("2");
+    })
+
+    // Track expiry from purchases and renewals
+    it("Tracks membership expiry", async () => {
+      await membershipDAO.connect(user).renewMembership(0, { value: ethers.parseEther("2") });
+
+      await indexer.sync();
+      const { tiers, members } = indexer.getState();
+
+      expect(tiers[0].duration).to.equal(365 * 24 * 60 * 60);
+
+      const userState = members.find((m) => m.address === user.address);
+      expect(userState.memberships["0"].expiresAt).to.equal(Number(await membershipDAO.expiresAt(user.address, 0)));
+      expect(userState.memberships["0"].deposit).to.equal(ethers.parseEther("4").toString());
+    })
+
+    // Batches record each tier at its own cost, grants carry no deposit
+    it("Tracks batch purchases, gifts and grants", async () => {
+      const [, , , friend] = await ethers.getSigners();
+      await membershipDAO.connect(owner).listMemberships([
+        ["Gold Membership", ethers.parseEther("4"), 365 * 24 * 60 * 60, ethers.ZeroAddress],
+        ["Bronze Membership", ethers.parseEther("1"), 365 * 24 * 60 * 60, ethers.ZeroAddress]
+      ]);
+      await membershipDAO.connect(user).buyMembershipsFor(user.address, [1, 2], { value: ethers.parseEther("5") });
+      await membershipDAO.connect(user).buyMembershipFor(friend.address, 0, { value: ethers.parseEther("2") });
+      await membershipDAO.connect(owner).grantMemberships([member.address, friend.address], 2);
+
+      await indexer.sync();
+      const { tiers, members, deposits } = indexer.getState();
+
+      expect(tiers.map((tier) => tier.supply)).to.deep.equal(["3", "1", "3"]);
+      expect(deposits.slice(2).map((entry) => [entry.user, entry.membershipId, entry.amount])).to.deep.equal([
+        [user.address, 1, ethers.parseEther("4").toString()],
+        [user.address, 2, ethers.parseEther("1").toString()],
+        [friend.address, 0, ethers.parseEther("2").toString()]
+      ]);
+
+      const userState = members.find((m) => m.address === user.address);
+      expect(userState.balances).to.deep.equal({ 0: "1", 1: "1", 2: "1" });
+
+      const friendState = members.find((m) => m.address === friend.address);
+      expect(friendState.grants).to.equal(1);
+      expect(friendState.memberships["2"].deposit).to.equal("0");
+      expect(friendState.memberships["2"].expiresAt).to.equal(Number(await membershipDAO.expiresAt(friend.address, 2)));
+      expect(friendState.memberships["0"].deposit).to.equal(ethers.parseEther("2").toString());
+    })
+
+    // Cancellation updates membership and refunds
+    it("Tracks cancellations and refunds", async () => {
+      await membershipDAO.connect(user).cancelMembership(0);
+
+      await indexer.sync();
+      const { members, refunds } = indexer.getState();
+
+      const userState = members.find((m) => m.address === user.address);
+      expect(userState.memberships).to.deep.equal({});
+      expect(userState.balances).to.deep.equal({});
+      expect(refunds[0].amount).to.equal(ethers.parseEther("2").toString());
+
+      // Member deposit is untouched
+      const memberState = members.find((m) => m.address === member.address);
+      expect(memberState.memberships["0"].deposit).to.equal(ethers.parseEther("2").toString());
+    })
+
+    // Upgrades move the membership to the new tier
+    it("Tracks upgrades and downgrades", async () => {
+      await membershipDAO.connect(owner).listMembership("Gold Membership", ethers.parseEther("4"), 365 * 24 * 60 * 60, ethers.ZeroAddress);
+      await membershipDAO.connect(user).upgradeMembership(0, 1, { value: ethers.parseEther("2") });
+      await membershipDAO.connect(member).cancelMembership(0);
+      await membershipDAO.connect(member).buyMembership(1, { value: ethers.parseEther("4") });
+      await membershipDAO.connect(member).downgradeMembership(1, 0);
+
+      await indexer.sync();
+      const { members, refunds } = indexer.getState();
+
+      const userState = members.find((m) => m.address === user.address);
+      expect(userState.memberships).to.have.keys("1");
+      expect(userState.memberships["1"].deposit).to.equal(ethers.parseEther("4").toString());
+      expect(userState.balances).to.deep.equal({ "1": "1" });
+
+      const memberState = members.find((m) => m.address === member.address);
+      expect(memberState.memberships["0"].deposit).to.equal(ethers.parseEther("2").toString());
+      expect(refunds[1].amount).to.equal(ethers.parseEther("2").toString());
+    })
+
+    // Refund policy changes are applied to tiers
+    it("Tracks refund policies", async () => {
+      await membershipDAO.connect(owner).setRefundPolicy(0, 1);
+
+      await indexer.sync();
+      expect(indexer.getState().tiers[0].refundPolicy).to.equal("ProRated");
+    })
+
+    // Supply caps, sale windows, status and cost changes are applied to tiers
+    it("Tracks tier sales and supply", async () => {
+      const root = ethers.id("allowlist");
+      await membershipDAO.connect(owner).setTierSale(0, 5, 0, 2000000000, root);
+      await membershipDAO.connect(owner).setMembershipCost(0, ethers.parseEther("3"));
+      await membershipDAO.connect(owner).setTierStatus(0, 1);
+      await membershipDAO.connect(user).cancelMembership(0);
+
+      await indexer.sync();
+      const [tier] = indexer.getState().tiers;
+      expect(tier).to.include({
+        supply: "1",
+        maxSupply: "5",
+        saleStart: 0,
+        saleEnd: 2000000000,
+        allowlistRoot: root,
+        status: "Paused",
+        cost: ethers.parseEther("3").toString()
+      });
+    })
+
+    // Token payments use the tier cost and asset
+    it("Tracks payments in ERC-20 tiers", async () => {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const token = await MockERC20.deploy("Mock USD", "mUSD");
+      await token.mint(user.address, ethers.parseUnits("100", 6));
+
+      await membershipDAO.connect(owner).listMembership("Stable Membership", ethers.parseUnits("100", 6), 365 * 24 * 60 * 60, token.target);
+      await token.connect(user).approve(membershipDAO.target, ethers.parseUnits("100", 6));
+      await membershipDAO.connect(user).buyMembership(1);
+      await membershipDAO.connect(user).cancelMembership(1);
+
+      await indexer.sync();
+      const { tiers, deposits, refunds } = indexer.getState();
+
+      expect(tiers[1].paymentToken).to.equal(token.target);
+      expect(deposits[2].paymentToken).to.equal(token.target);
+      expect(deposits[2].amount).to.equal(ethers.parseUnits("100", 6).toString());
+      expect(refunds[0].paymentToken).to.equal(token.target);
+    })
+
+    // Referred purchases, rewards and claims feed the leaderboard
+    it("Tracks referrals and the leaderboard", async () => {
+      const [, , , referee, other] = await ethers.getSigners();
+      const userCode = ethers.encodeBytes32String("USER");
+      const memberCode = ethers.encodeBytes32String("MEMBER");
+      await membershipDAO.connect(owner).setReferralTerms(0, 1000, 500);
+      await membershipDAO.connect(user).registerReferralCode(userCode);
+      await membershipDAO.connect(member).registerReferralCode(memberCode);
+
+      await membershipDAO.connect(referee).buyMembershipWithReferral(0, [], memberCode, { value: ethers.parseEther("1.8") });
+      await membershipDAO.connect(other).buyMembershipWithReferral(0, [], memberCode, { value: ethers.parseEther("1.8") });
+      await membershipDAO.connect(owner).buyMembershipWithReferral(0, [], userCode, { value: ethers.parseEther("1.8") });
+      await membershipDAO.connect(member).claimReferralRewards(ethers.ZeroAddress);
+
+      await indexer.sync();
+      const { referrals, leaderboard, members, treasury } = indexer.getState();
+
+      expect(referrals).to.have.length(3);
+      expect(referrals[0]).to.include({ referrer: member.address, buyer: referee.address, code: memberCode });
+      expect(leaderboard.map((entry) => [entry.referrer, entry.referrals])).to.deep.equal([[member.address, 2], [user.address, 1]]);
+      expect(leaderboard[0].rewards[ethers.ZeroAddress]).to.equal(ethers.parseEther("0.18").toString());
+      expect(leaderboard[0].claimed[ethers.ZeroAddress]).to.equal(ethers.parseEther("0.18").toString());
+
+      // The reward isn't part of the refundable deposit, and user's reward is still reserved
+      const refereeState = members.find((m) => m.address === referee.address);
+      expect(refereeState.memberships["0"].deposit).to.equal(ethers.parseEther("1.71").toString());
+      expect(treasury.reserved[ethers.ZeroAddress]).to.equal((ethers.parseEther("4") + ethers.parseEther("1.71") * 3n + ethers.parseEther("0.09")).toString());
+    })
+
+    // Reserves, spending proposals and withdrawals feed the treasury
+    it("Tracks the treasury", async () => {
+      const [, , , operations, reserve] = await ethers.getSigners();
+      await membershipDAO.connect(owner).setPayees([operations.address, reserve.address], [1, 1]);
+      await membershipDAO.connect(owner).setSpendingLimit(ethers.ZeroAddress, ethers.parseEther("1"));
+      await membershipDAO.connect(owner).proposeSpending("Conference", ethers.ZeroAddress, ethers.parseEther("3"));
+      await membershipDAO.connect(owner).setRefundPolicy(0, 2);
+      await membershipDAO.connect(owner).withdraw(ethers.ZeroAddress, ethers.parseEther("1"));
+
+      await indexer.sync();
+      const { treasury, proposals } = indexer.getState();
+
+      expect(treasury.reserved).to.deep.equal({});
+      expect(treasury.payees).to.deep.equal([
+        { account: operations.address, shares: "1" },
+        { account: reserve.address, shares: "1" }
+      ]);
+      expect(treasury.spendingLimits[ethers.ZeroAddress]).to.equal(ethers.parseEther("1").toString());
+      expect(treasury.withdrawals[0].amount).to.equal(ethers.parseEther("1").toString());
+      expect(treasury.payments.map((payment) => payment.payee)).to.deep.equal([operations.address, reserve.address]);
+
+      expect(proposals[1].kind).to.equal("spending");
+      expect(proposals[1].amount).to.equal(ethers.parseEther("3").toString());
+    })
+
+    // Refundable deposits are reserved per asset
+    it("Tracks reserved deposits", async () => {
+      await indexer.sync();
+      expect(indexer.getState().treasury.reserved[ethers.ZeroAddress]).to.equal(ethers.parseEther("4").toString());
+    })
+
+    // Role changes and pauses are replayed
+    it("Tracks role holders and pauses", async () => {
+      const treasurerRole = await membershipDAO.TREASURER_ROLE();
+      await membershipDAO.connect(owner).grantRole(treasurerRole, member.address);
+      await membershipDAO.connect(owner).revokeRole(treasurerRole, owner.address);
+      await membershipDAO.connect(owner).grantRole(await membershipDAO.BALLOT_ROLE(), member.address);
+      await membershipDAO.connect(owner).pause();
+
+      await indexer.sync();
+      const { roles, paused } = indexer.getState();
+
+      expect(roles.DEFAULT_ADMIN_ROLE).to.deep.equal([owner.address]);
+      expect(roles.TREASURER_ROLE).to.deep.equal([member.address]);
+      expect(roles.BALLOT_ROLE).to.deep.equal([member.address]);
+      expect(paused).to.equal(true);
+    })
+
+    // Memberships follow their token
+    it("Tracks transfers and transfer modes", async () => {
+      const [, , , recipient] = await ethers.getSigners();
+      await membershipDAO.connect(user).safeTransferFrom(user.address, recipient.address, 0, 1, "0x");
+      await membershipDAO.connect(owner).setTransferMode(0, 1);
+
+      await indexer.sync();
+      const { tiers, members } = indexer.getState();
+
+      const userState = members.find((m) => m.address === user.address);
+      const recipientState = members.find((m) => m.address === recipient.address);
+      expect(userState.memberships).to.deep.equal({});
+      expect(recipientState.memberships["0"].deposit).to.equal(ethers.parseEther("2").toString());
+      expect(recipientState.balances).to.deep.equal({ "0": "1" });
+      expect(tiers[0].transferMode).to.equal("Soulbound");
+    })
+
+    // Only new blocks are scanned on the next sync
+    it("Resumes from the last indexed block", async () => {
+      await indexer.sync();
+      const eventsBefore = store.events.length;
+
+      await membershipDAO.connect(user).vote(0, 1);
+      await indexer.sync();
+
+      expect(store.events.length).to.equal(eventsBefore + 1);
+      expect(store.cursor.blockNumber).to.equal(await ethers.provider.getBlockNumber());
+    })
+  })
+
+  describe("Reorg", () => {
+    // Drop events from blocks that are no longer on chain
+    it("Rolls back events from orphaned blocks", async () => {
+      await indexer.sync();
+      const snapshot = await takeSnapshot();
+
+      // Blocks that will be orphaned
+      await membershipDAO.connect(user).vote(0, 1);
+      await indexer.sync();
+      expect(indexer.getState().votes).to.have.length(1);
+
+      // Replace them with a different fork of the same height
+      await snapshot.restore();
+      await membershipDAO.connect(member).vote(0, 1);
+
+      const { reorged } = await indexer.sync();
+      expect(reorged).to.equal(true);
+
+      const { votes } = indexer.getState();
+      expect(votes).to.have.length(1);
+      expect(votes[0].voter).to.equal(member.address);
+    })
+  })
+
+  describe("API", () => {
+    let server, baseUrl
+
+    beforeEach(async () => {
+      await membershipDAO.connect(user).vote(0, 1);
+      await indexer.sync();
+
+      server = createApi(indexer);
+      await new Promise((resolve) => server.listen(0, resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    })
+
+    afterEach(async () => {
+      await new Promise((resolve) => server.close(resolve));
+    })
+
+    // Serve the indexed state as JSON
+    it("Serves tiers, members and proposals", async () => {
+      const tiers = await (await fetch(`${baseUrl}/tiers`)).json();
+      expect(tiers[0].name).to.equal("Silver Membership");
+
+      const userState = await (await fetch(`${baseUrl}/members/${user.address}`)).json();
+      expect(userState.memberships).to.have.keys("0");
+
+      const proposal = await (await fetch(`${baseUrl}/proposals/0`)).json();
+      expect(proposal.voteCount).to.equal(1);
+    })
+
+    // Filter collections with query parameters
+    it("Filters collections by query", async () => {
+      const votes = await (await fetch(`${baseUrl}/votes?voter=${user.address.toLowerCase()}`)).json();
+      expect(votes).to.have.length(1);
+
+      const deposits = await (await fetch(`${baseUrl}/deposits?user=${owner.address}`)).json();
+      expect(deposits).to.have.length(0);
+    })
+
+    // Unknown routes return 404
+    it("Returns 404 for unknown resources", async () => {
+      const response = await fetch(`${baseUrl}/proposals/10`);
+      expect(response.status).to.equal(404);
+    })
+  })
+})
@@ -0,0 +1,402 @@
+const {
+  ethers
+} = require("hardhat");
+const {
+  expect
+} = require("chai");
+const {
+  loadFixture,
+  time
+} = require("@nomicfoundation/hardhat-network-helpers");
+
+const { getMembershipDAOFactory } = require("../scripts/libraries");
+
+// Runs, steps per run and the seed of the first run can be set to reproduce a failure
+const RUNS = Number(process.env.FUZZ_RUNS || 4);
+const STEPS = Number(process.env.FUZZ_STEPS || 30);
+const SEED = Number(process.env.FUZZ_SEED || Date.now() % 2 ** 32);
+
+const MEMBERS = 8;
+const DAY = 24 * 60 * 60;
+
+// RefundPolicy enum values
+const [Full, ProRated] = [0, 1];
+
+// Actions weighted by how often they are picked
+const ACTIONS = ["buy", "buy", "buy", "gift", "grant", "cancel", "transfer", "delegate", "undelegate", "propose", "vote", "vote", "approve", "withdraw", "wait"];
+
+/**
+ * Seeded pseudo-random numbers in [0, 1), so a seed always gives the same sequence.
+ */
+const mulberry32 = (seed) => () => {
+  seed = (seed + 0x6d2b79f5) | 0;
+  let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 2 ** 32;
+};
+
+/**
+ * A random sequence of actions. Tiers and proposals are picked by an index that wraps around
+ * those listed when the action runs, so removing actions keeps the rest valid.
+ */
+const generateSequence = (seed, length) => {
+  const random = mulberry32(seed);
+  const pick = (n) => Math.floor(random() * n);
+
+  return Array.from({ length }, () => ({
+    type: ACTIONS[pick(ACTIONS.length)],
+    member: pick(MEMBERS),
+    to: pick(MEMBERS),
+    tier: pick(5),
+    proposal: pick(4),
+    support: pick(3),
+    share: 1 + pick(4),
+    excess: random() < 0.2,
+    days: 1 + pick(30)
+  }));
+};
+
+// One line of a failure report, tiers and proposals by their index before wrapping
+const describeAction = (action) => {
+  const member = `members[${action.member}]`;
+  switch (action.type) {
+    case "buy": return `${member} buys tier ${action.tier}`;
+    case "gift": return `${member} buys tier ${action.tier} for members[${action.to}]`;
+    case "grant": return `owner grants tier ${action.tier} to ${member}`;
+    case "cancel": return `${member} cancels tier ${action.tier}`;
+    case "transfer": return `${member} transfers tier ${action.tier} to members[${action.to}]`;
+    case "delegate": return `${member} delegates to members[${action.to}]`;
+    case "undelegate": return `${member} revokes their delegation`;
+    case "propose": return "owner proposes a tier";
+    case "vote": return `${member} votes ${["against", "for", "abstain"][action.support]} on proposal ${action.proposal}`;
+    case "approve": return `${member} approves proposal ${action.proposal}`;
+    case "withdraw": return `owner withdraws ${action.excess ? "more than the surplus" : `${action.share}/4 of the surplus`} of tier ${action.tier}'s asset`;
+    default: return `${action.days} days pass`;
+  }
+};
+
+// Three tiers, one paid in a token, with funded and approved members
+async function deployFixture() {
+  const [owner, ...signers] = await ethers.getSigners();
+  const members = signers.slice(0, MEMBERS);
+
+  const MembershipDAO = await getMembershipDAOFactory();
+  const membershipDAO = await MembershipDAO.deploy(owner.address);
+  await membershipDAO.waitForDeployment();
+
+  const token = await ethers.deployContract("MockERC20", ["Mock USD", "mUSD"]);
+  await membershipDAO.listMembership("Silver Membership", ethers.parseEther("1"), 30 * DAY, ethers.ZeroAddress);
+  await membershipDAO.listMembership("Gold Membership", ethers.parseEther("3"), 60 * DAY, ethers.ZeroAddress);
+  await membershipDAO.setRefundPolicy(1, ProRated);
+  await membershipDAO.listMembership("Community Membership", ethers.parseUnits("25", 6), 30 * DAY, token.target);
+  await membershipDAO.setVotingSettings(0, 7 * DAY, 50, 1);
+
+  for (const member of members) {
+    await token.mint(member.address, ethers.parseUnits("10000", 6));
+    await token.connect(member).approve(membershipDAO.target, ethers.MaxUint256);
+  }
+
+  return { membershipDAO, token, owner, members };
+}
+
+// Send an action's transaction, or nothing when it doesn't apply yet
+async function runAction(action, { membershipDAO, owner, members }) {
+  const member = members[action.member];
+  const tiers = await membershipDAO.totalMemberships();
+  const tier = BigInt(action.tier) % tiers;
+  const proposals = await membershipDAO.totalNewMembership();
+  const proposal = proposals ? BigInt(action.proposal) % proposals : null;
+
+  switch (action.type) {
+    case "buy": {
+      const { cost, paymentToken } = await membershipDAO.memberships(tier);
+      return membershipDAO.connect(member).buyMembership(tier, { value: paymentToken === ethers.ZeroAddress ? cost : 0 });
+    }
+    case "gift": {
+      const { cost, paymentToken } = await membershipDAO.memberships(tier);
+      const value = paymentToken === ethers.ZeroAddress ? cost : 0;
+      return membershipDAO.connect(member).buyMembershipFor(members[action.to].address, tier, { value });
+    }
+    case "grant":
+      return membershipDAO.connect(owner).grantMemberships([member.address], tier);
+    case "cancel":
+      return membershipDAO.connect(member).cancelMembership(tier);
+    case "transfer":
+      return membershipDAO.connect(member).safeTransferFrom(member.address, members[action.to].address, tier, 1, "0x");
+    case "delegate":
+      return membershipDAO.connect(member).delegate(members[action.to].address);
+    case "undelegate":
+      return membershipDAO.connect(member).undelegate();
+    case "propose":
+      return membershipDAO.connect(owner).listNewMembership(`Tier ${tiers}`, ethers.parseEther("2"), 30 * DAY);
+    case "vote":
+      return proposal === null ? null : membershipDAO.connect(member).vote(proposal, action.support);
+    case "approve":
+      return proposal === null ? null : membershipDAO.connect(member).approve(proposal);
+    case "withdraw": {
+      const { paymentToken } = await membershipDAO.memberships(tier);
+      const surplus = await membershipDAO.surplus(paymentToken);
+      const amount = action.excess ? surplus + 1n : (surplus * BigInt(action.share)) / 4n;
+      return membershipDAO.connect(owner).withdraw(paymentToken, amount);
+    }
+    default:
+      return time.increase(action.days * DAY);
+  }
+}
+
+/**
+ * Check the accounting invariants, throwing an error named after the first one that fails.
+ */
+async function checkInvariants({ membershipDAO, token, members }) {
+  const fail = (invariant, message) => {
+    const error = new Error(message);
+    error.invariant = invariant;
+    throw error;
+  };
+
+  const tiers = Number(await membershipDAO.totalMemberships());
+  const assets = [ethers.ZeroAddress, token.target];
+  const deposits = Object.fromEntries(assets.map((asset) => [asset, 0n]));
+  let memberCount = 0n;
+
+  // Memberships count towards the quorum until the end of the day their grace period ends
+  const firstActiveDay = (BigInt(await time.latest()) - (await membershipDAO.gracePeriod())) / BigInt(DAY);
+  let activeVotes = 0n;
+
+  const membershipCounts = members.map(() => 0n);
+  for (let id = 0; id < tiers; id++) {
+    const { paymentToken } = await membershipDAO.memberships(id);
+    let supply = 0n;
+    let tierDeposits = 0n;
+    const weight = await membershipDAO.votingWeight(id);
+
+    for (const [index, member] of members.entries()) {
+      const balance = await membershipDAO.balanceOf(member.address, id);
+      const hasMembership = await membershipDAO.hasMembership(member.address, id);
+      if (balance > 1n || hasMembership !== (balance === 1n)) {
+        fail("hasMembership", `members[${index}] holds ${balance} of tier ${id} but hasMembership is ${hasMembership}`);
+      }
+
+      const deposit = await membershipDAO.deposit(member.address, id);
+      if (!hasMembership && deposit !== 0n) {
+        fail("deposit", `members[${index}] keeps a deposit of ${deposit} for tier ${id} it doesn't hold`);
+      }
+
+      if (hasMembership && (await membershipDAO.expiresAt(member.address, id)) / BigInt(DAY) >= firstActiveDay) {
+        activeVotes += weight;
+      }
+
+      supply += balance;
+      tierDeposits += deposit;
+      membershipCounts[index] += balance;
+    }
+
+    if ((await membershipDAO.totalSupply(id)) !== supply) {
+      fail("totalSupply", `tier ${id} has a total supply of ${await membershipDAO.totalSupply(id)} but members hold ${supply}`);
+    }
+    if ((await membershipDAO.totalDeposits(id)) !== tierDeposits) {
+      fail("totalDeposits", `tier ${id} has total deposits of ${await membershipDAO.totalDeposits(id)} but members deposited ${tierDeposits}`);
+    }
+    deposits[paymentToken] += tierDeposits;
+  }
+
+  for (const [index, member] of members.entries()) {
+    if ((await membershipDAO.membershipCount(member.address)) !== membershipCounts[index]) {
+      fail("membershipCount", `members[${index}] has a membership count of ${await membershipDAO.membershipCount(member.address)} but holds ${membershipCounts[index]}`);
+    }
+    if (membershipCounts[index] > 0n) {
+      memberCount++;
+    }
+  }
+  if ((await membershipDAO.memberCount()) !== memberCount) {
+    fail("memberCount", `memberCount is ${await membershipDAO.memberCount()} but ${memberCount} members hold a membership`);
+  }
+
+  if ((await membershipDAO.getActiveVotes()) !== activeVotes) {
+    fail("activeVotes", `getActiveVotes is ${await membershipDAO.getActiveVotes()} but active memberships hold ${activeVotes} votes`);
+  }
+
+  // Every delegate holds exactly the voting power of its delegators
+  const addresses = members.map((member) => member.address);
+  const delegated = members.map(() => 0n);
+  for (const member of members) {
+    const index = addresses.indexOf(await membershipDAO.delegates(member.address));
+    if (index >= 0) {
+      delegated[index] += await membershipDAO.getVotes(member.address);
+    }
+  }
+  const block = await ethers.provider.getBlockNumber();
+  for (const [index, member] of members.entries()) {
+    const votes = await membershipDAO.getPastDelegatedVotes(member.address, block);
+    if (votes !== delegated[index]) {
+      fail("delegatedVotes", `members[${index}] holds ${votes} delegated votes but its delegators hold ${delegated[index]}`);
+    }
+  }
+
+  // Every tier reserves its deposits, so the balance covers them all
+  for (const asset of assets) {
+    const balance = asset === ethers.ZeroAddress ? await ethers.provider.getBalance(membershipDAO.target) : await token.balanceOf(membershipDAO.target);
+    const reserved = await membershipDAO.reservedDeposits(asset);
+    if (reserved !== deposits[asset]) {
+      fail("reservedDeposits", `${reserved} of ${asset} is reserved but members deposited ${deposits[asset]}`);
+    }
+    if (balance < deposits[asset]) {
+      fail("balance", `the balance of ${balance} of ${asset} doesn't cover deposits of ${deposits[asset]}`);
+    }
+  }
+
+  const proposals = await membershipDAO.totalNewMembership();
+  for (let id = 0n; id < proposals; id++) {
+    const { voteCount, snapshotBlock } = await membershipDAO.newMembership(id);
+
+    // Delegated power is counted once, so the tallies never exceed the power at the snapshot
+    const { forVotes, againstVotes, abstainVotes } = await membershipDAO.proposalVotes(id);
+    const totalVotes = await membershipDAO.getPastTotalVotes(snapshotBlock);
+    if (forVotes + againstVotes + abstainVotes > totalVotes) {
+      fail("tally", `proposal ${id} tallies ${forVotes + againstVotes + abstainVotes} votes but only ${totalVotes} existed at its snapshot`);
+    }
+
+    for (let index = 0n; index < voteCount; index++) {
+      const voter = await membershipDAO.voters(id, index);
+      if (!(await membershipDAO.hasVoted(voter, id))) {
+        fail("voters", `${voter} is a voter on proposal ${id} but hasVoted is false`);
+      }
+    }
+    await membershipDAO.voters(id, voteCount).then(
+      () => fail("voteCount", `proposal ${id} has more voters than its vote count of ${voteCount}`),
+      (error) => {
+        if (error.invariant) {
+          throw error;
+        }
+      }
+    );
+  }
+}
+
+/**
+ * Run `sequence` from a fresh deployment, checking the invariants after every step.
+ * Returns the failing step and invariant, or null when the sequence passes.
+ * Reverts with the contract's custom errors are expected, any other revert is a failure.
+ */
+async function runSequence(sequence, check = checkInvariants) {
+  const context = await loadFixture(deployFixture);
+
+  for (const [step, action] of sequence.entries()) {
+    try {
+      const transaction = await runAction(action, context);
+      if (transaction && transaction.wait) {
+        await transaction.wait();
+      }
+    } catch (error) {
+      if (!/reverted with custom error/.test(error.message)) {
+        return { step, invariant: "revert", message: error.message };
+      }
+    }
+
+    try {
+      await check(context);
+    } catch (error) {
+      if (!error.invariant) {
+        throw error;
+      }
+      return { step, invariant: error.invariant, message: error.message };
+    }
+  }
+  return null;
+}
+
+/**
+ * Shrink a failing sequence by removing ever smaller chunks of actions for as long as
+ * the same invariant still fails. Returns the minimal sequence and its failure.
+ */
+async function shrink(sequence, failure, check) {
+  let current = sequence.slice(0, failure.step + 1);
+
+  for (let chunk = Math.ceil(current.length / 2); chunk >= 1;) {
+    let removed = false;
+
+    for (let start = 0; start < current.length; start += chunk) {
+      const candidate = [...current.slice(0, start), ...current.slice(start + chunk)];
+      const result = await runSequence(candidate, check);
+      if (result && result.invariant === failure.invariant) {
+        current = candidate.slice(0, result.step + 1);
+        failure = result;
+        removed = true;
+        start -= chunk;
+      }
+    }
+
+    if (!removed) {
+      chunk = Math.floor(chunk / 2);
+    }
+  }
+
+  return { sequence: current, failure };
+}
+
+// Run a seeded sequence and, if it fails, shrink it and report how to reproduce it
+async function fuzz(seed, steps, check) {
+  const sequence = generateSequence(seed, steps);
+  const failure = await runSequence(sequence, check);
+  if (!failure) {
+    return null;
+  }
+
+  const shrunk = await shrink(sequence, failure, check);
+  shrunk.report = [
+    `Invariant ${shrunk.failure.invariant} failed with FUZZ_SEED=${seed} FUZZ_STEPS=${steps}: ${shrunk.failure.message}`,
+    "Minimal sequence:",
+    ...shrunk.sequence.map((action, step) => `  ${step + 1}. ${describeAction(action)}`)
+  ].join("\n");
+  return shrunk;
+}
+
+describe("Invariants", () => {
+  describe("Success", () => {
+    // Random purchases, cancellations, transfers, delegations, votes, approvals and withdrawals keep the books straight
+    for (let run = 0; run < RUNS; run++) {
+      const seed = (SEED + run) % 2 ** 32;
+
+      it(`Holds the invariants for seed ${seed}`, async () => {
+        const result = await fuzz(seed, STEPS);
+        expect(result, result && result.report).to.equal(null);
+      })
+    }
+
+    // The same seed always gives the same sequence
+    it("Generates reproducible sequences", () => {
+      expect(generateSequence(42, 20)).to.deep.equal(generateSequence(42, 20));
+      expect(generateSequence(42, 20)).to.not.deep.equal(generateSequence(43, 20));
+    })
+  })
+
+  describe("Failure", () => {
+    // A broken invariant shrinks to the one action that breaks it
+    it("Shrinks a failing sequence to a minimal case", async () => {
+      const noGold = async ({ membershipDAO }) => {
+        if ((await membershipDAO.totalSupply(1)) > 0n) {
+          const error = new Error("someone holds gold");
+          error.invariant = "noGold";
+          throw error;
+        }
+      };
+
+      // A seed whose sequence buys gold once the steps before it are removed, and only buys it
+      const isGold = (action) => action.tier % 3 === 1;
+      const findsGold = (sequence) =>
+        sequence.some((action) => action.type === "buy" && isGold(action)) &&
+        !sequence.some((action) => ["gift", "grant"].includes(action.type) && isGold(action));
+      let seed = 1;
+      while (!findsGold(generateSequence(seed, 40))) {
+        seed++;
+      }
+
+      const result = await fuzz(seed, 40, noGold);
+      expect(result.failure.invariant).to.equal("noGold");
+      expect(result.sequence).to.have.length(1);
+      expect(result.sequence[0].type).to.equal("buy");
+      expect(result.sequence[0].tier % 3).to.equal(1);
+      expect(result.report).to.contain(`FUZZ_SEED=${seed} FUZZ_STEPS=40`);
+    })
+  })
+})
@@ -4,6 +4,28 @@ const {
 const {
   expect
 } = require("chai");
+const {
+  time
+} = require("@nomicfoundation/hardhat-network-helpers");
+
+const { getMembershipDAOFactory, deployMembershipBallots } = require("../scripts/libraries");
+const { buildTree, getProof } = require("../allowlist/merkle");
+
+// Memberships are sold as annual passes
+const membershipDuration = 365 * 24 * 60 * 60;
+
+// Proposals stay open for a week by default
+const votingPeriod = 7 * 24 * 60 * 60;
+
+// ProposalState and VoteType enum values
+const [Pending, Active, Succeeded, Defeated, Executed] = [0, 1, 2, 3, 4];
+const [Against, For, Abstain] = [0, 1, 2];
+
+// TransferMode enum values
+const [Free, Soulbound, OwnerApproved] = [0, 1, 2];
+
+// TierStatus enum values
+const [TierActive, TierPaused, TierRetired] = [0, 1, 2];
 
 describe("MembershipDAO", () => {
   let membershipDAO, owner
@@ -11,17 +33,224 @@ describe("MembershipDAO", () => {
   beforeEach(async () => {
     [owner, user, member] = await ethers.getSigners();
 
-    // Deploy contract
-    const MembershipDAO = await ethers.getContractFactory("MembershipDAO");
+    // Deploy the libraries and link them into the contract
+    const MembershipDAO = await getMembershipDAOFactory();
     membershipDAO = await MembershipDAO.deploy(owner.address);
     await membershipDAO.waitForDeployment();
   })
 
   describe("Deployment", () => {
-    // Check for owner address
-    it("Should have an owner", async () => {
-      const contractOwner = await membershipDAO.owner();
-      expect(contractOwner).to.equal(owner.address);
+    // The deployer's admin gets every role
+    it("Should grant every role to the admin", async () => {
+      for (const role of ["DEFAULT_ADMIN_ROLE", "TIER_MANAGER_ROLE", "PROPOSER_ROLE", "TREASURER_ROLE", "PAUSER_ROLE"]) {
+        expect(await membershipDAO.hasRole(await membershipDAO[role](), owner.address)).to.equal(true);
+      }
+    })
+  })
+
+  describe("Roles", () => {
+    let account
+
+    // Every action gated by each role, run in order
+    const roleActions = {
+      DEFAULT_ADMIN_ROLE: [
+        (dao) => dao.setVotingSettings(0, votingPeriod, 50, 2),
+        (dao) => dao.grantRole(ethers.id("PAUSER_ROLE"), member.address),
+        (dao) => dao.revokeRole(ethers.id("PAUSER_ROLE"), member.address),
+        (dao) => dao.setPayees([member.address], [1]),
+        (dao) => dao.setSpendingLimit(ethers.ZeroAddress, ethers.parseEther("1"))
+      ],
+      TIER_MANAGER_ROLE: [
+        (dao) => dao.listMembership("Gold Membership", ethers.parseEther("4"), membershipDuration, ethers.ZeroAddress),
+        (dao) => dao.setVotingWeight(0, 2),
+        (dao) => dao.setGracePeriod(7 * 24 * 60 * 60),
+        (dao) => dao.setRefundPolicy(0, 1),
+        (dao) => dao.setTransferMode(0, OwnerApproved),
+        (dao) => dao.approveTransfer(user.address, member.address, 0, true),
+        (dao) => dao.setBaseURI("https://example.com/metadata/{id}.json"),
+        (dao) => dao.setMembershipURI(0, "ipfs://silver.json"),
+        (dao) => dao.setTierSale(0, 10, 0, 0, ethers.ZeroHash),
+        (dao) => dao.setMembershipCost(0, ethers.parseEther("3")),
+        (dao) => dao.setTierStatus(0, TierPaused),
+        (dao) => dao.setReferralTerms(0, 1000, 500),
+        (dao) => dao.listMemberships([["Gold Membership", ethers.parseEther("4"), membershipDuration, ethers.ZeroAddress]]),
+        (dao) => dao.grantMemberships([member.address], 0)
+      ],
+      PROPOSER_ROLE: [
+        (dao) => dao.listNewMembership("Gold Membership", ethers.parseEther("4"), membershipDuration)
+      ],
+      TREASURER_ROLE: [
+        (dao) => dao.proposeSpending("Conference", ethers.ZeroAddress, ethers.parseEther("1")),
+        (dao) => dao.withdraw(ethers.ZeroAddress, 0)
+      ],
+      PAUSER_ROLE: [
+        (dao) => dao.pause(),
+        (dao) => dao.unpause()
+      ]
+    };
+
+    beforeEach(async () => {
+      [, , , account] = await ethers.getSigners();
+      await membershipDAO.connect(owner).listMembership("Silver Membership", ethers.parseEther("2"), membershipDuration, ethers.ZeroAddress);
+    })
+
+    for (const [role, actions] of Object.entries(roleActions)) {
+      describe(role, () => {
+        // Holding the role allows every action it gates
+        it("Allows every action once granted", async () => {
+          await membershipDAO.connect(owner).grantRole(await membershipDAO[role](), account.address);
+
+          for (const action of actions) {
+            await expect(action(membershipDAO.connect(account))).not.to.be.reverted;
+          }
+        })
+
+        // Every other role together still isn't enough
+        it("Rejects every action without the role", async () => {
+          for (const other of Object.keys(roleActions).filter((name) => name !== role)) {
+            await membershipDAO.connect(owner).grantRole(await membershipDAO[other](), account.address);
+          }
+
+          for (const action of actions) {
+            await expect(action(membershipDAO.connect(account)))
+              .to.be.revertedWithCustomError(membershipDAO, "AccessControlUnauthorizedAccount")
+              .withArgs(account.address, await membershipDAO[role]());
+          }
+        })
+
+        // Revoking the role takes the actions away again
+        it("Rejects every action once revoked", async () => {
+          const roleId = await membershipDAO[role]();
+          await membershipDAO.connect(owner).grantRole(roleId, account.address);
+          await expect(membershipDAO.connect(owner).revokeRole(roleId, account.address))
+            .to.emit(membershipDAO, "RoleRevoked").withArgs(roleId, account.address, owner.address);
+
+          for (const action of actions) {
+            await expect(action(membershipDAO.connect(account)))
+              .to.be.revertedWithCustomError(membershipDAO, "AccessControlUnauthorizedAccount");
+          }
+        })
+      })
+    }
+
+    describe("Success", () => {
+      // Admins hand out roles
+      it("Grants roles", async () => {
+        const role = await membershipDAO.TREASURER_ROLE();
+        await expect(membershipDAO.connect(owner).grantRole(role, account.address))
+          .to.emit(membershipDAO, "RoleGranted").withArgs(role, account.address, owner.address);
+        expect(await membershipDAO.hasRole(role, account.address)).to.equal(true);
+      })
+
+      // Holders can give up a role
+      it("Lets holders renounce a role", async () => {
+        const role = await membershipDAO.TIER_MANAGER_ROLE();
+        await membershipDAO.connect(owner).grantRole(role, account.address);
+        await membershipDAO.connect(account).renounceRole(role, account.address);
+        expect(await membershipDAO.hasRole(role, account.address)).to.equal(false);
+      })
+
+      // Proposers approve succeeded proposals without being members
+      it("Lets proposers approve without a membership", async () => {
+        await membershipDAO.connect(user).buyMembership(0, { value: ethers.parseEther("2") });
+        await membershipDAO.connect(member).buyMembership(0, { value: ethers.parseEther("2") });
+        await membershipDAO.connect(owner).listNewMembership("Gold Membership", ethers.parseEther("4"), membershipDuration);
+        await membershipDAO.connect(user).vote(0, For);
+        await membershipDAO.connect(member).vote(0, For);
+        await time.increase(votingPeriod + 1);
+
+        await membershipDAO.connect(owner).grantRole(await membershipDAO.PROPOSER_ROLE(), account.address);
+        await expect(membershipDAO.connect(account).approve(0))
+          .to.emit(membershipDAO, "NewMembershipApproved");
+      })
+
+      // Withdrawals without payees go to the treasurer
+      it("Sends withdrawals without payees to the treasurer", async () => {
+        await membershipDAO.connect(owner).setRefundPolicy(0, 2);
+        await membershipDAO.connect(user).buyMembership(0, { value: ethers.parseEther("2") });
+        await membershipDAO.connect(owner).grantRole(await membershipDAO.TREASURER_ROLE(), account.address);
+
+        await expect(membershipDAO.connect(account).withdraw(ethers.ZeroAddress, ethers.parseEther("2")))
+          .to.changeEtherBalance(account, ethers.parseEther("2"));
+      })
+    })
+
+    describe("Failure", () => {
+      // Only admins hand out roles
+      it("Rejects granting roles without the admin role", async () => {
+        const role = await membershipDAO.TREASURER_ROLE();
+        await membershipDAO.connect(owner).grantRole(role, account.address);
+
+        await expect(membershipDAO.connect(account).grantRole(role, user.address))
+          .to.be.revertedWithCustomError(membershipDAO, "AccessControlUnauthorizedAccount")
+          .withArgs(account.address, await membershipDAO.DEFAULT_ADMIN_ROLE());
+      })
+    })
+  })
+
+  describe("Pause", () => {
+    let membershipCost
+
+    beforeEach(async () => {
+      membershipCost = ethers.parseEther("2");
+      await membershipDAO.connect(owner).listMembership("Silver Membership", membershipCost, membershipDuration, ethers.ZeroAddress);
+      await membershipDAO.connect(owner).listMembership("Gold Membership", ethers.parseEther("4"), membershipDuration, ethers.ZeroAddress);
+      await membershipDAO.connect(user).buyMembership(1, { value: ethers.parseEther("4") });
+      await membershipDAO.connect(member).buyMembership(0, { value: membershipCost });
+      await membershipDAO.connect(owner).listNewMembership("Platinum Membership", ethers.parseEther("6"), membershipDuration);
+    })
+
+    describe("Success", () => {
+      // Pausing emits the pauser
+      it("Pauses and unpauses", async () => {
+        await expect(membershipDAO.connect(owner).pause())
+          .to.emit(membershipDAO, "Paused").withArgs(owner.address);
+        expect(await membershipDAO.paused()).to.equal(true);
+
+        await expect(membershipDAO.connect(owner).unpause())
+          .to.emit(membershipDAO, "Unpaused").withArgs(owner.address);
+        await expect(membershipDAO.connect(user).vote(0, For)).to.emit(membershipDAO, "HasVoted");
+      })
+
+      // Members can still get their money back while paused
+      it("Allows cancellations and refunds while paused", async () => {
+        await membershipDAO.connect(owner).pause();
+
+        await expect(membershipDAO.connect(member).cancelMembership(0))
+          .to.changeEtherBalance(member, membershipCost);
+        await expect(membershipDAO.connect(user).downgradeMembership(1, 0))
+          .to.emit(membershipDAO, "RefundIssued");
+      })
+    })
+
+    describe("Failure", () => {
+      // Purchases stop while paused
+      it("Rejects purchases, renewals and upgrades while paused", async () => {
+        await membershipDAO.connect(owner).pause();
+
+        await expect(membershipDAO.connect(user).buyMembership(0, { value: membershipCost }))
+          .to.be.revertedWithCustomError(membershipDAO, "EnforcedPause");
+        await expect(membershipDAO.connect(member).renewMembership(0, { value: membershipCost }))
+          .to.be.revertedWithCustomError(membershipDAO, "EnforcedPause");
+        await expect(membershipDAO.connect(member).upgradeMembership(0, 1, { value: membershipCost }))
+          .to.be.revertedWithCustomError(membershipDAO, "EnforcedPause");
+        await expect(membershipDAO.connect(user).buyMembershipFor(member.address, 1, { value: ethers.parseEther("4") }))
+          .to.be.revertedWithCustomError(membershipDAO, "EnforcedPause");
+        await expect(membershipDAO.connect(member).buyMembershipsFor(user.address, [0], { value: membershipCost }))
+          .to.be.revertedWithCustomError(membershipDAO, "EnforcedPause");
+      })
+
+      // Votes stop while paused, signed or not
+      it("Rejects votes while paused", async () => {
+        await membershipDAO.connect(owner).pause();
+
+        await expect(membershipDAO.connect(user).vote(0, For))
+          .to.be.revertedWithCustomError(membershipDAO, "EnforcedPause");
+
+        await membershipDAO.connect(owner).grantRole(await membershipDAO.BALLOT_ROLE(), member.address);
+        await expect(membershipDAO.connect(member).castVote(user.address, 0, For))
+          .to.be.revertedWithCustomError(membershipDAO, "EnforcedPause");
+      })
     })
   })
 
@@ -36,12 +265,14 @@ describe("MembershipDAO", () => {
 
       // Owner list a membership
       it("Should list a membership", async () => {
-        const list = await membershipDAO.connect(owner).listMembership(membershipName, membershipCost);
+        const list = await membershipDAO.connect(owner).listMembership(membershipName, membershipCost, membershipDuration, ethers.ZeroAddress);
 
         // Check for membership name and cost
         const membership = await membershipDAO.memberships(0);
         expect(membership.name).to.equal(membershipName);
         expect(membership.cost).to.equal(membershipCost);
+        expect(membership.duration).to.equal(membershipDuration);
+        expect(membership.paymentToken).to.equal(ethers.ZeroAddress);
 
         // Check for totalMemberships
         const totalMemberships = await membershipDAO.totalMemberships();
@@ -50,8 +281,8 @@ describe("MembershipDAO", () => {
 
       // Emits MembershipListed event
       it("Emits membership listed event", async () => {
-        await expect(membershipDAO.connect(owner).listMembership(membershipName, membershipCost)).
-        to.emit(membershipDAO, "MembershipListed").withArgs(membershipName, membershipCost);
+        await expect(membershipDAO.connect(owner).listMembership(membershipName, membershipCost, membershipDuration, ethers.ZeroAddress)).
+        to.emit(membershipDAO, "MembershipListed").withArgs(membershipName, membershipCost, membershipDuration, ethers.ZeroAddress);
       })
     })
 
@@ -60,7 +291,7 @@ describe("MembershipDAO", () => {
       it("Rejects unauthorized user from listing", async () => {
         const membershipName = "Silver Membership";
         const membershipCost = ethers.parseEther("2");
-        await expect(membershipDAO.connect(user).listMembership(membershipName, membershipCost))
+        await expect(membershipDAO.connect(user).listMembership(membershipName, membershipCost, membershipDuration, ethers.ZeroAddress))
           .to.be.reverted;
       })
     })
@@ -73,7 +304,7 @@ describe("MembershipDAO", () => {
       beforeEach(async () => {
         membershipName = "Silver Membership";
         membershipCost = ethers.parseEther("2");
-        await membershipDAO.connect(owner).listMembership(membershipName, membershipCost);
+        await membershipDAO.connect(owner).listMembership(membershipName, membershipCost, membershipDuration, ethers.ZeroAddress);
 
         const memberships = await membershipDAO.totalMemberships();
         expect(memberships).to.equal(1);
@@ -95,10 +326,48 @@ describe("MembershipDAO", () => {
         expect(balanceAfter).to.be.gt(balanceBefore)
 
         // Check that hasMembership is true for the user
-        const hasMembership = await membershipDAO.hasMembership(user.address);
+        const hasMembership = await membershipDAO.hasMembership(user.address, 0);
         expect(hasMembership).to.be.true;
       })
 
+      // Set the expiry one duration from now
+      it("Sets the membership expiry", async () => {
+        await membershipDAO.connect(user).buyMembership(0, {
+          value: membershipCost
+        });
+
+        const expiresAt = await membershipDAO.expiresAt(user.address, 0);
+        expect(expiresAt).to.equal(await time.latest() + membershipDuration);
+        expect(await membershipDAO.isMembershipActive(user.address, 0)).to.equal(true);
+      })
+
+      // Hold several memberships at once
+      it("User buys memberships of different tiers", async () => {
+        await membershipDAO.connect(owner).listMembership("Gold Membership", ethers.parseEther("4"), membershipDuration, ethers.ZeroAddress);
+
+        await membershipDAO.connect(user).buyMembership(0, {
+          value: membershipCost
+        });
+        await membershipDAO.connect(user).buyMembership(1, {
+          value: ethers.parseEther("4")
+        });
+
+        expect(await membershipDAO.hasMembership(user.address, 0)).to.equal(true);
+        expect(await membershipDAO.hasMembership(user.address, 1)).to.equal(true);
+        expect(await membershipDAO.balanceOf(user.address, 1)).to.equal(1);
+        expect(await membershipDAO.isActiveMember(user.address)).to.equal(true);
+      })
+
+      // Membership expires after its duration
+      it("Expires after the membership duration", async () => {
+        await membershipDAO.connect(user).buyMembership(0, {
+          value: membershipCost
+        });
+
+        await time.increase(membershipDuration + 1);
+        expect(await membershipDAO.isMembershipActive(user.address, 0)).to.equal(false);
+      })
+
       // Emits MembershipPurchased event
       it("Emits membership purchased event", async () => {
         await expect(membershipDAO.connect(user).buyMembership(0, {
@@ -112,7 +381,7 @@ describe("MembershipDAO", () => {
       beforeEach(async () => {
         membershipName = "Silver Membership";
         membershipCost = ethers.parseEther("2");
-        await membershipDAO.connect(owner).listMembership(membershipName, membershipCost);
+        await membershipDAO.connect(owner).listMembership(membershipName, membershipCost, membershipDuration, ethers.ZeroAddress);
       })
 
       // Rejects duplicate membership purchase
@@ -127,303 +396,2136 @@ describe("MembershipDAO", () => {
           value: membershipCost
         })).to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_MembershipAlreadyPurchased");
       })
+
+      // Rejects buying a membership that was never listed
+      it("Reverts if the membership is not listed", async () => {
+        await expect(membershipDAO.connect(user).buyMembership(5))
+          .to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_MembershipIsInvalid");
+      })
     })
   })
 
-  describe("Cancel membership", () => {
-    let membershipName, membershipCost
+  describe("Batch operations", () => {
+    let token, recipient, silverCost, goldCost, stableCost
+
+    beforeEach(async () => {
+      [, , , recipient] = await ethers.getSigners();
+
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      token = await MockERC20.deploy("Mock USD", "mUSD");
+      await token.waitForDeployment();
+      await token.mint(user.address, ethers.parseUnits("1000", 6));
+
+      silverCost = ethers.parseEther("2");
+      goldCost = ethers.parseEther("4");
+      stableCost = ethers.parseUnits("100", 6);
+
+      // Two tiers paid in ETH and one in the token, listed at once
+      await membershipDAO.connect(owner).listMemberships([
+        ["Silver Membership", silverCost, membershipDuration, ethers.ZeroAddress],
+        ["Gold Membership", goldCost, membershipDuration, ethers.ZeroAddress],
+        ["Stable Membership", stableCost, membershipDuration, token.target]
+      ]);
+    })
 
     describe("Success", () => {
-      beforeEach(async () => {
-        membershipName = "Silver Membership";
-        membershipCost = ethers.parseEther("2");
+      // Bulk listing lists every tier in order
+      it("Lists several memberships at once", async () => {
+        expect(await membershipDAO.totalMemberships()).to.equal(3);
+        expect((await membershipDAO.memberships(1)).name).to.equal("Gold Membership");
+        expect((await membershipDAO.memberships(2)).paymentToken).to.equal(token.target);
+        expect(await membershipDAO.votingWeight(2)).to.equal(1);
+
+        await expect(membershipDAO.connect(owner).listMemberships([
+          ["Bronze Membership", ethers.parseEther("1"), membershipDuration, ethers.ZeroAddress],
+          ["Platinum Membership", ethers.parseEther("8"), membershipDuration, ethers.ZeroAddress]
+        ]))
+          .to.emit(membershipDAO, "MembershipListed").withArgs("Bronze Membership", ethers.parseEther("1"), membershipDuration, ethers.ZeroAddress)
+          .and.to.emit(membershipDAO, "MembershipListed").withArgs("Platinum Membership", ethers.parseEther("8"), membershipDuration, ethers.ZeroAddress);
+        expect(await membershipDAO.totalMemberships()).to.equal(5);
+      })
 
-        // Owner list a membership
-        await membershipDAO.connect(owner).listMembership(membershipName, membershipCost);
+      // The payer buys, the recipient holds
+      it("Buys a membership for someone else", async () => {
+        await expect(membershipDAO.connect(user).buyMembershipFor(recipient.address, 0, { value: silverCost }))
+          .to.emit(membershipDAO, "MembershipPurchased").withArgs(recipient.address, 0)
+          .and.to.emit(membershipDAO, "TransferSingle").withArgs(user.address, ethers.ZeroAddress, recipient.address, 0, 1);
 
-        // User buy a membership
-        await membershipDAO.connect(user).buyMembership(0, {
-          value: membershipCost
-        });
+        expect(await membershipDAO.hasMembership(recipient.address, 0)).to.equal(true);
+        expect(await membershipDAO.balanceOf(recipient.address, 0)).to.equal(1);
+        expect(await membershipDAO.deposit(recipient.address, 0)).to.equal(silverCost);
+        expect(await membershipDAO.hasMembership(user.address, 0)).to.equal(false);
       })
 
-      // Refund ETH to the user
-      it("Should refund the user after membership cancellation", async () => {
-        // Check for user balance before refund
-        const balanceBeforeRefund = await ethers.provider.getBalance(user.address);
+      // Refunds of a gift go to its holder
+      it("Refunds a gifted membership to the recipient", async () => {
+        await membershipDAO.connect(user).buyMembershipFor(recipient.address, 0, { value: silverCost });
 
-        // Check for contract balance before refund
-        const contractBalanceBefore = await ethers.provider.getBalance(membershipDAO.target);
+        await expect(membershipDAO.connect(recipient).cancelMembership(0))
+          .to.changeEtherBalances([recipient, user], [silverCost, 0]);
+      })
 
-        // Perform the cancellation
-        await membershipDAO.connect(user).cancelMembership(0);
+      // Gifts paid in a token come out of the payer's allowance
+      it("Buys a token membership for someone else", async () => {
+        await token.connect(user).approve(membershipDAO.target, stableCost);
 
-        // Check user balance after refund 
-        const balanceAfterRefund = await ethers.provider.getBalance(user.address);
-        expect(balanceAfterRefund).to.be.gt(balanceBeforeRefund);
+        await expect(membershipDAO.connect(user).buyMembershipFor(recipient.address, 2))
+          .to.changeTokenBalances(token, [user, membershipDAO], [-stableCost, stableCost]);
+        expect(await membershipDAO.hasMembership(recipient.address, 2)).to.equal(true);
+      })
 
-        // Check contract balance after refund
-        const contractBalanceAfter = await ethers.provider.getBalance(membershipDAO.target);
-        expect(contractBalanceAfter).to.equal(0);
+      // One transaction buys tiers paid in ETH and in the token
+      it("Buys several memberships in one batch", async () => {
+        await token.connect(user).approve(membershipDAO.target, stableCost);
+
+        const purchase = membershipDAO.connect(user).buyMembershipsFor(user.address, [0, 1, 2], { value: silverCost + goldCost });
+        await expect(purchase)
+          .to.emit(membershipDAO, "TransferBatch").withArgs(user.address, ethers.ZeroAddress, user.address, [0, 1, 2], [1, 1, 1])
+          .and.to.emit(membershipDAO, "MembershipPurchased").withArgs(user.address, 2);
+        await expect(purchase).to.changeEtherBalance(membershipDAO, silverCost + goldCost);
+        await expect(purchase).to.changeTokenBalance(token, membershipDAO, stableCost);
+
+        for (const id of [0, 1, 2]) {
+          expect(await membershipDAO.balanceOf(user.address, id)).to.equal(1);
+          expect(await membershipDAO.totalSupply(id)).to.equal(1);
+        }
+        expect(await membershipDAO.membershipCount(user.address)).to.equal(3);
+        expect(await membershipDAO.totalDeposits(1)).to.equal(goldCost);
       })
 
-      // Burn user NFT
-      it("Should burn the membership token when canceled", async () => {
-        // Check balance before cancelation
-        const balanceBeforeCancelation = await membershipDAO.balanceOf(user.address, 0);
+      // Batches can be gifts too
+      it("Buys several memberships for someone else", async () => {
+        await membershipDAO.connect(user).buyMembershipsFor(recipient.address, [0, 1], { value: silverCost + goldCost });
 
-        // Perform the cancellation
-        await membershipDAO.connect(user).cancelMembership(0);
+        expect(await membershipDAO.balanceOfBatch([recipient.address, recipient.address], [0, 1])).to.deep.equal([1n, 1n]);
+        expect(await membershipDAO.getVotes(recipient.address)).to.equal(2);
+        expect(await membershipDAO.memberCount()).to.equal(1);
+      })
 
-        // Get the balance after cancellation
-        const balanceAfterCancelation = await membershipDAO.balanceOf(user.address, 0);
+      // Comp memberships carry no deposit
+      it("Grants complimentary memberships", async () => {
+        await expect(membershipDAO.connect(owner).grantMemberships([user.address, recipient.address], 1))
+          .to.emit(membershipDAO, "MembershipGranted").withArgs(user.address, 1)
+          .and.to.emit(membershipDAO, "MembershipGranted").withArgs(recipient.address, 1);
 
-        // Check the balance should be zero after cancelation
-        expect(balanceAfterCancelation).to.equal(0);
-      })
+        expect(await membershipDAO.balanceOf(recipient.address, 1)).to.equal(1);
+        expect(await membershipDAO.expiresAt(recipient.address, 1)).to.equal(await time.latest() + membershipDuration);
+        expect(await membershipDAO.deposit(recipient.address, 1)).to.equal(0);
+        expect(await membershipDAO.memberCount()).to.equal(2);
 
-      // Update the membership
-      it("Should update the membership status after cancellation", async () => {
-        // Perform the cancellation
-        await membershipDAO.connect(user).cancelMembership(0);
-        // Ensure the user has no active membership
-        const result = await membershipDAO.hasMembership(user.address);
-        expect(result).to.equal(false);
+        await expect(membershipDAO.connect(recipient).cancelMembership(1))
+          .to.changeEtherBalance(recipient, 0);
       })
 
-      // Check for membership canceled event
-      it("Should emit membership canceled event", async () => {
-        // Perform the cancellation
-        await membershipDAO.connect(user).cancelMembership(0);
-
-        filter = membershipDAO.filters.MembershipCanceled(user.address, null);
-        events = await membershipDAO.queryFilter(filter, -1);
-        const args = events[0].args;
+      // Grants skip the sale checks
+      it("Grants memberships that are not on sale", async () => {
+        await membershipDAO.connect(owner).setTierStatus(1, TierPaused);
 
-        // Validate the arguments
-        expect(args[0]).to.equal(user.address);
-        expect(args[1]).to.equal(0);
+        await membershipDAO.connect(owner).grantMemberships([recipient.address], 1);
+        expect(await membershipDAO.hasMembership(recipient.address, 1)).to.equal(true);
       })
     })
 
     describe("Failure", () => {
-      // Reverts if no active membership exists
-      it("Reject cancelling non-active membership", async () => {
-        await expect(membershipDAO.connect(owner).cancelMembership(0))
-          .to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_NoActiveMembershipToCancel");
+      // Only tier managers list in bulk
+      it("Rejects bulk listing without the role", async () => {
+        await expect(membershipDAO.connect(user).listMemberships([["Bronze Membership", 1, membershipDuration, ethers.ZeroAddress]]))
+          .to.be.revertedWithCustomError(membershipDAO, "AccessControlUnauthorizedAccount");
       })
-    })
 
-    describe("List new membership", () => {
-      let name, cost, voteCount, isApproved
-      describe("Success", () => {
+      // Gifts follow the same checks as purchases, applied to the recipient
+      it("Rejects a gift the recipient already holds", async () => {
+        await membershipDAO.connect(recipient).buyMembership(0, { value: silverCost });
 
-        beforeEach(async () => {
-          name = "Gold Membership";
-          cost = ethers.parseEther("4");
-          voteCount = 0;
-          isApproved = false;
-        })
+        await expect(membershipDAO.connect(user).buyMembershipFor(recipient.address, 0, { value: silverCost }))
+          .to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_MembershipAlreadyPurchased")
+          .withArgs(recipient.address, 0);
+      })
 
-        // List new membership
-        it("Owner list new membership", async () => {
-          await membershipDAO.connect(owner).listNewMembership(name, cost, voteCount, isApproved);
-          // Fetch the listed membership
-          const result = await membershipDAO.newMembership(0)
-          expect(result.name).to.equal(name);
-          expect(result.cost).to.equal(cost);
-          expect(result.voteCount).to.equal(0);
-          expect(result.isApproved).to.equal(false);
-        })
+      // A gift can't prove someone else's allowlist entry
+      it("Rejects gifting an allowlisted membership", async () => {
+        const tree = buildTree([recipient.address, member.address]);
+        await membershipDAO.connect(owner).setTierSale(0, 0, 0, 0, tree.root);
 
-        // Emits ListedNewMembership event
-        it("Emits listed new membership event", async () => {
-          const currentTotalNewMembership = await membershipDAO.totalNewMembership();
-          await expect(membershipDAO.connect(owner).listNewMembership(name, cost, voteCount, isApproved))
-            .to.emit(membershipDAO, "ListedNewMembership").withArgs(owner.address, currentTotalNewMembership);
-        })
+        await expect(membershipDAO.connect(user).buyMembershipFor(recipient.address, 0, { value: silverCost }))
+          .to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_NotAllowlisted")
+          .withArgs(recipient.address, 0);
       })
 
-      describe("Failure", () => {
-        beforeEach(async () => {
-          name = "Gold Membership";
-          cost = ethers.parseEther("4");
-          voteCount = 0;
-          isApproved = false;
-        })
+      // The ETH sent must cover exactly the tiers paid in ETH
+      it("Rejects a batch with the wrong value", async () => {
+        await expect(membershipDAO.connect(user).buyMembershipsFor(user.address, [0, 1], { value: silverCost }))
+          .to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_IncorrectValueSent")
+          .withArgs(silverCost + goldCost, silverCost);
+      })
 
-        // No-owner list new membership
-        it("Reverts when nonowner tries to list a new membership", async () => {
-          await expect(membershipDAO.connect(user).listNewMembership(name, cost, voteCount, isApproved))
-            .to.be.reverted;
-        })
+      // A tier can't be in a batch twice
+      it("Rejects a batch with a tier twice", async () => {
+        await expect(membershipDAO.connect(user).buyMembershipsFor(user.address, [0, 0], { value: silverCost * 2n }))
+          .to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_MembershipAlreadyPurchased")
+          .withArgs(user.address, 0);
       })
-    })
 
-    describe("Vote", () => {
-      let membershipName, membershipCost, name, cost, voteCount, isApproved
+      // One tier that can't be bought reverts the whole batch
+      it("Rejects a batch with a tier off sale", async () => {
+        await membershipDAO.connect(owner).setTierStatus(1, TierPaused);
 
-      describe("Success", () => {
-        beforeEach(async () => {
-          // Define first membership
-          membershipName = "Silver Membership";
-          membershipCost = ethers.parseEther("2");
+        await expect(membershipDAO.connect(user).buyMembershipsFor(user.address, [0, 1], { value: silverCost + goldCost }))
+          .to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_TierNotOnSale");
+        expect(await membershipDAO.hasMembership(user.address, 0)).to.equal(false);
+      })
 
-          // Define new membership
-          name = "Gold Membership";
-          cost = ethers.parseEther("4");
-          voteCount = 0;
-          isApproved = false;
+      // Grants count towards the supply cap
+      it("Rejects grants above the supply cap", async () => {
+        await membershipDAO.connect(owner).setTierSale(1, 1, 0, 0, ethers.ZeroHash);
 
-          // List a membership
-          await membershipDAO.connect(owner).listMembership(membershipName, membershipCost);
+        await expect(membershipDAO.connect(owner).grantMemberships([user.address, recipient.address], 1))
+          .to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_SoldOut").withArgs(1, 1);
+      })
 
-          // Buy memebrship
-          await membershipDAO.connect(user).buyMembership(0, {
-            value: membershipCost
-          });
+      // Grants need a listed tier and recipients without it
+      it("Rejects invalid grants", async () => {
+        await expect(membershipDAO.connect(owner).grantMemberships([user.address], 5))
+          .to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_MembershipIsInvalid").withArgs(5);
+        await expect(membershipDAO.connect(owner).grantMemberships([user.address, user.address], 0))
+          .to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_MembershipAlreadyPurchased").withArgs(user.address, 0);
+      })
+    })
+  })
 
-          // List a new memebrship
-          await membershipDAO.connect(owner).listNewMembership(name, cost, voteCount, isApproved);
-        })
+  describe("Tier sales", () => {
+    let membershipCost, recipient
 
-        // User vote for the new membership
-        it("Vote for the new membership", async () => {
-          await membershipDAO.connect(user).vote(0);
+    // Buy tier 0 at its listed cost
+    const buy = (account) => membershipDAO.connect(account).buyMembership(0, { value: membershipCost });
 
-          // Check for first vote
-          const result = await membershipDAO.hasVoted(user.address, 0);
-          expect(result).to.equal(true);
+    beforeEach(async () => {
+      [, , , recipient] = await ethers.getSigners();
+      membershipCost = ethers.parseEther("2");
+      await membershipDAO.connect(owner).listMembership("Founder Membership", membershipCost, membershipDuration, ethers.ZeroAddress);
+    })
 
-          // Check the vote count
-          const newMembershipCount = await membershipDAO.newMembership(0);
-          expect(newMembershipCount.voteCount).to.equal(1);
-        })
+    describe("Success", () => {
+      // Listed tiers are on sale to anyone without a cap
+      it("Lists tiers open and uncapped", async () => {
+        const sale = await membershipDAO.tierSales(0);
+        expect(sale.maxSupply).to.equal(0);
+        expect(sale.status).to.equal(TierActive);
+        expect(sale.allowlistRoot).to.equal(ethers.ZeroHash);
+      })
 
-        // Emits HasVoted event
-        it("Emits has voted event", async () => {
-          await expect(membershipDAO.connect(user).vote(0)).
-          to.emit(membershipDAO, "HasVoted").withArgs(user.address, 0);
-        });
+      // The cap counts tokens in circulation, so a cancellation frees a place
+      it("Caps the supply of a tier", async () => {
+        await expect(membershipDAO.connect(owner).setTierSale(0, 2, 0, 0, ethers.ZeroHash))
+          .to.emit(membershipDAO, "TierSaleUpdated").withArgs(0, 2, 0, 0, ethers.ZeroHash);
 
-        // Check for total new membership
-        it("Checks for new membership total", async () => {
-          // Retrive totalNewMembership
-          const getTotalNewMembership = await membershipDAO.totalNewMembership();
-          expect(getTotalNewMembership).to.equal(1);
-        })
-      })
+        await buy(user);
+        await buy(member);
+        expect(await membershipDAO.totalSupply(0)).to.equal(2);
 
-      describe("Failure", () => {
-        beforeEach(async () => {
-          // Define first membership
-          membershipName = "Silver Membership";
-          membershipCost = ethers.parseEther("2");
+        await expect(buy(recipient))
+          .to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_SoldOut").withArgs(0, 2);
 
-          // Define new membership
-          name = "Gold Membership";
-          cost = ethers.parseEther("4");
-          voteCount = 0;
-          isApproved = false;
+        await membershipDAO.connect(user).cancelMembership(0);
+        await buy(recipient);
+        expect(await membershipDAO.totalSupply(0)).to.equal(2);
+      })
 
-          // List a membership
-          await membershipDAO.connect(owner).listMembership(membershipName, membershipCost);
+      // Sales open at saleStart and close at saleEnd
+      it("Sells only within the sale window", async () => {
+        const saleStart = await time.latest() + 24 * 60 * 60;
+        const saleEnd = saleStart + 7 * 24 * 60 * 60;
+        await membershipDAO.connect(owner).setTierSale(0, 0, saleStart, saleEnd, ethers.ZeroHash);
 
-          // Buy memebrship
-          await membershipDAO.connect(user).buyMembership(0, {
-            value: membershipCost
-          });
+        await expect(buy(user))
+          .to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_SaleNotOpen").withArgs(0, saleStart, saleEnd);
 
-          // List a new memebrship
-          await membershipDAO.connect(owner).listNewMembership(name, cost, voteCount, isApproved);
-        })
+        await time.increaseTo(saleStart);
+        await buy(user);
 
-        // Reject voting without a valid membership
-        it("Rejects user from voting without membership", async () => {
-          await expect(membershipDAO.connect(owner).vote(0))
-            .to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_UserNotEligibleToVote");
-        })
+        await time.increaseTo(saleEnd);
+        await expect(buy(member))
+          .to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_SaleNotOpen");
+      })
 
-        // Rejects voting for invalid ID
-        it("Reverts if voting for a non-existent membership ID", async () => {
-          // Call vote function
-          await expect(membershipDAO.connect(user).vote(10))
-            .to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_NewMembershipIsInvalid");
-        })
+      // Allowlisted accounts buy with their proof
+      it("Sells an allowlisted tier to accounts with a valid proof", async () => {
+        const tree = buildTree([user.address, member.address]);
+        await membershipDAO.connect(owner).setTierSale(0, 0, 0, 0, tree.root);
 
-        // Reject duplicate voting by the same user
-        it("Rejects dublicate vote from the same user", async () => {
-          // User submits their first vote
-          await membershipDAO.connect(user).vote(0);
-          // User submits their second vote, should fail
-          await expect(membershipDAO.connect(user).vote(0))
-            .to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_UserAlreadyVoted");
-        })
+        await membershipDAO.connect(user).buyMembershipWithProof(0, getProof(tree, user.address), { value: membershipCost });
+        expect(await membershipDAO.hasMembership(user.address, 0)).to.equal(true);
       })
-    })
 
-    describe("Approve", () => {
-      let membershipName, membershipCost, name, cost
-      describe("Success", () => {
+      // A paused tier can be put back on sale
+      it("Pauses and resumes sales of a tier", async () => {
+        await expect(membershipDAO.connect(owner).setTierStatus(0, TierPaused))
+          .to.emit(membershipDAO, "TierStatusUpdated").withArgs(0, TierPaused);
 
-        beforeEach(async () => {
-          // Define first membership
-          membershipName = "Silver Membership";
-          membershipCost = ethers.parseEther("2");
+        await expect(buy(user))
+          .to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_TierNotOnSale").withArgs(0, TierPaused);
 
-          // Define new membership
-          name = "Gold Membership";
-          cost = ethers.parseEther("4");
-          voteCount = 0;
-          isApproved = false;
+        await membershipDAO.connect(owner).setTierStatus(0, TierActive);
+        await buy(user);
+      })
 
-          // List first membership
-          await membershipDAO.connect(owner).listMembership(membershipName, membershipCost);
+      // Retired tiers can't be bought or renewed, existing members keep their membership
+      it("Retires a tier", async () => {
+        await buy(user);
+        await membershipDAO.connect(owner).setTierStatus(0, TierRetired);
 
-          // User buy memebrship
-          await membershipDAO.connect(user).buyMembership(0, {
-            value: membershipCost
-          });
+        await expect(buy(member))
+          .to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_TierNotOnSale").withArgs(0, TierRetired);
+        await expect(membershipDAO.connect(user).renewMembership(0, { value: membershipCost }))
+          .to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_TierNotOnSale").withArgs(0, TierRetired);
 
-          // Member buy memebrship
-          await membershipDAO.connect(member).buyMembership(0, {
-            value: membershipCost
-          });
+        expect(await membershipDAO.isMembershipActive(user.address, 0)).to.equal(true);
+        await expect(membershipDAO.connect(user).cancelMembership(0))
+          .to.emit(membershipDAO, "RefundIssued");
+      })
 
-          // List a new memebrship
-          await membershipDAO.connect(owner).listNewMembership(name, cost, voteCount, isApproved);
+      // New purchases pay the new cost, deposits already paid stay
+      it("Edits the cost of a tier", async () => {
+        await buy(user);
 
-          // User vote
-          await membershipDAO.connect(user).vote(0);
+        const newCost = ethers.parseEther("3");
+        await expect(membershipDAO.connect(owner).setMembershipCost(0, newCost))
+          .to.emit(membershipDAO, "MembershipCostUpdated").withArgs(0, newCost);
+        expect((await membershipDAO.memberships(0)).cost).to.equal(newCost);
 
-          // Member vote
-          await membershipDAO.connect(member).vote(0);
-        })
+        await expect(buy(member))
+          .to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_IncorrectValueSent").withArgs(newCost, membershipCost);
+        await membershipDAO.connect(member).buyMembership(0, { value: newCost });
 
-        // Approve and mints
-        it("Should approve and mint NFTs to user and member", async () => {
-          // Get the balances before approval
-          const userBalanceBefore = await membershipDAO.balanceOf(user.address, 0);
-          const memberBalanceBefore = await membershipDAO.balanceOf(member.address, 0);
+        expect(await membershipDAO.deposit(user.address, 0)).to.equal(membershipCost);
+        expect(await membershipDAO.deposit(member.address, 0)).to.equal(newCost);
+      })
+    })
 
-          // Owner approves the vote
-          await membershipDAO.connect(owner).approve(0);
+    describe("Failure", () => {
+      // Proofs are checked against the caller, not the account they were made for
+      it("Rejects accounts not on the allowlist", async () => {
+        const tree = buildTree([user.address, member.address]);
+        await membershipDAO.connect(owner).setTierSale(0, 0, 0, 0, tree.root);
+
+        await expect(membershipDAO.connect(recipient).buyMembershipWithProof(0, getProof(tree, user.address), { value: membershipCost }))
+          .to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_NotAllowlisted").withArgs(recipient.address, 0);
+        await expect(buy(user))
+          .to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_NotAllowlisted").withArgs(user.address, 0);
+      })
 
-          // Get the balances after approval
-          const userBalanceAfter = await membershipDAO.balanceOf(user.address, 0);
-          const memberBalanceAfter = await membershipDAO.balanceOf(member.address, 0);
-          expect(userBalanceAfter).to.be.gt(userBalanceBefore);
-          expect(memberBalanceAfter).to.be.gt(memberBalanceBefore);
-        })
+      // Upgrades and downgrades are purchases of the new tier too
+      it("Rejects moving to a tier that isn't on sale", async () => {
+        await membershipDAO.connect(owner).listMembership("Gold Membership", ethers.parseEther("4"), membershipDuration, ethers.ZeroAddress);
+        await buy(user);
+        await buy(member);
+
+        await membershipDAO.connect(owner).setTierStatus(1, TierPaused);
+        await expect(membershipDAO.connect(user).upgradeMembership(0, 1, { value: membershipCost }))
+          .to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_TierNotOnSale");
+
+        await membershipDAO.connect(owner).setTierStatus(1, TierActive);
+        await membershipDAO.connect(owner).setTierSale(1, 1, 0, 0, ethers.ZeroHash);
+        await membershipDAO.connect(user).upgradeMembership(0, 1, { value: membershipCost });
+        await expect(membershipDAO.connect(member).upgradeMembership(0, 1, { value: membershipCost }))
+          .to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_SoldOut");
+
+        await membershipDAO.connect(owner).setTierStatus(0, TierRetired);
+        await expect(membershipDAO.connect(user).downgradeMembership(1, 0))
+          .to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_TierNotOnSale").withArgs(0, TierRetired);
+      })
 
-        // Check for valid membership
-        it("Verify member and user membership", async () => {
-          const memberMembership = await membershipDAO.hasMembership(member.address);
-          expect(memberMembership).to.equal(true);
+      // Retiring is permanent
+      it("Rejects changing the status of a retired tier", async () => {
+        await membershipDAO.connect(owner).setTierStatus(0, TierRetired);
 
-          const userMembership = await membershipDAO.hasMembership(user.address);
-          expect(userMembership).to.equal(true);
-        })
+        await expect(membershipDAO.connect(owner).setTierStatus(0, TierActive))
+          .to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_TierIsRetired").withArgs(0);
+      })
+
+      // A sale can't end before it starts
+      it("Rejects an invalid sale window", async () => {
+        await expect(membershipDAO.connect(owner).setTierSale(0, 0, 200, 100, ethers.ZeroHash))
+          .to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_InvalidSaleWindow").withArgs(200, 100);
+      })
+
+      // Rejects changing the sale of an unlisted membership
+      it("Rejects changing the sale of an invalid membership", async () => {
+        await expect(membershipDAO.connect(owner).setTierSale(5, 0, 0, 0, ethers.ZeroHash))
+          .to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_MembershipIsInvalid");
+        await expect(membershipDAO.connect(owner).setTierStatus(5, TierPaused))
+          .to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_MembershipIsInvalid");
+        await expect(membershipDAO.connect(owner).setMembershipCost(5, membershipCost))
+          .to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_MembershipIsInvalid");
+      })
+    })
+  })
+
+  describe("Referrals", () => {
+    let membershipCost, referee, code
+
+    // 10% off for the buyer, 5% of the discounted price for the referrer
+    const discountBps = 1000;
+    const rewardBps = 500;
+
+    beforeEach(async () => {
+      [, , , referee] = await ethers.getSigners();
+      membershipCost = ethers.parseEther("2");
+      code = ethers.encodeBytes32String("MEMBER10");
+
+      await membershipDAO.connect(owner).listMembership("Silver Membership", membershipCost, membershipDuration, ethers.ZeroAddress);
+      await membershipDAO.connect(owner).setReferralTerms(0, discountBps, rewardBps);
+
+      // The referrer must be a member to register a code
+      await membershipDAO.connect(member).buyMembership(0, { value: membershipCost });
+      await membershipDAO.connect(member).registerReferralCode(code);
+    })
+
+    describe("Success", () => {
+      // Codes map to the member who registered them
+      it("Registers a referral code", async () => {
+        const other = ethers.encodeBytes32String("MEMBER20");
+        await expect(membershipDAO.connect(member).registerReferralCode(other))
+          .to.emit(membershipDAO, "ReferralCodeRegistered").withArgs(member.address, other);
+        expect(await membershipDAO.referrers(code)).to.equal(member.address);
+      })
+
+      // The buyer pays the discounted price and the referrer is credited its reward
+      it("Discounts a referred purchase and credits the referrer", async () => {
+        const price = ethers.parseEther("1.8");
+        const reward = ethers.parseEther("0.09");
+
+        await expect(membershipDAO.connect(referee).buyMembershipWithReferral(0, [], code, { value: price }))
+          .to.emit(membershipDAO, "ReferralUsed").withArgs(member.address, referee.address, 0, code, ethers.parseEther("0.2"), reward)
+          .and.to.emit(membershipDAO, "MembershipPurchased").withArgs(referee.address, 0);
+
+        expect(await membershipDAO.hasMembership(referee.address, 0)).to.equal(true);
+        expect(await membershipDAO.referralRewards(member.address, ethers.ZeroAddress)).to.equal(reward);
+        expect(await membershipDAO.deposit(referee.address, 0)).to.equal(price - reward);
+      })
+
+      // Unclaimed rewards can't be withdrawn by the treasury
+      it("Reserves unclaimed rewards", async () => {
+        await membershipDAO.connect(owner).setRefundPolicy(0, 2);
+        await membershipDAO.connect(referee).buyMembershipWithReferral(0, [], code, { value: ethers.parseEther("1.8") });
+
+        const reward = ethers.parseEther("0.09");
+        expect(await membershipDAO.unclaimedReferralRewards(ethers.ZeroAddress)).to.equal(reward);
+        expect(await membershipDAO.reservedDeposits(ethers.ZeroAddress)).to.equal(reward);
+        expect(await membershipDAO.surplus(ethers.ZeroAddress)).to.equal(membershipCost + ethers.parseEther("1.8") - reward);
+      })
+
+      // Claiming sends the reward and frees the reserve
+      it("Claims referral rewards", async () => {
+        await membershipDAO.connect(referee).buyMembershipWithReferral(0, [], code, { value: ethers.parseEther("1.8") });
+        const reward = ethers.parseEther("0.09");
+
+        const transaction = membershipDAO.connect(member).claimReferralRewards(ethers.ZeroAddress);
+        await expect(transaction)
+          .to.emit(membershipDAO, "ReferralRewardClaimed").withArgs(member.address, ethers.ZeroAddress, reward);
+        await expect(transaction).to.changeEtherBalance(member, reward);
+
+        expect(await membershipDAO.referralRewards(member.address, ethers.ZeroAddress)).to.equal(0);
+        expect(await membershipDAO.unclaimedReferralRewards(ethers.ZeroAddress)).to.equal(0);
+      })
+
+      // Rewards are paid in the tier's payment token
+      it("Rewards referrals in the payment token", async () => {
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        const token = await MockERC20.deploy("Mock USD", "mUSD");
+        await token.waitForDeployment();
+        await token.mint(referee.address, ethers.parseUnits("1000", 6));
+
+        await membershipDAO.connect(owner).listMembership("Stable Membership", ethers.parseUnits("100", 6), membershipDuration, token.target);
+        await membershipDAO.connect(owner).setReferralTerms(1, 2000, 1000);
+
+        await token.connect(referee).approve(membershipDAO.target, ethers.parseUnits("80", 6));
+        await membershipDAO.connect(referee).buyMembershipWithReferral(1, [], code);
+        expect(await token.balanceOf(referee.address)).to.equal(ethers.parseUnits("920", 6));
+
+        await membershipDAO.connect(member).claimReferralRewards(token.target);
+        expect(await token.balanceOf(member.address)).to.equal(ethers.parseUnits("8", 6));
+      })
+    })
+
+    describe("Failure", () => {
+      // The exact value check uses the discounted price
+      it("Rejects the full cost on a referred purchase", async () => {
+        await expect(membershipDAO.connect(referee).buyMembershipWithReferral(0, [], code, { value: membershipCost }))
+          .to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_IncorrectValueSent").withArgs(ethers.parseEther("1.8"), membershipCost);
+      })
+
+      // Only members can register codes, and each code only once
+      it("Rejects registering a code without a membership or a taken code", async () => {
+        await expect(membershipDAO.connect(referee).registerReferralCode(ethers.encodeBytes32String("NEW")))
+          .to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_NotAMember").withArgs(referee.address);
+
+        await membershipDAO.connect(user).buyMembership(0, { value: membershipCost });
+        await expect(membershipDAO.connect(user).registerReferralCode(code))
+          .to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_ReferralCodeTaken").withArgs(code);
+      })
+
+      // Unknown codes and self referrals don't get a discount
+      it("Rejects unknown codes and self referrals", async () => {
+        const unknown = ethers.encodeBytes32String("UNKNOWN");
+        await expect(membershipDAO.connect(referee).buyMembershipWithReferral(0, [], unknown, { value: ethers.parseEther("1.8") }))
+          .to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_InvalidReferralCode").withArgs(unknown);
+
+        await membershipDAO.connect(member).cancelMembership(0);
+        await expect(membershipDAO.connect(member).buyMembershipWithReferral(0, [], code, { value: ethers.parseEther("1.8") }))
+          .to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_SelfReferral").withArgs(member.address);
+      })
+
+      // Discounts and rewards are at most 100%
+      it("Rejects invalid referral terms", async () => {
+        await expect(membershipDAO.connect(owner).setReferralTerms(0, 10001, 0))
+          .to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_InvalidReferralTerms").withArgs(10001, 0);
+        await expect(membershipDAO.connect(owner).setReferralTerms(5, 0, 0))
+          .to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_MembershipIsInvalid");
+      })
+
+      // Nothing to claim
+      it("Rejects claiming without rewards", async () => {
+        await expect(membershipDAO.connect(referee).claimReferralRewards(ethers.ZeroAddress))
+          .to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_NoReferralRewards").withArgs(referee.address, ethers.ZeroAddress);
+      })
+    })
+  })
+
+  describe("Change membership", () => {
+    let silverCost, goldCost, bronzeCost
+
+    beforeEach(async () => {
+      silverCost = ethers.parseEther("2");
+      goldCost = ethers.parseEther("4");
+      bronzeCost = ethers.parseEther("1");
+
+      // Owner list Silver (0), Gold (1) and Bronze (2)
+      await membershipDAO.connect(owner).listMembership("Silver Membership", silverCost, membershipDuration, ethers.ZeroAddress);
+      await membershipDAO.connect(owner).listMembership("Gold Membership", goldCost, membershipDuration, ethers.ZeroAddress);
+      await membershipDAO.connect(owner).listMembership("Bronze Membership", bronzeCost, membershipDuration, ethers.ZeroAddress);
+
+      // User buy Silver
+      await membershipDAO.connect(user).buyMembership(0, {
+        value: silverCost
+      });
+    })
+
+    describe("Success", () => {
+      // Upgrade by paying the difference
+      it("Upgrades to a more expensive membership", async () => {
+        const expiresBefore = await membershipDAO.expiresAt(user.address, 0);
+
+        await expect(membershipDAO.connect(user).upgradeMembership(0, 1, {
+            value: goldCost - silverCost
+          }))
+          .to.changeEtherBalances([user, membershipDAO], [silverCost - goldCost, goldCost - silverCost]);
+
+        // Old token burned, new token minted
+        expect(await membershipDAO.balanceOf(user.address, 0)).to.equal(0);
+        expect(await membershipDAO.balanceOf(user.address, 1)).to.equal(1);
+        expect(await membershipDAO.hasMembership(user.address, 0)).to.equal(false);
+        expect(await membershipDAO.hasMembership(user.address, 1)).to.equal(true);
+
+        // Deposit and expiry carry over
+        expect(await membershipDAO.deposit(user.address, 1)).to.equal(goldCost);
+        expect(await membershipDAO.expiresAt(user.address, 1)).to.equal(expiresBefore);
+      })
+
+      // Emits MembershipUpgraded event
+      it("Emits membership upgraded event", async () => {
+        await expect(membershipDAO.connect(user).upgradeMembership(0, 1, {
+            value: goldCost - silverCost
+          }))
+          .to.emit(membershipDAO, "MembershipUpgraded").withArgs(user.address, 0, 1, goldCost - silverCost);
+      })
+
+      // Downgrade and refund the difference
+      it("Downgrades to a cheaper membership with a refund", async () => {
+        await expect(membershipDAO.connect(user).downgradeMembership(0, 2))
+          .to.changeEtherBalances([user, membershipDAO], [silverCost - bronzeCost, bronzeCost - silverCost]);
+
+        expect(await membershipDAO.balanceOf(user.address, 0)).to.equal(0);
+        expect(await membershipDAO.balanceOf(user.address, 2)).to.equal(1);
+        expect(await membershipDAO.deposit(user.address, 2)).to.equal(bronzeCost);
+      })
+
+      // Downgrade refund follows the refund policy of the old tier
+      it("Applies the refund policy to the downgrade refund", async () => {
+        // 2 = RefundPolicy.None
+        await membershipDAO.connect(owner).setRefundPolicy(0, 2);
+
+        await expect(membershipDAO.connect(user).downgradeMembership(0, 2))
+          .to.changeEtherBalance(membershipDAO, 0);
+        expect(await membershipDAO.deposit(user.address, 2)).to.equal(silverCost);
+      })
+
+      // Emits MembershipDowngraded event
+      it("Emits membership downgraded event", async () => {
+        await expect(membershipDAO.connect(user).downgradeMembership(0, 2))
+          .to.emit(membershipDAO, "MembershipDowngraded").withArgs(user.address, 0, 2, silverCost - bronzeCost)
+          .and.to.emit(membershipDAO, "RefundIssued").withArgs(user.address, 0, silverCost - bronzeCost);
+      })
+    })
+
+    describe("Failure", () => {
+      // Rejects an upgrade with the wrong payment
+      it("Rejects upgrading with an incorrect value", async () => {
+        await expect(membershipDAO.connect(user).upgradeMembership(0, 1, {
+          value: goldCost
+        })).to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_IncorrectValueSent");
+      })
+
+      // Rejects an upgrade to a cheaper tier
+      it("Rejects upgrading to a cheaper membership", async () => {
+        await expect(membershipDAO.connect(user).upgradeMembership(0, 2))
+          .to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_InvalidMembershipChange");
+      })
+
+      // Rejects a downgrade to a more expensive tier
+      it("Rejects downgrading to a more expensive membership", async () => {
+        await expect(membershipDAO.connect(user).downgradeMembership(0, 1))
+          .to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_InvalidMembershipChange");
+      })
+
+      // Rejects changing a membership the user doesn't hold
+      it("Rejects changing a membership the user doesn't hold", async () => {
+        await expect(membershipDAO.connect(member).upgradeMembership(0, 1, {
+          value: goldCost - silverCost
+        })).to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_NoActiveMembershipToChange");
+      })
+
+      // Rejects changing an expired membership
+      it("Rejects changing an expired membership", async () => {
+        await time.increase(membershipDuration + 1);
+        await expect(membershipDAO.connect(user).downgradeMembership(0, 2))
+          .to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_NoActiveMembershipToChange");
+      })
+
+      // Rejects changing to a tier the user already holds
+      it("Rejects changing to a membership the user already holds", async () => {
+        await membershipDAO.connect(user).buyMembership(1, {
+          value: goldCost
+        });
+        await expect(membershipDAO.connect(user).upgradeMembership(0, 1, {
+          value: goldCost - silverCost
+        })).to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_MembershipAlreadyPurchased");
+      })
+
+      // Rejects changing to an unlisted tier
+      it("Rejects changing to an unlisted membership", async () => {
+        await expect(membershipDAO.connect(user).upgradeMembership(0, 5))
+          .to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_MembershipIsInvalid");
+      })
+    })
+  })
+
+  describe("Transfer membership", () => {
+    let membershipCost, recipient
+
+    // Transfer the membership token from one holder to another
+    const transfer = (from, to) =>
+      membershipDAO.connect(from).safeTransferFrom(from.address, to.address, 0, 1, "0x");
+
+    beforeEach(async () => {
+      [, , , recipient] = await ethers.getSigners();
+      membershipCost = ethers.parseEther("2");
+
+      await membershipDAO.connect(owner).listMembership("Silver Membership", membershipCost, membershipDuration, ethers.ZeroAddress);
+      await membershipDAO.connect(user).buyMembership(0, { value: membershipCost });
+    })
+
+    describe("Success", () => {
+      // Freely transferable by default
+      it("Moves the membership with the token", async () => {
+        expect((await membershipDAO.memberships(0)).transferMode).to.equal(Free);
+        const expiresAt = await membershipDAO.expiresAt(user.address, 0);
+        await transfer(user, recipient);
+
+        expect(await membershipDAO.balanceOf(recipient.address, 0)).to.equal(1);
+        expect(await membershipDAO.hasMembership(recipient.address, 0)).to.equal(true);
+        expect(await membershipDAO.expiresAt(recipient.address, 0)).to.equal(expiresAt);
+        expect(await membershipDAO.deposit(recipient.address, 0)).to.equal(membershipCost);
+
+        expect(await membershipDAO.hasMembership(user.address, 0)).to.equal(false);
+        expect(await membershipDAO.deposit(user.address, 0)).to.equal(0);
+        expect(await membershipDAO.isActiveMember(user.address)).to.equal(false);
+      })
+
+      // Voting rights follow the token
+      it("Moves voting eligibility to the recipient", async () => {
+        await transfer(user, recipient);
+        await membershipDAO.connect(owner).listNewMembership("Gold Membership", ethers.parseEther("4"), membershipDuration);
+
+        await expect(membershipDAO.connect(user).vote(0, For))
+          .to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_UserNotEligibleToVote");
+        await expect(membershipDAO.connect(recipient).vote(0, For))
+          .to.emit(membershipDAO, "HasVoted").withArgs(recipient.address, 0, For, 1);
+      })
+
+      // The recipient gets the refund on cancellation
+      it("Refunds the recipient on cancellation", async () => {
+        await transfer(user, recipient);
+        await expect(membershipDAO.connect(recipient).cancelMembership(0))
+          .to.changeEtherBalance(recipient, membershipCost);
+      })
+
+      // Owner-approved transfers
+      it("Transfers with owner approval", async () => {
+        await membershipDAO.connect(owner).setTransferMode(0, OwnerApproved);
+        await membershipDAO.connect(owner).approveTransfer(user.address, recipient.address, 0, true);
+        await transfer(user, recipient);
+
+        expect(await membershipDAO.hasMembership(recipient.address, 0)).to.equal(true);
+        expect(await membershipDAO.transferApproval(user.address, recipient.address, 0)).to.equal(false);
+      })
+
+      // Emits MembershipTransferred event
+      it("Emits membership transferred event", async () => {
+        await expect(transfer(user, recipient))
+          .to.emit(membershipDAO, "MembershipTransferred").withArgs(user.address, recipient.address, 0);
+      })
+
+      // Emits TransferModeUpdated and TransferApprovalUpdated events
+      it("Emits transfer mode and approval events", async () => {
+        await expect(membershipDAO.connect(owner).setTransferMode(0, Soulbound))
+          .to.emit(membershipDAO, "TransferModeUpdated").withArgs(0, Soulbound);
+        await expect(membershipDAO.connect(owner).approveTransfer(user.address, recipient.address, 0, true))
+          .to.emit(membershipDAO, "TransferApprovalUpdated").withArgs(user.address, recipient.address, 0, true);
+      })
+    })
+
+    describe("Failure", () => {
+      // Soulbound memberships never move
+      it("Rejects transferring a soulbound membership", async () => {
+        await membershipDAO.connect(owner).setTransferMode(0, Soulbound);
+        await expect(transfer(user, recipient))
+          .to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_MembershipNotTransferable").withArgs(0);
+      })
+
+      // Owner-approved memberships need an approval
+      it("Rejects an owner-approved transfer without approval", async () => {
+        await membershipDAO.connect(owner).setTransferMode(0, OwnerApproved);
+        await expect(transfer(user, recipient))
+          .to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_TransferNotApproved").withArgs(user.address, recipient.address, 0);
+      })
+
+      // An approval covers a single transfer
+      it("Rejects reusing an approval", async () => {
+        await membershipDAO.connect(owner).setTransferMode(0, OwnerApproved);
+        await membershipDAO.connect(owner).approveTransfer(user.address, recipient.address, 0, true);
+        await transfer(user, recipient);
+
+        // Send it back with a new approval, then try the used one again
+        await membershipDAO.connect(owner).approveTransfer(recipient.address, user.address, 0, true);
+        await transfer(recipient, user);
+        await expect(transfer(user, recipient))
+          .to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_TransferNotApproved");
+      })
+
+      // A withdrawn approval can't be used
+      it("Rejects a withdrawn approval", async () => {
+        await membershipDAO.connect(owner).setTransferMode(0, OwnerApproved);
+        await membershipDAO.connect(owner).approveTransfer(user.address, recipient.address, 0, true);
+        await membershipDAO.connect(owner).approveTransfer(user.address, recipient.address, 0, false);
+        await expect(transfer(user, recipient))
+          .to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_TransferNotApproved");
+      })
+
+      // Recipient can't hold the same membership twice
+      it("Rejects transferring to a holder of the same membership", async () => {
+        await membershipDAO.connect(recipient).buyMembership(0, { value: membershipCost });
+        await expect(transfer(user, recipient))
+          .to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_MembershipAlreadyPurchased").withArgs(recipient.address, 0);
+      })
+
+      // Only the owner sets transfer modes and approvals
+      it("Rejects unauthorized user from setting the transfer mode or approving transfers", async () => {
+        await expect(membershipDAO.connect(user).setTransferMode(0, Soulbound))
+          .to.be.revertedWithCustomError(membershipDAO, "AccessControlUnauthorizedAccount");
+        await expect(membershipDAO.connect(user).approveTransfer(user.address, recipient.address, 0, true))
+          .to.be.revertedWithCustomError(membershipDAO, "AccessControlUnauthorizedAccount");
+      })
+
+      // Rejects setting the transfer mode of an unlisted membership
+      it("Rejects setting the transfer mode of an invalid membership", async () => {
+        await expect(membershipDAO.connect(owner).setTransferMode(5, Soulbound))
+          .to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_MembershipIsInvalid");
+      })
+    })
+  })
+
+  describe("Metadata", () => {
+    const baseURI = "https://example.com/metadata/{id}.json";
+
+    beforeEach(async () => {
+      await membershipDAO.connect(owner).listMembership("Silver Membership", ethers.parseEther("2"), membershipDuration, ethers.ZeroAddress);
+      await membershipDAO.connect(owner).listMembership("Gold Membership", ethers.parseEther("4"), membershipDuration, ethers.ZeroAddress);
+    })
+
+    describe("Success", () => {
+      // Every membership shares the base URI, clients substitute {id}
+      it("Serves every membership from the base URI", async () => {
+        expect(await membershipDAO.uri(0)).to.equal("");
+
+        await expect(membershipDAO.connect(owner).setBaseURI(baseURI))
+          .to.emit(membershipDAO, "BaseURIUpdated").withArgs(baseURI);
+
+        expect(await membershipDAO.uri(0)).to.equal(baseURI);
+        expect(await membershipDAO.uri(1)).to.equal(baseURI);
+      })
+
+      // A membership's own URI takes precedence, and clearing it falls back to the base URI
+      it("Overrides the base URI per membership", async () => {
+        await membershipDAO.connect(owner).setBaseURI(baseURI);
+
+        await expect(membershipDAO.connect(owner).setMembershipURI(1, "ipfs://gold.json"))
+          .to.emit(membershipDAO, "URI").withArgs("ipfs://gold.json", 1);
+
+        expect(await membershipDAO.uri(0)).to.equal(baseURI);
+        expect(await membershipDAO.uri(1)).to.equal("ipfs://gold.json");
+        expect((await membershipDAO.memberships(1)).uri).to.equal("ipfs://gold.json");
+
+        await membershipDAO.connect(owner).setMembershipURI(1, "");
+        expect(await membershipDAO.uri(1)).to.equal(baseURI);
+      })
+    })
+
+    describe("Failure", () => {
+      // Only tier managers set URIs
+      it("Rejects unauthorized user from setting URIs", async () => {
+        await expect(membershipDAO.connect(user).setBaseURI(baseURI))
+          .to.be.revertedWithCustomError(membershipDAO, "AccessControlUnauthorizedAccount");
+        await expect(membershipDAO.connect(user).setMembershipURI(0, "ipfs://silver.json"))
+          .to.be.revertedWithCustomError(membershipDAO, "AccessControlUnauthorizedAccount");
+      })
+
+      // Rejects setting the URI of an unlisted membership
+      it("Rejects setting the URI of an invalid membership", async () => {
+        await expect(membershipDAO.connect(owner).setMembershipURI(5, "ipfs://platinum.json"))
+          .to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_MembershipIsInvalid");
+      })
+    })
+  })
+
+  describe("Token payments", () => {
+    let token, stableCost, goldCost
+
+    // Sign an EIP-2612 permit letting the DAO spend `value` of the user's tokens
+    const signPermit = async (signer, value, deadline) => {
+      const domain = {
+        name: await token.name(),
+        version: "1",
+        chainId: (await ethers.provider.getNetwork()).chainId,
+        verifyingContract: token.target
+      };
+      const types = {
+        Permit: [
+          { name: "owner", type: "address" },
+          { name: "spender", type: "address" },
+          { name: "value", type: "uint256" },
+          { name: "nonce", type: "uint256" },
+          { name: "deadline", type: "uint256" }
+        ]
+      };
+      const message = {
+        owner: signer.address,
+        spender: membershipDAO.target,
+        value,
+        nonce: await token.nonces(signer.address),
+        deadline
+      };
+      return ethers.Signature.from(await signer.signTypedData(domain, types, message));
+    };
+
+    beforeEach(async () => {
+      // Deploy a mock stablecoin with 6 decimals
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      token = await MockERC20.deploy("Mock USD", "mUSD");
+      await token.waitForDeployment();
+      await token.mint(user.address, ethers.parseUnits("1000", 6));
+
+      stableCost = ethers.parseUnits("100", 6);
+      goldCost = ethers.parseUnits("250", 6);
+
+      // Two tiers paid in the token and one in ETH
+      await membershipDAO.connect(owner).listMembership("Stable Membership", stableCost, membershipDuration, token.target);
+      await membershipDAO.connect(owner).listMembership("Stable Gold Membership", goldCost, membershipDuration, token.target);
+      await membershipDAO.connect(owner).listMembership("Silver Membership", ethers.parseEther("2"), membershipDuration, ethers.ZeroAddress);
+    })
+
+    describe("Success", () => {
+      // Listing records the payment token
+      it("Lists a membership paid in a token", async () => {
+        expect((await membershipDAO.memberships(0)).paymentToken).to.equal(token.target);
+        await expect(membershipDAO.connect(owner).listMembership("Stable Silver", stableCost, membershipDuration, token.target))
+          .to.emit(membershipDAO, "MembershipListed").withArgs("Stable Silver", stableCost, membershipDuration, token.target);
+      })
+
+      // Approve then buy
+      it("Buys with an allowance", async () => {
+        await token.connect(user).approve(membershipDAO.target, stableCost);
+        await expect(membershipDAO.connect(user).buyMembership(0))
+          .to.changeTokenBalances(token, [user, membershipDAO], [-stableCost, stableCost]);
+
+        expect(await membershipDAO.hasMembership(user.address, 0)).to.equal(true);
+        expect(await membershipDAO.deposit(user.address, 0)).to.equal(stableCost);
+      })
+
+      // Approve and buy in one transaction
+      it("Buys with a permit", async () => {
+        const deadline = (await time.latest()) + 60 * 60;
+        const { v, r, s } = await signPermit(user, stableCost, deadline);
+
+        await expect(membershipDAO.connect(user).buyMembershipWithPermit(0, deadline, v, r, s))
+          .to.emit(membershipDAO, "MembershipPurchased").withArgs(user.address, 0);
+        expect(await token.balanceOf(membershipDAO.target)).to.equal(stableCost);
+      })
+
+      // Renewals are paid in the token too
+      it("Renews in the token", async () => {
+        await token.connect(user).approve(membershipDAO.target, stableCost * 2n);
+        await membershipDAO.connect(user).buyMembership(0);
+        await membershipDAO.connect(user).renewMembership(0);
+
+        expect(await membershipDAO.deposit(user.address, 0)).to.equal(stableCost * 2n);
+      })
+
+      // Refunds are paid in the token
+      it("Refunds in the token on cancellation", async () => {
+        await token.connect(user).approve(membershipDAO.target, stableCost);
+        await membershipDAO.connect(user).buyMembership(0);
+
+        await expect(membershipDAO.connect(user).cancelMembership(0))
+          .to.changeTokenBalances(token, [user, membershipDAO], [stableCost, -stableCost]);
+      })
+
+      // Upgrades pull the difference in the token
+      it("Upgrades paying the difference in the token", async () => {
+        await token.connect(user).approve(membershipDAO.target, goldCost);
+        await membershipDAO.connect(user).buyMembership(0);
+
+        await expect(membershipDAO.connect(user).upgradeMembership(0, 1))
+          .to.changeTokenBalance(token, user, -(goldCost - stableCost));
+        expect(await membershipDAO.deposit(user.address, 1)).to.equal(goldCost);
+      })
+
+      // Owner withdraws each asset separately
+      it("Withdraws the token surplus to the owner", async () => {
+        await membershipDAO.connect(owner).setRefundPolicy(0, 2);
+        await membershipDAO.connect(owner).setRefundPolicy(2, 2);
+        await token.connect(user).approve(membershipDAO.target, stableCost);
+        await membershipDAO.connect(user).buyMembership(0);
+        await membershipDAO.connect(member).buyMembership(2, { value: ethers.parseEther("2") });
+
+        await expect(membershipDAO.connect(owner).withdraw(token.target, stableCost))
+          .to.changeTokenBalances(token, [owner, membershipDAO], [stableCost, -stableCost]);
+        expect(await ethers.provider.getBalance(membershipDAO.target)).to.equal(ethers.parseEther("2"));
+      })
+    })
+
+    describe("Failure", () => {
+      // Buying needs an allowance
+      it("Rejects buying without an allowance", async () => {
+        await expect(membershipDAO.connect(user).buyMembership(0))
+          .to.be.revertedWithCustomError(token, "ERC20InsufficientAllowance");
+      })
+
+      // ETH can't pay for a token membership
+      it("Rejects sending ETH for a token membership", async () => {
+        await token.connect(user).approve(membershipDAO.target, stableCost);
+        await expect(membershipDAO.connect(user).buyMembership(0, { value: 1 }))
+          .to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_IncorrectValueSent").withArgs(0, 1);
+      })
+
+      // Permits only apply to token memberships
+      it("Rejects a permit purchase of an ETH membership", async () => {
+        const deadline = (await time.latest()) + 60 * 60;
+        const { v, r, s } = await signPermit(user, stableCost, deadline);
+        await expect(membershipDAO.connect(user).buyMembershipWithPermit(2, deadline, v, r, s))
+          .to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_MembershipNotPaidInToken").withArgs(2);
+      })
+
+      // A permit for the wrong amount doesn't give an allowance
+      it("Rejects an invalid permit without an allowance", async () => {
+        const deadline = (await time.latest()) + 60 * 60;
+        const { v, r, s } = await signPermit(user, stableCost - 1n, deadline);
+        await expect(membershipDAO.connect(user).buyMembershipWithPermit(0, deadline, v, r, s))
+          .to.be.revertedWithCustomError(token, "ERC20InsufficientAllowance");
+      })
+
+      // Upgrades stay within one asset
+      it("Rejects changing between assets", async () => {
+        await token.connect(user).approve(membershipDAO.target, stableCost);
+        await membershipDAO.connect(user).buyMembership(0);
+        await expect(membershipDAO.connect(user).upgradeMembership(0, 2, { value: ethers.parseEther("2") }))
+          .to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_PaymentTokenMismatch").withArgs(0, 2);
+      })
+
+      // Verify only the owner can withdraw tokens
+      it("Rejects non-owner from withdrawing tokens", async () => {
+        await expect(membershipDAO.connect(user).withdraw(token.target, 0))
+          .to.be.revertedWithCustomError(membershipDAO, "AccessControlUnauthorizedAccount");
+      })
+    })
+  })
+
+  describe("Renew membership", () => {
+    let membershipName, membershipCost, gracePeriod
+
+    beforeEach(async () => {
+      membershipName = "Silver Membership";
+      membershipCost = ethers.parseEther("2");
+      gracePeriod = 30 * 24 * 60 * 60;
+
+      // Owner list a membership and set a 30 day grace period
+      await membershipDAO.connect(owner).listMembership(membershipName, membershipCost, membershipDuration, ethers.ZeroAddress);
+      await membershipDAO.connect(owner).setGracePeriod(gracePeriod);
+
+      // User buy a membership
+      await membershipDAO.connect(user).buyMembership(0, {
+        value: membershipCost
+      });
+    })
+
+    describe("Success", () => {
+      // Extend an active membership from its current expiry
+      it("Extends an active membership", async () => {
+        const expiresBefore = await membershipDAO.expiresAt(user.address, 0);
+
+        await membershipDAO.connect(user).renewMembership(0, {
+          value: membershipCost
+        });
+
+        const expiresAfter = await membershipDAO.expiresAt(user.address, 0);
+        expect(expiresAfter).to.equal(expiresBefore + BigInt(membershipDuration));
+      })
+
+      // Membership stays active during the grace period
+      it("Keeps the membership active during the grace period", async () => {
+        await time.increase(membershipDuration + gracePeriod / 2);
+        expect(await membershipDAO.isMembershipActive(user.address, 0)).to.equal(true);
+
+        await time.increase(gracePeriod);
+        expect(await membershipDAO.isMembershipActive(user.address, 0)).to.equal(false);
+      })
+
+      // Renewing in the grace period continues from the old expiry
+      it("Extends from the old expiry during the grace period", async () => {
+        const expiresBefore = await membershipDAO.expiresAt(user.address, 0);
+        await time.increase(membershipDuration + gracePeriod / 2);
+
+        await membershipDAO.connect(user).renewMembership(0, {
+          value: membershipCost
+        });
+
+        const expiresAfter = await membershipDAO.expiresAt(user.address, 0);
+        expect(expiresAfter).to.equal(expiresBefore + BigInt(membershipDuration));
+      })
+
+      // Renewing a lapsed membership starts a new period from now
+      it("Renews a lapsed membership from now", async () => {
+        await time.increase(membershipDuration + gracePeriod + 1);
+        expect(await membershipDAO.isMembershipActive(user.address, 0)).to.equal(false);
+
+        await membershipDAO.connect(user).renewMembership(0, {
+          value: membershipCost
+        });
+
+        const expiresAt = await membershipDAO.expiresAt(user.address, 0);
+        expect(expiresAt).to.equal(await time.latest() + membershipDuration);
+        expect(await membershipDAO.isMembershipActive(user.address, 0)).to.equal(true);
+      })
+
+      // Emits MembershipRenewed event
+      it("Emits membership renewed event", async () => {
+        const expiresBefore = await membershipDAO.expiresAt(user.address, 0);
+
+        await expect(membershipDAO.connect(user).renewMembership(0, {
+            value: membershipCost
+          }))
+          .to.emit(membershipDAO, "MembershipRenewed").withArgs(user.address, 0, expiresBefore + BigInt(membershipDuration));
+      })
+
+      // Emits GracePeriodUpdated event
+      it("Emits grace period updated event", async () => {
+        await expect(membershipDAO.connect(owner).setGracePeriod(gracePeriod * 2))
+          .to.emit(membershipDAO, "GracePeriodUpdated").withArgs(gracePeriod * 2);
+      })
+    })
+
+    describe("Failure", () => {
+      // Reverts if the user holds no membership
+      it("Rejects renewing without a membership", async () => {
+        await expect(membershipDAO.connect(member).renewMembership(0, {
+          value: membershipCost
+        })).to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_NoMembershipToRenew");
+      })
+
+      // Reverts if the payment amount is incorrect
+      it("Rejects renewing with an incorrect value", async () => {
+        await expect(membershipDAO.connect(user).renewMembership(0, {
+          value: ethers.parseEther("1")
+        })).to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_IncorrectValueSent");
+      })
+
+      // Rejects non-owner from setting the grace period
+      it("Rejects unauthorized user from setting the grace period", async () => {
+        await expect(membershipDAO.connect(user).setGracePeriod(0))
+          .to.be.reverted;
+      })
+    })
+  })
+
+  describe("Cancel membership", () => {
+    let membershipName, membershipCost
+
+    describe("Success", () => {
+      beforeEach(async () => {
+        membershipName = "Silver Membership";
+        membershipCost = ethers.parseEther("2");
+
+        // Owner list a membership
+        await membershipDAO.connect(owner).listMembership(membershipName, membershipCost, membershipDuration, ethers.ZeroAddress);
+
+        // User buy a membership
+        await membershipDAO.connect(user).buyMembership(0, {
+          value: membershipCost
+        });
+      })
+
+      // Refund ETH to the user
+      it("Should refund the user after membership cancellation", async () => {
+        // Check for user balance before refund
+        const balanceBeforeRefund = await ethers.provider.getBalance(user.address);
+
+        // Check for contract balance before refund
+        const contractBalanceBefore = await ethers.provider.getBalance(membershipDAO.target);
+
+        // Perform the cancellation
+        await membershipDAO.connect(user).cancelMembership(0);
+
+        // Check user balance after refund 
+        const balanceAfterRefund = await ethers.provider.getBalance(user.address);
+        expect(balanceAfterRefund).to.be.gt(balanceBeforeRefund);
+
+        // Check contract balance after refund
+        const contractBalanceAfter = await ethers.provider.getBalance(membershipDAO.target);
+        expect(contractBalanceAfter).to.equal(0);
+      })
+
+      // Burn user NFT
+      it("Should burn the membership token when canceled", async () => {
+        // Check balance before cancelation
+        const balanceBeforeCancelation = await membershipDAO.balanceOf(user.address, 0);
+
+        // Perform the cancellation
+        await membershipDAO.connect(user).cancelMembership(0);
+
+        // Get the balance after cancellation
+        const balanceAfterCancelation = await membershipDAO.balanceOf(user.address, 0);
+
+        // Check the balance should be zero after cancelation
+        expect(balanceAfterCancelation).to.equal(0);
+      })
+
+      // Update the membership
+      it("Should update the membership status after cancellation", async () => {
+        // Perform the cancellation
+        await membershipDAO.connect(user).cancelMembership(0);
+        // Ensure the user has no active membership
+        const result = await membershipDAO.hasMembership(user.address, 0);
+        expect(result).to.equal(false);
+      })
+
+      // Check for membership canceled event
+      it("Should emit membership canceled event", async () => {
+        // Perform the cancellation
+        await membershipDAO.connect(user).cancelMembership(0);
+
+        filter = membershipDAO.filters.MembershipCanceled(user.address, null);
+        events = await membershipDAO.queryFilter(filter, -1);
+        const args = events[0].args;
+
+        // Validate the arguments
+        expect(args[0]).to.equal(user.address);
+        expect(args[1]).to.equal(0);
+      })
+
+      // Emits RefundIssued event
+      it("Should emit refund issued event", async () => {
+        await expect(membershipDAO.connect(user).cancelMembership(0))
+          .to.emit(membershipDAO, "RefundIssued").withArgs(user.address, 0, membershipCost);
+      })
+
+      // Track deposits per member
+      it("Should keep the deposit of each buyer of the same membership", async () => {
+        // Member buys the same membership
+        await membershipDAO.connect(member).buyMembership(0, {
+          value: membershipCost
+        });
+
+        expect(await membershipDAO.deposit(user.address, 0)).to.equal(membershipCost);
+        expect(await membershipDAO.deposit(member.address, 0)).to.equal(membershipCost);
+
+        // User cancels, member deposit stays in the contract
+        await expect(membershipDAO.connect(user).cancelMembership(0))
+          .to.changeEtherBalances([user, membershipDAO], [membershipCost, -membershipCost]);
+        expect(await membershipDAO.deposit(user.address, 0)).to.equal(0);
+        expect(await membershipDAO.deposit(member.address, 0)).to.equal(membershipCost);
+
+        // Member gets the full refund as well
+        await expect(membershipDAO.connect(member).cancelMembership(0))
+          .to.changeEtherBalances([member, membershipDAO], [membershipCost, -membershipCost]);
+      })
+
+      // Renewal adds to the deposit
+      it("Should refund the renewal deposit", async () => {
+        await membershipDAO.connect(user).renewMembership(0, {
+          value: membershipCost
+        });
+        expect(await membershipDAO.deposit(user.address, 0)).to.equal(membershipCost * 2n);
+
+        await expect(membershipDAO.connect(user).cancelMembership(0))
+          .to.changeEtherBalance(user, membershipCost * 2n);
+      })
+
+      // Pro-rated refund for the time left
+      it("Should pro-rate the refund by time held", async () => {
+        // 1 = RefundPolicy.ProRated
+        await membershipDAO.connect(owner).setRefundPolicy(0, 1);
+
+        // Hold the membership for a quarter of its duration
+        const expiresAt = await membershipDAO.expiresAt(user.address, 0);
+        const depositedAt = await membershipDAO.depositedAt(user.address, 0);
+        await time.setNextBlockTimestamp(depositedAt + BigInt(membershipDuration / 4));
+
+        await expect(membershipDAO.connect(user).cancelMembership(0))
+          .to.changeEtherBalances([user, membershipDAO], [membershipCost * 3n / 4n, -membershipCost * 3n / 4n]);
+        expect(expiresAt).to.equal(depositedAt + BigInt(membershipDuration));
+      })
+
+      // Pro-rated refund is zero after expiry
+      it("Should not refund an expired pro-rated membership", async () => {
+        await membershipDAO.connect(owner).setRefundPolicy(0, 1);
+        await time.increase(membershipDuration + 1);
+
+        await expect(membershipDAO.connect(user).cancelMembership(0))
+          .not.to.emit(membershipDAO, "RefundIssued");
+        expect(await ethers.provider.getBalance(membershipDAO.target)).to.equal(membershipCost);
+      })
+
+      // No refund policy
+      it("Should not refund when the policy is none", async () => {
+        // 2 = RefundPolicy.None
+        await membershipDAO.connect(owner).setRefundPolicy(0, 2);
+        expect(await membershipDAO.refundAmount(user.address, 0)).to.equal(0);
+
+        await expect(membershipDAO.connect(user).cancelMembership(0))
+          .to.changeEtherBalance(membershipDAO, 0);
+        expect(await membershipDAO.hasMembership(user.address, 0)).to.equal(false);
+      })
+
+      // Emits RefundPolicyUpdated event
+      it("Should emit refund policy updated event", async () => {
+        await expect(membershipDAO.connect(owner).setRefundPolicy(0, 1))
+          .to.emit(membershipDAO, "RefundPolicyUpdated").withArgs(0, 1);
+      })
+    })
+
+    describe("Failure", () => {
+      // Reverts if no active membership exists
+      it("Reject cancelling non-active membership", async () => {
+        await expect(membershipDAO.connect(owner).cancelMembership(0))
+          .to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_NoActiveMembershipToCancel");
+      })
+
+      // Reverts if the user doesn't hold the membership ID
+      it("Reject cancelling a membership ID the user doesn't hold", async () => {
+        await membershipDAO.connect(owner).listMembership("Silver Membership", ethers.parseEther("2"), membershipDuration, ethers.ZeroAddress);
+        await membershipDAO.connect(owner).listMembership("Gold Membership", ethers.parseEther("4"), membershipDuration, ethers.ZeroAddress);
+        await membershipDAO.connect(user).buyMembership(0, {
+          value: ethers.parseEther("2")
+        });
+
+        await expect(membershipDAO.connect(user).cancelMembership(1))
+          .to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_NoActiveMembershipToCancel");
+      })
+
+      // Reverts the whole cancellation if the refund fails
+      it("Reverts if the refund cannot be sent", async () => {
+        const membershipCost = ethers.parseEther("2");
+        await membershipDAO.connect(owner).listMembership("Silver Membership", membershipCost, membershipDuration, ethers.ZeroAddress);
+
+        // Contract member without a receive function
+        const RefundRejecter = await ethers.getContractFactory("RefundRejecter");
+        const rejecter = await RefundRejecter.deploy(membershipDAO.target);
+        await rejecter.buyMembership(0, {
+          value: membershipCost
+        });
+
+        await expect(rejecter.cancelMembership(0))
+          .to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_RefundFailed")
+          .withArgs(rejecter.target, membershipCost);
+
+        // Membership and deposit are untouched
+        expect(await membershipDAO.hasMembership(rejecter.target, 0)).to.equal(true);
+        expect(await membershipDAO.deposit(rejecter.target, 0)).to.equal(membershipCost);
+      })
+
+      // Rejects non-owner from setting the refund policy
+      it("Rejects unauthorized user from setting the refund policy", async () => {
+        await membershipDAO.connect(owner).listMembership("Silver Membership", ethers.parseEther("2"), membershipDuration, ethers.ZeroAddress);
+        await expect(membershipDAO.connect(user).setRefundPolicy(0, 1))
+          .to.be.reverted;
+      })
+
+      // Rejects setting the refund policy of an unlisted membership
+      it("Rejects setting the refund policy of an invalid membership", async () => {
+        await expect(membershipDAO.connect(owner).setRefundPolicy(5, 1))
+          .to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_MembershipIsInvalid");
+      })
+    })
+
+    describe("List new membership", () => {
+      let name, cost
+      describe("Success", () => {
+
+        beforeEach(async () => {
+          name = "Gold Membership";
+          cost = ethers.parseEther("4");
+        })
+
+        // List new membership
+        it("Owner list new membership", async () => {
+          await membershipDAO.connect(owner).listNewMembership(name, cost, membershipDuration);
+          // Fetch the listed membership
+          const result = await membershipDAO.newMembership(0)
+          expect(result.name).to.equal(name);
+          expect(result.cost).to.equal(cost);
+          expect(result.duration).to.equal(membershipDuration);
+          expect(result.voteCount).to.equal(0);
+          expect(result.isApproved).to.equal(false);
+        })
+
+        // Opens the voting window
+        it("Sets the voting window", async () => {
+          await membershipDAO.connect(owner).listNewMembership(name, cost, membershipDuration);
+          const start = await time.latest();
+          const result = await membershipDAO.newMembership(0);
+          expect(result.startTime).to.equal(start);
+          expect(result.endTime).to.equal(start + votingPeriod);
+          expect(await membershipDAO.proposalState(0)).to.equal(Active);
+        })
+
+        // Starts pending during the voting delay
+        it("Starts pending during the voting delay", async () => {
+          await membershipDAO.connect(owner).setVotingSettings(60, votingPeriod, 50, 2);
+          await membershipDAO.connect(owner).listNewMembership(name, cost, membershipDuration);
+          expect(await membershipDAO.proposalState(0)).to.equal(Pending);
+
+          await time.increase(60);
+          expect(await membershipDAO.proposalState(0)).to.equal(Active);
+        })
+
+        // Quorum is based on the voting power of active memberships
+        it("Sets the quorum from the active voting power", async () => {
+          // Below the minimum, the required votes are used
+          await membershipDAO.connect(owner).listNewMembership(name, cost, membershipDuration);
+          expect((await membershipDAO.newMembership(0)).quorum).to.equal(2);
+
+          // 5 members at 50% rounds up to 3 votes
+          const signers = await ethers.getSigners();
+          await membershipDAO.connect(owner).listMembership("Silver Membership", ethers.parseEther("1"), membershipDuration, ethers.ZeroAddress);
+          for (const signer of signers.slice(1, 6)) {
+            await membershipDAO.connect(signer).buyMembership(0, { value: ethers.parseEther("1") });
+          }
+          expect(await membershipDAO.getActiveVotes()).to.equal(5);
+
+          await membershipDAO.connect(owner).listNewMembership(name, cost, membershipDuration);
+          expect((await membershipDAO.newMembership(1)).quorum).to.equal(3);
+        })
+
+        // Lapsed memberships don't count towards the quorum
+        it("Leaves lapsed memberships out of the quorum", async () => {
+          const signers = await ethers.getSigners();
+          await membershipDAO.connect(owner).listMembership("Silver Membership", ethers.parseEther("1"), membershipDuration, ethers.ZeroAddress);
+          for (const signer of signers.slice(1, 6)) {
+            await membershipDAO.connect(signer).buyMembership(0, { value: ethers.parseEther("1") });
+          }
+          await membershipDAO.connect(owner).setGracePeriod(time.duration.days(3));
+
+          // Past the grace period, only the 2 renewed memberships are active
+          await time.increase(membershipDuration + time.duration.days(2));
+          for (const signer of signers.slice(1, 3)) {
+            await membershipDAO.connect(signer).renewMembership(0, { value: ethers.parseEther("1") });
+          }
+          await time.increase(time.duration.days(2));
+          expect(await membershipDAO.getActiveVotes()).to.equal(2);
+          expect(await membershipDAO.getPastTotalVotes(await ethers.provider.getBlockNumber())).to.equal(5);
+
+          await membershipDAO.connect(owner).setVotingSettings(0, votingPeriod, 100, 1);
+          await membershipDAO.connect(owner).listNewMembership(name, cost, membershipDuration);
+          expect((await membershipDAO.newMembership(0)).quorum).to.equal(2);
+
+          // A longer grace period makes them active again
+          await membershipDAO.connect(owner).setGracePeriod(time.duration.days(30));
+          expect(await membershipDAO.getActiveVotes()).to.equal(5);
+          await membershipDAO.connect(owner).listNewMembership(name, cost, membershipDuration);
+          expect((await membershipDAO.newMembership(1)).quorum).to.equal(5);
+
+          // Canceled and transferred memberships move out of the count with their record
+          await membershipDAO.connect(signers[3]).cancelMembership(0);
+          await membershipDAO.connect(signers[4]).safeTransferFrom(signers[4].address, signers[6].address, 0, 1, "0x");
+          expect(await membershipDAO.getActiveVotes()).to.equal(4);
+        })
+
+        // Emits ListedNewMembership event
+        it("Emits listed new membership event", async () => {
+          const currentTotalNewMembership = await membershipDAO.totalNewMembership();
+          await expect(membershipDAO.connect(owner).listNewMembership(name, cost, membershipDuration))
+            .to.emit(membershipDAO, "ListedNewMembership").withArgs(owner.address, currentTotalNewMembership);
+        })
+
+        // Emits VotingSettingsUpdated event
+        it("Emits voting settings updated event", async () => {
+          await expect(membershipDAO.connect(owner).setVotingSettings(60, votingPeriod * 2, 25, 1))
+            .to.emit(membershipDAO, "VotingSettingsUpdated").withArgs(60, votingPeriod * 2, 25, 1);
+        })
+      })
+
+      describe("Failure", () => {
+        beforeEach(async () => {
+          name = "Gold Membership";
+          cost = ethers.parseEther("4");
+        })
+
+        // No-owner list new membership
+        it("Reverts when nonowner tries to list a new membership", async () => {
+          await expect(membershipDAO.connect(user).listNewMembership(name, cost, membershipDuration))
+            .to.be.reverted;
+        })
+
+        // Reject a voting period of zero or a quorum above 100%
+        it("Rejects invalid voting settings", async () => {
+          await expect(membershipDAO.connect(owner).setVotingSettings(0, 0, 50, 2))
+            .to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_InvalidVotingSettings");
+          await expect(membershipDAO.connect(owner).setVotingSettings(0, votingPeriod, 101, 2))
+            .to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_InvalidVotingSettings");
+        })
+
+        // Non-owner set voting settings
+        it("Rejects unauthorized user from setting the voting settings", async () => {
+          await expect(membershipDAO.connect(user).setVotingSettings(0, votingPeriod, 50, 2))
+            .to.be.revertedWithCustomError(membershipDAO, "AccessControlUnauthorizedAccount");
+        })
+
+        // Reads the state of a non-existent proposal
+        it("Reverts reading the state of a non-existent proposal", async () => {
+          await expect(membershipDAO.proposalState(10))
+            .to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_NewMembershipIsInvalid");
+        })
+      })
+    })
+
+    describe("Vote", () => {
+      let membershipName, membershipCost, name, cost
+
+      beforeEach(async () => {
+        // Define first membership
+        membershipName = "Silver Membership";
+        membershipCost = ethers.parseEther("2");
+
+        // Define new membership
+        name = "Gold Membership";
+        cost = ethers.parseEther("4");
+
+        // List a membership
+        await membershipDAO.connect(owner).listMembership(membershipName, membershipCost, membershipDuration, ethers.ZeroAddress);
+
+        // Buy memebrship
+        await membershipDAO.connect(user).buyMembership(0, {
+          value: membershipCost
+        });
+
+        // List a new memebrship
+        await membershipDAO.connect(owner).listNewMembership(name, cost, membershipDuration);
+      })
+
+      describe("Success", () => {
+        // User vote for the new membership
+        it("Vote for the new membership", async () => {
+          await membershipDAO.connect(user).vote(0, For);
+
+          // Check for first vote
+          const result = await membershipDAO.hasVoted(user.address, 0);
+          expect(result).to.equal(true);
+
+          // Check the vote count
+          const newMembershipCount = await membershipDAO.newMembership(0);
+          expect(newMembershipCount.voteCount).to.equal(1);
+          expect((await membershipDAO.proposalVotes(0)).forVotes).to.equal(1);
+        })
+
+        // User votes against and abstains
+        it("Tallies against and abstain votes", async () => {
+          await membershipDAO.connect(member).buyMembership(0, {
+            value: membershipCost
+          });
+          await membershipDAO.connect(owner).listNewMembership(name, cost, membershipDuration);
+
+          await membershipDAO.connect(user).vote(1, Against);
+          await membershipDAO.connect(member).vote(1, Abstain);
+
+          const votes = await membershipDAO.proposalVotes(1);
+          expect(votes.forVotes).to.equal(0);
+          expect(votes.againstVotes).to.equal(1);
+          expect(votes.abstainVotes).to.equal(1);
+          expect((await membershipDAO.newMembership(1)).voteCount).to.equal(2);
+        })
+
+        // Emits HasVoted event
+        it("Emits has voted event", async () => {
+          await expect(membershipDAO.connect(user).vote(0, For)).
+          to.emit(membershipDAO, "HasVoted").withArgs(user.address, 0, For, 1);
+        });
+
+        // Check for total new membership
+        it("Checks for new membership total", async () => {
+          // Retrive totalNewMembership
+          const getTotalNewMembership = await membershipDAO.totalNewMembership();
+          expect(getTotalNewMembership).to.equal(1);
+        })
+      })
+
+      describe("Failure", () => {
+        // Reject voting without a valid membership
+        it("Rejects user from voting without membership", async () => {
+          await expect(membershipDAO.connect(owner).vote(0, For))
+            .to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_UserNotEligibleToVote");
+        })
+
+        // Reject voting with an expired membership
+        it("Rejects user from voting with an expired membership", async () => {
+          await time.increase(membershipDuration + 1);
+          await expect(membershipDAO.connect(user).vote(0, For))
+            .to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_UserNotEligibleToVote");
+        })
+
+        // Rejects voting for invalid ID
+        it("Reverts if voting for a non-existent membership ID", async () => {
+          // Call vote function
+          await expect(membershipDAO.connect(user).vote(10, For))
+            .to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_NewMembershipIsInvalid");
+        })
+
+        // Reject duplicate voting by the same user
+        it("Rejects dublicate vote from the same user", async () => {
+          // User submits their first vote
+          await membershipDAO.connect(user).vote(0, For);
+          // User submits their second vote, should fail
+          await expect(membershipDAO.connect(user).vote(0, Against))
+            .to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_UserAlreadyVoted");
+        })
+
+        // Reject voting before the voting delay has passed
+        it("Rejects voting on a pending proposal", async () => {
+          await membershipDAO.connect(owner).setVotingSettings(60, votingPeriod, 50, 2);
+          await membershipDAO.connect(owner).listNewMembership(name, cost, membershipDuration);
+          await expect(membershipDAO.connect(user).vote(1, For))
+            .to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_ProposalNotActive").withArgs(1, Pending);
+        })
+
+        // Reject voting after the voting period has ended
+        it("Rejects voting after the deadline", async () => {
+          await time.increase(votingPeriod + 1);
+          await expect(membershipDAO.connect(user).vote(0, For))
+            .to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_ProposalNotActive").withArgs(0, Defeated);
+        })
+      })
+    })
+
+    describe("Voting power", () => {
+      let silverCost, goldCost
+
+      beforeEach(async () => {
+        silverCost = ethers.parseEther("1");
+        goldCost = ethers.parseEther("3");
+
+        // List two tiers, gold votes three times as much as silver
+        await membershipDAO.connect(owner).listMembership("Silver Membership", silverCost, membershipDuration, ethers.ZeroAddress);
+        await membershipDAO.connect(owner).listMembership("Gold Membership", goldCost, membershipDuration, ethers.ZeroAddress);
+        await membershipDAO.connect(owner).setVotingWeight(1, 3);
+
+        await membershipDAO.connect(user).buyMembership(0, { value: silverCost });
+        await membershipDAO.connect(member).buyMembership(1, { value: goldCost });
+      })
+
+      describe("Success", () => {
+        // Tiers start with a weight of one
+        it("Defaults the voting weight to one", async () => {
+          expect(await membershipDAO.votingWeight(0)).to.equal(1);
+          expect(await membershipDAO.votingWeight(1)).to.equal(3);
+        })
+
+        // Voting power sums the weights of the tiers held
+        it("Sums the weight of every tier held", async () => {
+          expect(await membershipDAO.getVotes(user.address)).to.equal(1);
+          expect(await membershipDAO.getVotes(member.address)).to.equal(3);
+
+          await membershipDAO.connect(user).buyMembership(1, { value: goldCost });
+          expect(await membershipDAO.getVotes(user.address)).to.equal(4);
+        })
+
+        // Votes are tallied by voting power
+        it("Tallies weighted votes", async () => {
+          await membershipDAO.connect(owner).listNewMembership("Platinum Membership", goldCost, membershipDuration);
+          await membershipDAO.connect(user).vote(0, For);
+          await expect(membershipDAO.connect(member).vote(0, Against))
+            .to.emit(membershipDAO, "HasVoted").withArgs(member.address, 0, Against, 3);
+
+          const votes = await membershipDAO.proposalVotes(0);
+          expect(votes.forVotes).to.equal(1);
+          expect(votes.againstVotes).to.equal(3);
+
+          await time.increase(votingPeriod + 1);
+          expect(await membershipDAO.proposalState(0)).to.equal(Defeated);
+        })
+
+        // Power is read at the proposal snapshot
+        it("Uses the voting power at the proposal snapshot", async () => {
+          await membershipDAO.connect(owner).listNewMembership("Platinum Membership", goldCost, membershipDuration);
+
+          // Changes after the proposal is listed don't count
+          await membershipDAO.connect(user).buyMembership(1, { value: goldCost });
+          await membershipDAO.connect(owner).setVotingWeight(1, 10);
+
+          await membershipDAO.connect(user).vote(0, For);
+          await membershipDAO.connect(member).vote(0, For);
+
+          const votes = await membershipDAO.proposalVotes(0);
+          expect(votes.forVotes).to.equal(4);
+          expect(await membershipDAO.getVotes(user.address)).to.equal(11);
+        })
+
+        // Quorum is a share of the weighted total
+        it("Sets the quorum from the weighted total", async () => {
+          await membershipDAO.connect(owner).setVotingSettings(0, votingPeriod, 75, 1);
+          await membershipDAO.connect(owner).listNewMembership("Platinum Membership", goldCost, membershipDuration);
+          expect((await membershipDAO.newMembership(0)).quorum).to.equal(3);
+        })
+
+        // Emits VotingWeightUpdated event
+        it("Emits voting weight updated event", async () => {
+          await expect(membershipDAO.connect(owner).setVotingWeight(0, 2))
+            .to.emit(membershipDAO, "VotingWeightUpdated").withArgs(0, 2);
+        })
+      })
+
+      describe("Failure", () => {
+        // Reject memberships bought after the proposal was listed
+        it("Rejects voting without power at the snapshot", async () => {
+          const [, , , latecomer] = await ethers.getSigners();
+          await membershipDAO.connect(owner).listNewMembership("Platinum Membership", goldCost, membershipDuration);
+          await membershipDAO.connect(latecomer).buyMembership(1, { value: goldCost });
+
+          await expect(membershipDAO.connect(latecomer).vote(0, For))
+            .to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_NoVotingPower").withArgs(latecomer.address, 0);
+        })
+
+        // Non-owner set voting weight
+        it("Rejects unauthorized user from setting the voting weight", async () => {
+          await expect(membershipDAO.connect(user).setVotingWeight(0, 2))
+            .to.be.revertedWithCustomError(membershipDAO, "AccessControlUnauthorizedAccount");
+        })
+
+        // Reject setting the weight of an unlisted membership
+        it("Rejects setting the voting weight of an invalid membership", async () => {
+          await expect(membershipDAO.connect(owner).setVotingWeight(5, 2))
+            .to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_MembershipIsInvalid");
+        })
+      })
+    })
+
+    describe("Delegation", () => {
+      let silverCost, goldCost, delegate, outsider
+
+      // Voting power delegated to an account as of the latest block
+      const delegatedVotes = async (account) =>
+        membershipDAO.getPastDelegatedVotes(account.address, await ethers.provider.getBlockNumber());
+
+      beforeEach(async () => {
+        [, , , delegate, outsider] = await ethers.getSigners();
+        silverCost = ethers.parseEther("1");
+        goldCost = ethers.parseEther("3");
+
+        // Silver votes once and gold three times
+        await membershipDAO.connect(owner).listMembership("Silver Membership", silverCost, membershipDuration, ethers.ZeroAddress);
+        await membershipDAO.connect(owner).listMembership("Gold Membership", goldCost, membershipDuration, ethers.ZeroAddress);
+        await membershipDAO.connect(owner).setVotingWeight(1, 3);
+
+        await membershipDAO.connect(user).buyMembership(0, { value: silverCost });
+        await membershipDAO.connect(member).buyMembership(0, { value: silverCost });
+        await membershipDAO.connect(delegate).buyMembership(1, { value: goldCost });
+      })
+
+      describe("Success", () => {
+        // The delegate holds the delegator's voting power
+        it("Delegates voting power to another member", async () => {
+          await expect(membershipDAO.connect(user).delegate(delegate.address))
+            .to.emit(membershipDAO, "DelegateChanged").withArgs(user.address, ethers.ZeroAddress, delegate.address);
+
+          expect(await membershipDAO.delegates(user.address)).to.equal(delegate.address);
+          expect(await delegatedVotes(delegate)).to.equal(1);
+          expect(await membershipDAO.getVotes(user.address)).to.equal(1);
+        })
+
+        // Tokens bought after delegating are delegated too
+        it("Delegates tokens bought later", async () => {
+          await membershipDAO.connect(user).delegate(delegate.address);
+          await membershipDAO.connect(user).buyMembership(1, { value: goldCost });
+
+          expect(await delegatedVotes(delegate)).to.equal(4);
+        })
+
+        // The delegate's vote counts for its own tokens and every delegator's
+        it("Counts the delegators' power in the delegate's vote", async () => {
+          await membershipDAO.connect(user).delegate(delegate.address);
+          await membershipDAO.connect(member).delegate(delegate.address);
+          await membershipDAO.connect(owner).listNewMembership("Platinum Membership", goldCost, membershipDuration);
+
+          await expect(membershipDAO.connect(delegate).vote(0, For))
+            .to.emit(membershipDAO, "HasVoted").withArgs(delegate.address, 0, For, 5);
+          expect((await membershipDAO.proposalVotes(0)).forVotes).to.equal(5);
+        })
+
+        // A delegator voting after the delegate takes their power out of the delegate's vote
+        it("Lets a delegator override the delegate's vote", async () => {
+          await membershipDAO.connect(user).delegate(delegate.address);
+          await membershipDAO.connect(owner).listNewMembership("Platinum Membership", goldCost, membershipDuration);
+
+          await membershipDAO.connect(delegate).vote(0, For);
+          await expect(membershipDAO.connect(user).vote(0, Against))
+            .to.emit(membershipDAO, "DelegateVoteOverridden").withArgs(user.address, delegate.address, 0, 1)
+            .and.to.emit(membershipDAO, "HasVoted").withArgs(user.address, 0, Against, 1);
+
+          const votes = await membershipDAO.proposalVotes(0);
+          expect(votes.forVotes).to.equal(3);
+          expect(votes.againstVotes).to.equal(1);
+        })
+
+        // A delegator voting before the delegate is left out of the delegate's vote
+        it("Leaves delegators who voted out of the delegate's vote", async () => {
+          await membershipDAO.connect(user).delegate(delegate.address);
+          await membershipDAO.connect(member).delegate(delegate.address);
+          await membershipDAO.connect(owner).listNewMembership("Platinum Membership", goldCost, membershipDuration);
+
+          await membershipDAO.connect(user).vote(0, Abstain);
+          await expect(membershipDAO.connect(delegate).vote(0, For))
+            .to.emit(membershipDAO, "HasVoted").withArgs(delegate.address, 0, For, 4)
+            .and.not.to.emit(membershipDAO, "DelegateVoteOverridden");
+
+          const votes = await membershipDAO.proposalVotes(0);
+          expect(votes.forVotes).to.equal(4);
+          expect(votes.abstainVotes).to.equal(1);
+        })
+
+        // A delegator whose membership lapsed counts for neither the delegate nor, once renewed, themselves twice
+        it("Leaves lapsed delegators out of the delegate's vote", async () => {
+          await membershipDAO.connect(user).delegate(delegate.address);
+          await membershipDAO.connect(member).delegate(delegate.address);
+          await membershipDAO.connect(member).renewMembership(0, { value: silverCost });
+          await membershipDAO.connect(delegate).renewMembership(1, { value: goldCost });
+          await membershipDAO.connect(owner).setVotingSettings(0, membershipDuration * 2, 50, 2);
+          await membershipDAO.connect(owner).listNewMembership("Platinum Membership", goldCost, membershipDuration);
+
+          await time.increase(membershipDuration + 1);
+          expect(await membershipDAO.isActiveMember(user.address)).to.equal(false);
+          await expect(membershipDAO.connect(delegate).vote(0, For))
+            .to.emit(membershipDAO, "HasVoted").withArgs(delegate.address, 0, For, 4);
+
+          await membershipDAO.connect(user).renewMembership(0, { value: silverCost });
+          await expect(membershipDAO.connect(user).vote(0, Against))
+            .to.emit(membershipDAO, "HasVoted").withArgs(user.address, 0, Against, 1)
+            .and.not.to.emit(membershipDAO, "DelegateVoteOverridden");
+
+          const votes = await membershipDAO.proposalVotes(0);
+          expect(votes.forVotes).to.equal(4);
+          expect(votes.againstVotes).to.equal(1);
+        })
+
+        // A delegator who cancels once the proposal is listed no longer counts for the delegate
+        it("Leaves delegators who cancel after the snapshot out of the delegate's vote", async () => {
+          await membershipDAO.connect(user).delegate(delegate.address);
+          await membershipDAO.connect(member).delegate(delegate.address);
+          await membershipDAO.connect(owner).listNewMembership("Platinum Membership", goldCost, membershipDuration);
+
+          await membershipDAO.connect(user).cancelMembership(0);
+          await expect(membershipDAO.connect(delegate).vote(0, For))
+            .to.emit(membershipDAO, "HasVoted").withArgs(delegate.address, 0, For, 4);
+        })
+
+        // Accounts that stopped delegating before the snapshot don't add to the cost of the delegate's vote
+        it("Votes with many past delegators", async () => {
+          const signers = (await ethers.getSigners()).slice(6);
+          await membershipDAO.connect(user).delegate(delegate.address);
+          await membershipDAO.connect(owner).listNewMembership("Platinum Membership", goldCost, membershipDuration);
+          const first = await (await membershipDAO.connect(delegate).vote(0, For)).wait();
+
+          for (const [index, signer] of signers.entries()) {
+            await membershipDAO.connect(signer).buyMembership(0, { value: silverCost });
+            await membershipDAO.connect(signer).delegate(delegate.address);
+            if (index % 2 === 0) {
+              await membershipDAO.connect(signer).undelegate();
+            } else {
+              await membershipDAO.connect(signer).cancelMembership(0);
+            }
+          }
+          await membershipDAO.connect(owner).listNewMembership("Diamond Membership", goldCost, membershipDuration);
+
+          const receipt = await (await membershipDAO.connect(delegate).vote(1, For)).wait();
+          expect((await membershipDAO.proposalVotes(1)).forVotes).to.equal(4);
+          expect(receipt.gasUsed).to.be.below(first.gasUsed + 10000n);
+        })
+
+        // Delegations made after a proposal is listed count from the next one
+        it("Reads delegations at the proposal snapshot", async () => {
+          await membershipDAO.connect(owner).listNewMembership("Platinum Membership", goldCost, membershipDuration);
+          await membershipDAO.connect(user).delegate(delegate.address);
+
+          await expect(membershipDAO.connect(delegate).vote(0, For))
+            .to.emit(membershipDAO, "HasVoted").withArgs(delegate.address, 0, For, 3);
+          await expect(membershipDAO.connect(user).vote(0, For))
+            .not.to.emit(membershipDAO, "DelegateVoteOverridden");
+          expect((await membershipDAO.proposalVotes(0)).forVotes).to.equal(4);
+        })
+
+        // Delegated power stays with the delegate it was given to
+        it("Doesn't pass delegated power on", async () => {
+          await membershipDAO.connect(user).delegate(member.address);
+          await membershipDAO.connect(member).delegate(delegate.address);
+
+          expect(await delegatedVotes(member)).to.equal(1);
+          expect(await delegatedVotes(delegate)).to.equal(1);
+        })
+
+        // Revoking hands the power back, revoking again does nothing
+        it("Revokes a delegation", async () => {
+          await membershipDAO.connect(user).delegate(delegate.address);
+
+          await expect(membershipDAO.connect(user).undelegate())
+            .to.emit(membershipDAO, "DelegateChanged").withArgs(user.address, delegate.address, ethers.ZeroAddress);
+          expect(await membershipDAO.delegates(user.address)).to.equal(ethers.ZeroAddress);
+          expect(await delegatedVotes(delegate)).to.equal(0);
+
+          await expect(membershipDAO.connect(user).undelegate()).not.to.emit(membershipDAO, "DelegateChanged");
+        })
+
+        // Moving the delegation moves the power with it
+        it("Moves a delegation to another member", async () => {
+          await membershipDAO.connect(user).delegate(delegate.address);
+          await expect(membershipDAO.connect(user).delegate(member.address))
+            .to.emit(membershipDAO, "DelegateChanged").withArgs(user.address, delegate.address, member.address);
+
+          expect(await delegatedVotes(delegate)).to.equal(0);
+          expect(await delegatedVotes(member)).to.equal(1);
+        })
+
+        // Canceling a membership clears the delegation
+        it("Clears the delegation on cancel", async () => {
+          await membershipDAO.connect(user).buyMembership(1, { value: goldCost });
+          await membershipDAO.connect(user).delegate(delegate.address);
+
+          await expect(membershipDAO.connect(user).cancelMembership(0))
+            .to.emit(membershipDAO, "DelegateChanged").withArgs(user.address, delegate.address, ethers.ZeroAddress);
+          expect(await membershipDAO.delegates(user.address)).to.equal(ethers.ZeroAddress);
+          expect(await delegatedVotes(delegate)).to.equal(0);
+        })
+
+        // Transferred tokens move to the recipient's delegate
+        it("Moves delegated power with transferred tokens", async () => {
+          const [, , , , , recipient] = await ethers.getSigners();
+          await membershipDAO.connect(user).delegate(delegate.address);
+          await membershipDAO.connect(user).safeTransferFrom(user.address, recipient.address, 0, 1, "0x");
+
+          expect(await delegatedVotes(delegate)).to.equal(0);
+          expect(await membershipDAO.getVotes(recipient.address)).to.equal(1);
+        })
+      })
+
+      describe("Failure", () => {
+        // Reject delegating to yourself
+        it("Rejects delegating to the caller", async () => {
+          await expect(membershipDAO.connect(user).delegate(user.address))
+            .to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_InvalidDelegate").withArgs(user.address, user.address);
+        })
+
+        // Reject delegating to an account without an active membership
+        it("Rejects delegating to a non-member", async () => {
+          await expect(membershipDAO.connect(user).delegate(outsider.address))
+            .to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_InvalidDelegate").withArgs(user.address, outsider.address);
+          await expect(membershipDAO.connect(user).delegate(ethers.ZeroAddress))
+            .to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_InvalidDelegate").withArgs(user.address, ethers.ZeroAddress);
+        })
+
+        // Reject delegating without an active membership
+        it("Rejects delegating from a non-member", async () => {
+          await expect(membershipDAO.connect(outsider).delegate(delegate.address))
+            .to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_UserNotEligibleToVote").withArgs(outsider.address);
+
+          await time.increase(membershipDuration + 1);
+          await expect(membershipDAO.connect(user).delegate(delegate.address))
+            .to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_UserNotEligibleToVote").withArgs(user.address);
+        })
+
+        // A delegator who voted can't vote again through an override
+        it("Rejects a delegator voting twice", async () => {
+          await membershipDAO.connect(user).delegate(delegate.address);
+          await membershipDAO.connect(owner).listNewMembership("Platinum Membership", goldCost, membershipDuration);
+          await membershipDAO.connect(user).vote(0, For);
+
+          await expect(membershipDAO.connect(user).vote(0, Against))
+            .to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_UserAlreadyVoted").withArgs(user.address, 0);
+        })
+      })
+    })
+
+    describe("Vote by signature", () => {
+      let membershipBallots, membershipCost, domain, deadline, relayer
+
+      // EIP-712 ballot type, `support` is the VoteType enum value
+      const types = {
+        Ballot: [
+          { name: "voter", type: "address" },
+          { name: "newMembershipId", type: "uint256" },
+          { name: "support", type: "uint8" },
+          { name: "nonce", type: "uint256" },
+          { name: "deadline", type: "uint256" }
+        ]
+      };
+
+      // Sign a ballot with the voter's next nonce
+      const signBallot = async (signer, newMembershipId, support, overrides = {}) => {
+        const ballot = {
+          voter: signer.address,
+          newMembershipId,
+          support,
+          nonce: await membershipBallots.nonces(signer.address),
+          deadline,
+          ...overrides
+        };
+        return { ballot, signature: await signer.signTypedData(domain, types, ballot) };
+      };
+
+      beforeEach(async () => {
+        [, , , relayer] = await ethers.getSigners();
+        membershipCost = ethers.parseEther("2");
+
+        await membershipDAO.connect(owner).listMembership("Silver Membership", membershipCost, membershipDuration, ethers.ZeroAddress);
+        await membershipDAO.connect(user).buyMembership(0, { value: membershipCost });
+        await membershipDAO.connect(member).buyMembership(0, { value: membershipCost });
+        await membershipDAO.connect(owner).listNewMembership("Gold Membership", ethers.parseEther("4"), membershipDuration);
+        membershipBallots = await deployMembershipBallots(membershipDAO, owner);
+
+        domain = {
+          name: "MembershipDAO",
+          version: "1",
+          chainId: (await ethers.provider.getNetwork()).chainId,
+          verifyingContract: membershipBallots.target
+        };
+        deadline = (await time.latest()) + 60 * 60;
+      })
+
+      describe("Success", () => {
+        // Relayer submits a member's signed ballot
+        it("Records a signed ballot", async () => {
+          const { ballot, signature } = await signBallot(user, 0, For);
+          await expect(membershipBallots.connect(relayer).voteBySig(ballot, signature))
+            .to.emit(membershipDAO, "HasVoted").withArgs(user.address, 0, For, 1);
+
+          expect(await membershipDAO.hasVoted(user.address, 0)).to.equal(true);
+          expect(await membershipDAO.hasVoted(relayer.address, 0)).to.equal(false);
+          expect((await membershipDAO.proposalVotes(0)).forVotes).to.equal(1);
+          expect(await membershipBallots.nonces(user.address)).to.equal(1);
+        })
+
+        // The relayer pays the gas, not the voter
+        it("Leaves the voter's balance untouched", async () => {
+          const { ballot, signature } = await signBallot(user, 0, For);
+          await expect(membershipBallots.connect(relayer).voteBySig(ballot, signature))
+            .to.changeEtherBalance(user, 0);
+        })
+
+        // The ERC-5267 domain is the one ballots are signed in
+        it("Describes the signing domain", async () => {
+          const { fields, name, version, chainId, verifyingContract } = await membershipBallots.eip712Domain();
+
+          expect(fields).to.equal("0x0f");
+          expect({ name, version, chainId, verifyingContract }).to.deep.equal(domain);
+          expect(await membershipBallots.DOMAIN_SEPARATOR()).to.equal(ethers.TypedDataEncoder.hashDomain(domain));
+        })
+
+        // Several ballots in one transaction
+        it("Records a batch of signed ballots", async () => {
+          const first = await signBallot(user, 0, For);
+          const second = await signBallot(member, 0, Against);
+
+          await membershipBallots.connect(relayer).voteBySigBatch(
+            [first.ballot, second.ballot],
+            [first.signature, second.signature]
+          );
+
+          const votes = await membershipDAO.proposalVotes(0);
+          expect(votes.forVotes).to.equal(1);
+          expect(votes.againstVotes).to.equal(1);
+          expect(await membershipDAO.voters(0, 1)).to.equal(member.address);
+        })
+      })
+
+      describe("Failure", () => {
+        // Reject a ballot signed by someone else
+        it("Rejects a ballot not signed by the voter", async () => {
+          const { ballot } = await signBallot(user, 0, For);
+          const signature = await member.signTypedData(domain, types, ballot);
+          await expect(membershipBallots.connect(relayer).voteBySig(ballot, signature))
+            .to.be.revertedWithCustomError(membershipBallots, "MembershipDAO_InvalidBallotSignature").withArgs(user.address);
+        })
+
+        // Reject a ballot whose choice was changed after signing
+        it("Rejects a tampered ballot", async () => {
+          const { ballot, signature } = await signBallot(user, 0, For);
+          await expect(membershipBallots.connect(relayer).voteBySig({ ...ballot, support: Against }, signature))
+            .to.be.revertedWithCustomError(membershipBallots, "MembershipDAO_InvalidBallotSignature");
+        })
+
+        // Reject a ballot past its deadline
+        it("Rejects an expired ballot", async () => {
+          const { ballot, signature } = await signBallot(user, 0, For);
+          await time.increase(60 * 60 + 1);
+          await expect(membershipBallots.connect(relayer).voteBySig(ballot, signature))
+            .to.be.revertedWithCustomError(membershipBallots, "MembershipDAO_BallotExpired").withArgs(user.address, deadline);
+        })
+
+        // Reject replaying a used nonce
+        it("Rejects a reused nonce", async () => {
+          await membershipDAO.connect(owner).listNewMembership("Platinum Membership", ethers.parseEther("6"), membershipDuration);
+          const { ballot, signature } = await signBallot(user, 0, For);
+          await membershipBallots.connect(relayer).voteBySig(ballot, signature);
+
+          const replay = await signBallot(user, 1, For, { nonce: 0 });
+          await expect(membershipBallots.connect(relayer).voteBySig(replay.ballot, replay.signature))
+            .to.be.revertedWithCustomError(membershipBallots, "InvalidAccountNonce").withArgs(user.address, 1);
+        })
+
+        // Same checks as a direct vote
+        it("Rejects a ballot from a non-member", async () => {
+          const { ballot, signature } = await signBallot(relayer, 0, For);
+          await expect(membershipBallots.connect(relayer).voteBySig(ballot, signature))
+            .to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_UserNotEligibleToVote");
+        })
+
+        // A signed ballot can't be added to a direct vote
+        it("Rejects a ballot from a member who already voted", async () => {
+          await membershipDAO.connect(user).vote(0, For);
+          const { ballot, signature } = await signBallot(user, 0, Against);
+          await expect(membershipBallots.connect(relayer).voteBySig(ballot, signature))
+            .to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_UserAlreadyVoted");
+        })
+
+        // One invalid ballot reverts the whole batch
+        it("Reverts the whole batch on an invalid ballot", async () => {
+          const first = await signBallot(user, 0, For);
+          const second = await signBallot(relayer, 0, For);
+          await expect(membershipBallots.connect(relayer).voteBySigBatch(
+            [first.ballot, second.ballot],
+            [first.signature, second.signature]
+          )).to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_UserNotEligibleToVote");
+          expect(await membershipDAO.hasVoted(user.address, 0)).to.equal(false);
+        })
+
+        // Only the ballots contract casts votes for others
+        it("Rejects votes cast without BALLOT_ROLE", async () => {
+          await expect(membershipDAO.connect(relayer).castVote(user.address, 0, For))
+            .to.be.revertedWithCustomError(membershipDAO, "AccessControlUnauthorizedAccount")
+            .withArgs(relayer.address, await membershipDAO.BALLOT_ROLE());
+          expect(await membershipDAO.hasRole(await membershipDAO.BALLOT_ROLE(), owner.address)).to.equal(false);
+        })
+
+        // Every ballot needs a signature
+        it("Rejects a batch with missing signatures", async () => {
+          const first = await signBallot(user, 0, For);
+          await expect(membershipBallots.connect(relayer).voteBySigBatch([first.ballot], []))
+            .to.be.revertedWithCustomError(membershipBallots, "MembershipDAO_BallotsLengthMismatch").withArgs(1, 0);
+        })
+      })
+    })
+
+    describe("Approve", () => {
+      let membershipName, membershipCost, name, cost
+
+      beforeEach(async () => {
+        // Define first membership
+        membershipName = "Silver Membership";
+        membershipCost = ethers.parseEther("2");
+
+        // Define new membership
+        name = "Gold Membership";
+        cost = ethers.parseEther("4");
+
+        // List first membership
+        await membershipDAO.connect(owner).listMembership(membershipName, membershipCost, membershipDuration, ethers.ZeroAddress);
+
+        // User buy memebrship
+        await membershipDAO.connect(user).buyMembership(0, {
+          value: membershipCost
+        });
+
+        // Member buy memebrship
+        await membershipDAO.connect(member).buyMembership(0, {
+          value: membershipCost
+        });
+
+        // List a new memebrship
+        await membershipDAO.connect(owner).listNewMembership(name, cost, membershipDuration);
+      })
+
+      describe("Success", () => {
+        beforeEach(async () => {
+          // User and member vote for the proposal
+          await membershipDAO.connect(user).vote(0, For);
+          await membershipDAO.connect(member).vote(0, For);
+
+          // Close the voting window
+          await time.increase(votingPeriod + 1);
+        })
+
+        // Succeeds once the voting window closes
+        it("Succeeds after the voting period", async () => {
+          expect(await membershipDAO.proposalState(0)).to.equal(Succeeded);
+        })
+
+        // Approve lists the new membership
+        it("Should approve and list the new membership", async () => {
+          await membershipDAO.connect(owner).approve(0);
+
+          expect(await membershipDAO.totalMemberships()).to.equal(2);
+          const result = await membershipDAO.memberships(1);
+          expect(result.name).to.equal(name);
+          expect(result.cost).to.equal(cost);
+          expect(result.duration).to.equal(membershipDuration);
+
+          expect((await membershipDAO.newMembership(0)).isApproved).to.equal(true);
+          expect(await membershipDAO.proposalState(0)).to.equal(Executed);
+        })
+
+        // Approved membership can be purchased
+        it("Allows buying the approved membership", async () => {
+          await membershipDAO.connect(member).approve(0);
+          await membershipDAO.connect(user).buyMembership(1, {
+            value: cost
+          });
+          expect(await membershipDAO.hasMembership(user.address, 1)).to.equal(true);
+        })
 
         // User and member vote for proposal 
         it("Verify that both users have voted", async () => {
@@ -437,49 +2539,52 @@ describe("MembershipDAO", () => {
         // Emits NewMembershipApproved event
         it("Emits new membership approved event", async () => {
           await expect(membershipDAO.approve(0))
-            .to.emit(membershipDAO, "NewMembershipApproved").withArgs(0);
+            .to.emit(membershipDAO, "NewMembershipApproved").withArgs(0, 1)
+            .and.to.emit(membershipDAO, "MembershipListed").withArgs(name, cost, membershipDuration, ethers.ZeroAddress);
         })
       })
 
       describe("Failure", () => {
-        beforeEach(async () => {
-          // Define first membership
-          membershipName = "Silver Membership";
-          membershipCost = ethers.parseEther("2");
-
-          // Define new membership
-          name = "Gold Membership";
-          cost = ethers.parseEther("4");
-          voteCount = 0;
-          isApproved = false;
-
-          // List first membership
-          await membershipDAO.connect(owner).listMembership(membershipName, membershipCost);
-
-          // User buy memebrship
-          await membershipDAO.connect(user).buyMembership(0, {
-            value: membershipCost
-          });
-
-          // Member buy memebrship
-          await membershipDAO.connect(member).buyMembership(0, {
-            value: membershipCost
-          });
-
-          // List a new memebrship
-          await membershipDAO.connect(owner).listNewMembership(name, cost, voteCount, isApproved);
+        // Revert while voting is still open
+        it("Rejects approving an active proposal", async () => {
+          await membershipDAO.connect(user).vote(0, For);
+          await membershipDAO.connect(member).vote(0, For);
+          await expect(membershipDAO.connect(owner).approve(0))
+            .to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_ProposalNotSucceeded").withArgs(0, Active);
+        })
 
-          // User vote
-          await membershipDAO.connect(user).vote(0);
+        // Revert if the quorum is not reached
+        it("Rejects for insufficient votes", async () => {
+          await membershipDAO.connect(user).vote(0, For);
+          await time.increase(votingPeriod + 1);
+          expect(await membershipDAO.proposalState(0)).to.equal(Defeated);
+          await expect(membershipDAO.connect(owner).approve(0))
+            .to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_ProposalNotSucceeded").withArgs(0, Defeated);
+        })
 
-          // // Member vote
-          // await membershipDAO.connect(member).vote(0);
+        // Revert if against votes outweigh for votes
+        it("Rejects when the majority votes against", async () => {
+          await membershipDAO.connect(user).vote(0, Against);
+          await membershipDAO.connect(member).vote(0, Abstain);
+          await time.increase(votingPeriod + 1);
+          expect(await membershipDAO.proposalState(0)).to.equal(Defeated);
         })
 
-        // Revert if votes are below two votes
-        it("Rejects for insufficient votes", async () => {
+        // Revert executing twice
+        it("Rejects approving an executed proposal", async () => {
+          await membershipDAO.connect(user).vote(0, For);
+          await membershipDAO.connect(member).vote(0, For);
+          await time.increase(votingPeriod + 1);
+          await membershipDAO.connect(owner).approve(0);
           await expect(membershipDAO.connect(owner).approve(0))
-            .to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_InsufficientVotesToApprove");
+            .to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_ProposalNotSucceeded").withArgs(0, Executed);
+        })
+
+        // Revert when a non-member calls approve
+        it("Rejects approval from a non-member", async () => {
+          const [, , , outsider] = await ethers.getSigners();
+          await expect(membershipDAO.connect(outsider).approve(0))
+            .to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_UserNotEligibleToApprove");
         })
 
         // Revert invalid ID
@@ -490,47 +2595,173 @@ describe("MembershipDAO", () => {
       })
     })
 
-    describe("Withdraw", () => {
-      let membershipName, membershipCost, balanceBefore
+    describe("Treasury", () => {
+      let membershipCost
+
+      beforeEach(async () => {
+        membershipCost = ethers.parseEther("2");
+
+        // Owner list a membership and two users buy it
+        await membershipDAO.connect(owner).listMembership("Silver Membership", membershipCost, membershipDuration, ethers.ZeroAddress);
+        await membershipDAO.connect(user).buyMembership(0, { value: membershipCost });
+        await membershipDAO.connect(member).buyMembership(0, { value: membershipCost });
+      })
+
       describe("Success", () => {
+        // Refundable deposits are reserved
+        it("Reserves refundable deposits", async () => {
+          expect(await membershipDAO.totalDeposits(0)).to.equal(membershipCost * 2n);
+          expect(await membershipDAO.reservedDeposits(ethers.ZeroAddress)).to.equal(membershipCost * 2n);
+          expect(await membershipDAO.surplus(ethers.ZeroAddress)).to.equal(0);
+        })
 
-        beforeEach(async () => {
-          membershipName = "Silver Membership";
-          membershipCost = ethers.parseEther("2");
+        // Deposits without refunds are surplus
+        it("Withdraws the surplus", async () => {
+          await membershipDAO.connect(owner).setRefundPolicy(0, 2);
+          expect(await membershipDAO.surplus(ethers.ZeroAddress)).to.equal(membershipCost * 2n);
 
-          // Owner list a membership
-          await membershipDAO.connect(owner).listMembership(membershipName, membershipCost);
+          const transaction = membershipDAO.connect(owner).withdraw(ethers.ZeroAddress, membershipCost);
+          await expect(transaction).to.changeEtherBalances([owner, membershipDAO], [membershipCost, -membershipCost]);
+          await expect(transaction).to.emit(membershipDAO, "TreasuryWithdrawal").withArgs(ethers.ZeroAddress, membershipCost);
+          await expect(transaction).to.emit(membershipDAO, "PaymentReleased").withArgs(ethers.ZeroAddress, owner.address, membershipCost);
+        })
 
-          // User buy membership
-          await membershipDAO.connect(user).buyMembership(0, {
-            value: membershipCost
-          });
+        // A canceled deposit only stays with the treasury for the part not refunded
+        it("Frees the part of a canceled deposit that wasn't refunded", async () => {
+          await membershipDAO.connect(owner).setRefundPolicy(0, 1);
+          await time.increase(membershipDuration / 2);
+          await membershipDAO.connect(user).cancelMembership(0);
 
-          // Check owner balance before withdraw
-          balanceBefore = await ethers.provider.getBalance(owner.address)
+          const kept = await ethers.provider.getBalance(membershipDAO.target) - membershipCost;
+          expect(await membershipDAO.reservedDeposits(ethers.ZeroAddress)).to.equal(membershipCost);
+          expect(await membershipDAO.surplus(ethers.ZeroAddress)).to.equal(kept);
+        })
+
+        // Expired pro-rated deposits can be released
+        it("Releases deposits nothing can be refunded from", async () => {
+          await membershipDAO.connect(owner).setRefundPolicy(0, 1);
+          await time.increase(membershipDuration + 1);
+
+          await expect(membershipDAO.connect(member).releaseDeposit(user.address, 0))
+            .to.emit(membershipDAO, "DepositReleased").withArgs(user.address, 0, membershipCost);
+          expect(await membershipDAO.deposit(user.address, 0)).to.equal(0);
+          expect(await membershipDAO.surplus(ethers.ZeroAddress)).to.equal(membershipCost);
+        })
 
-          // Owner call withdraw
-          await membershipDAO.connect(owner).withdraw()
+        // Withdrawals are split between payees by shares
+        it("Splits withdrawals between payees", async () => {
+          const [, , , operations, reserve] = await ethers.getSigners();
+          await membershipDAO.connect(owner).setRefundPolicy(0, 2);
+
+          await expect(membershipDAO.connect(owner).setPayees([operations.address, reserve.address], [3, 1]))
+            .to.emit(membershipDAO, "PayeesUpdated").withArgs([operations.address, reserve.address], [3, 1]);
+          expect((await membershipDAO.payees()).map((payee) => payee.account)).to.deep.equal([operations.address, reserve.address]);
+
+          await expect(membershipDAO.connect(owner).withdraw(ethers.ZeroAddress, membershipCost))
+            .to.changeEtherBalances([operations, reserve], [ethers.parseEther("1.5"), ethers.parseEther("0.5")]);
         })
 
-        // Check owner balance after withdraw
-        it("Updates the owner balance", async () => {
-          const balanceAfter = await ethers.provider.getBalance(owner.address);
-          expect(balanceAfter).to.be.gt(balanceBefore);
+        // The spending limit applies per period
+        it("Withdraws up to the spending limit each period", async () => {
+          await membershipDAO.connect(owner).setRefundPolicy(0, 2);
+          await expect(membershipDAO.connect(owner).setSpendingLimit(ethers.ZeroAddress, ethers.parseEther("1")))
+            .to.emit(membershipDAO, "SpendingLimitUpdated").withArgs(ethers.ZeroAddress, ethers.parseEther("1"));
+
+          await membershipDAO.connect(owner).withdraw(ethers.ZeroAddress, ethers.parseEther("1"));
+          await expect(membershipDAO.connect(owner).withdraw(ethers.ZeroAddress, 1))
+            .to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_SpendingLimitExceeded");
+
+          await time.increase(30 * 24 * 60 * 60);
+          await expect(membershipDAO.connect(owner).withdraw(ethers.ZeroAddress, ethers.parseEther("1")))
+            .to.changeEtherBalance(owner, ethers.parseEther("1"));
         })
 
-        // Check contract balance after withdraw
-        it("Updates the contract balance", async () => {
-          const contractBalanceAfter = await ethers.provider.getBalance(membershipDAO.target);
-          expect(contractBalanceAfter).to.equal(0);
+        // Members can approve spending above the limit
+        it("Withdraws above the limit after members approve the spending", async () => {
+          const amount = ethers.parseEther("3");
+          await membershipDAO.connect(owner).setRefundPolicy(0, 2);
+          await membershipDAO.connect(owner).setSpendingLimit(ethers.ZeroAddress, ethers.parseEther("1"));
+
+          await expect(membershipDAO.connect(owner).proposeSpending("Conference", ethers.ZeroAddress, amount))
+            .to.emit(membershipDAO, "SpendingProposed").withArgs(0, ethers.ZeroAddress, amount);
+          await membershipDAO.connect(user).vote(0, For);
+          await membershipDAO.connect(member).vote(0, For);
+          await time.increase(votingPeriod + 1);
+
+          await expect(membershipDAO.connect(member).approve(0))
+            .to.emit(membershipDAO, "SpendingApproved").withArgs(0, ethers.ZeroAddress, amount);
+          expect(await membershipDAO.approvedSpending(ethers.ZeroAddress)).to.equal(amount);
+          expect(await membershipDAO.totalMemberships()).to.equal(1);
+
+          // The first ether comes from the limit, the rest from the approved spending
+          await expect(membershipDAO.connect(owner).withdraw(ethers.ZeroAddress, membershipCost * 2n))
+            .to.changeEtherBalance(owner, membershipCost * 2n);
+          expect(await membershipDAO.approvedSpending(ethers.ZeroAddress)).to.equal(0);
         })
       })
 
       describe("Failure", () => {
-        // Verify only the owner can call withdraw
-        it("Rejects non-owner from withdrawing", async () => {
-          await expect(membershipDAO.connect(member).withdraw())
-            .to.be.reverted;
+        // Reserved deposits can't be withdrawn
+        it("Rejects withdrawing reserved deposits", async () => {
+          await expect(membershipDAO.connect(owner).withdraw(ethers.ZeroAddress, 1))
+            .to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_InsufficientSurplus")
+            .withArgs(ethers.ZeroAddress, 1, 0);
+        })
+
+        // A payee that can't receive ETH fails the whole withdrawal
+        it("Reverts the withdrawal if a payee can't receive its share", async () => {
+          await membershipDAO.connect(owner).setRefundPolicy(0, 2);
+          await membershipDAO.connect(owner).setPayees([owner.address, membershipDAO.target], [1, 1]);
+
+          await expect(membershipDAO.connect(owner).withdraw(ethers.ZeroAddress, membershipCost))
+            .to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_WithdrawalFailed")
+            .withArgs(membershipDAO.target, membershipCost / 2n);
+        })
+
+        // Payees need an address and shares
+        it("Rejects invalid payees", async () => {
+          await expect(membershipDAO.connect(owner).setPayees([user.address], [1, 2]))
+            .to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_InvalidPayees");
+          await expect(membershipDAO.connect(owner).setPayees([user.address], [0]))
+            .to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_InvalidPayees");
+          await expect(membershipDAO.connect(owner).setPayees([ethers.ZeroAddress], [1]))
+            .to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_InvalidPayees");
+        })
+
+        // Deposits that can still be refunded stay reserved
+        it("Rejects releasing a refundable deposit", async () => {
+          await expect(membershipDAO.releaseDeposit(user.address, 0))
+            .to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_DepositStillRefundable");
+
+          await membershipDAO.connect(owner).setRefundPolicy(0, 1);
+          await expect(membershipDAO.releaseDeposit(user.address, 0))
+            .to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_DepositStillRefundable");
+        })
+
+        // Spending proposals need an amount
+        it("Rejects an empty spending proposal", async () => {
+          await expect(membershipDAO.connect(owner).proposeSpending("Nothing", ethers.ZeroAddress, 0))
+            .to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_InvalidSpendingProposal");
+        })
+
+        // Verify only treasurers manage the treasury
+        it("Rejects accounts without the treasurer role from managing the treasury", async () => {
+          await expect(membershipDAO.connect(member).withdraw(ethers.ZeroAddress, 0))
+            .to.be.revertedWithCustomError(membershipDAO, "AccessControlUnauthorizedAccount");
+          await expect(membershipDAO.connect(member).proposeSpending("Party", ethers.ZeroAddress, 1))
+            .to.be.revertedWithCustomError(membershipDAO, "AccessControlUnauthorizedAccount");
+        })
+
+        // Verify treasurers can't lift their own limit or redirect withdrawals
+        it("Rejects treasurers setting the spending limit or payees", async () => {
+          await membershipDAO.connect(owner).grantRole(await membershipDAO.TREASURER_ROLE(), member.address);
+
+          await expect(membershipDAO.connect(member).setSpendingLimit(ethers.ZeroAddress, 0))
+            .to.be.revertedWithCustomError(membershipDAO, "AccessControlUnauthorizedAccount")
+            .withArgs(member.address, ethers.ZeroHash);
+          await expect(membershipDAO.connect(member).setPayees([member.address], [1]))
+            .to.be.revertedWithCustomError(membershipDAO, "AccessControlUnauthorizedAccount")
+            .withArgs(member.address, ethers.ZeroHash);
         })
       })
     })
@@ -0,0 +1,80 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  ethers
+} = require("hardhat");
+const {
+  expect
+} = require("chai");
+
+const { getMembershipDAOFactory } = require("../scripts/libraries");
+const { tokenFileName, generateMetadata } = require("../metadata/generator");
+
+describe("Metadata", () => {
+  let membershipDAO, token, owner, outDir
+
+  beforeEach(async () => {
+    [owner] = await ethers.getSigners();
+
+    // Deploy the libraries and link them into the contract
+    const MembershipDAO = await getMembershipDAOFactory();
+    membershipDAO = await MembershipDAO.deploy(owner.address);
+    await membershipDAO.waitForDeployment();
+
+    // List an ETH tier and a soulbound token tier
+    token = await ethers.deployContract("MockERC20", ["Mock USD", "MUSD"]);
+    await membershipDAO.connect(owner).listMembership("Silver Membership", ethers.parseEther("2"), 365 * 24 * 60 * 60, ethers.ZeroAddress);
+    await membershipDAO.connect(owner).listMembership("Gold <Membership>", ethers.parseUnits("40", 6), 30 * 24 * 60 * 60, token.target);
+    await membershipDAO.connect(owner).setTransferMode(1, 1);
+
+    outDir = fs.mkdtempSync(path.join(os.tmpdir(), "metadata-"));
+  })
+
+  afterEach(() => {
+    fs.rmSync(outDir, { recursive: true, force: true });
+  })
+
+  // ERC-1155 clients substitute {id} with 64 lowercase hex characters
+  it("Names files the way clients substitute {id}", () => {
+    expect(tokenFileName(0)).to.equal("0".repeat(64));
+    expect(tokenFileName(26)).to.equal("0".repeat(62) + "1a");
+  })
+
+  // One JSON and one badge per listed tier, read from the memberships getter
+  it("Writes metadata and a badge for every tier", async () => {
+    const tiers = await generateMetadata({ membershipDAO, outDir, imageBaseURI: "https://example.com/metadata/" });
+    expect(tiers.length).to.equal(2);
+
+    const fileName = tokenFileName(1);
+    const metadata = JSON.parse(fs.readFileSync(path.join(outDir, `${fileName}.json`), "utf8"));
+    expect(metadata.name).to.equal("Gold <Membership>");
+    expect(metadata.image).to.equal(`https://example.com/metadata/${fileName}.svg`);
+    expect(metadata.decimals).to.equal(0);
+    expect(metadata.properties).to.deep.include({
+      membershipId: 1,
+      cost: ethers.parseUnits("40", 6).toString(),
+      price: "40.0 MUSD",
+      paymentToken: token.target,
+      durationDays: 30,
+      refundPolicy: "Full refund",
+      transferMode: "Soulbound"
+    });
+
+    // Names are escaped in the SVG
+    const badge = fs.readFileSync(path.join(outDir, `${fileName}.svg`), "utf8");
+    expect(badge).to.match(/^<svg /);
+    expect(badge).to.include("Gold &lt;Membership&gt;");
+    expect(badge).not.to.include("<Membership>");
+  })
+
+  // The generated files resolve through the base URI set on the contract
+  it("Matches the URI served by the contract", async () => {
+    await membershipDAO.connect(owner).setBaseURI("https://example.com/metadata/{id}.json");
+    const [silver] = await generateMetadata({ membershipDAO, outDir, imageBaseURI: "https://example.com/metadata" });
+
+    const uri = (await membershipDAO.uri(silver.id)).replace("{id}", silver.fileName);
+    expect(uri).to.equal(`https://example.com/metadata/${silver.fileName}.json`);
+    expect(fs.existsSync(path.join(outDir, `${silver.fileName}.json`))).to.equal(true);
+  })
+})
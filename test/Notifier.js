@@ -0,0 +1,397 @@
+const {
+  ethers
+} = require("hardhat");
+const {
+  expect
+} = require("chai");
+const {
+  time
+} = require("@nomicfoundation/hardhat-network-helpers");
+const http = require("http");
+const net = require("net");
+
+const { getMembershipDAOFactory } = require("../scripts/libraries");
+const { signRegistration } = require("../notifier/registration");
+const { createStore } = require("../notifier/store");
+const { createNotifier } = require("../notifier/notifier");
+const { createWebhookTransport, createSmtpTransport } = require("../notifier/transports");
+const { createApi } = require("../notifier/api");
+
+const DAY = 24 * 60 * 60;
+
+const listen = (server) => new Promise((resolve) => server.listen(0, "127.0.0.1", () => resolve(server.address().port)));
+const close = (server) => new Promise((resolve) => server.close(resolve));
+
+// Webhook endpoint that records posted notifications and answers 500 to the first `failures` requests
+function createWebhookStub() {
+  const stub = { requests: [], failures: 0 };
+
+  stub.server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      if (stub.failures > 0) {
+        stub.failures--;
+        res.writeHead(500);
+        return res.end();
+      }
+
+      stub.requests.push({ path: req.url, body: JSON.parse(body) });
+      res.writeHead(204);
+      res.end();
+    });
+  });
+  return stub;
+}
+
+// SMTP server that accepts every message and records its envelope and data
+function createSmtpStub() {
+  const stub = { messages: [] };
+
+  stub.server = net.createServer((socket) => {
+    let buffer = "";
+    let envelope = {};
+    let data = null;
+
+    socket.setEncoding("utf8");
+    socket.write("220 stub ESMTP\r\n");
+    socket.on("data", (chunk) => {
+      buffer += chunk;
+
+      let end;
+      while ((end = buffer.indexOf("\r\n")) !== -1) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+
+        if (data !== null) {
+          if (line === ".") {
+            stub.messages.push({ ...envelope, data: data.join("\r\n") });
+            data = null;
+            socket.write("250 Queued\r\n");
+          } else {
+            data.push(line);
+          }
+        } else if (line.startsWith("EHLO")) {
+          socket.write("250-stub\r\n250 8BITMIME\r\n");
+        } else if (line.startsWith("MAIL FROM:")) {
+          envelope = { from: line.slice(10) };
+          socket.write("250 OK\r\n");
+        } else if (line.startsWith("RCPT TO:")) {
+          envelope.to = line.slice(8);
+          socket.write("250 OK\r\n");
+        } else if (line === "DATA") {
+          data = [];
+          socket.write("354 End data with <CR><LF>.<CR><LF>\r\n");
+        } else if (line === "QUIT") {
+          socket.end("221 Bye\r\n");
+        } else {
+          socket.write("502 Command not implemented\r\n");
+        }
+      }
+    });
+  });
+  return stub;
+}
+
+describe("Notifier", () => {
+  let membershipDAO, owner, members, outsider, store, notifier, webhook, smtp, webhookUrl
+
+  beforeEach(async () => {
+    const signers = await ethers.getSigners();
+    owner = signers[0];
+    members = signers.slice(1, 4);
+    outsider = signers[4];
+
+    // Deploy the libraries and link them into the contract
+    const MembershipDAO = await getMembershipDAOFactory();
+    membershipDAO = await MembershipDAO.deploy(owner.address);
+    await membershipDAO.waitForDeployment();
+
+    // Three members buy a yearly membership
+    await membershipDAO.connect(owner).listMembership("Silver Membership", ethers.parseEther("1"), 365 * DAY, ethers.ZeroAddress);
+    for (const member of members) {
+      await membershipDAO.connect(member).buyMembership(0, { value: ethers.parseEther("1") });
+    }
+
+    // Deliver to local webhook and SMTP stubs
+    webhook = createWebhookStub();
+    smtp = createSmtpStub();
+    webhookUrl = `http://127.0.0.1:${await listen(webhook.server)}/hooks`;
+    const smtpPort = await listen(smtp.server);
+
+    // The stubs are on the loopback address, so it is the one allowed webhook host
+    store = createStore();
+    notifier = createNotifier({
+      provider: ethers.provider,
+      membershipDAO,
+      store,
+      transports: [
+        createWebhookTransport({ allowedHosts: ["127.0.0.1"] }),
+        createSmtpTransport({ host: "127.0.0.1", port: smtpPort, from: "dao@example.com" })
+      ],
+      maxAttempts: 3,
+      retryDelay: 0,
+      webhookHosts: ["127.0.0.1"]
+    });
+  })
+
+  afterEach(async () => {
+    await close(webhook.server);
+    await close(smtp.server);
+  })
+
+  // Register a member's channels with a signed message
+  const subscribe = async (signer, channels) => notifier.subscribe(await signRegistration(signer, membershipDAO, channels));
+
+  describe("Subscriptions", () => {
+    describe("Success", () => {
+      // A member proves they own the wallet by signing their channels
+      it("Registers a member's webhook and email", async () => {
+        const subscription = await subscribe(members[0], { webhook: `${webhookUrl}/0`, email: "alice@example.com" });
+
+        expect(subscription.account).to.equal(members[0].address);
+        expect(subscription.webhook).to.equal(`${webhookUrl}/0`);
+        expect(subscription.email).to.equal("alice@example.com");
+        expect(notifier.getStatus().subscribers).to.equal(1);
+      })
+
+      // A newer registration with neither channel stops the notifications
+      it("Turns notifications off with an empty registration", async () => {
+        await subscribe(members[0], { webhook: `${webhookUrl}/0` });
+        await time.increase(60);
+        await subscribe(members[0], {});
+
+        expect(notifier.getStatus().subscribers).to.equal(0);
+      })
+    })
+
+    describe("Failure", () => {
+      // The signature must come from the account being registered
+      it("Rejects a registration signed by someone else", async () => {
+        const registration = await signRegistration(members[1], membershipDAO, { webhook: `${webhookUrl}/0` });
+
+        await expect(notifier.subscribe({ ...registration, account: members[0].address })).to.be.rejectedWith(/not signed by/);
+      })
+
+      // Old registrations can't be used again
+      it("Rejects an expired or replayed registration", async () => {
+        const expired = await signRegistration(members[0], membershipDAO, { webhook: `${webhookUrl}/0`, issuedAt: (await time.latest()) - 11 * 60 });
+        await expect(notifier.subscribe(expired)).to.be.rejectedWith(/expired/);
+
+        const registration = await signRegistration(members[0], membershipDAO, { webhook: `${webhookUrl}/0` });
+        await notifier.subscribe(registration);
+        await expect(notifier.subscribe(registration)).to.be.rejectedWith(/not newer/);
+      })
+
+      // Only accounts holding a membership can register
+      it("Rejects a registration from an account without a membership", async () => {
+        await expect(subscribe(outsider, { webhook: `${webhookUrl}/0` })).to.be.rejectedWith(/holds no membership/);
+      })
+
+      // Webhooks must be http(s) and emails can't smuggle SMTP commands
+      it("Rejects invalid channels", async () => {
+        await expect(subscribe(members[0], { webhook: "ftp://example.com/hook" })).to.be.rejectedWith(/http or https/);
+        await expect(subscribe(members[0], { email: "alice@example.com>\r\nRCPT TO:<bob@example.com" })).to.be.rejectedWith(/not an email/);
+      })
+
+      // With allowed hosts, webhooks elsewhere are rejected
+      it("Rejects webhooks off the allowed hosts", async () => {
+        await expect(subscribe(members[0], { webhook: "https://example.com/hook" })).to.be.rejectedWith(/not on an allowed webhook host/);
+      })
+
+      // Without allowed hosts, webhooks can't point at the notifier's machine or network
+      it("Rejects webhooks on private hosts", async () => {
+        notifier = createNotifier({ provider: ethers.provider, membershipDAO, store, transports: [createWebhookTransport()] });
+
+        for (const host of ["127.0.0.1", "localhost", "2130706433", "[::1]", "[::ffff:127.0.0.1]", "10.0.0.1", "172.16.0.1", "192.168.1.1", "169.254.169.254", "[fe80::1]", "[fd00::1]"]) {
+          await expect(subscribe(members[0], { webhook: `http://${host}/hook` })).to.be.rejectedWith(/private address/);
+        }
+        expect((await subscribe(members[0], { webhook: "https://example.com/hook" })).webhook).to.equal("https://example.com/hook");
+      })
+    })
+  })
+
+  describe("Events", () => {
+    // New proposals go to active members on every channel they registered
+    it("Notifies members of new proposals by webhook and email", async () => {
+      await subscribe(members[0], { webhook: `${webhookUrl}/0`, email: "alice@example.com" });
+      await subscribe(members[1], { webhook: `${webhookUrl}/1` });
+
+      await membershipDAO.connect(owner).listNewMembership("Gold Membership", ethers.parseEther("4"), 365 * DAY);
+      await membershipDAO.connect(owner).proposeSpending("Security audit", ethers.ZeroAddress, ethers.parseEther("1"));
+
+      const { queued, sent, failed } = await notifier.run();
+      expect(queued).to.equal(6);
+      expect(sent).to.have.length(6);
+      expect(failed).to.have.length(0);
+
+      const subjects = webhook.requests.filter((request) => request.path === "/hooks/0").map((request) => request.body.subject);
+      expect(subjects).to.deep.equal(["New proposal: Gold Membership", "New spending proposal: Security audit"]);
+      expect(webhook.requests[0].body).to.deep.include({ kind: "proposalListed" });
+      expect(webhook.requests[0].body.data).to.deep.include({ id: 0, name: "Gold Membership", spending: false });
+
+      expect(smtp.messages).to.have.length(2);
+      expect(smtp.messages[0].from).to.equal("<dao@example.com>");
+      expect(smtp.messages[0].to).to.equal("<alice@example.com>");
+      expect(smtp.messages[0].data).to.contain("Subject: New proposal: Gold Membership");
+      expect(smtp.messages[0].data).to.contain("Proposal 0, Gold Membership, is listed and open for votes");
+    })
+
+    // Approvals say which membership the proposal was listed as
+    it("Notifies members of approved proposals", async () => {
+      await subscribe(members[0], { webhook: `${webhookUrl}/0` });
+      await membershipDAO.connect(owner).listNewMembership("Gold Membership", ethers.parseEther("4"), 365 * DAY);
+      for (const member of members) {
+        await membershipDAO.connect(member).vote(0, 1);
+      }
+      await time.increase(7 * DAY + 1);
+      await membershipDAO.connect(owner).approve(0);
+
+      await notifier.run();
+
+      const approval = webhook.requests.find((request) => request.body.kind === "proposalApproved");
+      expect(approval.body.subject).to.equal("Proposal approved: Gold Membership");
+      expect(approval.body.data).to.deep.equal({ id: 0, name: "Gold Membership", membershipId: 1 });
+    })
+
+    // Delivery keys come from the transaction hash and log index
+    it("Delivers each event once when its blocks are read again", async () => {
+      await subscribe(members[0], { webhook: `${webhookUrl}/0` });
+      await membershipDAO.connect(owner).listNewMembership("Gold Membership", ethers.parseEther("4"), 365 * DAY);
+      expect((await notifier.run()).sent).to.have.length(1);
+
+      store.setCursor(null);
+      const { queued, sent } = await notifier.run();
+      expect(queued).to.equal(0);
+      expect(sent).to.have.length(0);
+      expect(webhook.requests).to.have.length(1);
+    })
+  })
+
+  describe("Reminders", () => {
+    // Members who haven't voted hear about it a day before the vote closes
+    it("Reminds members who haven't voted before a vote closes", async () => {
+      await subscribe(members[0], { webhook: `${webhookUrl}/0` });
+      await subscribe(members[1], { webhook: `${webhookUrl}/1` });
+      await membershipDAO.connect(owner).listNewMembership("Gold Membership", ethers.parseEther("4"), 365 * DAY);
+      await membershipDAO.connect(members[1]).vote(0, 1);
+
+      await notifier.run();
+      expect(webhook.requests.filter((request) => request.body.kind === "voteClosing")).to.have.length(0);
+
+      await time.increase(6 * DAY + 60 * 60);
+      await notifier.run();
+      await notifier.run();
+
+      const reminders = webhook.requests.filter((request) => request.body.kind === "voteClosing");
+      expect(reminders).to.have.length(1);
+      expect(reminders[0].path).to.equal("/hooks/0");
+      expect(reminders[0].body.subject).to.equal("Vote closing soon: Gold Membership");
+    })
+
+    // Holders hear about it a week before their membership lapses
+    it("Reminds members before their membership lapses", async () => {
+      await subscribe(members[0], { email: "alice@example.com" });
+
+      await notifier.run();
+      expect(smtp.messages).to.have.length(0);
+
+      await time.increase(360 * DAY);
+      await notifier.run();
+      await notifier.run();
+
+      expect(smtp.messages).to.have.length(1);
+      expect(smtp.messages[0].data).to.contain("Subject: Your Silver Membership membership is about to lapse");
+    })
+  })
+
+  describe("Delivery", () => {
+    // A failed delivery stays queued and goes out on the next attempt
+    it("Retries failed deliveries", async () => {
+      await subscribe(members[0], { webhook: `${webhookUrl}/0` });
+      await membershipDAO.connect(owner).listNewMembership("Gold Membership", ethers.parseEther("4"), 365 * DAY);
+      webhook.failures = 1;
+
+      expect((await notifier.run()).sent).to.have.length(0);
+      expect(store.outbox).to.have.length(1);
+      expect(store.outbox[0]).to.deep.include({ attempts: 1, error: "Webhook answered 500" });
+
+      expect((await notifier.deliver()).sent).to.have.length(1);
+      expect(store.outbox).to.have.length(0);
+      expect(webhook.requests).to.have.length(1);
+    })
+
+    // After the last attempt the notification is dropped and not queued again
+    it("Gives up after the last attempt", async () => {
+      await subscribe(members[0], { webhook: `${webhookUrl}/0` });
+      await membershipDAO.connect(owner).listNewMembership("Gold Membership", ethers.parseEther("4"), 365 * DAY);
+      webhook.failures = 3;
+
+      await notifier.run();
+      await notifier.deliver();
+      expect((await notifier.deliver()).failed).to.have.length(1);
+
+      store.setCursor(null);
+      await notifier.run();
+      expect(notifier.getStatus()).to.deep.include({ queued: 0, delivered: 0, failed: 1 });
+      expect(webhook.requests).to.have.length(0);
+    })
+
+    // The transport checks the host again when posting, as a registered host may resolve anywhere later
+    it("Doesn't post to private addresses", async () => {
+      await expect(createWebhookTransport().send(`${webhookUrl}/0`, { subject: "Hello" })).to.be.rejectedWith(/private address/);
+      expect(webhook.requests).to.have.length(0);
+    })
+
+    // Deliveries older than the retention are forgotten
+    it("Forgets old deliveries", async () => {
+      await subscribe(members[0], { webhook: `${webhookUrl}/0` });
+      await membershipDAO.connect(owner).listNewMembership("Gold Membership", ethers.parseEther("4"), 365 * DAY);
+      const [key] = (await notifier.run()).sent;
+
+      await notifier.deliver();
+      expect(notifier.getStatus()).to.deep.include({ delivered: 1 });
+
+      store.delivered[key] = Date.now() - 31 * DAY * 1000;
+      await notifier.deliver();
+      expect(notifier.getStatus()).to.deep.include({ delivered: 0 });
+    })
+
+    // Reminders are queued again during their notice, so deliveries must be remembered longer
+    it("Rejects a retention shorter than the notices", async () => {
+      expect(() => createNotifier({ provider: ethers.provider, membershipDAO, store, transports: [], deliveredRetention: 7 * DAY * 1000 }))
+        .to.throw(/longer than the reminder notices/);
+    })
+  })
+
+  describe("API", () => {
+    let server, baseUrl
+
+    beforeEach(async () => {
+      server = createApi(notifier);
+      baseUrl = `http://127.0.0.1:${await listen(server)}`;
+    })
+
+    afterEach(async () => {
+      await close(server);
+    })
+
+    // Post a signed registration as JSON
+    it("Registers subscriptions over HTTP", async () => {
+      const registration = await signRegistration(members[0], membershipDAO, { webhook: `${webhookUrl}/0` });
+
+      const response = await fetch(`${baseUrl}/subscriptions`, { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(registration) });
+      expect(response.status).to.equal(200);
+      expect((await response.json()).account).to.equal(members[0].address);
+
+      const status = await (await fetch(`${baseUrl}/status`)).json();
+      expect(status).to.deep.include({ subscribers: 1, channels: ["webhook", "email"] });
+    })
+
+    // Invalid registrations are answered with 400
+    it("Returns 400 for invalid registrations", async () => {
+      const response = await fetch(`${baseUrl}/subscriptions`, { method: "POST", body: "not json" });
+      expect(response.status).to.equal(400);
+    })
+  })
+})
@@ -0,0 +1,182 @@
+const {
+  ethers
+} = require("hardhat");
+const {
+  expect
+} = require("chai");
+const {
+  time
+} = require("@nomicfoundation/hardhat-network-helpers");
+
+const { getMembershipDAOFactory, deployMembershipBallots } = require("../scripts/libraries");
+const { signBallot } = require("../relayer/ballot");
+const { createRelayer } = require("../relayer/relayer");
+const { createApi } = require("../relayer/api");
+
+// VoteType enum values
+const [Against, For, Abstain] = [0, 1, 2];
+
+describe("Relayer", () => {
+  let membershipDAO, membershipBallots, owner, relayerSigner, members, outsider, relayer, deadline
+
+  beforeEach(async () => {
+    const signers = await ethers.getSigners();
+    [owner, relayerSigner] = signers;
+    members = signers.slice(2, 6);
+    outsider = signers[6];
+
+    // Deploy the libraries and link them into the contract
+    const MembershipDAO = await getMembershipDAOFactory();
+    membershipDAO = await MembershipDAO.deploy(owner.address);
+    await membershipDAO.waitForDeployment();
+    membershipBallots = await deployMembershipBallots(membershipDAO, owner);
+
+    // Four members buy a membership, then a proposal is listed
+    await membershipDAO.connect(owner).listMembership("Silver Membership", ethers.parseEther("1"), 365 * 24 * 60 * 60, ethers.ZeroAddress);
+    for (const member of members) {
+      await membershipDAO.connect(member).buyMembership(0, { value: ethers.parseEther("1") });
+    }
+    await membershipDAO.connect(owner).listNewMembership("Gold Membership", ethers.parseEther("4"), 365 * 24 * 60 * 60);
+
+    // The relayer pays for the ballots from its own account
+    relayer = createRelayer({ membershipBallots: membershipBallots.connect(relayerSigner), membershipDAO, batchSize: 10 });
+    deadline = (await time.latest()) + 60 * 60;
+  })
+
+  describe("Flush", () => {
+    // Collect ballots from several signers and submit them together
+    it("Submits ballots from several signers in one transaction", async () => {
+      const choices = [For, For, Against, Abstain];
+      for (const [i, member] of members.entries()) {
+        await relayer.add(await signBallot(member, membershipBallots, { newMembershipId: 0, support: choices[i], deadline }));
+      }
+      expect(relayer.getPending()).to.have.length(4);
+
+      const { submitted, rejected, transactionHash } = await relayer.flush();
+      expect(submitted).to.have.length(4);
+      expect(rejected).to.have.length(0);
+
+      const receipt = await ethers.provider.getTransactionReceipt(transactionHash);
+      expect(receipt.from).to.equal(relayerSigner.address);
+
+      const votes = await membershipDAO.proposalVotes(0);
+      expect(votes.forVotes).to.equal(2);
+      expect(votes.againstVotes).to.equal(1);
+      expect(votes.abstainVotes).to.equal(1);
+      for (const member of members) {
+        expect(await membershipDAO.hasVoted(member.address, 0)).to.equal(true);
+      }
+      expect(relayer.getPending()).to.have.length(0);
+    })
+
+    // Ballots that would revert are dropped with the reason
+    it("Drops ballots that would revert", async () => {
+      await relayer.add(await signBallot(members[0], membershipBallots, { newMembershipId: 0, support: For, deadline }));
+      await relayer.add(await signBallot(outsider, membershipBallots, { newMembershipId: 0, support: For, deadline }));
+
+      const { submitted, rejected } = await relayer.flush();
+      expect(submitted).to.have.length(1);
+      expect(rejected).to.have.length(1);
+      expect(rejected[0].ballot.voter).to.equal(outsider.address);
+      expect(rejected[0].reason).to.equal("MembershipDAO_UserNotEligibleToVote");
+      expect(relayer.getPending()).to.have.length(0);
+    })
+
+    // A voter's later nonce waits for the earlier ballot
+    it("Keeps later nonces of a voter for the next flush", async () => {
+      await membershipDAO.connect(owner).listNewMembership("Platinum Membership", ethers.parseEther("6"), 365 * 24 * 60 * 60);
+      const first = await signBallot(members[0], membershipBallots, { newMembershipId: 0, support: For, deadline });
+      const second = await signBallot(members[0], membershipBallots, { newMembershipId: 1, support: Against, deadline, nonce: 1 });
+
+      await relayer.add(first);
+      await relayer.add(second);
+
+      expect((await relayer.flush()).submitted).to.have.length(1);
+      expect(relayer.getPending()).to.have.length(1);
+
+      expect((await relayer.flush()).submitted).to.have.length(1);
+      expect(await membershipDAO.hasVoted(members[0].address, 1)).to.equal(true);
+    })
+  })
+
+  describe("Pause", () => {
+    // Paused ballots wait for the contract to reopen
+    it("Keeps ballots queued while the contract is paused", async () => {
+      await relayer.add(await signBallot(members[0], membershipBallots, { newMembershipId: 0, support: For, deadline }));
+      await membershipDAO.connect(owner).pause();
+
+      const { submitted, rejected } = await relayer.flush();
+      expect(submitted).to.have.length(0);
+      expect(rejected).to.have.length(0);
+      expect(relayer.getPending()).to.have.length(1);
+
+      await membershipDAO.connect(owner).unpause();
+      expect((await relayer.flush()).submitted).to.have.length(1);
+    })
+  })
+
+  describe("Add", () => {
+    // Reject a ballot not signed by its voter
+    it("Rejects a ballot signed by someone else", async () => {
+      const { ballot } = await signBallot(members[0], membershipBallots, { newMembershipId: 0, support: For, deadline });
+      const { signature } = await signBallot(members[1], membershipBallots, { newMembershipId: 0, support: For, deadline });
+
+      await expect(relayer.add({ ballot, signature })).to.be.rejectedWith(/not signed by/);
+    })
+
+    // Reject a ballot past its deadline
+    it("Rejects an expired ballot", async () => {
+      const signed = await signBallot(members[0], membershipBallots, { newMembershipId: 0, support: For, deadline });
+      await time.increase(60 * 60 + 1);
+
+      await expect(relayer.add(signed)).to.be.rejectedWith(/deadline/);
+    })
+
+    // Reject a second ballot for the same proposal
+    it("Rejects a duplicate ballot", async () => {
+      await relayer.add(await signBallot(members[0], membershipBallots, { newMembershipId: 0, support: For, deadline }));
+      const duplicate = await signBallot(members[0], membershipBallots, { newMembershipId: 0, support: Against, deadline });
+
+      await expect(relayer.add(duplicate)).to.be.rejectedWith(/already queued/);
+    })
+  })
+
+  describe("API", () => {
+    let server, baseUrl
+
+    beforeEach(async () => {
+      server = createApi(relayer);
+      await new Promise((resolve) => server.listen(0, resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    })
+
+    afterEach(async () => {
+      await new Promise((resolve) => server.close(resolve));
+    })
+
+    // Post a signed ballot as JSON and flush it
+    it("Queues posted ballots and submits them on flush", async () => {
+      const { ballot, signature } = await signBallot(members[0], membershipBallots, { newMembershipId: 0, support: For, deadline });
+      const body = JSON.stringify({
+        ballot: { ...ballot, newMembershipId: ballot.newMembershipId.toString(), nonce: ballot.nonce.toString(), deadline: ballot.deadline.toString() },
+        signature
+      });
+
+      const response = await fetch(`${baseUrl}/ballots`, { method: "POST", headers: { "Content-Type": "application/json" }, body });
+      expect(response.status).to.equal(202);
+
+      const pending = await (await fetch(`${baseUrl}/ballots`)).json();
+      expect(pending[0].ballot.voter).to.equal(members[0].address);
+
+      const result = await (await fetch(`${baseUrl}/flush`, { method: "POST" })).json();
+      expect(result.submitted).to.have.length(1);
+      expect(await membershipDAO.hasVoted(members[0].address, 0)).to.equal(true);
+    })
+
+    // Invalid ballots are answered with 400
+    it("Returns 400 for invalid ballots", async () => {
+      const response = await fetch(`${baseUrl}/ballots`, { method: "POST", body: "not json" });
+      expect(response.status).to.equal(400);
+    })
+  })
+})
@@ -0,0 +1,224 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const {
+  ethers
+} = hre;
+const {
+  expect
+} = require("chai");
+const {
+  time
+} = require("@nomicfoundation/hardhat-network-helpers");
+
+const { getMembershipDAOFactory } = require("../scripts/libraries");
+const { formatTable } = require("../tasks/utils");
+
+const tokens = (n) => {
+  return ethers.parseUnits(n.toString(), 'ether')
+}
+
+describe("Tasks", () => {
+  let membershipDAO, token, owner, members, outsider, address, output, log
+
+  // Run a task on the test contract, capturing what it prints
+  const run = (name, args = {}) => hre.run(name, { address, ...args });
+
+  beforeEach(async () => {
+    const signers = await ethers.getSigners();
+    [owner] = signers;
+    members = signers.slice(1, 4);
+    outsider = signers[4];
+
+    // Deploy the libraries and link them into the contract
+    const MembershipDAO = await getMembershipDAOFactory();
+    membershipDAO = await MembershipDAO.deploy(owner.address);
+    await membershipDAO.waitForDeployment();
+    address = membershipDAO.target;
+
+    // An ETH tier held by three members and a token tier
+    token = await ethers.deployContract("MockERC20", ["Mock USD", "mUSD"]);
+    await membershipDAO.connect(owner).listMembership("Silver Membership", tokens(1), 365 * 24 * 60 * 60, ethers.ZeroAddress);
+    await membershipDAO.connect(owner).listMembership("Community Membership", ethers.parseUnits("25", 6), 30 * 24 * 60 * 60, token.target);
+    for (const member of members) {
+      await membershipDAO.connect(member).buyMembership(0, { value: tokens(1) });
+    }
+
+    output = [];
+    log = console.log;
+    console.log = (line) => output.push(line);
+  })
+
+  afterEach(() => {
+    console.log = log;
+  })
+
+  // Write a CSV of addresses to a temporary file
+  const writeCsv = (lines) => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "airdrop-")), "recipients.csv");
+    fs.writeFileSync(file, lines.join("\n"));
+    return file;
+  }
+
+  describe("Success", () => {
+    // Tiers are listed with their price in their own asset
+    it("Lists tiers as a table", async () => {
+      const tiers = await run("tiers:list");
+
+      expect(tiers).to.have.length(2);
+      expect(tiers[0]).to.deep.include({ id: 0, name: "Silver Membership", price: "1.0 ETH", days: 365, status: "Active", supply: "3" });
+      expect(tiers[1].price).to.equal("25.0 mUSD");
+
+      const [header, silver] = output[0].split("\n");
+      expect(header).to.match(/^id\s+name\s+price\s+days\s+status\s+supply\s+paymentToken$/);
+      expect(silver).to.match(/^0\s+Silver Membership\s+1\.0 ETH\s+365\s+Active\s+3\s+0x0{40}$/);
+    })
+
+    // --json prints the same result as JSON
+    it("Prints JSON", async () => {
+      await run("tiers:list", { json: true });
+
+      const tiers = JSON.parse(output[0]);
+      expect(tiers[1]).to.deep.include({ name: "Community Membership", paymentToken: token.target });
+    })
+
+    // Costs are entered in the units of the payment token
+    it("Adds a tier", async () => {
+      const result = await run("tiers:add", { name: "Gold Membership", cost: "12.5", days: 30, token: token.target });
+
+      expect(result.membershipId).to.equal(2);
+      const gold = await membershipDAO.memberships(2);
+      expect(gold.cost).to.equal(ethers.parseUnits("12.5", 6));
+      expect(gold.duration).to.equal(30 * 24 * 60 * 60);
+      expect(gold.paymentToken).to.equal(token.target);
+    })
+
+    // A member's tiers, expiry, deposit and voting power
+    it("Shows a member's status", async () => {
+      const status = await run("member:status", { account: members[0].address });
+
+      expect(status.activeMember).to.equal(true);
+      expect(status.votingPower).to.equal(1);
+      expect(status.delegate).to.equal(ethers.ZeroAddress);
+      expect(status.memberships).to.have.length(1);
+      expect(status.memberships[0]).to.deep.include({ id: 0, active: true, deposit: "1.0 ETH", refund: "1.0 ETH" });
+      expect(output.join("\n")).to.contain("memberships:");
+    })
+
+    // Create a proposal, vote on it from members and approve it once it succeeds
+    it("Creates, votes on and approves a proposal", async () => {
+      const { proposalId } = await run("proposal:create", { name: "Gold Membership", cost: "2", days: 365 });
+      expect(proposalId).to.equal(0);
+
+      await run("vote", { proposal: 0, support: "for", from: members[0].address });
+      await run("vote", { proposal: 0, support: "For", from: members[1].address });
+      await run("vote", { proposal: 0, support: "against", from: members[2].address });
+
+      let [proposal] = await run("proposals:list");
+      expect(proposal).to.deep.include({ kind: "membership", name: "Gold Membership", amount: "2.0 ETH", state: "Active" });
+      expect(proposal.for).to.equal(2);
+      expect(proposal.against).to.equal(1);
+
+      await time.increase(7 * 24 * 60 * 60 + 1);
+      await run("approve", { proposal: 0, from: members[0].address });
+
+      [proposal] = await run("proposals:list");
+      expect(proposal.state).to.equal("Executed");
+      expect(await membershipDAO.totalMemberships()).to.equal(3);
+    })
+
+    // Spending proposals show the asset and amount they approve
+    it("Lists spending proposals", async () => {
+      await membershipDAO.connect(owner).proposeSpending("Community event", token.target, ethers.parseUnits("40", 6));
+
+      const [proposal] = await run("proposals:list");
+      expect(proposal).to.deep.include({ kind: "spending", amount: "40.0 mUSD", state: "Active" });
+    })
+
+    // Balances per asset, with the part reserved for refunds
+    it("Shows the treasury balance and withdraws the surplus", async () => {
+      await membershipDAO.connect(owner).setRefundPolicy(0, 2);
+
+      let [ether, usd] = await run("treasury:balance");
+      expect(ether).to.deep.include({ asset: "ETH", balance: "3.0 ETH", reserved: "0.0 ETH", surplus: "3.0 ETH" });
+      expect(usd).to.deep.include({ asset: "mUSD", balance: "0.0 mUSD" });
+
+      const { transaction } = await run("treasury:withdraw", { amount: "2" });
+      await expect(ethers.provider.getTransaction(transaction)).to.changeEtherBalance(owner, tokens(2));
+      [ether] = await run("treasury:balance");
+      expect(ether.surplus).to.equal("1.0 ETH");
+    })
+
+    // Airdrops grant the tier in batches, skipping duplicates and current holders
+    it("Airdrops complimentary memberships from a CSV", async () => {
+      const signers = await ethers.getSigners();
+      const recipients = signers.slice(5, 8).map((signer) => signer.address);
+      const csv = writeCsv(["address", ...recipients, recipients[0].toLowerCase(), members[0].address, ""]);
+
+      const result = await run("memberships:airdrop", { csv, tier: 0, batchSize: 2 });
+
+      expect(result.granted).to.equal(3);
+      expect(result.skipped).to.deep.equal([{ account: members[0].address, reason: "already a member" }]);
+      expect(result.transactions.map((transaction) => transaction.recipients)).to.deep.equal([2, 1]);
+      for (const recipient of recipients) {
+        expect(await membershipDAO.hasMembership(recipient, 0)).to.equal(true);
+        expect(await membershipDAO.balanceOf(recipient, 0)).to.equal(1);
+      }
+    })
+
+    // Columns are as wide as their longest cell
+    it("Formats tables", () => {
+      expect(formatTable([{ id: 1, name: "Gold" }, { id: 10n, name: "Platinum" }])).to.equal("id  name\n1   Gold\n10  Platinum");
+      expect(formatTable([])).to.equal("(none)");
+    })
+  })
+
+  describe("Failure", () => {
+    // Custom errors are decoded into readable messages
+    it("Decodes custom errors", async () => {
+      await expect(run("vote", { proposal: 5, support: "for", from: members[0].address }))
+        .to.be.rejectedWith("Proposal 5 does not exist.");
+
+      await run("proposal:create", { name: "Gold Membership", cost: "2", days: 365 });
+      await expect(run("vote", { proposal: 0, support: "for", from: outsider.address }))
+        .to.be.rejectedWith(`${outsider.address} holds no active membership, only members can vote.`);
+      await expect(run("approve", { proposal: 0, from: members[0].address }))
+        .to.be.rejectedWith("Proposal 0 is Active, only succeeded proposals can be approved.");
+    })
+
+    // Role checks name the missing role
+    it("Names the missing role", async () => {
+      await expect(run("tiers:add", { name: "Gold Membership", cost: "2", days: 30, from: outsider.address }))
+        .to.be.rejectedWith(`${outsider.address} is missing the TIER_MANAGER_ROLE role.`);
+    })
+
+    // The surplus error shows what can be withdrawn
+    it("Rejects withdrawing reserved deposits", async () => {
+      await expect(run("treasury:withdraw", { amount: "1" }))
+        .to.be.rejectedWith(`Only 0 of ${ethers.ZeroAddress} is withdrawable`);
+    })
+
+    // Input is checked before anything is sent
+    it("Rejects invalid input", async () => {
+      await expect(run("vote", { proposal: 0, support: "maybe" })).to.be.rejectedWith("maybe is not a vote");
+      await expect(run("tiers:add", { name: "Gold Membership", cost: "two", days: 30 })).to.be.rejectedWith("two is not an amount of ETH");
+    })
+
+    // Airdrops check the tier, the batch size and the CSV before granting anything
+    it("Rejects invalid airdrops", async () => {
+      await expect(run("memberships:airdrop", { csv: writeCsv([outsider.address]), tier: 5, batchSize: 100 }))
+        .to.be.rejectedWith("Membership 5 does not exist.");
+      await expect(run("memberships:airdrop", { csv: writeCsv([outsider.address]), tier: 0, batchSize: 0 }))
+        .to.be.rejectedWith("The batch size must be at least 1.");
+      await expect(run("memberships:airdrop", { csv: writeCsv([outsider.address, "nobody"]), tier: 0, batchSize: 100 }))
+        .to.be.rejectedWith(`Line 2: "nobody" is not an address`);
+      expect(await membershipDAO.hasMembership(outsider.address, 0)).to.equal(false);
+    })
+
+    // Without a deployment the task says where the address comes from
+    it("Rejects a missing contract", async () => {
+      await expect(hre.run("tiers:list", { address: outsider.address })).to.be.rejectedWith("MembershipDAO is not deployed");
+    })
+  })
+})
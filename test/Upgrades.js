@@ -0,0 +1,343 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawn } = require("child_process");
+const hre = require("hardhat");
+const {
+  ethers
+} = hre;
+const {
+  expect
+} = require("chai");
+const {
+  mine,
+  reset
+} = require("@nomicfoundation/hardhat-network-helpers");
+
+const { ROLES } = require("../ignition/modules/MembershipDAO");
+const { deployMembershipDAO } = require("../scripts/deployment");
+const { DEFAULT_DURATION, readMembershipState, replayMembershipState } = require("../scripts/migration");
+const {
+  getStorageLayout,
+  compareStorageLayouts,
+  readStorageLayout,
+  writeStorageLayout,
+  readProxy,
+  upgradeMembershipDAO
+} = require("../scripts/upgrades");
+
+const tokens = (n) => {
+  return ethers.parseUnits(n.toString(), 'ether')
+}
+
+const YEAR = 365 * 24 * 60 * 60;
+const NODE_URL = "http://127.0.0.1:8547";
+
+// Start a Hardhat node on NODE_URL and wait until it answers
+const startNode = async () => {
+  const node = spawn(process.execPath, [require.resolve("hardhat/internal/cli/cli.js"), "node", "--port", "8547"], {
+    cwd: path.join(__dirname, ".."),
+    stdio: "ignore"
+  });
+
+  for (let attempt = 0; attempt < 120; attempt++) {
+    try {
+      const response = await fetch(NODE_URL, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ jsonrpc: "2.0", id: 1, method: "eth_chainId", params: [] })
+      });
+      if (response.ok) {
+        return node;
+      }
+    } catch (error) {
+      // Not listening yet
+    }
+    await new Promise((resolve) => setTimeout(resolve, 500));
+  }
+  node.kill();
+  throw new Error("The Hardhat node did not start");
+};
+
+describe("Upgrades", () => {
+  let node, old, deployer, alice, bob, carol, outsider
+
+  // Deploy the first MembershipDAO to a local node and use it like members did, then fork the node
+  before(async function () {
+    this.timeout(180000);
+    node = await startNode();
+
+    const remote = new ethers.JsonRpcProvider(NODE_URL, undefined, { staticNetwork: true });
+    const [owner, member1, member2, member3] = await Promise.all([0, 1, 2, 3].map((i) => remote.getSigner(i)));
+
+    const LegacyMembershipDAO = await ethers.getContractFactory("LegacyMembershipDAO", owner);
+    const local = await LegacyMembershipDAO.deploy(owner.address);
+    await local.waitForDeployment();
+    const send = async (tx) => (await tx).wait();
+
+    // Two tiers, a member in each, and a member who canceled and got their deposit back
+    await send(local.listMembership("Silver Membership", tokens(1)));
+    await send(local.listMembership("Gold Membership", tokens(2)));
+    await send(local.connect(member1).buyMembership(0, { value: tokens(1) }));
+    await send(local.connect(member2).buyMembership(1, { value: tokens(2) }));
+    await send(local.connect(member3).buyMembership(0, { value: tokens(1) }));
+    await send(local.connect(member3).cancelMembership(0));
+
+    // An approved proposal, and an open one with the votes of both members
+    await send(local.listNewMembership("Bronze Membership", tokens(0.5), 0, false));
+    await send(local.connect(member1).vote(0));
+    await send(local.connect(member2).vote(0));
+    await send(local.approve(0));
+    await send(local.listNewMembership("Platinum Membership", tokens(3), 0, false));
+    await send(local.connect(member1).vote(1));
+    await send(local.connect(member2).vote(1));
+
+    // Continue on a fork of the node, where the in-process accounts are the same
+    await reset(NODE_URL);
+    // Calls run on blocks after the fork, the node's own blocks have no known hardfork
+    await mine();
+    [deployer, alice, bob, carol, outsider] = await ethers.getSigners();
+    old = await ethers.getContractAt("LegacyMembershipDAO", local.target);
+  })
+
+  after(async () => {
+    await reset();
+    node.kill();
+  })
+
+  // Deploy MembershipDAOUpgradeable behind a proxy on the fork
+  const deployProxy = () => deployMembershipDAO(hre, {}, { upgradeable: true });
+
+  describe("Success", () => {
+    // The fork reads what was done on the node, through the ABI it was deployed with
+    it("Reads the tiers, memberships and proposals of the old deployment", async () => {
+      const state = await readMembershipState(old);
+
+      expect(state.tiers.map(({ name, cost }) => [name, cost])).to.deep.equal([
+        ["Silver Membership", tokens(1)],
+        ["Gold Membership", tokens(2)]
+      ]);
+      expect(state.memberships).to.deep.equal([
+        { user: alice.address, membershipId: 0n, deposit: tokens(1) },
+        { user: bob.address, membershipId: 1n, deposit: tokens(2) }
+      ]);
+      expect(state.proposals.map((proposal) => [proposal.name, proposal.isApproved, proposal.voters])).to.deep.equal([
+        ["Bronze Membership", true, [alice.address, bob.address]],
+        ["Platinum Membership", false, [alice.address, bob.address]]
+      ]);
+      expect(state.balance).to.equal(tokens(3));
+    })
+
+    // initialize stands in for the constructor behind the proxy
+    it("Deploys behind a proxy initialized for the deployer", async () => {
+      const { membershipDAO, address, implementation, proxyAdmin } = await deployProxy();
+
+      for (const role of Object.values(ROLES)) {
+        expect(await membershipDAO.hasRole(role, deployer.address)).to.equal(true);
+      }
+      expect(await membershipDAO.votingPeriod()).to.equal(7 * 24 * 60 * 60);
+      expect(await membershipDAO.quorumPercentage()).to.equal(50);
+      expect(await membershipDAO.requiredVotes()).to.equal(2);
+      expect(await membershipDAO.migrating()).to.equal(true);
+
+      expect(await readProxy(ethers.provider, address)).to.deep.equal({ implementation, proxyAdmin: proxyAdmin.target });
+      expect(await proxyAdmin.owner()).to.equal(deployer.address);
+    })
+
+    // The deposits move with the funds backing them, votes on open proposals are imported
+    it("Replays the old deployment into the proxy", async () => {
+      const { membershipDAO, address } = await deployProxy();
+      const state = await readMembershipState(old);
+
+      const result = await replayMembershipState(membershipDAO, state, { legacyDAO: old, batchSize: 1 });
+      expect(result.tierIds).to.deep.equal({ 0: 0n, 1: 1n });
+      expect(result.memberships).to.equal(2);
+      expect(result.deposits).to.equal(tokens(3));
+      expect(result.proposals).to.deep.equal([{ from: 1n, to: 0n, voters: [alice.address, bob.address] }]);
+
+      const gold = await membershipDAO.memberships(1);
+      expect([gold.name, gold.cost, gold.duration, gold.paymentToken]).to.deep.equal(["Gold Membership", tokens(2), BigInt(DEFAULT_DURATION), ethers.ZeroAddress]);
+      expect(await membershipDAO.hasMembership(alice.address, 0)).to.equal(true);
+      expect(await membershipDAO.hasMembership(bob.address, 1)).to.equal(true);
+      expect(await membershipDAO.isActiveMember(carol.address)).to.equal(false);
+      expect(await membershipDAO.deposit(alice.address, 0)).to.equal(tokens(1));
+      expect(await membershipDAO.deposit(bob.address, 1)).to.equal(tokens(2));
+      expect(await ethers.provider.getBalance(address)).to.equal(tokens(3));
+      expect(await ethers.provider.getBalance(old.target)).to.equal(0);
+
+      const proposal = await membershipDAO.newMembership(0);
+      expect(proposal.name).to.equal("Platinum Membership");
+      expect(proposal.cost).to.equal(tokens(3));
+      expect((await membershipDAO.proposalVotes(0)).forVotes).to.equal(2);
+      expect(await membershipDAO.hasVoted(alice.address, 0)).to.equal(true);
+      expect([await membershipDAO.voters(0, 0), await membershipDAO.voters(0, 1)]).to.deep.equal([alice.address, bob.address]);
+      await expect(membershipDAO.connect(alice).vote(0, 1))
+        .to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_UserAlreadyVoted")
+        .withArgs(alice.address, 0);
+
+      // Refunded from the funds carried over
+      await expect(membershipDAO.connect(alice).cancelMembership(0)).to.changeEtherBalances([alice, membershipDAO], [tokens(1), -tokens(1)]);
+    })
+
+    // The proxy keeps its address and state, only the implementation changes
+    it("Upgrades the proxy to a new implementation", async () => {
+      const { membershipDAO, address, implementation } = await deployProxy();
+      await replayMembershipState(membershipDAO, await readMembershipState(old));
+      const tiers = await membershipDAO.totalMemberships();
+
+      const previousLayout = await getStorageLayout(hre);
+      const upgrade = await upgradeMembershipDAO(hre, { proxy: address, previousLayout });
+
+      expect(upgrade.implementation).to.not.equal(implementation);
+      expect((await readProxy(ethers.provider, address)).implementation).to.equal(upgrade.implementation);
+      expect(await membershipDAO.totalMemberships()).to.equal(tiers);
+      expect(await membershipDAO.hasRole(ROLES.DEFAULT_ADMIN_ROLE, deployer.address)).to.equal(true);
+      expect(await membershipDAO.totalNewMembership()).to.equal(1);
+    })
+
+    // New variables and new members of structs in mappings leave existing state where it is
+    it("Accepts storage appended after the existing state", async () => {
+      const layout = await getStorageLayout(hre);
+      expect(compareStorageLayouts(layout.slice(0, -1), layout)).to.deep.equal([]);
+
+      const previous = structuredClone(layout);
+      const memberships = previous.find((variable) => variable.label === "memberships");
+      memberships.type.value.members.pop();
+      expect(compareStorageLayouts(previous, layout)).to.deep.equal([]);
+    })
+
+    // The layout is recorded per chain for the next upgrade
+    it("Records the storage layout of a chain", async () => {
+      const layoutsDir = fs.mkdtempSync(path.join(os.tmpdir(), "layouts-"));
+      const layout = await getStorageLayout(hre);
+
+      expect(readStorageLayout(31337, { layoutsDir })).to.equal(null);
+      writeStorageLayout(31337, layout, { layoutsDir });
+      expect(readStorageLayout(31337, { layoutsDir })).to.deep.equal(layout);
+      fs.rmSync(layoutsDir, { recursive: true, force: true });
+    })
+  })
+
+  describe("Failure", () => {
+    // An implementation that would read existing state from the wrong slots is never deployed
+    it("Refuses an upgrade that moves existing state", async () => {
+      const { address, implementation } = await deployProxy();
+      const layout = await getStorageLayout(hre);
+
+      // As if the deployed implementation had one more variable before memberships
+      const index = layout.findIndex((variable) => variable.label === "memberships");
+      const previousLayout = [...layout.slice(0, index), { ...layout[index], label: "treasury" }, ...layout.slice(index)];
+
+      await expect(upgradeMembershipDAO(hre, { proxy: address, previousLayout })).to.be.rejectedWith(
+        "The storage layout of MembershipDAOUpgradeable is not compatible"
+      );
+      expect((await readProxy(ethers.provider, address)).implementation).to.equal(implementation);
+    })
+
+    // Each problem names the variable
+    it("Reports removed, retyped and reordered variables", async () => {
+      const layout = await getStorageLayout(hre);
+      const [first, second] = layout;
+
+      const retyped = structuredClone(layout);
+      retyped.find((variable) => variable.label === "memberCount").type = { label: "uint128", numberOfBytes: "16" };
+
+      expect(compareStorageLayouts([...layout, { ...first, label: "extra", slot: "99" }], layout)).to.deep.equal([
+        "extra (slot 99) was removed"
+      ]);
+      expect(compareStorageLayouts(retyped, layout)).to.deep.equal([
+        `memberCount (slot ${retyped.find((variable) => variable.label === "memberCount").slot}): type changed from uint128 to uint256`
+      ]);
+      expect(compareStorageLayouts([second, first, ...layout.slice(2)], layout)).to.deep.equal([
+        `${second.label} (slot ${second.slot}) was replaced by ${first.label}`,
+        `${first.label} (slot ${first.slot}) was replaced by ${second.label}`
+      ]);
+    })
+
+    // Neither the proxy nor the implementation can be initialized again
+    it("Rejects initializing twice", async () => {
+      const { membershipDAO, implementation } = await deployProxy();
+
+      await expect(membershipDAO.initialize(outsider.address)).to.be.revertedWithCustomError(membershipDAO, "InvalidInitialization");
+      const logic = await ethers.getContractAt("MembershipDAOUpgradeable", implementation);
+      await expect(logic.initialize(outsider.address)).to.be.revertedWithCustomError(membershipDAO, "InvalidInitialization");
+    })
+
+    // Nothing is sent when the old deployment can't pay back what it owes
+    it("Refuses to replay deposits the old balance doesn't cover", async () => {
+      const { membershipDAO } = await deployProxy();
+      const state = { ...(await readMembershipState(old)), balance: tokens(1) };
+
+      await expect(replayMembershipState(membershipDAO, state, { legacyDAO: old })).to.be.rejectedWith(
+        `The old deployment holds ${tokens(1)} wei, less than the ${tokens(3)} wei of deposits it owes`
+      );
+      expect(await membershipDAO.totalMemberships()).to.equal(0);
+    })
+
+    // Importing votes bypasses the voter's signature, so it takes the admin role
+    it("Rejects importing proposals and votes without the admin role", async () => {
+      const { membershipDAO } = await deployProxy();
+
+      await expect(membershipDAO.connect(outsider).importProposal("Gold Membership", tokens(2), YEAR))
+        .to.be.revertedWithCustomError(membershipDAO, "AccessControlUnauthorizedAccount")
+        .withArgs(outsider.address, ROLES.DEFAULT_ADMIN_ROLE);
+      await expect(membershipDAO.connect(outsider).importVotes(0, [alice.address]))
+        .to.be.revertedWithCustomError(membershipDAO, "AccessControlUnauthorizedAccount")
+        .withArgs(outsider.address, ROLES.DEFAULT_ADMIN_ROLE);
+      await expect(membershipDAO.connect(outsider).finishMigration())
+        .to.be.revertedWithCustomError(membershipDAO, "AccessControlUnauthorizedAccount")
+        .withArgs(outsider.address, ROLES.DEFAULT_ADMIN_ROLE);
+    })
+
+    // Imported votes get the same checks as votes cast by the voters
+    it("Rejects importing votes of non-members", async () => {
+      const { membershipDAO } = await deployProxy();
+      await membershipDAO.listMembership("Silver Membership", tokens(1), YEAR, ethers.ZeroAddress);
+      await membershipDAO.buyMembershipFor(alice.address, 0, { value: tokens(1) });
+
+      await membershipDAO.setVotingSettings(0, YEAR, 50, 2);
+      await membershipDAO.importProposal("Gold Membership", tokens(2), YEAR);
+      await expect(membershipDAO.importVotes(0, [alice.address, outsider.address]))
+        .to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_UserNotEligibleToVote")
+        .withArgs(outsider.address);
+      expect(await membershipDAO.hasVoted(alice.address, 0)).to.equal(false);
+    })
+
+    // Votes can't be imported on proposals listed by proposers
+    it("Rejects importing votes on proposals the migration didn't list", async () => {
+      const { membershipDAO } = await deployProxy();
+      await membershipDAO.listMembership("Silver Membership", tokens(1), YEAR, ethers.ZeroAddress);
+      await membershipDAO.buyMembershipFor(alice.address, 0, { value: tokens(1) });
+
+      await expect(membershipDAO.importVotes(0, [alice.address]))
+        .to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_ProposalNotMigrated")
+        .withArgs(0);
+
+      await membershipDAO.setVotingSettings(0, YEAR, 50, 2);
+      await membershipDAO.listNewMembership("Gold Membership", tokens(2), YEAR);
+      await expect(membershipDAO.importVotes(0, [alice.address]))
+        .to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_ProposalNotMigrated")
+        .withArgs(0);
+    })
+
+    // Once finished, the migration can't be reopened or used
+    it("Rejects importing once the migration is finished", async () => {
+      const { membershipDAO } = await deployProxy();
+      await membershipDAO.listMembership("Silver Membership", tokens(1), YEAR, ethers.ZeroAddress);
+      await membershipDAO.buyMembershipFor(alice.address, 0, { value: tokens(1) });
+      await membershipDAO.setVotingSettings(0, YEAR, 50, 2);
+      await membershipDAO.importProposal("Gold Membership", tokens(2), YEAR);
+
+      await expect(membershipDAO.finishMigration()).to.emit(membershipDAO, "MigrationFinished");
+      expect(await membershipDAO.migrating()).to.equal(false);
+
+      await expect(membershipDAO.importVotes(0, [alice.address]))
+        .to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_MigrationFinished");
+      await expect(membershipDAO.importProposal("Platinum Membership", tokens(3), YEAR))
+        .to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_MigrationFinished");
+      await expect(membershipDAO.finishMigration())
+        .to.be.revertedWithCustomError(membershipDAO, "MembershipDAO_MigrationFinished");
+      expect(await membershipDAO.hasVoted(alice.address, 0)).to.equal(false);
+    })
+  })
+})